@@ -0,0 +1,315 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createAnalyzers, serializeAnalyzers, restoreAnalyzers, setDateTimeImplementation, facilityRegistry } from './analysis.js';
+import { HEATMAP_DRILLDOWN_LIMIT } from './heatmap.js';
+import { JOURNEY_EVENTS_PER_TRAILER, JOURNEY_TRAILER_LIMIT } from './journeys.js';
+import { DRIVER_PROFILE_LIMIT } from './driver-profiles.js';
+
+// Just enough of Luxon's DateTime for date range tracking and ISO round-trips
+class StubDateTime {
+  constructor(ms) { this.ms = ms; this.isValid = true; this.isLuxonDateTime = true; }
+  static fromISO(iso) { return new StubDateTime(Date.parse(iso)); }
+  valueOf() { return this.ms; }
+  toISO() { return new Date(this.ms).toISOString(); }
+  toISODate() { return this.toISO().slice(0, 10); }
+  toMillis() { return this.ms; }
+  setZone() { return this; }
+  toFormat() { return this.toISO().slice(0, 16).replace('T', ' '); }
+}
+setDateTimeImplementation(StubDateTime);
+
+const opts = { timezone: 'America/Chicago', startDate: '2025-01-01', endDate: '2025-01-31', assumptions: {} };
+
+// Simulates what DriverHistoryAnalyzer.ingest() accumulates, without needing Luxon parsing
+function driverShard(rows) {
+  const { driver_history: a } = createAnalyzers(opts);
+  for (const { driver, day, queue, facility } of rows) {
+    a.totalRows++;
+    a.movesTotal++;
+    a.movesByDriver.inc(driver);
+    a.movesByDay.inc(day);
+    a.getDistinct(a.activeDriversByDay, day).add(driver);
+    a.getDaysWorked(driver).add(day);
+    a.queueMedian.add(queue);
+    a.queueP90.add(queue);
+    a.trackDate(new StubDateTime(Date.parse(`${day}T12:00:00Z`)));
+    const bucket = a.getOrCreateFacilityBucket(facility);
+    bucket.movesTotal++;
+    bucket.queueMedian.add(queue);
+  }
+  return a;
+}
+
+const rows = Array.from({ length: 40 }, (_, i) => ({
+  driver: `D${i % 7}`,
+  day: `2025-01-${String(1 + (i % 10)).padStart(2, '0')}`,
+  queue: (i * 7) % 31,
+  facility: i % 3 === 0 ? 'FAC2' : 'FAC1',
+}));
+
+test('analyzer state survives a JSON round-trip', () => {
+  const original = driverShard(rows);
+  const json = JSON.parse(JSON.stringify(serializeAnalyzers({ driver_history: original })));
+  facilityRegistry.clear();
+  const { driver_history: restored } = restoreAnalyzers(json);
+
+  assert.equal(restored.timezone, 'America/Chicago');
+  assert.equal(restored.movesTotal, 40);
+  assert.deepEqual(restored.movesByDriver.toObjectSorted(), original.movesByDriver.toObjectSorted());
+  assert.equal(restored.queueMedian.value(), original.queueMedian.value());
+  assert.equal(restored.queueP90.value(), original.queueP90.value());
+  assert.equal(
+    restored.activeDriversByDay.get('2025-01-01').estimate(),
+    original.activeDriversByDay.get('2025-01-01').estimate(),
+  );
+  assert.deepEqual(Array.from(restored.daysWorkedByDriver.get('D0')), Array.from(original.daysWorkedByDriver.get('D0')));
+  assert.deepEqual(restored.getInferredDateRange(), original.getInferredDateRange());
+  assert.equal(restored.byFacility.get('FAC2').queueMedian.value(), original.byFacility.get('FAC2').queueMedian.value());
+  assert.deepEqual(facilityRegistry.getFacilitiesForReport('driver_history'), ['FAC1', 'FAC2']);
+
+  // Further ingestion keeps working on restored estimators
+  restored.queueMedian.add(5);
+  assert.equal(restored.queueMedian.n, original.queueMedian.n + 1);
+});
+
+test('merging shards matches a single pass for counts and stays close for quantiles', () => {
+  const whole = driverShard(rows);
+  const merged = driverShard(rows.slice(0, 25)).merge(driverShard(rows.slice(25)));
+
+  assert.equal(merged.totalRows, whole.totalRows);
+  assert.deepEqual(merged.movesByDriver.toObjectSorted(), whole.movesByDriver.toObjectSorted());
+  assert.deepEqual(merged.movesByDay.toObjectSorted(), whole.movesByDay.toObjectSorted());
+  assert.equal(merged.byFacility.get('FAC1').movesTotal, whole.byFacility.get('FAC1').movesTotal);
+  assert.equal(merged.activeDriversByDay.get('2025-01-03').estimate(), whole.activeDriversByDay.get('2025-01-03').estimate());
+  assert.equal(merged.daysWorkedByDriver.get('D3').size, whole.daysWorkedByDriver.get('D3').size);
+  assert.deepEqual(merged.getInferredDateRange(), whole.getInferredDateRange());
+
+  assert.equal(merged.queueMedian.n, whole.queueMedian.n);
+  assert.ok(Math.abs(merged.queueMedian.value() - whole.queueMedian.value()) <= 3, 'median stays close');
+});
+
+test('small estimators merge exactly and mismatched analyzers are rejected', () => {
+  const a = driverShard(rows.slice(0, 2));
+  const b = driverShard(rows.slice(2, 4));
+  const whole = driverShard(rows.slice(0, 4));
+  a.merge(b);
+  assert.equal(a.queueMedian.value(), whole.queueMedian.value());
+
+  const { trailer_history: trailer } = createAnalyzers(opts);
+  assert.throws(() => a.merge(trailer), /Cannot merge trailer_history/);
+
+  const { driver_history: otherTz } = createAnalyzers({ ...opts, timezone: 'UTC' });
+  assert.throws(() => a.merge(otherTz), /different timezones/);
+
+  assert.throws(() => restoreAnalyzers({ driver_history: { version: 99 } }), /Unsupported analyzer state version/);
+});
+
+test('hour × weekday grids count per cell, merge across shards and round-trip', () => {
+  // Only what trackHourWeekday reads: the event's weekday/hour in the analyzer timezone
+  const at = (weekday, hour) => ({ isValid: true, setZone: () => ({ weekday, hour }) });
+  const shard = (events) => {
+    const { driver_history: a } = createAnalyzers(opts);
+    events.forEach(([weekday, hour, driver]) => a.trackHourWeekday(a.movesByHour, a.movesByHourDrilldown, at(weekday, hour), () => ({ driver })));
+    return a;
+  };
+
+  const merged = shard([[2, 14, 'D1'], [2, 14, 'D2']]).merge(shard([[2, 14, 'D3'], [7, 0, 'D1']]));
+  assert.equal(merged.movesByHour.map.get('2|14'), 3);
+  assert.equal(merged.movesByHour.map.get('7|0'), 1);
+  assert.deepEqual(merged.movesByHourDrilldown.get('2|14').map(r => r.driver), ['D1', 'D2', 'D3']);
+
+  const { driver_history: restored } = restoreAnalyzers(JSON.parse(JSON.stringify(serializeAnalyzers({ driver_history: merged }))));
+  assert.equal(restored.movesByHour.map.get('2|14'), 3);
+  assert.equal(restored.movesByHourDrilldown.get('7|0').length, 1);
+
+  const { driver_history: noDrilldown } = createAnalyzers({ ...opts, enableDrilldown: false });
+  noDrilldown.trackHourWeekday(noDrilldown.movesByHour, noDrilldown.movesByHourDrilldown, at(1, 9), () => ({ driver: 'D1' }));
+  assert.equal(noDrilldown.movesByHour.map.get('1|9'), 1);
+  assert.equal(noDrilldown.movesByHourDrilldown.size, 0);
+});
+
+test('shift buckets merge across shards, round-trip and feed the shift chart', () => {
+  // Only what shiftBucketFor reads: the event's local hour/minute
+  const at = (hour) => ({ isValid: true, setZone: () => ({ hour, minute: 0 }) });
+  const shard = (events) => {
+    const { driver_history: a } = createAnalyzers(opts);
+    for (const [hour, queue] of events) {
+      const bucket = a.shiftBucketFor(at(hour));
+      bucket.moves++;
+      bucket.queueMedian.add(queue);
+      bucket.queueTotal++;
+    }
+    return a;
+  };
+  const day = Array.from({ length: 25 }, (_, i) => [8 + (i % 6), 5]);
+  const night = Array.from({ length: 25 }, (_, i) => [i % 2 ? 23 : 2, 12]);
+
+  const merged = shard(day.slice(0, 10)).merge(shard([...day.slice(10), ...night]));
+  const { driver_history: restored } = restoreAnalyzers(JSON.parse(JSON.stringify(serializeAnalyzers({ driver_history: merged }))));
+  const metrics = restored.shiftMetrics();
+  assert.deepEqual(metrics.map(r => [r.shift, r.moves, r.queue_median_min]), [
+    ['1st shift', 25, 5],
+    ['2nd shift', 0, null],
+    ['3rd shift', 25, 12],
+  ]);
+
+  const [chart] = restored.shiftComparisonChart({
+    id: 'driver_shift_comparison',
+    title: 'Driver metrics by shift',
+    description: 'Queue time by shift.',
+    rows: metrics,
+    series: [{ label: 'Queue median (min)', column: 'queue_median_min' }],
+    columns: ['moves', 'queue_median_min'],
+  });
+  assert.deepEqual(chart.data.datasets[0].data, [5, null, 12]);
+  assert.deepEqual(chart.csv.rows[2], { shift: '3rd shift', window: '22:00–06:00', shift_hours: 8, moves: 25, queue_median_min: 12 });
+
+  const { driver_history: noShifts } = createAnalyzers({ ...opts, shifts: [] });
+  assert.equal(noShifts.shiftBucketFor(at(9)), null);
+  assert.deepEqual(noShifts.shiftComparisonChart({ rows: noShifts.shiftMetrics(), series: [], columns: [] }), []);
+});
+
+test('carrier tallies merge across shards and facilities and round-trip', () => {
+  const shard = (rows) => {
+    const { trailer_history: a } = createAnalyzers(opts);
+    for (const [scac, facility, lost] of rows) {
+      a.tallyCarrier(scac, a.getOrCreateFacilityBucket(facility), lost ? { trailer_events: 1, lost_events: 1 } : { trailer_events: 1 });
+    }
+    a.tallyCarrier(null, null, { trailer_events: 1 });
+    return a;
+  };
+
+  const merged = shard([['abcd', 'FAC1', true], ['ABCD', 'FAC2', false]]).merge(shard([['WXYZ', 'FAC1', false], ['ABCD', 'FAC1', true]]));
+  const { trailer_history: restored } = restoreAnalyzers(JSON.parse(JSON.stringify(serializeAnalyzers({ trailer_history: merged }))));
+  assert.deepEqual(restored.carrierStatsFrom(), {
+    ABCD: { trailer_events: 3, lost_events: 2 },
+    WXYZ: { trailer_events: 1 },
+  });
+  assert.deepEqual(restored.carrierStatsFrom(restored.byFacility.get('FAC2').byCarrier), { ABCD: { trailer_events: 1 } });
+  assert.deepEqual(restored.carrierStatsFrom(restored.mergeToVirtualBucket(['FAC1', 'FAC2']).byCarrier), restored.carrierStatsFrom());
+});
+
+test('journey events merge across shards of different reports and round-trip', () => {
+  const at = (hhmm) => new StubDateTime(Date.parse(`2025-01-06T${hhmm}:00Z`));
+  const { detention_history: detention } = createAnalyzers({ ...opts, trackJourneys: true });
+  detention.recordJourneyEvent({ trailer_number: 'tr1', appointment_number: 'A1' }, at('08:00'), 'gate_in', { facility: 'FAC1' });
+  detention.recordJourneyEvent({ trailer_number: 'TR1', appointment_number: 'A1' }, at('08:00'), 'gate_in', { facility: 'FAC1' });
+  detention.recordJourneyEvent({ appointment_number: 'A2' }, at('09:00'), 'gate_in');
+  const { detention_history: other } = createAnalyzers({ ...opts, trackJourneys: true });
+  other.recordJourneyEvent({ trailer_number: 'TR1' }, at('12:00'), 'gate_out', { detail: 'Departed' });
+
+  const merged = detention.merge(other);
+  const { detention_history: restored } = restoreAnalyzers(JSON.parse(JSON.stringify(serializeAnalyzers({ detention_history: merged }))));
+  assert.equal(restored.trackJourneys, true);
+  assert.deepEqual(restored.journeyEventsFrom(), {
+    TR1: [
+      { at: at('08:00').ms, time: '2025-01-06 08:00', stage: 'gate_in', ref: 'A1', facility: 'FAC1', detail: '' },
+      { at: at('12:00').ms, time: '2025-01-06 12:00', stage: 'gate_out', ref: '', facility: '', detail: 'Departed' },
+    ],
+  }, 'repeated events are kept once and rows without a trailer are skipped');
+
+  const { dockdoor_history: off } = createAnalyzers(opts);
+  off.recordJourneyEvent({ trailer_number: 'TR1' }, at('10:00'), 'dock_start');
+  assert.equal(off.journeyEvents.size, 0);
+  assert.equal(off.journeyEventsFrom(), null);
+});
+
+test('driver profiles merge across shards and facilities and round-trip', () => {
+  const shard = (rows) => {
+    const { driver_history: a } = createAnalyzers(opts);
+    for (const [driver, facility, day, queue] of rows) {
+      for (const profile of [a.driverProfileFor(a.driverProfiles, driver), a.driverProfileFor(a.getOrCreateFacilityBucket(facility).driverProfiles, driver)]) {
+        profile.moves++;
+        profile.days.add(day);
+        profile.queueMedian.add(queue);
+        profile.queueP90.add(queue);
+        profile.queueTotal++;
+        profile.distribution.queue[queue < 5 ? '2–5' : '10–20']++;
+      }
+    }
+    return a;
+  };
+
+  const merged = shard([['D1', 'FAC1', '2025-01-06', 4], ['D1', 'FAC2', '2025-01-07', 4]])
+    .merge(shard([['D1', 'FAC1', '2025-01-07', 12], ['D2', 'FAC1', '2025-01-06', 12]]));
+  const { driver_history: restored } = restoreAnalyzers(JSON.parse(JSON.stringify(serializeAnalyzers({ driver_history: merged }))));
+  const stats = restored.driverStatsFrom(restored.driverProfiles);
+  assert.deepEqual(Object.keys(stats), ['D1', 'D2']);
+  assert.equal(stats.D1.moves, 3);
+  assert.deepEqual(stats.D1.days, ['2025-01-06', '2025-01-07']);
+  assert.equal(stats.D1.queue.samples, 3);
+  assert.equal(stats.D1.distribution.queue['2–5'], 2);
+  assert.equal(stats.D1.distribution.queue['10–20'], 1);
+  assert.equal(restored.driverStatsFrom(restored.byFacility.get('FAC2').driverProfiles).D1.moves, 1);
+  assert.deepEqual(restored.driverStatsFrom(restored.mergeToVirtualBucket(['FAC1', 'FAC2']).driverProfiles), stats);
+  assert.equal(restored.driverProfileFor(restored.driverProfiles, ''), null);
+});
+
+test('name counts for pseudonymization merge across shards and round-trip', () => {
+  const shard = (names) => {
+    const { trailer_history: a } = createAnalyzers(opts);
+    for (const [category, name] of names) a.tallyName(category, name);
+    return a;
+  };
+
+  const merged = shard([['carrier', 'ABCD'], ['carrier', 'XXXX'], ['user', 'jsmith'], ['user', '']])
+    .merge(shard([['carrier', 'ABCD'], ['user', null], ['driver', 'Ben']]));
+  const { trailer_history: restored } = restoreAnalyzers(JSON.parse(JSON.stringify(serializeAnalyzers({ trailer_history: merged }))));
+  assert.deepEqual(restored.namesFrom(), {
+    carrier: { ABCD: 2 },
+    user: { jsmith: 1 },
+    driver: { Ben: 1 },
+  }, 'blank names and placeholder SCACs are not counted');
+});
+
+test('PII scrub counts merge across shards and round-trip', () => {
+  const shard = (hits) => {
+    const { driver_history: a } = createAnalyzers(opts);
+    a.tallyPiiScrubbed(hits);
+    a.tallyPiiScrubbed(undefined);
+    return a;
+  };
+
+  const merged = shard([['email_fields', 'driver_email'], ['phone_values', 'comments']])
+    .merge(shard([['email_fields', 'driver_email']]));
+  const { driver_history: restored } = restoreAnalyzers(JSON.parse(JSON.stringify(serializeAnalyzers({ driver_history: merged }))));
+  assert.deepEqual(restored.piiScrubbedFrom(), [
+    { rule: 'email_fields', field: 'driver_email', values: 2 },
+    { rule: 'phone_values', field: 'comments', values: 1 },
+  ]);
+});
+
+test('merging shards that each hit a size limit keeps the limit', () => {
+  const cell = { isValid: true, setZone: () => ({ weekday: 1, hour: 8 }) };
+  const at = (minute) => new StubDateTime(Date.parse('2025-01-06T00:00:00Z') + minute * 60000);
+  // Each shard fills every capped structure, with names no other shard uses
+  const shard = (offset) => {
+    const { driver_history: a } = createAnalyzers({ ...opts, trackJourneys: true });
+    for (let i = 0; i < HEATMAP_DRILLDOWN_LIMIT; i++) {
+      a.trackHourWeekday(a.movesByHour, a.movesByHourDrilldown, cell, () => ({ trailer: `T${offset + i}` }));
+    }
+    for (let i = 0; i < DRIVER_PROFILE_LIMIT; i++) {
+      a.driverProfileFor(a.driverProfiles, `D${offset + i}`).moves++;
+      a.driverProfileFor(a.getOrCreateFacilityBucket('FAC1').driverProfiles, `D${offset + i}`).moves++;
+    }
+    for (let i = 0; i < JOURNEY_EVENTS_PER_TRAILER; i++) a.recordJourneyEvent({ trailer_number: 'TR0' }, at(offset + i), 'move');
+    for (let i = 1; i < JOURNEY_TRAILER_LIMIT; i++) a.recordJourneyEvent({ trailer_number: `TR${offset + i}` }, at(i), 'gate_in');
+    assert.equal(a.journeyEventsDropped, 0);
+    return a;
+  };
+
+  const merged = shard(0).merge(shard(JOURNEY_TRAILER_LIMIT));
+  assert.equal(merged.movesByHour.map.get('1|8'), HEATMAP_DRILLDOWN_LIMIT * 2, 'cell counts stay exact');
+  assert.equal(merged.movesByHourDrilldown.get('1|8').length, HEATMAP_DRILLDOWN_LIMIT);
+  assert.equal(merged.movesByHourDrilldown.get('1|8')[0].trailer, 'T0');
+
+  assert.equal(merged.driverProfiles.size, DRIVER_PROFILE_LIMIT);
+  assert.ok(merged.driverProfiles.has('D0') && !merged.driverProfiles.has(`D${JOURNEY_TRAILER_LIMIT}`));
+  assert.equal(merged.driverProfilesDropped, DRIVER_PROFILE_LIMIT);
+  assert.equal(merged.byFacility.get('FAC1').driverProfiles.size, DRIVER_PROFILE_LIMIT);
+  assert.equal(merged.driverProfileFor(merged.driverProfiles, 'D-new'), null);
+
+  assert.equal(merged.journeyEvents.size, JOURNEY_TRAILER_LIMIT);
+  assert.equal(merged.journeyEvents.get('TR0').length, JOURNEY_EVENTS_PER_TRAILER);
+  assert.equal(merged.journeyEventsDropped, JOURNEY_EVENTS_PER_TRAILER + JOURNEY_TRAILER_LIMIT - 1);
+});
@@ -1,9 +1,17 @@
 /**
  * Streaming aggregations + findings/recommendations + data quality.
- * PII policy enforced here: any key containing "cell" or "phone" is dropped immediately.
+ * PII policy enforced here: any key containing "cell" or "phone" is dropped immediately, along with
+ * whatever else the configured PII rules (pii-rules.js) match in field names or values.
  * Driver cell numbers are NEVER stored, rendered, or exported—only presence/absence is allowed via boolean flags.
  */
 
+import { buildHeatmapChart, heatmapCellKey, HEATMAP_DRILLDOWN_LIMIT } from './heatmap.js?v=2025.01.07.0';
+import { DEFAULT_SHIFTS, sanitizeShifts, compileShiftLookup, shiftHours, shiftDisparity } from './shifts.js?v=2025.01.07.0';
+import { addJourneyEvent, capJourneyEvents, classifyTrailerEvent } from './journeys.js?v=2025.01.07.0';
+import { DRIVER_PROFILE_LIMIT, distributionBucket, emptyDistribution } from './driver-profiles.js?v=2025.01.07.0';
+import { addDoorInterval, buildDoorOccupancy, occupancyFindings, buildUtilizationRankingChart, buildDoorGanttChart } from './door-occupancy.js?v=2025.01.07.0';
+import { compilePiiRules, scrubRow } from './pii-rules.js?v=2025.01.07.0';
+
 let DateTimeImpl = null;
 
 function getDateTime() {
@@ -23,6 +31,7 @@ export function setDateTimeImplementation(dt) {
 }
 
 const PII_KEY_RE = /(cell|phone)/i;
+const DEFAULT_PII_SCRUBBER = compilePiiRules();
 
 function isNil(v) {
   return v === null || v === undefined || v === '';
@@ -194,13 +203,43 @@ export function parseTimestamp(raw, { timezone, assumeUTC = true, treatAsLocal =
   return null;
 }
 
+// Tracked rows -> raw timestamp value -> what an analyzer parsed it to (DateTime|null).
+// CSV ingest tracks each row so its validation reads these instead of parsing again.
+const rowTimestamps = new WeakMap();
+
+/**
+ * Starts recording the timestamps analyzers parse from this row.
+ * @param {object} row
+ */
+export function trackRowTimestamps(row) {
+  rowTimestamps.set(row, new Map());
+}
+
+/**
+ * parseTimestamp() for a value of `row`, recorded when the row is tracked.
+ */
+export function parseRowTimestamp(row, raw, options) {
+  const dt = parseTimestamp(raw, options);
+  if (!isNil(raw)) rowTimestamps.get(row)?.set(String(raw), dt);
+  return dt;
+}
+
+/**
+ * What an analyzer parsed a raw value of a tracked row to; undefined when it
+ * did not parse that value.
+ * @returns {object|null|undefined} DateTime, null when it failed to parse
+ */
+export function parsedRowTimestamp(row, raw) {
+  return rowTimestamps.get(row)?.get(String(raw));
+}
+
 /**
  * Strict PII scrubber + “presence” extraction.
  * Returns:
  *  - row: PII-scrubbed shallow copy
  *  - flags: booleans capturing allowed info (presence only)
  */
-export function normalizeRowStrict(rawRow, { report, timezone, onWarning } = {}) {
+export function normalizeRowStrict(rawRow, { report, timezone, onWarning, piiScrubber = DEFAULT_PII_SCRUBBER } = {}) {
   if (!rawRow || typeof rawRow !== 'object') return null;
 
   const flags = {
@@ -211,22 +250,21 @@ export function normalizeRowStrict(rawRow, { report, timezone, onWarning } = {})
     hasTimezoneArrivalTime: !isNil(rawRow.timezone_arrival_time),
   };
 
-  const clean = {};
   for (const k in rawRow) {
-    if (!Object.prototype.hasOwnProperty.call(rawRow, k)) continue;
-    const v = rawRow[k];
-    if (PII_KEY_RE.test(k)) {
-      // Presence only. Never store value.
-      const present = !isNil(v);
-      flags.anyPhoneFieldPresent = flags.anyPhoneFieldPresent || present;
+    if (!Object.prototype.hasOwnProperty.call(rawRow, k) || !PII_KEY_RE.test(k)) continue;
+    // Presence only. Never store value.
+    const present = !isNil(rawRow[k]);
+    flags.anyPhoneFieldPresent = flags.anyPhoneFieldPresent || present;
 
-      // “Driver-ish” phone/cell keys used only for inference, not display
-      if (/driver/i.test(k)) flags.driverContactPresent = flags.driverContactPresent || present;
-      continue;
-    }
-    clean[k] = v;
+    // “Driver-ish” phone/cell keys used only for inference, not display
+    if (/driver/i.test(k)) flags.driverContactPresent = flags.driverContactPresent || present;
   }
 
+  // Phone/cell keys are a locked rule, so they never survive into the row
+  const { row: clean, hits } = scrubRow(rawRow, piiScrubber);
+  // [ruleId, field] pairs for the audit (BaseAnalyzer.tallyPiiScrubbed)
+  if (hits.length) flags.piiScrubbed = hits;
+
   return { row: clean, flags, report, timezone };
 }
 
@@ -260,6 +298,18 @@ class CounterMap {
     return Array.from(this.map.entries()).sort((a, b) => b[1] - a[1])
       .reduce((acc, [k, v]) => (acc[k] = v, acc), {});
   }
+  merge(other) {
+    mergeCounterMapInto(this, other);
+    return this;
+  }
+  toJSON() {
+    return { entries: Array.from(this.map.entries()) };
+  }
+  static fromJSON(json) {
+    const cm = new CounterMap();
+    for (const [k, v] of json?.entries || []) cm.map.set(k, v);
+    return cm;
+  }
 }
 
 /**
@@ -341,6 +391,64 @@ class P2Quantile {
     }
     return this.q[2]; // middle marker estimates quantile p
   }
+
+  /**
+   * Fold another estimator for the same p into this one.
+   * Exact while either side still holds its first 5 raw samples; otherwise the
+   * inner markers are combined by sample-weighted average (approximate, like the
+   * campus roll-ups) and the outer markers keep the true min/max.
+   */
+  merge(other) {
+    if (!other || other.n === 0) return this;
+    if (other.p !== this.p) throw new Error(`Cannot merge P2Quantile(${other.p}) into P2Quantile(${this.p})`);
+
+    if (other.n <= 5) {
+      for (const x of other.init) this.add(x);
+      return this;
+    }
+    if (this.n <= 5) {
+      const samples = this.init.slice();
+      Object.assign(this, P2Quantile.fromJSON(other.toJSON()));
+      for (const x of samples) this.add(x);
+      return this;
+    }
+
+    const n = this.n + other.n;
+    const wa = this.n / n, wb = other.n / n;
+    const q = [
+      Math.min(this.q[0], other.q[0]),
+      this.q[1] * wa + other.q[1] * wb,
+      this.q[2] * wa + other.q[2] * wb,
+      this.q[3] * wa + other.q[3] * wb,
+      Math.max(this.q[4], other.q[4]),
+    ];
+    // Desired positions for n samples; actual positions snap to them (kept strictly increasing)
+    const np = [1, 1 + (n - 1) * this.p / 2, 1 + (n - 1) * this.p, 1 + (n - 1) * (1 + this.p) / 2, n];
+    const ni = np.map(Math.round);
+    for (let i = 1; i < 5; i++) ni[i] = Math.max(ni[i], ni[i - 1] + 1);
+    for (let i = 3; i >= 0; i--) ni[i] = Math.min(ni[i], ni[i + 1] - 1);
+
+    this.n = n;
+    this.q = q;
+    this.np = np;
+    this.ni = ni;
+    return this;
+  }
+
+  toJSON() {
+    return { p: this.p, n: this.n, q: this.q, np: this.np, ni: this.ni, dn: this.dn, init: this.init };
+  }
+
+  static fromJSON(json) {
+    const est = new P2Quantile(json.p);
+    est.n = json.n || 0;
+    est.q = (json.q || []).slice();
+    est.np = (json.np || []).slice();
+    est.ni = (json.ni || []).slice();
+    est.dn = (json.dn || []).slice();
+    est.init = (json.init || []).slice();
+    return est;
+  }
 }
 
 /**
@@ -370,10 +478,30 @@ class ApproxDistinct {
     if (zeros === 0) return m; // saturated
     return Math.round(-m * Math.log(zeros / m));
   }
+  merge(other) {
+    if (!other) return this;
+    if (other.bits !== this.bits) throw new Error(`Cannot merge ApproxDistinct(${other.bits}) into ApproxDistinct(${this.bits})`);
+    for (let i = 0; i < this.arr.length; i++) this.arr[i] |= other.arr[i];
+    return this;
+  }
+  toJSON() {
+    let hex = '';
+    for (let i = 0; i < this.arr.length; i++) hex += this.arr[i].toString(16).padStart(2, '0');
+    return { bits: this.bits, hex };
+  }
+  static fromJSON(json) {
+    const ad = new ApproxDistinct(json.bits);
+    for (let i = 0; i < ad.arr.length; i++) ad.arr[i] = parseInt(json.hex.slice(i * 2, i * 2 + 2), 16) || 0;
+    return ad;
+  }
 }
 
-function fnv1a32(str) {
-  let h = 0x811c9dc5;
+/**
+ * FNV-1a 32-bit string hash. A different seed gives an independent hash of the
+ * same string (used to widen keys when collisions matter).
+ */
+export function fnv1a32(str, seed = 0x811c9dc5) {
+  let h = seed >>> 0;
   for (let i = 0; i < str.length; i++) {
     h ^= str.charCodeAt(i);
     h = (h + ((h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24))) >>> 0;
@@ -388,12 +516,116 @@ function mergeCounterMapInto(target, source) {
   }
 }
 
+// Carrier scorecard drill-down records kept per carrier and report
+const CARRIER_RECORDS_LIMIT = 100;
+
+/**
+ * Adds per-carrier stat objects (SCAC -> { field: number }) from one Map into another.
+ */
+function mergeCarrierStatsInto(target, source) {
+  if (!source) return;
+  for (const [scac, stats] of source) {
+    const into = target.get(scac) || {};
+    for (const [k, v] of Object.entries(stats)) into[k] = (into[k] || 0) + v;
+    target.set(scac, into);
+  }
+}
+
 function mergeApproxDistinct(a, b) {
   const result = new ApproxDistinct(a.bits);
   for (let i = 0; i < result.arr.length; i++) result.arr[i] = a.arr[i] | b.arr[i];
   return result;
 }
 
+// ---------- Analyzer state serialization ----------
+// Analyzer state is a tree of numbers, strings, arrays, plain objects, Maps, Sets,
+// the stats helpers above and (for date range inference) Luxon DateTimes.
+// encodeState turns that tree into plain JSON with `$type` tags; decodeState reverses it.
+const ANALYZER_STATE_VERSION = 1;
+
+// Constructor options and callbacks: restored from the caller, never merged.
+const ANALYZER_CONFIG_KEYS = new Set(['timezone', 'startDate', 'endDate', 'assumptions', 'onWarning', 'enableDrilldown', 'isCSVMode', 'shifts', 'shiftLookup', 'trackJourneys']);
+
+function encodeState(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'function') return undefined;
+  if (typeof value !== 'object') return value;
+  if (value instanceof CounterMap) return { $type: 'CounterMap', ...value.toJSON() };
+  if (value instanceof P2Quantile) return { $type: 'P2Quantile', ...value.toJSON() };
+  if (value instanceof ApproxDistinct) return { $type: 'ApproxDistinct', ...value.toJSON() };
+  if (value instanceof Map) return { $type: 'Map', entries: Array.from(value, ([k, v]) => [k, encodeState(v)]) };
+  if (value instanceof Set) return { $type: 'Set', values: Array.from(value) };
+  if (value.isLuxonDateTime) return { $type: 'DateTime', iso: value.toISO() };
+  if (Array.isArray(value)) return value.map(encodeState);
+
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    const encoded = encodeState(v);
+    if (encoded !== undefined) out[k] = encoded;
+  }
+  return out;
+}
+
+function decodeState(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(decodeState);
+
+  switch (value.$type) {
+    case 'CounterMap': return CounterMap.fromJSON(value);
+    case 'P2Quantile': return P2Quantile.fromJSON(value);
+    case 'ApproxDistinct': return ApproxDistinct.fromJSON(value);
+    case 'Map': return new Map(value.entries.map(([k, v]) => [k, decodeState(v)]));
+    case 'Set': return new Set(value.values);
+    case 'DateTime': return getDateTime().fromISO(value.iso, { setZone: true });
+    default: {
+      const out = {};
+      for (const [k, v] of Object.entries(value)) out[k] = decodeState(v);
+      return out;
+    }
+  }
+}
+
+function cloneState(value) {
+  return decodeState(encodeState(value));
+}
+
+/**
+ * Merge `source` into `target` in place and return the result.
+ * Counters add, sets union, lists concatenate, maps/objects merge key by key
+ * and the stats helpers use their own merge(). Anything else keeps `target`.
+ */
+function mergeStateInto(target, source) {
+  if (source === null || source === undefined) return target;
+  if (target === null || target === undefined) return cloneState(source);
+
+  if (typeof target === 'number' && typeof source === 'number') return target + source;
+  if (typeof target === 'boolean' && typeof source === 'boolean') return target || source;
+  if (typeof target !== 'object' || typeof source !== 'object') return target;
+
+  if (target instanceof CounterMap || target instanceof P2Quantile || target instanceof ApproxDistinct) {
+    return target.merge(source);
+  }
+  if (target instanceof Set) {
+    for (const v of source) target.add(v);
+    return target;
+  }
+  if (target instanceof Map) {
+    for (const [k, v] of source) target.set(k, mergeStateInto(target.get(k), v));
+    return target;
+  }
+  if (Array.isArray(target)) {
+    for (const v of source) target.push(cloneState(v));
+    return target;
+  }
+  if (target.isLuxonDateTime) return target;
+
+  for (const [k, v] of Object.entries(source)) {
+    if (typeof v === 'function') continue;
+    target[k] = mergeStateInto(target[k], v);
+  }
+  return target;
+}
+
 function scoreToBadge(score) {
   if (score >= 80) return { label: 'High', color: 'green' };
   if (score >= 55) return { label: 'Medium', color: 'yellow' };
@@ -1222,11 +1454,16 @@ function maybeNumber(v) {
   return Number.isFinite(n) ? n : null;
 }
 
-function scacIsPlaceholder(scac) {
+export function scacIsPlaceholder(scac) {
   const s = safeStr(scac).toUpperCase();
   return !s || s === 'XXXX' || s === 'UNKNOWN' || s === 'UNKN';
 }
 
+// SCACs are codes: "Abcd" and "ABCD" are one carrier everywhere results show it
+function scacKey(scac) {
+  return safeStr(scac).toUpperCase();
+}
+
 // ---------- Facility Registry ----------
 /**
  * Tracks unique facilities across all report types.
@@ -1333,13 +1570,16 @@ export const facilityRegistry = new FacilityRegistry();
 
 // ---------- Report analyzers ----------
 class BaseAnalyzer {
-  constructor({ timezone, startDate, endDate, assumptions, onWarning, enableDrilldown = true }) {
+  constructor({ timezone, startDate, endDate, assumptions, onWarning, enableDrilldown = true, shifts = DEFAULT_SHIFTS, trackJourneys = false }) {
     this.timezone = timezone;
     this.startDate = startDate;
     this.endDate = endDate;
     this.assumptions = assumptions;
     this.onWarning = onWarning;
     this.enableDrilldown = enableDrilldown;
+    // Shift windows (see shifts.js); an empty list turns shift analysis off
+    this.shifts = sanitizeShifts(shifts);
+    this.shiftLookup = compileShiftLookup(this.shifts);
 
     this.totalRows = 0;
     this.parseFails = 0;
@@ -1354,6 +1594,145 @@ class BaseAnalyzer {
     // Per-facility data storage for multi-facility support
     // Maps facility name → per-facility metrics bucket
     this.byFacility = new Map();
+
+    // Shift name → per-shift metrics bucket (see createShiftBucket())
+    this.byShift = new Map();
+
+    // Upper-cased SCAC → per-carrier counts for the cross-report carrier scorecard
+    this.byCarrier = new Map();
+
+    // Trailer journeys (see journeys.js): upper-cased trailer → timestamped events
+    this.trackJourneys = trackJourneys;
+    this.journeyEvents = new Map();
+    this.journeyEventsDropped = 0;
+
+    // Name category ('driver' | 'user' | 'carrier') → CounterMap of names, for
+    // presentation aliases (see pseudonymize.js)
+    this.namesSeen = new Map();
+
+    // "ruleId\tfield" → values scrubbed by the PII rules (counts only, for the audit)
+    this.piiScrubbed = new CounterMap();
+  }
+
+  /**
+   * Counts the fields normalizeRowStrict scrubbed from one row.
+   * @param {Array<[string, string]>} [hits] - flags.piiScrubbed
+   */
+  tallyPiiScrubbed(hits) {
+    if (!hits) return;
+    for (const [ruleId, field] of hits) this.piiScrubbed.inc(`${ruleId}\t${field}`);
+  }
+
+  /**
+   * Scrub counts for results: [{ rule, field, values }], most scrubbed first.
+   */
+  piiScrubbedFrom() {
+    return Array.from(this.piiScrubbed.map, ([key, values]) => {
+      const [rule, field] = key.split('\t');
+      return { rule, field, values };
+    }).sort((a, b) => b.values - a.values);
+  }
+
+  /**
+   * Counts one driver, user or carrier name so pseudonymize.js can give it a
+   * stable alias. Blank names and placeholder SCACs are skipped.
+   * @param {'driver'|'user'|'carrier'} category
+   * @param {*} name
+   */
+  tallyName(category, name) {
+    // Carriers are counted under the key tallyCarrier() uses, so carrierStats aliases too
+    const value = category === 'carrier' ? scacKey(name) : safeStr(name);
+    if (!value || (category === 'carrier' && scacIsPlaceholder(value))) return;
+    if (!this.namesSeen.has(category)) this.namesSeen.set(category, new CounterMap());
+    this.namesSeen.get(category).inc(value);
+  }
+
+  /**
+   * Name counts as a plain object for results: { driver: { name: rows }, ... }.
+   * Used only to build the alias map; never rendered or exported.
+   */
+  namesFrom() {
+    const out = {};
+    for (const [category, counts] of this.namesSeen) out[category] = Object.fromEntries(counts.map);
+    return out;
+  }
+
+  /**
+   * Records one journey event for the row's trailer when journeys are on.
+   * The row's appointment / move number ties events from different reports
+   * to the same visit.
+   * @param {object} row - Normalized row
+   * @param {DateTime|null} dt
+   * @param {string} stage - A JOURNEY_STAGES key
+   * @param {object} [extra] - { facility, detail }
+   */
+  recordJourneyEvent(row, dt, stage, { facility = '', detail = '' } = {}) {
+    if (!this.trackJourneys || !dt || !dt.isValid) return;
+    const trailer = firstPresent(row, ['trailer_number', 'trailer_id', 'equipment_number', 'trailer']);
+    if (isNil(trailer)) return;
+    const added = addJourneyEvent(this.journeyEvents, safeStr(trailer), {
+      at: dt.toMillis(),
+      time: dt.setZone(this.timezone).toFormat('yyyy-MM-dd HH:mm'),
+      stage,
+      ref: safeStr(firstPresent(row, ['appointment_number', 'move_number', 'appointment_id']) ?? ''),
+      facility,
+      detail,
+    });
+    if (!added) this.journeyEventsDropped++;
+  }
+
+  /**
+   * Journey events as a plain object for results, or null when journeys are off.
+   * @returns {Object<string, object[]>|null}
+   */
+  journeyEventsFrom() {
+    if (!this.trackJourneys) return null;
+    return Object.fromEntries(this.journeyEvents);
+  }
+
+  /**
+   * Adds counts for one carrier to the aggregate and (when given) the facility
+   * bucket, e.g. tallyCarrier(scac, facBucket, { lost_events: 1 }).
+   * Rows without a SCAC are not tallied.
+   */
+  tallyCarrier(scac, facBucket, counts) {
+    if (isNil(scac)) return;
+    const key = scacKey(scac);
+    const source = new Map([[key, counts]]);
+    mergeCarrierStatsInto(this.byCarrier, source);
+    if (facBucket?.byCarrier) mergeCarrierStatsInto(facBucket.byCarrier, source);
+  }
+
+  /**
+   * Per-carrier counts as a plain object for results (see carrier-scorecard.js).
+   * @param {Map<string, object>} [byCarrier]
+   * @returns {Object<string, object>|null} null when no carrier was seen
+   */
+  carrierStatsFrom(byCarrier = this.byCarrier) {
+    if (!byCarrier || byCarrier.size === 0) return null;
+    const stats = {};
+    for (const [scac, counts] of byCarrier) {
+      stats[scac] = Object.fromEntries(Object.entries(counts).map(([k, v]) => [k, Math.round(v * 10) / 10]));
+    }
+    return stats;
+  }
+
+  /**
+   * Drill-down records for the carrier scorecard, keyed by upper-cased SCAC
+   * (the first CARRIER_RECORDS_LIMIT per carrier).
+   * @param {Map<string, object[]>} recordsByCarrier - Raw SCAC -> records
+   * @param {(record: object) => object} toRecord - Maps to { report, trailer, event, date, detail }
+   * @returns {Object<string, object[]>|null} null when drill-down is off
+   */
+  carrierRecordsFrom(recordsByCarrier, toRecord) {
+    if (!this.enableDrilldown) return null;
+    const out = {};
+    for (const [scac, records] of recordsByCarrier) {
+      const key = scacKey(scac);
+      const kept = out[key] || [];
+      if (kept.length < CARRIER_RECORDS_LIMIT) out[key] = kept.concat(records.slice(0, CARRIER_RECORDS_LIMIT - kept.length).map(toRecord));
+    }
+    return out;
   }
 
   /**
@@ -1380,6 +1759,49 @@ class BaseAnalyzer {
     return { totalRows: 0 };
   }
 
+  /**
+   * Create a new per-shift metrics bucket. Analyzers that compare shifts
+   * override this; by default rows are not bucketed by shift.
+   * @returns {object|null}
+   */
+  createShiftBucket() {
+    return null;
+  }
+
+  /**
+   * The bucket of the shift an event time falls in, or null when no shift
+   * covers it (or shifts are off).
+   * @param {DateTime} dt
+   * @returns {object|null}
+   */
+  shiftBucketFor(dt) {
+    if (!dt || !dt.isValid || this.shifts.length === 0) return null;
+    const local = dt.setZone(this.timezone);
+    const shift = this.shiftLookup(local.hour, local.minute);
+    if (!shift) return null;
+    if (!this.byShift.has(shift)) {
+      const bucket = this.createShiftBucket();
+      if (!bucket) return null;
+      this.byShift.set(shift, bucket);
+    }
+    return this.byShift.get(shift);
+  }
+
+  /**
+   * Configured shifts in order, each with its bucket (null when it saw no rows).
+   * Empty when no row fell in any shift.
+   * @returns {Array<{shift: string, window: string, hours: number, bucket: object|null}>}
+   */
+  shiftRows() {
+    if (this.byShift.size === 0) return [];
+    return this.shifts.map(s => ({
+      shift: s.name,
+      window: `${s.start}–${s.end}`,
+      hours: shiftHours(s),
+      bucket: this.byShift.get(s.name) || null,
+    }));
+  }
+
   /**
    * Register a facility with the global registry and get its bucket.
    * Call this in ingest() with the facility from the row.
@@ -1410,6 +1832,79 @@ class BaseAnalyzer {
     }
   }
 
+  /**
+   * Count an event in an hour × weekday grid (see heatmap.js), keeping up to
+   * HEATMAP_DRILLDOWN_LIMIT drill-down records per cell when drill-down is on.
+   * @param {CounterMap} grid - Cell key -> events
+   * @param {Map} records - Cell key -> drill-down records
+   * @param {DateTime} dt - Event time
+   * @param {Function} [makeRecord] - Builds the drill-down record (only called when kept)
+   */
+  trackHourWeekday(grid, records, dt, makeRecord) {
+    if (!dt || !dt.isValid) return;
+    const local = dt.setZone(this.timezone);
+    const key = heatmapCellKey(local.weekday, local.hour);
+    grid.inc(key);
+    if (!this.enableDrilldown || !makeRecord) return;
+    if (!records.has(key)) records.set(key, []);
+    const list = records.get(key);
+    if (list.length < HEATMAP_DRILLDOWN_LIMIT) list.push(makeRecord());
+  }
+
+  /**
+   * Trims merged hour × weekday drill-down lists back to HEATMAP_DRILLDOWN_LIMIT per cell.
+   * @param {Map} records - Cell key -> drill-down records
+   */
+  capHourWeekdayRecords(records) {
+    for (const list of records.values()) {
+      if (list.length > HEATMAP_DRILLDOWN_LIMIT) list.length = HEATMAP_DRILLDOWN_LIMIT;
+    }
+  }
+
+  /**
+   * The hour × weekday heatmap chart for a grid, as a list for spreading into
+   * `charts` (empty when nothing was counted).
+   */
+  hourWeekdayHeatmap({ grid, records, columns, columnLabels, ...chart }) {
+    const def = buildHeatmapChart({
+      ...chart,
+      counts: grid.map,
+      drilldown: this.enableDrilldown ? { records, columns, columnLabels } : null,
+    });
+    return def ? [def] : [];
+  }
+
+  /**
+   * Shift comparison bar chart, spread into `charts` like hourWeekdayHeatmap:
+   * [] when no row fell in a shift.
+   * @param {object} params
+   * @param {Array<object>} params.rows - One per shift: { shift, window, hours, ...values }
+   * @param {Array<{label: string, column: string}>} params.series - Charted values
+   * @param {string[]} params.columns - CSV value columns (after shift, window, shift_hours)
+   */
+  shiftComparisonChart({ id, title, description, rows, series, columns }) {
+    if (rows.length === 0) return [];
+    return [{
+      id,
+      title,
+      kind: 'bar',
+      description: `${description} Shift times in ${this.timezone}.`,
+      data: {
+        labels: rows.map(r => r.shift),
+        datasets: series.map(({ label, column }) => ({ label, data: rows.map(r => r[column]) })),
+      },
+      csv: {
+        columns: ['shift', 'window', 'shift_hours', ...columns],
+        rows: rows.map(r => ({
+          shift: r.shift,
+          window: r.window,
+          shift_hours: r.hours,
+          ...Object.fromEntries(columns.map(c => [c, r[c] ?? ''])),
+        })),
+      },
+    }];
+  }
+
   /**
    * Get the inferred date range as ISO date strings.
    */
@@ -1441,6 +1936,91 @@ class BaseAnalyzer {
     return Array.from(this.byFacility.keys()).sort();
   }
 
+  /**
+   * Serialize intermediate state (not results) so a run can be checkpointed,
+   * moved across threads, or re-finalized later without re-ingesting rows.
+   * Constructor options are included except callbacks.
+   */
+  toJSON() {
+    const state = {};
+    for (const [key, value] of Object.entries(this)) {
+      if (ANALYZER_CONFIG_KEYS.has(key)) continue;
+      const encoded = encodeState(value);
+      if (encoded !== undefined) state[key] = encoded;
+    }
+    return {
+      version: ANALYZER_STATE_VERSION,
+      report: this.constructor.reportType,
+      options: {
+        timezone: this.timezone,
+        startDate: this.startDate,
+        endDate: this.endDate,
+        assumptions: this.assumptions,
+        enableDrilldown: this.enableDrilldown,
+        isCSVMode: this.isCSVMode || false,
+        shifts: this.shifts,
+        trackJourneys: this.trackJourneys,
+      },
+      state,
+    };
+  }
+
+  /**
+   * Rebuild an analyzer from toJSON() output.
+   * `options` override the saved constructor options (e.g. onWarning, new assumptions,
+   * or a different display timezone). Day/week/month keys keep the timezone they were
+   * ingested in. Restored facilities are re-registered with the facility registry.
+   */
+  static fromJSON(json, options = {}) {
+    if (!json || json.version !== ANALYZER_STATE_VERSION) {
+      throw new Error(`Unsupported analyzer state version: ${json?.version}`);
+    }
+    if (json.report !== this.reportType) {
+      throw new Error(`Analyzer state is for ${json.report}, not ${this.reportType}`);
+    }
+    const analyzer = new this({ ...json.options, ...options });
+    for (const [key, value] of Object.entries(json.state || {})) {
+      analyzer[key] = decodeState(value);
+    }
+    for (const facility of analyzer.byFacility.keys()) {
+      facilityRegistry.register(facility, this.reportType);
+    }
+    return analyzer;
+  }
+
+  /**
+   * Fold another analyzer of the same report (e.g. a different page range or
+   * worker shard) into this one. Both must have ingested in the same timezone so
+   * their period keys line up. Quantiles merge approximately; counts are exact.
+   */
+  merge(other) {
+    if (!other) return this;
+    if (other.constructor !== this.constructor) {
+      throw new Error(`Cannot merge ${other.constructor.reportType} analyzer into ${this.constructor.reportType}`);
+    }
+    if (other.timezone !== this.timezone) {
+      throw new Error(`Cannot merge analyzers ingested in different timezones (${other.timezone} vs ${this.timezone})`);
+    }
+
+    for (const [key, value] of Object.entries(other)) {
+      if (ANALYZER_CONFIG_KEYS.has(key)) continue;
+      if (key === 'earliestDate' || key === 'latestDate') continue;
+      this[key] = mergeStateInto(this[key], value);
+    }
+    if (other.earliestDate) this.trackDate(other.earliestDate);
+    if (other.latestDate) this.trackDate(other.latestDate);
+    this.capMergedState();
+    return this;
+  }
+
+  /**
+   * Re-applies the ingest-time size limits after merge(), which concatenates
+   * lists and unions maps. Subclasses with their own capped state extend this.
+   */
+  capMergedState() {
+    this.journeyEventsDropped += capJourneyEvents(this.journeyEvents);
+  }
+
   /**
    * Finalize results for a specific facility.
    * Subclasses should override this to produce facility-specific results.
@@ -1497,6 +2077,8 @@ class BaseAnalyzer {
 }
 
 class CurrentInventoryAnalyzer extends BaseAnalyzer {
+  static reportType = 'current_inventory';
+
   constructor(opts) {
     super(opts);
     this.totalTrailers = 0;
@@ -1534,6 +2116,7 @@ class CurrentInventoryAnalyzer extends BaseAnalyzer {
       scacTotal: 0,
       liveLoads: 0,
       liveLoadMissingDriverContact: 0,
+      byCarrier: new Map(),
     };
   }
 
@@ -1576,9 +2159,20 @@ class CurrentInventoryAnalyzer extends BaseAnalyzer {
         if (facBucket) facBucket.placeholderScac++;
       }
     }
+    this.tallyCarrier(scac, facBucket, { trailers: 1 });
+    this.tallyName('carrier', scac);
+
+    if (this.trackJourneys) {
+      const arrived = parseTimestamp(firstPresent(row, ['timezone_arrival_time', 'arrival_time']), {
+        timezone: this.timezone,
+        treatAsLocal: true,
+      });
+      const spot = safeStr(row.drop_spot || row.location_name || row.parking_spot || row.spot || '');
+      this.recordJourneyEvent(row, arrived, 'gate_in', { facility, detail: spot ? `On yard at ${spot}` : 'On yard' });
+    }
 
     // updated_at recency buckets
-    const dt = parseTimestamp(row.updated_at, {
+    const dt = parseRowTimestamp(row, row.updated_at, {
       timezone: this.timezone,
       assumeUTC: true,
       treatAsLocal: false,
@@ -1621,6 +2215,8 @@ class CurrentInventoryAnalyzer extends BaseAnalyzer {
         else bucket = '30d+';
         this.yardAgeBuckets[bucket]++;
         if (facBucket) facBucket.yardAgeBuckets[bucket]++;
+        // Aged inventory for the carrier scorecard: on the yard over 7 days
+        if (hours > 168) this.tallyCarrier(scac, facBucket, { aged_trailers: 1 });
       } else {
         this.yardAgeBuckets['unknown']++;
         if (facBucket) facBucket.yardAgeBuckets['unknown']++;
@@ -1629,7 +2225,7 @@ class CurrentInventoryAnalyzer extends BaseAnalyzer {
       // Collect drilldown data if enabled
       if (bucket && this.enableDrilldown) {
         const trailer = safeStr(row.trailer_number || row.trailer_id || row.equipment_number || '');
-        const scac = safeStr(row.scac ?? row.carrier_scac ?? row.scac_code ?? '');
+        const scac = scacKey(row.scac ?? row.carrier_scac ?? row.scac_code ?? '');
         const moveType = safeStr(row.move_type_name || row.move_type || '');
         const location = safeStr(row.drop_spot || row.location_name || row.parking_spot || row.spot || '');
         const ageDays = Math.round(hours / 24 * 10) / 10;
@@ -1638,6 +2234,19 @@ class CurrentInventoryAnalyzer extends BaseAnalyzer {
     }
   }
 
+  /**
+   * Yard-age drill-down records over 7 days, grouped by SCAC (carrier scorecard).
+   */
+  agedTrailersByScac() {
+    const byScac = new Map();
+    for (const record of [...this.yardAgeDrilldown['7-30d'], ...this.yardAgeDrilldown['30d+']]) {
+      if (!record.scac) continue;
+      if (!byScac.has(record.scac)) byScac.set(record.scac, []);
+      byScac.get(record.scac).push(record);
+    }
+    return byScac;
+  }
+
   buildCharts(moveTypeTop, updatedSeries) {
     const charts = [
       {
@@ -1834,6 +2443,14 @@ class CurrentInventoryAnalyzer extends BaseAnalyzer {
       report: 'current_inventory',
       meta,
       inferredDateRange: this.getInferredDateRange(),
+      journeyEvents: this.journeyEventsFrom(),
+      journeyEventsDropped: this.journeyEventsDropped,
+      names: this.namesFrom(),
+      piiScrubbed: this.piiScrubbedFrom(),
+      carrierStats: this.carrierStatsFrom(),
+      carrierRecords: this.carrierRecordsFrom(this.agedTrailersByScac(), r => ({
+        report: 'current_inventory', trailer: r.trailer, event: r.moveType, date: '', detail: `${r.ageDays} days on yard${r.location ? ` at ${r.location}` : ''}`,
+      })),
       dataQuality: {
         score: dq,
         ...badge,
@@ -2002,6 +2619,7 @@ class CurrentInventoryAnalyzer extends BaseAnalyzer {
       report: 'current_inventory',
       facility,
       meta,
+      carrierStats: this.carrierStatsFrom(bucket.byCarrier),
       dataQuality: {
         score: dq,
         label: dq >= 80 ? 'High' : dq >= 50 ? 'Medium' : 'Low',
@@ -2030,6 +2648,7 @@ class CurrentInventoryAnalyzer extends BaseAnalyzer {
       if (!b) continue;
       merged.totalRows += b.totalRows;
       merged.totalTrailers += b.totalTrailers;
+      mergeCarrierStatsInto(merged.byCarrier, b.byCarrier);
       merged.outbound += b.outbound;
       merged.inbound += b.inbound;
       merged.placeholderScac += b.placeholderScac;
@@ -2046,6 +2665,8 @@ class CurrentInventoryAnalyzer extends BaseAnalyzer {
 }
 
 class DetentionHistoryAnalyzer extends BaseAnalyzer {
+  static reportType = 'detention_history';
+
   constructor(opts) {
     super(opts);
 
@@ -2079,7 +2700,11 @@ class DetentionHistoryAnalyzer extends BaseAnalyzer {
     this.detentionByScac = new CounterMap();
 
     // Drilldown data for detention by carrier (only collected when enableDrilldown is true)
-    this.detentionByScacDrilldown = new Map(); // carrier -> array of { trailer, timeInYard, trailerType, detentionDate }
+    this.detentionByScacDrilldown = new Map(); // carrier -> array of { trailer, timeInYard, trailerType, detentionDate, outcome }
+
+    // Detention starts by hour × weekday (heatmap.js) + drill-down records per cell
+    this.detentionStartsByHour = new CounterMap();
+    this.detentionStartsByHourDrilldown = new Map();
 
     // Detention spend tracking
     this.detentionEventsWithDeparture = 0;
@@ -2111,6 +2736,7 @@ class DetentionHistoryAnalyzer extends BaseAnalyzer {
       totalDetentionHours: 0,
       dailyDetention: new CounterMap(),
       dailyPrevented: new CounterMap(),
+      byCarrier: new Map(),
     };
   }
 
@@ -2203,19 +2829,19 @@ class DetentionHistoryAnalyzer extends BaseAnalyzer {
     }
 
     // Parse all required timestamps
-    const arrival = parseTimestamp(row.arrival_time, {
+    const arrival = parseRowTimestamp(row, row.arrival_time, {
       timezone: this.timezone,
       treatAsLocal: true,
       onFail: () => { this.parseFails++; }
     });
 
-    const preDetentionThreshold = parseTimestamp(row.pre_detention_start_time, {
+    const preDetentionThreshold = parseRowTimestamp(row, row.pre_detention_start_time, {
       timezone: this.timezone,
       assumeUTC: true,
       onFail: () => { this.parseFails++; }
     });
 
-    const detentionThreshold = parseTimestamp(row.detention_start_time, {
+    const detentionThreshold = parseRowTimestamp(row, row.detention_start_time, {
       timezone: this.timezone,
       assumeUTC: true,
       onFail: () => { this.parseFails++; }
@@ -2233,7 +2859,7 @@ class DetentionHistoryAnalyzer extends BaseAnalyzer {
 
     let departure = null;
     if (departureRaw) {
-      departure = parseTimestamp(departureRaw, {
+      departure = parseRowTimestamp(row, departureRaw, {
         timezone: this.timezone,
         treatAsLocal: true
       });
@@ -2291,6 +2917,12 @@ class DetentionHistoryAnalyzer extends BaseAnalyzer {
         break;
     }
 
+    this.recordJourneyEvent(row, arrival, 'gate_in', { facility, detail: 'Arrived (detention report)' });
+    if (status.type === DETENTION_STATUS.IN_DETENTION) {
+      this.recordJourneyEvent(row, detentionThreshold, 'detention_start', { facility, detail: safeStr(row.detention_rule) });
+    }
+    this.recordJourneyEvent(row, departure, 'gate_out', { facility, detail: 'Departed (detention report)' });
+
     // Track live/drop for ALL rows (general coverage)
     const live = normalizeBoolish(row.live_load) ?? (row.live_load == 1);
     if (live === true) {
@@ -2322,6 +2954,12 @@ class DetentionHistoryAnalyzer extends BaseAnalyzer {
         this.weeklyDetention.inc(wk);
         this.dailyDetention.inc(dk);
         if (facBucket) facBucket.dailyDetention.inc(dk);
+        this.trackHourWeekday(this.detentionStartsByHour, this.detentionStartsByHourDrilldown, eventDt, () => ({
+          trailer: safeStr(row.trailer_number || row.trailer_id || row.equipment_number || ''),
+          scac: scacKey(row.scac ?? row.carrier_scac ?? row.scac_code ?? ''),
+          arrival: arrival.toFormat('yyyy-MM-dd HH:mm'),
+          detentionStart: eventDt.toFormat('yyyy-MM-dd HH:mm'),
+        }));
       } else if (status.type === DETENTION_STATUS.PREVENTED) {
         this.monthlyPrevented.inc(mk);
         this.weeklyPrevented.inc(wk);
@@ -2339,10 +2977,15 @@ class DetentionHistoryAnalyzer extends BaseAnalyzer {
       }
 
       // Track SCAC for detention events only (for bar chart)
-      const scac = row.scac ?? row.carrier_scac ?? row.scac_code;
-      if (!isNil(scac)) {
+      const rawScac = row.scac ?? row.carrier_scac ?? row.scac_code;
+      if (!isNil(rawScac)) {
+        const scac = scacKey(rawScac);
+        this.tallyName('carrier', scac);
         this.detentionByScac.inc(scac);
         if (facBucket) facBucket.detentionByScac.inc(scac);
+        this.tallyCarrier(scac, facBucket, status.type === DETENTION_STATUS.IN_DETENTION
+          ? { detention_events: 1, detention_hours: status.detentionHours ?? 0 }
+          : { prevented_events: 1 });
 
         // Collect drilldown data
         if (this.enableDrilldown) {
@@ -2368,7 +3011,8 @@ class DetentionHistoryAnalyzer extends BaseAnalyzer {
             trailer,
             timeInYard,
             trailerType,
-            detentionDate
+            detentionDate,
+            outcome: status.type === DETENTION_STATUS.IN_DETENTION ? 'Detention' : 'Prevented',
           });
         }
       }
@@ -2793,6 +3437,14 @@ class DetentionHistoryAnalyzer extends BaseAnalyzer {
       report: 'detention_history',
       meta,
       inferredDateRange: this.getInferredDateRange(),
+      journeyEvents: this.journeyEventsFrom(),
+      journeyEventsDropped: this.journeyEventsDropped,
+      names: this.namesFrom(),
+      piiScrubbed: this.piiScrubbedFrom(),
+      carrierStats: this.carrierStatsFrom(),
+      carrierRecords: this.carrierRecordsFrom(this.detentionByScacDrilldown, r => ({
+        report: 'detention_history', trailer: r.trailer, event: r.outcome, date: r.detentionDate, detail: r.timeInYard !== '' ? `${r.timeInYard} h in yard` : '',
+      })),
       dataQuality: {
         score: dq,
         ...badge,
@@ -2878,7 +3530,19 @@ class DetentionHistoryAnalyzer extends BaseAnalyzer {
               this.detentionByScac.top(10).map(x => [x.key, this.detentionByScacDrilldown.get(x.key) || []])
             )
           } : null
-        }] : [])
+        }] : []),
+        ...this.hourWeekdayHeatmap({
+          id: 'detention_starts_heatmap',
+          title: 'Detention starts by hour and weekday',
+          description: 'When trailers enter detention, by the hour detention began. Click a cell for its trailers.',
+          grid: this.detentionStartsByHour,
+          records: this.detentionStartsByHourDrilldown,
+          valueLabel: 'detention starts',
+          valueColumn: 'detention_starts',
+          columns: ['trailer', 'scac', 'arrival', 'detentionStart'],
+          columnLabels: ['Trailer #', 'SCAC', 'Arrival', 'Detention Start'],
+          timezone: meta.timezone,
+        }),
       ],
       findings,
       recommendations: recs,
@@ -3006,6 +3670,7 @@ class DetentionHistoryAnalyzer extends BaseAnalyzer {
       report: 'detention_history',
       facility,
       meta,
+      carrierStats: this.carrierStatsFrom(bucket.byCarrier),
       dataQuality: {
         score: dq,
         label: dq >= 80 ? 'High' : dq >= 50 ? 'Medium' : 'Low',
@@ -3041,6 +3706,11 @@ class DetentionHistoryAnalyzer extends BaseAnalyzer {
     };
   }
 
+  capMergedState() {
+    super.capMergedState();
+    this.capHourWeekdayRecords(this.detentionStartsByHourDrilldown);
+  }
+
   mergeToVirtualBucket(facilityNames) {
     const merged = this.createFacilityBucket();
     for (const name of facilityNames) {
@@ -3061,6 +3731,7 @@ class DetentionHistoryAnalyzer extends BaseAnalyzer {
       merged.detentionEventsWithDeparture += b.detentionEventsWithDeparture;
       merged.totalDetentionHours += b.totalDetentionHours;
       mergeCounterMapInto(merged.detentionByScac, b.detentionByScac);
+      mergeCarrierStatsInto(merged.byCarrier, b.byCarrier);
       mergeCounterMapInto(merged.dailyDetention, b.dailyDetention);
       mergeCounterMapInto(merged.dailyPrevented, b.dailyPrevented);
     }
@@ -3068,7 +3739,12 @@ class DetentionHistoryAnalyzer extends BaseAnalyzer {
   }
 }
 
+// A dwell is split at local midnight into at most this many days of door occupancy
+const DOOR_INTERVAL_MAX_DAYS = 31;
+
 class DockDoorHistoryAnalyzer extends BaseAnalyzer {
+  static reportType = 'dockdoor_history';
+
   constructor(opts) {
     super(opts);
 
@@ -3104,6 +3780,14 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
     // Drilldown data for outlier days (only collected when enableDrilldown is true)
     // Stores all records by day so we can show details when clicking outlier points
     this.recordsByDay = new Map(); // day -> array of { trailer, dwellMins, checkIn, checkOut }
+
+    // Door turns by hour × weekday (heatmap.js) + drill-down records per cell
+    this.turnsByHour = new CounterMap();
+    this.turnsByHourDrilldown = new Map();
+
+    // Dwell intervals for occupancy (door-occupancy.js): day -> Map<doorKey, [start, end, ...]>
+    // doorKey is "facility\tdoor" so doors with the same name at two facilities stay apart
+    this.doorIntervals = new Map();
   }
 
   /**
@@ -3127,9 +3811,35 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
 
       // Add structure for turns per door per day calculation
       turnsByDoorByDay: new Map(), // Map<door, Map<day, count>>
+
+      // Dwell intervals for occupancy: day -> Map<door, [start, end, ...]>
+      doorIntervals: new Map(),
     };
   }
 
+  /**
+   * Per-shift bucket: door turns and dwell minutes (by the shift the dwell started in).
+   */
+  createShiftBucket() {
+    return { turns: 0, dwellMedian: new P2Quantile(0.5), dwellTotal: 0 };
+  }
+
+  /**
+   * Per-shift door turns and dwell for the shift chart and findings.
+   */
+  shiftMetrics() {
+    return this.shiftRows().map(({ bucket, ...row }) => {
+      const b = bucket || this.createShiftBucket();
+      const dwell = b.dwellMedian.value();
+      return {
+        ...row,
+        door_turns: b.turns,
+        dwell_median_min: Number.isFinite(dwell) ? Math.round(dwell * 10) / 10 : null,
+        dwell_samples: b.dwellTotal,
+      };
+    });
+  }
+
   getEstimators(map, key) {
     if (!map.has(key)) {
       map.set(key, { median: new P2Quantile(0.5), p90: new P2Quantile(0.9) });
@@ -3158,11 +3868,11 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
     const procStartRaw = firstPresent(row, ['process_start_time', 'process_start', 'process_start_time_utc']);
     const procEndRaw = firstPresent(row, ['process_end_time', 'process_end', 'process_end_time_utc']);
 
-    const dwellStart = parseTimestamp(dwellStartRaw, { timezone: this.timezone, assumeUTC: true, onFail: () => { this.parseFails++; } });
-    const dwellEnd = parseTimestamp(dwellEndRaw, { timezone: this.timezone, assumeUTC: true, onFail: () => { this.parseFails++; } });
+    const dwellStart = parseRowTimestamp(row, dwellStartRaw, { timezone: this.timezone, assumeUTC: true, onFail: () => { this.parseFails++; } });
+    const dwellEnd = parseRowTimestamp(row, dwellEndRaw, { timezone: this.timezone, assumeUTC: true, onFail: () => { this.parseFails++; } });
 
-    const procStart = parseTimestamp(procStartRaw, { timezone: this.timezone, assumeUTC: true, onFail: () => { this.parseFails++; } });
-    const procEnd = parseTimestamp(procEndRaw, { timezone: this.timezone, assumeUTC: true, onFail: () => { this.parseFails++; } });
+    const procStart = parseRowTimestamp(row, procStartRaw, { timezone: this.timezone, assumeUTC: true, onFail: () => { this.parseFails++; } });
+    const procEnd = parseRowTimestamp(row, procEndRaw, { timezone: this.timezone, assumeUTC: true, onFail: () => { this.parseFails++; } });
 
     // Dwell Coverage: Count every row, mark "ok" if it has at least dwell start OR end
     // This way "Dwell Started" and "Dwell Ended" events both count as good data quality
@@ -3188,6 +3898,12 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
         this.getEstimators(this.dwellByWeek, wk).median.add(mins);
         this.getEstimators(this.dwellByDay, dk).median.add(mins);
 
+        const dwellShift = this.shiftBucketFor(dwellStart);
+        if (dwellShift) {
+          dwellShift.dwellMedian.add(mins);
+          dwellShift.dwellTotal++;
+        }
+
         // Add dwell quantile for per-facility metrics
         if (facBucket && facBucket.dwellQuantile) {
           facBucket.dwellQuantile.add(mins);
@@ -3248,17 +3964,26 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
     // Leaderboards (only if sample size sufficient)
     const processedBy = safeStr(firstPresent(row, ['processed_by', 'processed_by_name', 'processed_by_user']));
     if (processedBy) this.processedBy.inc(processedBy);
+    this.tallyName('user', processedBy);
 
     const requestedBy = safeStr(firstPresent(row, ['move_requested_by', 'requested_by', 'move_requested_by_name']));
     if (requestedBy) {
       this.moveRequestedBy.inc(requestedBy);
       this.rowsWithRequester++;
+      this.tallyName('user', requestedBy);
     }
 
     // Track dock door turns for throughput ROI
     const rawDoor = safeStr(firstPresent(row, ['door', 'door_name', 'dock_door', 'dock_door_name', 'door_id', 'location', 'location_name']));
     const door = normalizeDoorName(rawDoor);
     const eventDt = dwellStart || procStart;
+    this.recordJourneyEvent(row, dwellStart, 'dock_start', { facility, detail: door ? `Door ${door}` : '' });
+    this.recordJourneyEvent(row, dwellEnd, 'dock_end', { facility, detail: door ? `Door ${door}` : '' });
+    if (door && dwellStart && dwellEnd && dwellEnd > dwellStart) {
+      const normalizedFacility = facility ? FacilityRegistry.normalizeFacilityName(facility) || '' : '';
+      this.recordDoorInterval(this.doorIntervals, `${normalizedFacility}\t${door}`, dwellStart, dwellEnd);
+      if (facBucket) this.recordDoorInterval(facBucket.doorIntervals, door, dwellStart, dwellEnd);
+    }
     if (door && eventDt) {
       const dk = dayKey(eventDt, this.timezone);
       const wk = weekKey(eventDt, this.timezone);
@@ -3267,6 +3992,8 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
       this.uniqueDoors.add(door);
       this.daysWithData.add(dk);
       this.totalTurns++;
+      const turnShift = this.shiftBucketFor(eventDt);
+      if (turnShift) turnShift.turns++;
 
       // Track per-facility throughput
       if (facBucket) {
@@ -3293,6 +4020,11 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
       this.turnsByDay.inc(dk);
       this.turnsByWeek.inc(wk);
       this.turnsByMonth.inc(mk);
+      this.trackHourWeekday(this.turnsByHour, this.turnsByHourDrilldown, eventDt, () => ({
+        door,
+        trailer: safeStr(row.trailer_number || row.trailer_id || row.equipment_number || ''),
+        start: eventDt.toFormat('yyyy-MM-dd HH:mm'),
+      }));
 
       // Track unique doors per period for utilization chart
       if (!this.doorsByDay.has(dk)) this.doorsByDay.set(dk, new Set());
@@ -3674,6 +4406,26 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
       });
     }
 
+    // Shift comparison finding (shifts.js)
+    const shiftMetrics = this.shiftMetrics();
+    const dwellGap = shiftDisparity(shiftMetrics.map(r => ({ shift: r.shift, value: r.dwell_median_min, samples: r.dwell_samples })));
+    if (dwellGap) {
+      findings.push({
+        level: 'yellow',
+        text: `${dwellGap.worst.shift} dock dwell is ${dwellGap.ratio.toFixed(1)}× ${dwellGap.best.shift} (median ${dwellGap.worst.value} vs ${dwellGap.best.value} min).`,
+        confidence: 'medium',
+        confidenceReason: generateConfidenceReason('medium', { ...dqFactors, sampleSize: dwellGap.worst.samples + dwellGap.best.samples })
+      });
+      recs.push(`Review dock staffing on ${dwellGap.worst.shift}; trailers sit at the door longer on that shift.`);
+    }
+
+    // Door occupancy from dwell intervals (door-occupancy.js)
+    const doorOccupancy = this.doorOccupancyFrom(this.doorIntervals, meta);
+    findings.push(...doorOccupancy.findings);
+    if (doorOccupancy.occupancy && doorOccupancy.occupancy.peak.doors >= doorOccupancy.occupancy.doorCount * 0.9) {
+      recs.push('Doors are nearly all occupied at peak - stagger appointments or add door capacity for peak hours.');
+    }
+
     // Compute unified labels for the chart and map outlier indices
     const unifiedLabels = unionSorted(dwellSeries.labels, processSeries.labels);
     const dwellOutlierIndicesInUnified = dwellOutliers.outlierLabels
@@ -3687,6 +4439,10 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
       report: 'dockdoor_history',
       meta,
       inferredDateRange: this.getInferredDateRange(),
+      journeyEvents: this.journeyEventsFrom(),
+      journeyEventsDropped: this.journeyEventsDropped,
+      names: this.namesFrom(),
+      piiScrubbed: this.piiScrubbedFrom(),
       dataQuality: {
         score: dq,
         ...badge,
@@ -3706,6 +4462,7 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
         dwell_p90_latest_month_min: dwellSeries.p90.at(-1) ?? null,
         process_median_latest_month_min: processSeries.median.at(-1) ?? null,
         process_p90_latest_month_min: processSeries.p90.at(-1) ?? null,
+        ...occupancyMetrics(doorOccupancy.occupancy),
       },
       charts: [
         {
@@ -3779,7 +4536,28 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
               timezone: meta.timezone
             }))
           }
-        }] : [])
+        }] : []),
+        ...doorOccupancy.charts,
+        ...this.hourWeekdayHeatmap({
+          id: 'door_turns_heatmap',
+          title: 'Door turns by hour and weekday',
+          description: 'Door turns by the hour the dwell (or process) started. Click a cell for its turns.',
+          grid: this.turnsByHour,
+          records: this.turnsByHourDrilldown,
+          valueLabel: 'turns',
+          valueColumn: 'door_turns',
+          columns: ['door', 'trailer', 'start'],
+          columnLabels: ['Door', 'Trailer #', 'Start'],
+          timezone: meta.timezone,
+        }),
+        ...this.shiftComparisonChart({
+          id: 'dock_shift_comparison',
+          title: 'Dock dwell by shift',
+          description: 'Median dock dwell by the shift the dwell started in.',
+          rows: shiftMetrics,
+          series: [{ label: 'Dwell median (min)', column: 'dwell_median_min' }],
+          columns: ['door_turns', 'dwell_median_min', 'dwell_samples'],
+        }),
       ],
       findings,
       recommendations: recs,
@@ -3790,6 +4568,7 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
           uniqueDoors: this.uniqueDoors.size,
           totalTurns: this.totalTurns,
           totalDays: this.daysWithData.size,
+          occupancy: doorOccupancy.occupancy,
         },
         assumptions: meta.assumptions
       }),
@@ -3849,6 +4628,8 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
       });
     }
 
+    const doorOccupancy = this.doorOccupancyFrom(bucket.doorIntervals || new Map(), meta);
+
     // Door turns chart if available
     if (bucket.turnsByDay && bucket.turnsByDay.map && bucket.turnsByDay.map.size > 0) {
       const turnsLabels = Array.from(bucket.turnsByDay.map.keys()).sort();
@@ -3867,6 +4648,7 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
         }
       });
     }
+    charts.push(...doorOccupancy.charts);
 
     return {
       report: 'dockdoor_history',
@@ -3885,6 +4667,7 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
         process_adoption_pct: processCoveragePct,
         unique_doors: bucket.uniqueDoors?.size || 0,
         total_turns: bucket.totalTurns || 0,
+        ...occupancyMetrics(doorOccupancy.occupancy),
         // Debug: facility info to verify correct bucket is being used
         _debug_facility: normalized,
         _debug_bucket_rows: bucket.totalRows || 0,
@@ -3892,7 +4675,10 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
         _debug_door_list: bucket.uniqueDoors ? [...bucket.uniqueDoors].sort() : [],
       },
       charts,
-      findings: this.generateFacilityFindings(facility, bucket, medDwell, medProcess, processCoveragePct, turnsPerDoorPerDay),
+      findings: [
+        ...this.generateFacilityFindings(facility, bucket, medDwell, medProcess, processCoveragePct, turnsPerDoorPerDay),
+        ...doorOccupancy.findings,
+      ],
       recommendations: this.generateFacilityRecommendations(facility, bucket, medDwell, medProcess, processCoveragePct, turnsPerDoorPerDay),
       roi: computeDockDoorROIIfEnabled({
         meta,
@@ -3901,6 +4687,7 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
           uniqueDoors: bucket.uniqueDoors?.size || 0,
           totalTurns: bucket.totalTurns || 0,
           totalDays: bucket.daysWithData?.size || 0,
+          occupancy: doorOccupancy.occupancy,
         },
         assumptions: meta.assumptions
       }),
@@ -3980,6 +4767,61 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
     return recommendations;
   }
 
+  /**
+   * Store one dwell as per-day minute intervals (split at local midnight).
+   */
+  recordDoorInterval(intervals, doorKey, dwellStart, dwellEnd) {
+    let start = dwellStart.setZone(this.timezone);
+    const end = dwellEnd.setZone(this.timezone);
+    for (let i = 0; i < DOOR_INTERVAL_MAX_DAYS && start < end; i++) {
+      const midnight = start.startOf('day');
+      const nextMidnight = midnight.plus({ days: 1 });
+      const pieceEnd = end < nextMidnight ? end : nextMidnight;
+      addDoorInterval(
+        intervals,
+        dayKey(start, this.timezone),
+        doorKey,
+        start.diff(midnight, 'minutes').minutes,
+        pieceEnd.diff(midnight, 'minutes').minutes
+      );
+      start = nextMidnight;
+    }
+  }
+
+  /**
+   * Occupancy summary, findings and charts from stored dwell intervals.
+   * Door keys carry the facility ("facility\tdoor") in the aggregate map; the
+   * facility is only shown when more than one facility has intervals.
+   */
+  doorOccupancyFrom(intervals, meta) {
+    const facilities = new Set();
+    for (const doors of intervals.values()) {
+      for (const key of doors.keys()) facilities.add(key.includes('\t') ? key.split('\t')[0] : '');
+    }
+    const labelFor = key => {
+      if (!key.includes('\t')) return key;
+      const [facility, door] = key.split('\t');
+      return facilities.size > 1 && facility ? `${facility} / ${door}` : door;
+    };
+    const occupancy = buildDoorOccupancy(intervals, {
+      operatingHours: dockOperatingHours(meta?.assumptions),
+      labelFor,
+    });
+    if (!occupancy) return { occupancy: null, charts: [], findings: [] };
+    return {
+      occupancy,
+      charts: [
+        buildUtilizationRankingChart(occupancy, { timezone: meta.timezone }),
+        buildDoorGanttChart(occupancy, { timezone: meta.timezone, labelFor }),
+      ].filter(Boolean),
+      findings: occupancyFindings(occupancy).map(f => ({
+        ...f,
+        confidence: 'medium',
+        confidenceReason: `Based on dwell start/end times for ${occupancy.doorCount} doors over ${occupancy.dayCount} days.`,
+      })),
+    };
+  }
+
   // Calculate average turns per door per day
   calculateTurnsPerDoorPerDay() {
     if (this.daysWithData.size === 0 || this.uniqueDoors.size === 0) return 0;
@@ -4016,6 +4858,11 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
     return totalDoorDays > 0 ? Math.round((totalTurnsCount / totalDoorDays) * 100) / 100 : 0;
   }
 
+  capMergedState() {
+    super.capMergedState();
+    this.capHourWeekdayRecords(this.turnsByHourDrilldown);
+  }
+
   mergeToVirtualBucket(facilityNames) {
     const merged = this.createFacilityBucket();
     let dwellSum = 0, dwellW = 0;
@@ -4044,6 +4891,12 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
           mDoorMap.set(day, (mDoorMap.get(day) || 0) + count);
         }
       }
+      // Door intervals keep their facility so same-named doors stay apart
+      for (const [day, doors] of b.doorIntervals || []) {
+        if (!merged.doorIntervals.has(day)) merged.doorIntervals.set(day, new Map());
+        const mDoors = merged.doorIntervals.get(day);
+        for (const [door, flat] of doors) mDoors.set(`${normalized}\t${door}`, flat);
+      }
       // Weighted dwell/process quantile accumulation
       const dw = b.dwellCoverage.ok;
       const dv = b.dwellQuantile?.value();
@@ -4098,6 +4951,8 @@ class DockDoorHistoryAnalyzer extends BaseAnalyzer {
 }
 
 class DriverHistoryAnalyzer extends BaseAnalyzer {
+  static reportType = 'driver_history';
+
   constructor(opts) {
     super(opts);
 
@@ -4132,6 +4987,124 @@ class DriverHistoryAnalyzer extends BaseAnalyzer {
 
     // Track days worked per driver (for accurate per-day averages)
     this.daysWorkedByDriver = new Map(); // driver -> Set of day keys
+
+    // Completed moves by hour × weekday (heatmap.js) + drill-down records per cell
+    this.movesByHour = new CounterMap();
+    this.movesByHourDrilldown = new Map();
+
+    // Per-driver profiles (driver-profiles.js): driver -> createDriverProfile()
+    this.driverProfiles = new Map();
+    this.driverProfilesDropped = 0;
+  }
+
+  /**
+   * Per-driver bucket: moves, days worked, compliance and queue / deadhead /
+   * execution quantiles with a bucketed histogram of each.
+   */
+  createDriverProfile() {
+    return {
+      moves: 0,
+      days: new Set(),
+      complianceOk: 0,
+      complianceTotal: 0,
+      queueMedian: new P2Quantile(0.5),
+      queueP90: new P2Quantile(0.9),
+      queueTotal: 0,
+      deadheadMedian: new P2Quantile(0.5),
+      deadheadP90: new P2Quantile(0.9),
+      executionMedian: new P2Quantile(0.5),
+      executionP90: new P2Quantile(0.9),
+      dispatchTotal: 0,
+      distribution: { queue: emptyDistribution(), deadhead: emptyDistribution(), execution: emptyDistribution() },
+    };
+  }
+
+  /**
+   * Profile bucket for a driver, or null for a blank driver or once
+   * DRIVER_PROFILE_LIMIT drivers are tracked.
+   */
+  driverProfileFor(profiles, driver) {
+    if (!driver) return null;
+    let profile = profiles.get(driver);
+    if (!profile) {
+      if (profiles.size >= DRIVER_PROFILE_LIMIT) {
+        if (profiles === this.driverProfiles) this.driverProfilesDropped++;
+        return null;
+      }
+      profile = this.createDriverProfile();
+      profiles.set(driver, profile);
+    }
+    return profile;
+  }
+
+  /**
+   * Drops profiles past DRIVER_PROFILE_LIMIT after a shard merge, keeping the
+   * drivers seen first. Returns the dropped profiles' moves (rows are not kept per profile).
+   */
+  capDriverProfiles(profiles) {
+    let dropped = 0;
+    let kept = 0;
+    for (const [driver, profile] of profiles) {
+      if (++kept <= DRIVER_PROFILE_LIMIT) continue;
+      dropped += profile.moves;
+      profiles.delete(driver);
+    }
+    return dropped;
+  }
+
+  /**
+   * Plain per-driver numbers for results (joined by driver-profiles.js).
+   */
+  driverStatsFrom(profiles) {
+    const q = (median, p90, samples) => {
+      const m = median.value();
+      const p = p90.value();
+      return {
+        median: Number.isFinite(m) ? Math.round(m * 10) / 10 : null,
+        p90: Number.isFinite(p) ? Math.round(p * 10) / 10 : null,
+        samples,
+      };
+    };
+    const stats = {};
+    for (const [driver, p] of profiles || []) {
+      stats[driver] = {
+        moves: p.moves,
+        days: [...p.days].sort(),
+        compliance_ok: p.complianceOk,
+        compliance_total: p.complianceTotal,
+        queue: q(p.queueMedian, p.queueP90, p.queueTotal),
+        deadhead: q(p.deadheadMedian, p.deadheadP90, p.dispatchTotal),
+        execution: q(p.executionMedian, p.executionP90, p.dispatchTotal),
+        distribution: p.distribution,
+      };
+    }
+    return stats;
+  }
+
+  /**
+   * Per-shift bucket: moves, compliance and queue time (by the shift of the move's event time).
+   */
+  createShiftBucket() {
+    return { moves: 0, complianceOk: 0, complianceTotal: 0, queueMedian: new P2Quantile(0.5), queueTotal: 0 };
+  }
+
+  /**
+   * Per-shift driver metrics for the shift chart and findings.
+   */
+  shiftMetrics() {
+    return this.shiftRows().map(({ bucket, ...row }) => {
+      const b = bucket || this.createShiftBucket();
+      const queue = b.queueMedian.value();
+      return {
+        ...row,
+        moves: b.moves,
+        moves_per_shift_hour: Math.round((b.moves / row.hours) * 10) / 10,
+        compliance_pct: b.complianceTotal > 0 ? Math.round((b.complianceOk / b.complianceTotal) * 100) : null,
+        compliance_samples: b.complianceTotal,
+        queue_median_min: Number.isFinite(queue) ? Math.round(queue * 10) / 10 : null,
+        queue_samples: b.queueTotal,
+      };
+    });
   }
 
   /**
@@ -4152,6 +5125,7 @@ class DriverHistoryAnalyzer extends BaseAnalyzer {
       deadheadMedian: new P2Quantile(0.5),
       executionMedian: new P2Quantile(0.5),
       dispatchTotal: 0,
+      driverProfiles: new Map(), // driver -> createDriverProfile()
     };
   }
 
@@ -4184,12 +5158,17 @@ class DriverHistoryAnalyzer extends BaseAnalyzer {
     }
 
     const driver = safeStr(firstPresent(row, ['yard_driver_name', 'driver_name', 'driver', 'driver_username', 'driver_id']));
+    this.tallyName('driver', driver);
+    const profiles = [
+      this.driverProfileFor(this.driverProfiles, driver),
+      facBucket ? this.driverProfileFor(facBucket.driverProfiles, driver) : null,
+    ].filter(Boolean);
 
     // Determine if this is a completed move:
     // 1. Has a valid complete_time timestamp, OR
     // 2. Has event field indicating "Move has been finished"
     const completeRaw = firstPresent(row, ['complete_time', 'move_complete_time', 'completed_at', 'complete_timestamp']);
-    const complete = parseTimestamp(completeRaw, {
+    const complete = parseRowTimestamp(row, completeRaw, {
       timezone: this.timezone, assumeUTC: true, onFail: () => { this.parseFails++; }
     });
 
@@ -4210,6 +5189,7 @@ class DriverHistoryAnalyzer extends BaseAnalyzer {
       if (driver) {
         this.movesByDriver.inc(driver);
         if (facBucket) facBucket.movesByDriver.inc(driver);
+        for (const profile of profiles) profile.moves++;
       } else if (this.totalRows === 1) {
         // First row has no driver identifier - warn
         this.warn(`driver_history: No driver identifier found in first row. Expected fields: yard_driver_name, driver_name, driver, driver_username, or driver_id`);
@@ -4218,15 +5198,16 @@ class DriverHistoryAnalyzer extends BaseAnalyzer {
 
     // Determine event time for grouping (complete time preferred, then start, then accept)
     const startRaw = firstPresent(row, ['start_time', 'move_start_time', 'started_at']);
-    const start = parseTimestamp(startRaw, {
+    const start = parseRowTimestamp(row, startRaw, {
       timezone: this.timezone, assumeUTC: true, onFail: () => { this.parseFails++; }
     });
     const acceptRaw = firstPresent(row, ['accept_time', 'move_accept_time', 'accepted_at']);
-    const accept = parseTimestamp(acceptRaw, {
+    const accept = parseRowTimestamp(row, acceptRaw, {
       timezone: this.timezone, assumeUTC: true, onFail: () => { this.parseFails++; }
     });
 
     const eventDt = complete || start || accept;
+    const shiftBucket = this.shiftBucketFor(eventDt);
     if (eventDt) {
       this.parseOk++;
       this.trackDate(eventDt); // Track for date range inference
@@ -4237,18 +5218,35 @@ class DriverHistoryAnalyzer extends BaseAnalyzer {
       }
     }
 
+    if (isCompletedMove) {
+      const from = safeStr(firstPresent(row, ['start_location_name', 'start_spot']) || '');
+      const to = safeStr(firstPresent(row, ['end_location_name', 'end_spot']) || '');
+      this.recordJourneyEvent(row, eventDt, 'move', {
+        facility,
+        detail: from || to ? `${from || '?'} → ${to || '?'}` : '',
+      });
+    }
+
     // Only aggregate into weekly/daily charts if this is a completed move with valid timestamp
     if (isCompletedMove && eventDt) {
       const wk = weekKey(eventDt, this.timezone);
       const dy = dayKey(eventDt, this.timezone);
       this.movesByWeek.inc(wk);
       this.movesByDay.inc(dy);
+      if (shiftBucket) shiftBucket.moves++;
+      this.trackHourWeekday(this.movesByHour, this.movesByHourDrilldown, eventDt, () => ({
+        driver,
+        trailer: safeStr(firstPresent(row, ['trailer_number', 'trailer_id', 'equipment_number', 'trailer']) || ''),
+        moveType: safeStr(firstPresent(row, ['move_type_name', 'move_type']) || ''),
+        completedAt: eventDt.toFormat('yyyy-MM-dd HH:mm'),
+      }));
       if (facBucket) facBucket.movesByDay.inc(dy);
       if (driver) {
         this.getDistinct(this.activeDriversByWeek, wk).add(driver);
         this.getDistinct(this.activeDriversByDay, dy).add(driver);
         // Track which days each driver worked (for accurate per-day averages)
         this.getDaysWorked(driver).add(dy);
+        for (const profile of profiles) profile.days.add(dy);
         // Track per-facility active drivers
         if (facBucket) {
           if (!facBucket.activeDriversByDay.has(dy)) {
@@ -4277,6 +5275,14 @@ class DriverHistoryAnalyzer extends BaseAnalyzer {
       this.complianceOk++;
       if (facBucket) facBucket.complianceOk++;
     }
+    if (shiftBucket) {
+      shiftBucket.complianceTotal++;
+      if (ok) shiftBucket.complianceOk++;
+    }
+    for (const profile of profiles) {
+      profile.complianceTotal++;
+      if (ok) profile.complianceOk++;
+    }
 
     // Queue time
     const q = maybeNumber(firstPresent(row, ['time_in_queue_minutes', 'queue_time_minutes', 'time_in_queue']));
@@ -4284,11 +5290,21 @@ class DriverHistoryAnalyzer extends BaseAnalyzer {
       this.queueMedian.add(q);
       this.queueP90.add(q);
       this.queueTotal++;
+      if (shiftBucket) {
+        shiftBucket.queueMedian.add(q);
+        shiftBucket.queueTotal++;
+      }
       if (facBucket) {
         facBucket.queueMedian.add(q);
         facBucket.queueP90.add(q);
         facBucket.queueTotal++;
       }
+      for (const profile of profiles) {
+        profile.queueMedian.add(q);
+        profile.queueP90.add(q);
+        profile.queueTotal++;
+        profile.distribution.queue[distributionBucket(q)]++;
+      }
     }
 
     // Dispatch efficiency: deadhead (accept→start) vs execution (start→complete)
@@ -4315,6 +5331,15 @@ class DriverHistoryAnalyzer extends BaseAnalyzer {
           facBucket.executionMedian.add(executionMin);
           facBucket.dispatchTotal++;
         }
+        for (const profile of profiles) {
+          profile.deadheadMedian.add(deadheadMin);
+          profile.deadheadP90.add(deadheadMin);
+          profile.executionMedian.add(executionMin);
+          profile.executionP90.add(executionMin);
+          profile.dispatchTotal++;
+          profile.distribution.deadhead[distributionBucket(deadheadMin)]++;
+          profile.distribution.execution[distributionBucket(executionMin)]++;
+        }
       }
     }
   }
@@ -4453,6 +5478,32 @@ class DriverHistoryAnalyzer extends BaseAnalyzer {
       }
     }
 
+    // Shift comparison findings (shifts.js)
+    const shiftMetrics = this.shiftMetrics();
+    const queueGap = shiftDisparity(shiftMetrics.map(r => ({ shift: r.shift, value: r.queue_median_min, samples: r.queue_samples })));
+    if (queueGap) {
+      findings.push({
+        level: 'yellow',
+        text: `${queueGap.worst.shift} queue time is ${queueGap.ratio.toFixed(1)}× ${queueGap.best.shift} (median ${queueGap.worst.value} vs ${queueGap.best.value} min).`,
+        confidence: 'medium',
+        confidenceReason: generateConfidenceReason('medium', { ...dqFactors, sampleSize: queueGap.worst.samples + queueGap.best.samples })
+      });
+      recs.push(`Compare staffing and dispatch on ${queueGap.worst.shift} with ${queueGap.best.shift}; moves queue longer on that shift.`);
+    }
+    const complianceGap = shiftDisparity(
+      shiftMetrics.map(r => ({ shift: r.shift, value: r.compliance_pct, samples: r.compliance_samples })),
+      { higherIsWorse: false, minRatio: 1.2 }
+    );
+    if (complianceGap) {
+      findings.push({
+        level: 'yellow',
+        text: `${complianceGap.worst.shift} compliance is ${complianceGap.worst.value}% vs ${complianceGap.best.value}% on ${complianceGap.best.shift}.`,
+        confidence: 'medium',
+        confidenceReason: generateConfidenceReason('medium', { ...dqFactors, sampleSize: complianceGap.worst.samples + complianceGap.best.samples })
+      });
+      recs.push(`Coach ${complianceGap.worst.shift} drivers on real-time move updates; compliance there lags other shifts.`);
+    }
+
     // Dispatch efficiency finding (deadhead ratio)
     const deadheadMed = this.deadheadMedian.value();
     const executionMed = this.executionMedian.value();
@@ -4567,6 +5618,13 @@ class DriverHistoryAnalyzer extends BaseAnalyzer {
       report: 'driver_history',
       meta,
       inferredDateRange: this.getInferredDateRange(),
+      journeyEvents: this.journeyEventsFrom(),
+      journeyEventsDropped: this.journeyEventsDropped,
+      names: this.namesFrom(),
+      piiScrubbed: this.piiScrubbedFrom(),
+      // Per-driver numbers for the driver leaderboard (driver-profiles.js)
+      driverStats: this.driverStatsFrom(this.driverProfiles),
+      driverProfilesDropped: this.driverProfilesDropped,
       dataQuality: {
         score: dq,
         ...badge,
@@ -4623,7 +5681,30 @@ class DriverHistoryAnalyzer extends BaseAnalyzer {
               timezone: meta.timezone
             }))
           }
-        }
+        },
+        ...this.hourWeekdayHeatmap({
+          id: 'driver_moves_heatmap',
+          title: 'Driver moves by hour and weekday',
+          description: 'Completed moves by the hour they finished. Click a cell for its moves.',
+          grid: this.movesByHour,
+          records: this.movesByHourDrilldown,
+          valueLabel: 'moves',
+          valueColumn: 'moves',
+          columns: ['driver', 'trailer', 'moveType', 'completedAt'],
+          columnLabels: ['Driver', 'Trailer #', 'Move Type', 'Completed'],
+          timezone: meta.timezone,
+        }),
+        ...this.shiftComparisonChart({
+          id: 'driver_shift_comparison',
+          title: 'Driver metrics by shift',
+          description: 'Median queue time and move compliance for each configured shift.',
+          rows: shiftMetrics,
+          series: [
+            { label: 'Queue median (min)', column: 'queue_median_min' },
+            { label: 'Compliance %', column: 'compliance_pct' },
+          ],
+          columns: ['moves', 'moves_per_shift_hour', 'compliance_pct', 'queue_median_min', 'queue_samples'],
+        }),
       ],
       findings,
       recommendations: recs,
@@ -4776,6 +5857,7 @@ class DriverHistoryAnalyzer extends BaseAnalyzer {
       report: 'driver_history',
       facility,
       meta,
+      driverStats: this.driverStatsFrom(bucket.driverProfiles),
       dataQuality: {
         score: dq,
         label: dq >= 80 ? 'High' : dq >= 50 ? 'Medium' : 'Low',
@@ -4821,6 +5903,13 @@ class DriverHistoryAnalyzer extends BaseAnalyzer {
     return Math.round((medDeadhead / total) * 100);
   }
 
+  capMergedState() {
+    super.capMergedState();
+    this.capHourWeekdayRecords(this.movesByHourDrilldown);
+    this.driverProfilesDropped += this.capDriverProfiles(this.driverProfiles);
+    for (const bucket of this.byFacility.values()) this.capDriverProfiles(bucket.driverProfiles);
+  }
+
   mergeToVirtualBucket(facilityNames) {
     const merged = this.createFacilityBucket();
     let qMedSum = 0, qMedW = 0;
@@ -4840,6 +5929,7 @@ class DriverHistoryAnalyzer extends BaseAnalyzer {
       merged.dispatchTotal += b.dispatchTotal;
       mergeCounterMapInto(merged.movesByDriver, b.movesByDriver);
       mergeCounterMapInto(merged.movesByDay, b.movesByDay);
+      mergeStateInto(merged.driverProfiles, b.driverProfiles || new Map());
       // Merge activeDriversByDay using OR on ApproxDistinct bit arrays
       for (const [day, ad] of b.activeDriversByDay) {
         if (!merged.activeDriversByDay.has(day)) {
@@ -4869,11 +5959,14 @@ class DriverHistoryAnalyzer extends BaseAnalyzer {
     merged.queueP90 = { value: () => qP90W > 0 ? qP90Sum / qP90W : null };
     merged.deadheadMedian = { value: () => dhMedW > 0 ? dhMedSum / dhMedW : null };
     merged.executionMedian = { value: () => exMedW > 0 ? exMedSum / exMedW : null };
+    this.capDriverProfiles(merged.driverProfiles);
     return merged;
   }
 }
 
 class TrailerHistoryAnalyzer extends BaseAnalyzer {
+  static reportType = 'trailer_history';
+
   constructor(opts) {
     super(opts);
 
@@ -4904,6 +5997,10 @@ class TrailerHistoryAnalyzer extends BaseAnalyzer {
 
     // Drilldown data for lost events by carrier (only collected when enableDrilldown is true)
     this.lostByCarrierDrilldown = new Map(); // carrier -> array of { trailer, eventDate, eventType }
+
+    // Error events by hour × weekday (heatmap.js) + drill-down records per cell
+    this.errorsByHour = new CounterMap();
+    this.errorsByHourDrilldown = new Map();
   }
 
   /**
@@ -4927,9 +6024,32 @@ class TrailerHistoryAnalyzer extends BaseAnalyzer {
       eventTypes: new CounterMap(),
       daysWithData: new Set(),
       lostByCarrier: new CounterMap(),
+      byCarrier: new Map(),
     };
   }
 
+  /**
+   * Per-shift bucket: events and error events (by the shift of the event time).
+   */
+  createShiftBucket() {
+    return { events: 0, errors: 0 };
+  }
+
+  /**
+   * Per-shift event counts and error rate for the shift chart and findings.
+   */
+  shiftMetrics() {
+    return this.shiftRows().map(({ bucket, ...row }) => {
+      const b = bucket || this.createShiftBucket();
+      return {
+        ...row,
+        events: b.events,
+        error_events: b.errors,
+        error_rate_pct: b.events > 0 ? Math.round((b.errors / b.events) * 1000) / 10 : null,
+      };
+    });
+  }
+
   ingest({ row, flags }) {
     this.totalRows++;
 
@@ -4946,7 +6066,7 @@ class TrailerHistoryAnalyzer extends BaseAnalyzer {
       if (facBucket) facBucket.eventTypes.inc(event);
     }
 
-    const dt = parseTimestamp(firstPresent(row, ['event_time', 'created_at', 'timestamp', 'event_timestamp']), {
+    const dt = parseRowTimestamp(row, firstPresent(row, ['event_time', 'created_at', 'timestamp', 'event_timestamp']), {
       timezone: this.timezone, assumeUTC: true, onFail: () => { this.parseFails++; }
     });
     if (dt) {
@@ -4956,7 +6076,15 @@ class TrailerHistoryAnalyzer extends BaseAnalyzer {
       if (facBucket) facBucket.daysWithData.add(dayKey(dt, this.timezone));
     }
 
-    const carrier = row.scac ?? row.carrier_scac ?? row.scac_code ?? row.carrier;
+    const shiftBucket = this.shiftBucketFor(dt);
+    if (shiftBucket) shiftBucket.events++;
+    this.recordJourneyEvent(row, dt, classifyTrailerEvent(event), { facility, detail: event });
+
+    const rawCarrier = row.scac ?? row.carrier_scac ?? row.scac_code ?? row.carrier;
+    const carrier = isNil(rawCarrier) ? rawCarrier : scacKey(rawCarrier);
+    this.tallyCarrier(carrier, facBucket, { trailer_events: 1 });
+    this.tallyName('carrier', carrier);
+    this.tallyName('user', firstPresent(row, ['username', 'user_name', 'user']));
 
     const isLost = /marked\s+lost|trailer\s+marked\s+lost|\blost\b/i.test(event);
     if (isLost) {
@@ -4969,6 +6097,7 @@ class TrailerHistoryAnalyzer extends BaseAnalyzer {
       const carrierKey = isNil(carrier) ? 'Unknown' : carrier;
       if (!isNil(carrier)) this.lostByCarrier.inc(carrier);
       if (!isNil(carrier) && facBucket) facBucket.lostByCarrier.inc(carrier);
+      this.tallyCarrier(carrier, facBucket, { lost_events: 1 });
       if (dt) {
         const dk = dayKey(dt, this.timezone);
         this.byWeek.inc(weekKey(dt, this.timezone));
@@ -5038,6 +6167,15 @@ class TrailerHistoryAnalyzer extends BaseAnalyzer {
         }
       }
     }
+
+    if (isLost || isYardCheckInsert || isSpotEdited || isFacilityEdited) {
+      if (shiftBucket) shiftBucket.errors++;
+      this.trackHourWeekday(this.errorsByHour, this.errorsByHourDrilldown, dt, () => ({
+        trailer: safeStr(row.trailer_number || row.trailer_id || row.equipment_number || row.trailer || ''),
+        eventDate: dt.toFormat('yyyy-MM-dd HH:mm'),
+        eventType: event,
+      }));
+    }
   }
 
   finalize(meta) {
@@ -5171,6 +6309,22 @@ class TrailerHistoryAnalyzer extends BaseAnalyzer {
       }
     }
 
+    // Shift comparison finding (shifts.js); error rates need more events than medians
+    const shiftMetrics = this.shiftMetrics();
+    const errorGap = shiftDisparity(
+      shiftMetrics.map(r => ({ shift: r.shift, value: r.error_rate_pct, samples: r.events })),
+      { minSamples: 100 }
+    );
+    if (errorGap) {
+      findings.push({
+        level: 'yellow',
+        text: `${errorGap.worst.shift} trailer error rate is ${errorGap.ratio.toFixed(1)}× ${errorGap.best.shift} (${errorGap.worst.value}% vs ${errorGap.best.value}% of events).`,
+        confidence: 'medium',
+        confidenceReason: generateConfidenceReason('medium', { ...dqFactors, sampleSize: errorGap.worst.samples + errorGap.best.samples })
+      });
+      recs.push(`Check scan and check-out habits on ${errorGap.worst.shift}; lost trailers and manual edits cluster there.`);
+    }
+
     const dq = this.dataQualityScore();
     const badge = scoreToBadge(dq);
 
@@ -5210,6 +6364,16 @@ class TrailerHistoryAnalyzer extends BaseAnalyzer {
       report: 'trailer_history',
       meta,
       inferredDateRange: this.getInferredDateRange(),
+      journeyEvents: this.journeyEventsFrom(),
+      journeyEventsDropped: this.journeyEventsDropped,
+      names: this.namesFrom(),
+      // SCACs the findings / recommendations prose mentions, for pseudonymize.js
+      nameRefs: top3Carriers.map(c => c.key),
+      piiScrubbed: this.piiScrubbedFrom(),
+      carrierStats: this.carrierStatsFrom(),
+      carrierRecords: this.carrierRecordsFrom(this.lostByCarrierDrilldown, r => ({
+        report: 'trailer_history', trailer: r.trailer, event: r.eventType, date: r.eventDate, detail: '',
+      })),
       dataQuality: {
         score: dq,
         ...badge,
@@ -5282,7 +6446,27 @@ class TrailerHistoryAnalyzer extends BaseAnalyzer {
               topCarriers.map(x => [x.key, this.lostByCarrierDrilldown.get(x.key) || []])
             )
           } : null
-        }
+        },
+        ...this.hourWeekdayHeatmap({
+          id: 'error_events_heatmap',
+          title: 'Error events by hour and weekday',
+          description: 'Lost trailers, yard check inserts, spot edits and facility edits by the hour they were logged. Click a cell for its events.',
+          grid: this.errorsByHour,
+          records: this.errorsByHourDrilldown,
+          valueLabel: 'error events',
+          valueColumn: 'error_events',
+          columns: ['trailer', 'eventDate', 'eventType'],
+          columnLabels: ['Trailer #', 'Event Date', 'Event Type'],
+          timezone: meta.timezone,
+        }),
+        ...this.shiftComparisonChart({
+          id: 'trailer_errors_by_shift',
+          title: 'Trailer error rate by shift',
+          description: 'Lost trailers, yard check inserts, spot edits and facility edits as a share of all trailer events in each shift.',
+          rows: shiftMetrics,
+          series: [{ label: 'Error rate %', column: 'error_rate_pct' }],
+          columns: ['events', 'error_events', 'error_rate_pct'],
+        }),
       ],
       findings,
       recommendations: recs,
@@ -5448,6 +6632,7 @@ class TrailerHistoryAnalyzer extends BaseAnalyzer {
       report: 'trailer_history',
       facility,
       meta,
+      carrierStats: this.carrierStatsFrom(bucket.byCarrier),
       dataQuality: {
         score: dq,
         label: dq >= 80 ? 'High' : dq >= 50 ? 'Medium' : 'Low',
@@ -5484,6 +6669,11 @@ class TrailerHistoryAnalyzer extends BaseAnalyzer {
     };
   }
 
+  capMergedState() {
+    super.capMergedState();
+    this.capHourWeekdayRecords(this.errorsByHourDrilldown);
+  }
+
   mergeToVirtualBucket(facilityNames) {
     const merged = this.createFacilityBucket();
     for (const name of facilityNames) {
@@ -5504,14 +6694,15 @@ class TrailerHistoryAnalyzer extends BaseAnalyzer {
       mergeCounterMapInto(merged.eventTypes, b.eventTypes);
       for (const day of b.daysWithData) merged.daysWithData.add(day);
       mergeCounterMapInto(merged.lostByCarrier, b.lostByCarrier);
+      mergeCarrierStatsInto(merged.byCarrier, b.byCarrier);
     }
     return merged;
   }
 }
 
 // ---------- Factory ----------
-export function createAnalyzers({ timezone, startDate, endDate, assumptions, onWarning, isCSVMode = false, enableDrilldown = true }) {
-  const base = { timezone, startDate, endDate, assumptions, onWarning, enableDrilldown };
+export function createAnalyzers({ timezone, startDate, endDate, assumptions, onWarning, isCSVMode = false, enableDrilldown = true, shifts = DEFAULT_SHIFTS, trackJourneys = false }) {
+  const base = { timezone, startDate, endDate, assumptions, onWarning, enableDrilldown, shifts, trackJourneys };
   return {
     current_inventory: new CurrentInventoryAnalyzer(base),
     detention_history: new DetentionHistoryAnalyzer({ ...base, isCSVMode }),
@@ -5521,6 +6712,40 @@ export function createAnalyzers({ timezone, startDate, endDate, assumptions, onW
   };
 }
 
+const ANALYZER_CLASSES = {
+  current_inventory: CurrentInventoryAnalyzer,
+  detention_history: DetentionHistoryAnalyzer,
+  dockdoor_history: DockDoorHistoryAnalyzer,
+  driver_history: DriverHistoryAnalyzer,
+  trailer_history: TrailerHistoryAnalyzer,
+};
+
+/**
+ * Serialize a createAnalyzers() map (or any subset of it) to plain JSON.
+ */
+export function serializeAnalyzers(analyzers) {
+  const out = {};
+  for (const [report, analyzer] of Object.entries(analyzers || {})) {
+    if (analyzer && typeof analyzer.toJSON === 'function') out[report] = analyzer.toJSON();
+  }
+  return out;
+}
+
+/**
+ * Restore analyzers from serializeAnalyzers() output.
+ * @param {Object} json - report -> analyzer state
+ * @param {Object} [options] - constructor option overrides applied to every analyzer (e.g. onWarning)
+ */
+export function restoreAnalyzers(json, options = {}) {
+  const out = {};
+  for (const [report, state] of Object.entries(json || {})) {
+    const Cls = ANALYZER_CLASSES[report];
+    if (!Cls) throw new Error(`Unknown report in analyzer state: ${report}`);
+    out[report] = Cls.fromJSON(state, options);
+  }
+  return out;
+}
+
 // ---------- Utilities ----------
 function firstPresent(obj, keys) {
   for (const k of keys) {
@@ -6107,22 +7332,54 @@ function computeLaborROIIfEnabled({ meta, metrics, assumptions }) {
 }
 
 // ---------- Dock Door Throughput ROI ----------
+
+/**
+ * Dock operating hours per day from assumptions (1-24), default 24.
+ */
+function dockOperatingHours(assumptions) {
+  const hours = assumptions?.dock_operating_hours_per_day;
+  return Number.isFinite(hours) && hours > 0 && hours <= 24 ? hours : 24;
+}
+
+/**
+ * Key metrics for a door occupancy summary (door-occupancy.js).
+ */
+function occupancyMetrics(occupancy) {
+  if (!occupancy) return {};
+  return {
+    door_utilization_pct: occupancy.utilizationPct,
+    occupied_door_hours_per_day: occupancy.occupiedDoorHoursPerDay,
+    idle_door_hours_per_day: occupancy.idleDoorHoursPerDay,
+    peak_concurrent_doors: occupancy.peak?.doors ?? null,
+  };
+}
+
+/**
+ * Dock door ROI. With dwell intervals (metrics.occupancy) the dollar figure is
+ * idle door-hours × cost per door hour; turns vs target is shown as context.
+ * Without intervals it falls back to the turns-vs-target gap over an 8-hour day.
+ */
 function computeDockDoorROIIfEnabled({ meta, metrics, assumptions }) {
   const a = assumptions || {};
   const target = Number.isFinite(a.target_turns_per_door_per_day) ? a.target_turns_per_door_per_day : null;
   const costPerHour = Number.isFinite(a.cost_per_dock_door_hour) ? a.cost_per_dock_door_hour : null;
-  const hoursPerDay = 8; // Assume 8-hour operating day
+  const operatingHours = dockOperatingHours(a);
+  const hoursPerDay = 8; // Turns fallback: assume 8-hour operating day
 
   // Get metrics from dock door analysis
   const { turnsPerDoorPerDay, uniqueDoors, totalTurns, totalDays } = metrics;
+  const occupancy = metrics.occupancy?.doorCount > 0 && Number.isFinite(metrics.occupancy.occupiedDoorHoursPerDay)
+    ? metrics.occupancy : null;
+  const hasTurns = Number.isFinite(turnsPerDoorPerDay) && turnsPerDoorPerDay > 0;
 
-  // Always show analysis if we have turn data (no assumptions required for basic insights)
-  if (!Number.isFinite(turnsPerDoorPerDay) || turnsPerDoorPerDay === 0) {
+  // Always show analysis if we have turn or occupancy data (no assumptions required for basic insights)
+  if (!hasTurns && !occupancy) {
     return {
       label: 'Dock Door Throughput Analysis',
       assumptionsUsed: {
         target_turns_per_door_per_day: target,
         cost_per_dock_door_hour: costPerHour,
+        dock_operating_hours_per_day: operatingHours,
       },
       estimate: null,
       insights: ['Insufficient data to calculate dock door throughput analysis.'],
@@ -6131,57 +7388,85 @@ function computeDockDoorROIIfEnabled({ meta, metrics, assumptions }) {
   }
 
   const insights = [];
+  const estimate = {};
 
-  // Always show: average turns per door per day (no assumptions needed)
-  insights.push(`Dock doors averaging ${round1(turnsPerDoorPerDay)} turns/door/day`);
+  // Occupancy: occupied vs operating door-hours (no assumptions needed beyond operating hours)
+  if (occupancy) {
+    const capacity = occupancy.doorCount * operatingHours;
+    const occupied = occupancy.occupiedDoorHoursPerDay;
+    const idle = Math.max(0, capacity - occupied);
+    const utilizationPct = round1(Math.min(100, (occupied / capacity) * 100));
 
-  // Always show: totals summary (no assumptions needed)
-  if (totalTurns && totalDays) {
-    insights.push(`Total: ${totalTurns} turns over ${totalDays} days across ${uniqueDoors || '?'} doors`);
-  }
+    estimate.door_utilization_pct = utilizationPct;
+    estimate.occupied_door_hours_per_day = round1(occupied);
+    estimate.idle_door_hours_per_day = round1(idle);
+    estimate.door_count = occupancy.doorCount;
+    estimate.operating_hours_per_day = operatingHours;
 
-  // Build estimate object - always include base metrics
-  const estimate = {
-    avg_turns_per_door_per_day: round1(turnsPerDoorPerDay),
-    unique_doors: uniqueDoors,
-    total_turns: totalTurns,
-    total_days: totalDays,
-  };
+    insights.push(`Dock doors occupied ${utilizationPct}% of ${operatingHours} operating hours/day (${round1(Math.min(occupied, capacity))} of ${round1(capacity)} door-hours/day across ${occupancy.doorCount} doors)`);
+    insights.push(`Idle capacity: ~${round1(idle)} door-hours/day`);
 
-  // Target-dependent insights (only if target is provided)
-  if (target !== null) {
-    const performancePct = Math.round((turnsPerDoorPerDay / target) * 100);
-    const gap = Math.max(0, target - turnsPerDoorPerDay);
-    const surplus = Math.max(0, turnsPerDoorPerDay - target);
+    if (costPerHour !== null) {
+      estimate.cost_of_idle_per_day = round1(idle * costPerHour);
+      if (idle > 0) {
+        insights.push(`Idle door cost: ~$${round1(idle * costPerHour)}/day (${round1(idle)} idle door-hours × $${costPerHour}/hr)`);
+      }
+    }
+  }
 
-    // Update first insight to include target comparison
-    insights[0] = `Dock doors averaging ${round1(turnsPerDoorPerDay)} turns/day vs ${target} target (${performancePct}%)`;
+  if (hasTurns) {
+    const turnsInsightAt = insights.length;
 
-    estimate.target_turns_per_door_per_day = target;
-    estimate.performance_vs_target_pct = performancePct;
-    estimate.gap_turns_per_day = gap > 0 ? round1(gap) : null;
-    estimate.surplus_turns_per_day = surplus > 0 ? round1(surplus) : null;
+    // Average turns per door per day (no assumptions needed)
+    insights.push(`Dock doors averaging ${round1(turnsPerDoorPerDay)} turns/door/day`);
 
-    // Gap/surplus insight (requires target)
-    if (performancePct >= 100) {
-      insights.push(`Exceeding target by ${round1(surplus)} turns/door/day`);
-    } else {
-      insights.push(`Below target by ${round1(gap)} turns/door/day`);
+    // Totals summary (no assumptions needed)
+    if (totalTurns && totalDays) {
+      insights.push(`Total: ${totalTurns} turns over ${totalDays} days across ${uniqueDoors || '?'} doors`);
     }
 
-    // Cost-based insights (requires BOTH target and costPerHour)
-    if (costPerHour !== null) {
-      const costPerTurn = (costPerHour * hoursPerDay) / target;
-      const dailyGapValue = gap * costPerTurn * (uniqueDoors || 1);
-      const dailySurplusValue = surplus * costPerTurn * (uniqueDoors || 1);
+    Object.assign(estimate, {
+      avg_turns_per_door_per_day: round1(turnsPerDoorPerDay),
+      unique_doors: uniqueDoors,
+      total_turns: totalTurns,
+      total_days: totalDays,
+    });
+
+    // Target-dependent insights (only if target is provided)
+    if (target !== null) {
+      const performancePct = Math.round((turnsPerDoorPerDay / target) * 100);
+      const gap = Math.max(0, target - turnsPerDoorPerDay);
+      const surplus = Math.max(0, turnsPerDoorPerDay - target);
+
+      // Update turns insight to include target comparison
+      insights[turnsInsightAt] = `Dock doors averaging ${round1(turnsPerDoorPerDay)} turns/day vs ${target} target (${performancePct}%)`;
+
+      estimate.target_turns_per_door_per_day = target;
+      estimate.performance_vs_target_pct = performancePct;
+      estimate.gap_turns_per_day = gap > 0 ? round1(gap) : null;
+      estimate.surplus_turns_per_day = surplus > 0 ? round1(surplus) : null;
+
+      // Gap/surplus insight (requires target)
+      if (performancePct >= 100) {
+        insights.push(`Exceeding target by ${round1(surplus)} turns/door/day`);
+      } else {
+        insights.push(`Below target by ${round1(gap)} turns/door/day`);
+      }
+
+      // Turns-based cost only when occupancy is unavailable (requires BOTH target and costPerHour)
+      if (costPerHour !== null && !occupancy) {
+        const costPerTurn = (costPerHour * hoursPerDay) / target;
+        const dailyGapValue = gap * costPerTurn * (uniqueDoors || 1);
+        const dailySurplusValue = surplus * costPerTurn * (uniqueDoors || 1);
 
-      estimate.daily_gap_value = gap > 0 ? round1(dailyGapValue) : null;
-      estimate.daily_surplus_value = surplus > 0 ? round1(dailySurplusValue) : null;
+        estimate.daily_gap_value = gap > 0 ? round1(dailyGapValue) : null;
+        estimate.daily_surplus_value = surplus > 0 ? round1(dailySurplusValue) : null;
 
-      if (performancePct >= 100 && dailySurplusValue > 0) {
-        insights.push(`Efficiency value: ~$${round1(dailySurplusValue)}/day in additional throughput`);
-      } else if (dailyGapValue > 0) {
-        insights.push(`Opportunity cost: ~$${round1(dailyGapValue)}/day in unrealized capacity (${round1(gap)} turns/day gap × $${round1(costPerTurn)}/turn [${costPerHour}/hr × ${hoursPerDay}hrs ÷ ${target} target] × ${uniqueDoors || 1} doors)`);
+        if (performancePct >= 100 && dailySurplusValue > 0) {
+          insights.push(`Efficiency value: ~$${round1(dailySurplusValue)}/day in additional throughput`);
+        } else if (dailyGapValue > 0) {
+          insights.push(`Opportunity cost: ~$${round1(dailyGapValue)}/day in unrealized capacity (${round1(gap)} turns/day gap × $${round1(costPerTurn)}/turn [${costPerHour}/hr × ${hoursPerDay}hrs ÷ ${target} target] × ${uniqueDoors || 1} doors)`);
+        }
       }
     }
   }
@@ -6191,13 +7476,15 @@ function computeDockDoorROIIfEnabled({ meta, metrics, assumptions }) {
     assumptionsUsed: {
       target_turns_per_door_per_day: target,
       cost_per_dock_door_hour: costPerHour,
-      hours_per_day: hoursPerDay,
+      ...(occupancy ? { dock_operating_hours_per_day: operatingHours } : { hours_per_day: hoursPerDay }),
     },
     estimate,
     insights,
-    disclaimer: target !== null
-      ? 'Estimates based on target turns assumption. Actual dock productivity varies by facility layout, product mix, and scheduling.'
-      : 'Analysis based on recorded dock door events. Add target turns/door/day to enable performance comparison.',
+    disclaimer: occupancy
+      ? 'Occupancy based on recorded dwell start/end times per door. Idle cost assumes every idle door-hour within operating hours is paid for; actual costs vary by staffing and scheduling.'
+      : target !== null
+        ? 'Estimates based on target turns assumption. Actual dock productivity varies by facility layout, product mix, and scheduling.'
+        : 'Analysis based on recorded dock door events. Add target turns/door/day to enable performance comparison.',
   };
 }
 
@@ -6902,97 +8189,33 @@ function recalcDetentionROI(existingRoi, metrics, assumptions) {
 
 /**
  * Recalculate dock door ROI with new assumptions.
- * Uses stored values from the original ROI estimate.
- * Now supports showing insights even without assumptions (matches original logic).
+ * Rebuilds the analysis inputs from the original ROI estimate (metrics don't
+ * carry turn or occupancy totals) and reruns computeDockDoorROIIfEnabled.
  */
 function recalcDockDoorROI(existingRoi, metrics, assumptions) {
   if (!existingRoi) return null;
 
-  const a = assumptions || {};
-  const target = Number.isFinite(a.target_turns_per_door_per_day) ? a.target_turns_per_door_per_day : null;
-  const costPerHour = Number.isFinite(a.cost_per_dock_door_hour) ? a.cost_per_dock_door_hour : null;
-  const hoursPerDay = 8;
-
-  // Get values from original ROI estimate (metrics don't have turns data)
-  const avgTurns = existingRoi.estimate?.avg_turns_per_door_per_day || 0;
-  const uniqueDoors = existingRoi.estimate?.unique_doors || 0;
-  const totalDays = existingRoi.estimate?.total_days || 1;
-  const totalTurns = existingRoi.estimate?.total_turns;
+  const est = existingRoi.estimate || {};
+  const occupancy = Number.isFinite(est.occupied_door_hours_per_day) && est.door_count > 0
+    ? { occupiedDoorHoursPerDay: est.occupied_door_hours_per_day, doorCount: est.door_count }
+    : null;
+  const avgTurns = est.avg_turns_per_door_per_day || 0;
 
   // Need basic data to show any insights
-  if (!Number.isFinite(avgTurns) || avgTurns === 0) {
+  if (!occupancy && (!Number.isFinite(avgTurns) || avgTurns === 0)) {
     return existingRoi; // Keep original if no data
   }
 
-  const insights = [];
-
-  // Always show: average turns per door per day (no assumptions needed)
-  insights.push(`Dock doors averaging ${round1(avgTurns)} turns/door/day`);
-
-  // Always show: totals summary (no assumptions needed)
-  if (totalTurns && totalDays) {
-    insights.push(`Total: ${totalTurns} turns over ${totalDays} days across ${uniqueDoors || '?'} doors`);
-  }
-
-  // Build estimate object - always include base metrics
-  const estimate = {
-    avg_turns_per_door_per_day: round1(avgTurns),
-    unique_doors: uniqueDoors,
-    total_turns: totalTurns,
-    total_days: totalDays,
-  };
-
-  // Target-dependent insights (only if target is provided)
-  if (target !== null) {
-    const performancePct = Math.round((avgTurns / target) * 100);
-    const gap = Math.max(0, target - avgTurns);
-    const surplus = Math.max(0, avgTurns - target);
-
-    // Update first insight to include target comparison
-    insights[0] = `Dock doors averaging ${round1(avgTurns)} turns/day vs ${target} target (${performancePct}%)`;
-
-    estimate.target_turns_per_door_per_day = target;
-    estimate.performance_vs_target_pct = performancePct;
-    estimate.gap_turns_per_day = gap > 0 ? round1(gap) : null;
-    estimate.surplus_turns_per_day = surplus > 0 ? round1(surplus) : null;
-
-    // Gap/surplus insight (requires target)
-    if (performancePct >= 100) {
-      insights.push(`Exceeding target by ${round1(surplus)} turns/door/day`);
-    } else {
-      insights.push(`Below target by ${round1(gap)} turns/door/day`);
-    }
-
-    // Cost-based insights (requires BOTH target and costPerHour)
-    if (costPerHour !== null) {
-      const costPerTurn = (costPerHour * hoursPerDay) / target;
-      const dailyGapValue = gap * costPerTurn * (uniqueDoors || 1);
-      const dailySurplusValue = surplus * costPerTurn * (uniqueDoors || 1);
-
-      estimate.daily_gap_value = gap > 0 ? round1(dailyGapValue) : null;
-      estimate.daily_surplus_value = surplus > 0 ? round1(dailySurplusValue) : null;
-
-      if (performancePct >= 100 && dailySurplusValue > 0) {
-        insights.push(`Efficiency value: ~$${round1(dailySurplusValue)}/day in additional throughput`);
-      } else if (dailyGapValue > 0) {
-        insights.push(`Opportunity cost: ~$${round1(dailyGapValue)}/day in unrealized capacity (${round1(gap)} turns/day gap × $${round1(costPerTurn)}/turn [${costPerHour}/hr × ${hoursPerDay}hrs ÷ ${target} target] × ${uniqueDoors || 1} doors)`);
-      }
-    }
-  }
-
-  return {
-    label: 'Dock Door Throughput Analysis',
-    assumptionsUsed: {
-      target_turns_per_door_per_day: target,
-      cost_per_dock_door_hour: costPerHour,
-      hours_per_day: hoursPerDay,
+  return computeDockDoorROIIfEnabled({
+    metrics: {
+      turnsPerDoorPerDay: avgTurns,
+      uniqueDoors: est.unique_doors || 0,
+      totalTurns: est.total_turns,
+      totalDays: est.total_days || 1,
+      occupancy,
     },
-    estimate,
-    insights,
-    disclaimer: target !== null
-      ? 'Estimates based on target turns assumption. Actual dock productivity varies by facility layout, product mix, and scheduling.'
-      : 'Analysis based on recorded dock door events. Add target turns/door/day to enable performance comparison.',
-  };
+    assumptions,
+  });
 }
 
 /**
@@ -1,4 +1,4 @@
-import { createAnalyzers, normalizeRowStrict, setDateTimeImplementation } from './analysis.js?v=2025.01.07.0';
+import { createAnalyzers, normalizeRowStrict, setDateTimeImplementation, serializeAnalyzers, restoreAnalyzers } from './analysis.js?v=2025.01.07.0';
 import { DateTime } from 'https://cdn.jsdelivr.net/npm/luxon@3.5.0/build/es6/luxon.js';
 import {
   CHUNK_SIZE_DEFAULT,
@@ -8,6 +8,15 @@ import {
   updateChunkSizing,
   updatePartialInterval,
 } from './worker-adaptation.js';
+import { CHECKPOINT_INTERVAL_MS, createPageLedger, markPageIngested } from './run-checkpoint.js?v=2025.01.07.0';
+import { ingestCSVFiles } from './csv-ingest.js?v=2025.01.07.0';
+import { mergeAnalyzerMaps } from './worker-pool.js?v=2025.01.07.0';
+import { compileRowFilters } from './row-filters.js?v=2025.01.07.0';
+import { compilePiiRules } from './pii-rules.js?v=2025.01.07.0';
+
+// CSV runs load their parsers on demand so API runs never pay for them
+const PAPAPARSE_ESM_URL = 'https://cdn.jsdelivr.net/npm/papaparse@5.4.1/+esm';
+const SHEETJS_ESM_URL = 'https://cdn.sheetjs.com/xlsx-0.20.3/package/xlsx.mjs';
 
 setDateTimeImplementation(DateTime);
 
@@ -40,15 +49,21 @@ function collectParseStats(run) {
   return { parseOk: ok, parseFails: fails };
 }
 
-function buildResults(run) {
+/**
+ * Finalize the selected reports. Partial results leave out trailer journey
+ * events, which can be large and are only joined once the run completes.
+ */
+function buildResults(run, { partial = false } = {}) {
+  // CSV analyzers run without a date range (it is inferred from the data)
   const meta = {
     tenant: run.config.tenant,
     facilities: run.config.facilities,
-    startDate: run.config.startDate,
-    endDate: run.config.endDate,
+    startDate: run.config.csvMode ? '(from CSV)' : run.config.startDate,
+    endDate: run.config.csvMode ? '(from CSV)' : run.config.endDate,
     timezone: run.config.timezone,
     assumptions: run.config.assumptions,
     roiEnabled: run.config.roiEnabled,
+    csvMode: run.config.csvMode,
   };
 
   const results = {};
@@ -56,12 +71,29 @@ function buildResults(run) {
     const analyzer = run.analyzers[report];
     if (!analyzer) continue;
     results[report] = analyzer.finalize(meta);
+    if (partial) delete results[report].journeyEvents;
   }
   return results;
 }
 
+/**
+ * Post analyzer state + page ledger so a failed run can resume.
+ * Only called when no page is mid-ingest, so the two always agree.
+ */
+function maybePostCheckpoint(run, runId) {
+  if (run.cancelled || run.activeIngests > 0) return;
+  const now = Date.now();
+  if (now - run.lastCheckpointAt < CHECKPOINT_INTERVAL_MS) return;
+  run.lastCheckpointAt = now;
+  post('CHECKPOINT', {
+    runId,
+    analyzers: serializeAnalyzers(run.analyzers),
+    ledger: createPageLedger(run.ledger),
+  });
+}
+
 function handleInit(data) {
-  const { runId, timezone, startDate, endDate, assumptions, selectedReports, facilities, tenant, roiEnabled, partialEmitIntervalMs, enableDrilldown } = data;
+  const { runId, timezone, startDate, endDate, assumptions, selectedReports, facilities, tenant, roiEnabled, partialEmitIntervalMs, enableDrilldown, resumeAnalyzers, resumeLedger, csvMode = false, shardRole = null, partialResults = true, rowFilters = [], shifts, trackJourneys = false, piiRules } = data;
   if (!runId) return;
 
   const adaptive = createAdaptiveState();
@@ -72,7 +104,10 @@ function handleInit(data) {
 
   const run = {
     analyzers: null,
-    config: { timezone, startDate, endDate, assumptions, selectedReports, facilities, tenant, roiEnabled, enableDrilldown },
+    // shardRole is set for pooled runs: 'merge' (the primary worker) or 'shard'
+    config: { timezone, startDate, endDate, assumptions, selectedReports, facilities, tenant, roiEnabled, enableDrilldown, csvMode, shardRole, partialResults, rowFilters, shifts, trackJourneys, piiRules },
+    excludeRow: compileRowFilters(rowFilters), // null when no row filters are set
+    piiScrubber: compilePiiRules(piiRules), // default rules when none are sent
     warnings: [],
     warningBuffer: [],
     totalRowsProcessed: 0,
@@ -82,16 +117,28 @@ function handleInit(data) {
     lastPartialAt: 0,
     backlogPages: 0,
     adaptive,
+    ledger: createPageLedger(resumeLedger || null),
+    activeIngests: 0,
+    lastCheckpointAt: Date.now(),
+    abortController: new AbortController(), // stops CSV streaming on cancel
   };
 
-  run.analyzers = createAnalyzers({
+  const analyzerOptions = {
     timezone,
     startDate,
     endDate,
     assumptions,
     onWarning: (msg) => bufferWarning(run, msg),
+    isCSVMode: csvMode,
     enableDrilldown,
-  });
+    shifts,
+    trackJourneys,
+  };
+  run.analyzerOptions = analyzerOptions;
+  // Resumed runs continue from checkpointed analyzer state instead of starting empty
+  run.analyzers = resumeAnalyzers
+    ? { ...createAnalyzers(analyzerOptions), ...restoreAnalyzers(resumeAnalyzers, analyzerOptions) }
+    : createAnalyzers(analyzerOptions);
 
   runs.set(runId, run);
 }
@@ -106,6 +153,9 @@ async function handlePageRows(data) {
 
   const payloadRows = Array.isArray(rows) ? rows : [];
   let processed = 0;
+  let filtered = 0;
+  // A page that throws mid-ingest leaves this raised, which blocks further (inconsistent) checkpoints
+  run.activeIngests++;
 
   const backlog = Math.max(0, run.backlogPages - 1);
   const chunkSize = run.adaptive.chunkSize || CHUNK_SIZE_DEFAULT;
@@ -120,8 +170,13 @@ async function handlePageRows(data) {
         report,
         timezone: run.config.timezone,
         onWarning: (msg) => bufferWarning(run, msg),
+        piiScrubber: run.piiScrubber,
       });
-      if (normalized) {
+      // Scrubbed fields count toward the audit even when a filter then drops the row
+      if (normalized) analyzer.tallyPiiScrubbed(normalized.flags.piiScrubbed);
+      if (normalized && run.excludeRow?.(normalized.row, report)) {
+        filtered++;
+      } else if (normalized) {
         // For API mode, inject facility into flags so analyzers can track per-facility metrics
         if (facility && normalized.flags) {
           normalized.flags.facility = facility;
@@ -147,8 +202,10 @@ async function handlePageRows(data) {
       await new Promise((resolve) => setTimeout(resolve, 0));
     }
   }
+  run.activeIngests--;
 
   if (run.cancelled) return;
+  markPageIngested(run.ledger, { report, facility, page, lastPage, rowCount: payloadRows.length });
 
   run.totalRowsProcessed += processed;
   const parseStats = collectParseStats(run);
@@ -161,6 +218,7 @@ async function handlePageRows(data) {
     page,
     lastPage,
     rowsProcessedDelta: processed,
+    rowsFilteredDelta: filtered,
     totalRowsProcessed: run.totalRowsProcessed,
     parseStats,
     warningsDelta,
@@ -168,17 +226,20 @@ async function handlePageRows(data) {
 
   const now = Date.now();
   const partialInterval = Math.max(PARTIAL_EMIT_INTERVAL_MS_DEFAULT, run.adaptive.partialIntervalMs);
-  if (now - run.lastPartialAt >= partialInterval && !run.cancelled) {
+  // Pooled workers only see some shards, so their partial results would be misleading
+  if (run.config.partialResults && now - run.lastPartialAt >= partialInterval && !run.cancelled) {
     run.lastPartialAt = now;
     post('PARTIAL_RESULT', {
       runId,
-      results: buildResults(run),
+      results: buildResults(run, { partial: true }),
       parseStats,
       warnings: run.warnings.slice(),
       chunkSize: run.adaptive.chunkSize,
       partialIntervalMs: partialInterval,
     });
   }
+
+  maybePostCheckpoint(run, runId);
 }
 
 async function handlePageBatch(data) {
@@ -193,6 +254,72 @@ async function handlePageBatch(data) {
   }
 }
 
+async function loadCsvLibraries(files) {
+  if (typeof self.Papa === 'undefined') {
+    self.Papa = (await import(PAPAPARSE_ESM_URL)).default;
+  }
+  if (files.some(f => f.sheetName) && typeof self.XLSX === 'undefined') {
+    self.XLSX = await import(SHEETJS_ESM_URL);
+  }
+}
+
+/**
+ * Runs the whole CSV pipeline (parse, map, validate, dedupe, ingest) for a run
+ * started with csvMode, then finalizes it. Only progress, file status and the
+ * finished results are posted back. Analyzer state rides along with the
+ * results so the main thread can serve per-facility views.
+ */
+async function handleCsvFiles(data) {
+  const { runId, files } = data;
+  const run = runs.get(runId);
+  if (!run || run.cancelled) return;
+
+  try {
+    await loadCsvLibraries(files || []);
+  } catch (e) {
+    runs.delete(runId);
+    post('ERROR', { runId, errorCode: 'csv_unavailable', message: 'CSV parser could not be loaded in the worker', detail: e?.message || String(e) });
+    return;
+  }
+
+  let summary;
+  try {
+    summary = await ingestCSVFiles(files || [], run.analyzers, {
+      timezone: run.config.timezone,
+      signal: run.abortController.signal,
+      rowFilters: run.config.rowFilters,
+      piiRules: run.config.piiRules,
+      onProgress: (progress) => {
+        if (run.cancelled) return;
+        post('CSV_PROGRESS', { runId, progress, warningsDelta: flushWarnings(run) });
+      },
+      onFileUpdate: (fileId, updates) => {
+        if (!run.cancelled) post('CSV_FILE_STATUS', { runId, fileId, updates });
+      },
+      onWarning: (msg) => bufferWarning(run, msg),
+    });
+  } catch (e) {
+    runs.delete(runId);
+    post('ERROR', { runId, errorCode: 'worker_exception', message: 'Worker CSV processing error', detail: e?.message || String(e) });
+    return;
+  }
+  if (run.cancelled) return;
+  if (run.config.shardRole) {
+    postShardState(run, runId, { csvSummary: summary });
+    return;
+  }
+
+  runs.delete(runId);
+  post('FINAL_RESULT', {
+    runId,
+    results: buildResults(run),
+    warnings: flushWarnings(run),
+    parseStats: collectParseStats(run),
+    csvSummary: summary,
+    analyzers: serializeAnalyzers(run.analyzers),
+  });
+}
+
 function handleFinalize(data) {
   const { runId } = data;
   const run = runs.get(runId);
@@ -217,17 +344,83 @@ function handleFinalize(data) {
   });
 }
 
+/**
+ * Pooled runs: hand this worker's part back once ingestion is done. Shard
+ * workers send their analyzer state and drop the run; the merging worker keeps
+ * its state for MERGE_FINALIZE.
+ */
+function postShardState(run, runId, extra = {}) {
+  const keep = run.config.shardRole === 'merge';
+  if (!keep) runs.delete(runId);
+  post('SHARD_STATE', {
+    runId,
+    analyzers: keep ? null : serializeAnalyzers(run.analyzers),
+    warnings: flushWarnings(run),
+    parseStats: collectParseStats(run),
+    ...extra,
+  });
+}
+
+// Batches are ingested asynchronously; wait until queued pages are in
+async function waitForIdle(run) {
+  while (!run.cancelled && (run.activeIngests > 0 || run.backlogPages > 0)) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+async function handleExportState(data) {
+  const { runId } = data;
+  const run = runs.get(runId);
+  if (!run || run.cancelled) return;
+  await waitForIdle(run);
+  if (run.cancelled) return;
+  postShardState(run, runId);
+}
+
+/**
+ * Merge the other pool workers' analyzer state into this run and finalize it.
+ */
+async function handleMergeFinalize(data) {
+  const { runId, shards } = data;
+  const run = runs.get(runId);
+  if (!run || run.cancelled) {
+    post('ERROR', { runId, errorCode: 'cancelled', message: 'Run was cancelled before finalize.' });
+    runs.delete(runId);
+    return;
+  }
+  await waitForIdle(run);
+  if (run.cancelled) return;
+
+  for (const shard of shards || []) {
+    mergeAnalyzerMaps(run.analyzers, restoreAnalyzers(shard, run.analyzerOptions));
+  }
+
+  runs.delete(runId);
+  post('FINAL_RESULT', {
+    runId,
+    results: buildResults(run),
+    warnings: flushWarnings(run),
+    parseStats: collectParseStats(run),
+    chunkSize: run.adaptive?.chunkSize || CHUNK_SIZE_DEFAULT,
+    partialIntervalMs: run.adaptive?.partialIntervalMs || PARTIAL_EMIT_INTERVAL_MS_DEFAULT,
+    // CSV runs restore analyzers on the main thread for per-facility views
+    analyzers: run.config.csvMode ? serializeAnalyzers(run.analyzers) : undefined,
+  });
+}
+
 function handleCancel(data) {
   const { runId } = data;
   const run = runs.get(runId);
   if (run) {
     run.cancelled = true;
+    run.abortController.abort();
     runs.delete(runId);
   }
   post('CANCELLED', { runId });
 }
 
 function handleReset() {
+  for (const run of runs.values()) run.abortController.abort();
   runs.clear();
 }
 
@@ -241,8 +434,14 @@ self.addEventListener('message', (event) => {
         return handlePageRows(data);
       case 'PAGE_ROWS_BATCH':
         return handlePageBatch(data);
+      case 'CSV_FILES':
+        return handleCsvFiles(data);
       case 'FINALIZE':
         return handleFinalize(data);
+      case 'EXPORT_STATE':
+        return handleExportState(data);
+      case 'MERGE_FINALIZE':
+        return handleMergeFinalize(data);
       case 'CANCEL':
         return handleCancel(data);
       case 'RESET':
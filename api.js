@@ -590,6 +590,7 @@ async function fetchReportPage({
   outerSignal,
   onWarning,
   scheduler,
+  pageCache,
 }) {
   const headers = () => {
     const token = tokenGetter?.();
@@ -603,7 +604,14 @@ async function fetchReportPage({
     };
   };
 
-  return executeWithRetry(async () => {
+  const useCache = !mockMode && !!pageCache;
+  const cacheUrl = useCache ? buildReportUrl({ tenant, report, facility, startDate, endDate, page }) : null;
+  if (useCache) {
+    const cached = await pageCache.get(cacheUrl);
+    if (cached) return cached;
+  }
+
+  const payload = await executeWithRetry(async () => {
     if (mockMode) {
       await abortableSleep(80 + Math.random() * 80, outerSignal);
       return getMockPage({ report, facility, page });
@@ -619,6 +627,12 @@ async function fetchReportPage({
     scheduler,
     context: { report, facility, page },
   });
+
+  if (useCache && payload) {
+    // Fire-and-forget: the cache scrubs rows itself and never fails the run
+    pageCache.put(cacheUrl, payload);
+  }
+  return payload;
 }
 
 export function createApiRunner({
@@ -633,6 +647,7 @@ export function createApiRunner({
   onLaneChange,
   onPerf,
   pipelineConfig,
+  pageCache = null,
 }) {
   const runId = `run_${Date.now()}_${Math.random().toString(16).slice(2)}`;
 
@@ -679,9 +694,14 @@ export function createApiRunner({
     timezone,
     onRows,
     runIdCheck,
+    resume,
   }) {
     onFacilityStatus?.({ report, facility, status: 'running' });
 
+    // Pages already ingested by an earlier attempt of this run (see run-checkpoint.js)
+    const resumedPages = new Set((resume?.done || []).filter(p => Number.isInteger(p) && p >= 1));
+    const skipFirstPage = resumedPages.has(1) && resume?.lastPage > 0;
+
     const facilityStats = {
       maxFetchBuffer: 0,
       maxBufferedPlusInFlight: 0,
@@ -702,7 +722,7 @@ export function createApiRunner({
       }
     };
 
-    let rowsProcessed = 0;
+    let rowsProcessed = resume?.rows || 0;
     let declaredLastPage = 1;
     let stopAtPage = null;
     let pagesProcessed = 0;
@@ -800,7 +820,7 @@ export function createApiRunner({
       const payloadSize = payload.payloadBytes ?? estimatePayloadWeight(rows).approxBytes;
       instrumentation.recordPageComplete(payloadSize);
 
-      onProgress?.({ report, facility, page: pageNumber, lastPage: effectivePageCap, rowsProcessed });
+      onProgress?.({ report, facility, page: pageNumber, lastPage: effectivePageCap, rowsProcessed, resumedPages: resumedPages.size });
       facilityStats.progressEvents += 1;
 
       // Wait for onRows to process (backpressure)
@@ -823,26 +843,34 @@ export function createApiRunner({
     };
 
     try {
-      instrumentation.recordRequest(1);
-      const firstFetchStarted = performance.now();
-      const firstPayload = await scheduler.enqueue(() => fetchReportPage({
-        tenant,
-        report,
-        facility,
-        startDate,
-        endDate,
-        page: 1,
-        tokenGetter,
-        mockMode,
-        outerSignal: signal,
-        onWarning,
-        scheduler,
-      }), { onTransient: (err) => classifyError(err).transient, report }).finally(() => {
-        instrumentation.recordRequest(-1);
-      });
+      let firstPayload = null;
+      if (skipFirstPage) {
+        // Page count is known from the earlier attempt; no need to refetch page 1
+        declaredLastPage = resume.lastPage;
+        onProgress?.({ report, facility, page: 1, lastPage: declaredLastPage, rowsProcessed, resumedPages: resumedPages.size, resumed: true });
+      } else {
+        instrumentation.recordRequest(1);
+        const firstFetchStarted = performance.now();
+        firstPayload = await scheduler.enqueue(() => fetchReportPage({
+          tenant,
+          report,
+          facility,
+          startDate,
+          endDate,
+          page: 1,
+          tokenGetter,
+          mockMode,
+          outerSignal: signal,
+          onWarning,
+          scheduler,
+          pageCache,
+        }), { onTransient: (err) => classifyError(err).transient, report }).finally(() => {
+          instrumentation.recordRequest(-1);
+        });
 
-      latencyTracker.push(report, performance.now() - firstFetchStarted);
-      declaredLastPage = Math.max(1, Number(firstPayload?.last_page || 1));
+        latencyTracker.push(report, performance.now() - firstFetchStarted);
+        declaredLastPage = Math.max(1, Number(firstPayload?.last_page || 1));
+      }
       effectiveLastPage = declaredLastPage;
 
       // Get tier config - respects forceTier override from panel
@@ -1036,6 +1064,7 @@ export function createApiRunner({
           nextPage <= targetLastPage
         ) {
           const pageNumber = nextPage++;
+          if (resumedPages.has(pageNumber)) continue;
           instrumentation.recordQueuedTask(1);
           instrumentation.recordRequest(1);
           const startedAt = performance.now();
@@ -1051,6 +1080,7 @@ export function createApiRunner({
             outerSignal: signal,
             onWarning,
             scheduler,
+            pageCache,
           }), { onTransient: (err) => classifyError(err).transient, report });
 
           const fetchTask = fetchPromise
@@ -1079,6 +1109,8 @@ export function createApiRunner({
               throw err;
             });
 
+          // Failures are recorded via pipelineError; later in-flight pages may reject after the run has stopped
+          fetchTask.catch(() => {});
           inflightFetches.add(fetchTask);
           maybeEmitSnapshot();
         }
@@ -1087,8 +1119,10 @@ export function createApiRunner({
       };
 
       // Process first page immediately using the new pipeline stats helpers
-      await handlePage(normalizePayload(firstPayload, 1), 1);
-      completedProcessingCount = 1;
+      if (!skipFirstPage) {
+        await handlePage(normalizePayload(firstPayload, 1), 1);
+      }
+      completedProcessingCount = (skipFirstPage ? 0 : 1) + resumedPages.size;
       maybeEmitSnapshot();
 
       pump();
@@ -1144,7 +1178,12 @@ export function createApiRunner({
     }
   }
 
-  async function run({ reports, facilities, startDate, endDate, timezone, onRows }) {
+  /**
+   * Fetch every report/facility and stream pages to onRows.
+   * `resume` (report -> facility -> { done, lastPage, rows }) lists pages already ingested
+   * by an earlier attempt; those pages are skipped (see run-checkpoint.js).
+   */
+  async function run({ reports, facilities, startDate, endDate, timezone, onRows, resume = null }) {
     if (!mockMode) {
       const t = tokenGetter?.();
       if (!t) throw new ApiError('Missing token (cleared or not provided).');
@@ -1163,7 +1202,8 @@ export function createApiRunner({
           endDate,
           timezone,
           onRows,
-          runIdCheck
+          runIdCheck,
+          resume: resume?.[report]?.[facility] || null,
         }));
       }
     }
@@ -13,6 +13,7 @@ const instrumentationModule = await import('./instrumentation.js');
 
 const { createApiRunner, estimatePayloadWeight, createGreenZoneController } = apiModule;
 const { instrumentation } = instrumentationModule;
+const { createPageLedger, markPageIngested, resumeEntryFor } = await import('./run-checkpoint.js');
 
 const defaultDates = { startDate: '2024-01-01', endDate: '2024-01-02', timezone: 'UTC' };
 
@@ -331,3 +332,85 @@ test('backpressure ceilings clamp green zone concurrency lift', () => {
   assert.equal(controller.isGreen(), false, 'backpressure ceiling should exit green zone');
   assert.equal(controller.getConcurrencyCeiling(), 3, 'ceiling should honor backpressure clamp');
 });
+
+test('resumed runs skip pages already ingested and finish the rest', async () => {
+  const ledger = createPageLedger();
+  const ingest = ({ report, facility, page, lastPage, rows }) => {
+    markPageIngested(ledger, { report, facility, page, lastPage, rowCount: rows.length });
+  };
+
+  // First attempt: token expires at page 4
+  const okFetch = createFetchStub({ lastPage: 8, rowsPerPage: 2 });
+  global.fetch = (url, opts) => {
+    const page = Number(new URL(url).searchParams.get('page'));
+    if (page >= 4) {
+      return Promise.resolve({ ok: false, status: 401, statusText: 'Unauthorized', text: async () => '' });
+    }
+    return okFetch(url, opts);
+  };
+  const first = createApiRunner({
+    tenant: 'tenant',
+    tokenGetter: () => 'token',
+    signal: new AbortController().signal,
+    pipelineConfig: { fetchBufferMax: 2, processingPoolMax: 1 },
+  });
+  await assert.rejects(first.run({ reports: ['driver_history'], facilities: ['FAC1'], ...defaultDates, onRows: ingest }), /Unauthorized|401/);
+
+  const entry = resumeEntryFor(ledger, 'driver_history', 'FAC1');
+  assert.deepEqual(entry.done.slice().sort((a, b) => a - b), [1, 2, 3]);
+  assert.equal(entry.lastPage, 8);
+
+  // Second attempt resumes from the ledger
+  const fetched = [];
+  global.fetch = createFetchStub({ lastPage: 8, rowsPerPage: 2, onFetch: (page) => fetched.push(page) });
+  const progress = [];
+  const second = createApiRunner({
+    tenant: 'tenant',
+    tokenGetter: () => 'token',
+    signal: new AbortController().signal,
+    pipelineConfig: { fetchBufferMax: 2, processingPoolMax: 1 },
+    onProgress: (p) => progress.push(p),
+  });
+  await second.run({
+    reports: ['driver_history'],
+    facilities: ['FAC1'],
+    ...defaultDates,
+    onRows: ingest,
+    resume: { driver_history: { FAC1: entry } },
+  });
+
+  assert.deepEqual(fetched.slice().sort((a, b) => a - b), [4, 5, 6, 7, 8], 'ingested pages are not refetched');
+  assert.deepEqual(resumeEntryFor(ledger, 'driver_history', 'FAC1').done.slice().sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7, 8]);
+  assert.ok(progress.every(p => p.resumedPages === 3), 'progress reports how many pages were resumed');
+  assert.equal(progress.at(-1).rowsProcessed, 16, 'row count includes resumed pages');
+});
+
+test('page cache serves repeat runs without refetching', async () => {
+  const store = new Map();
+  const pageCache = {
+    get: async (url) => store.get(url) || null,
+    put: async (url, payload) => { store.set(url, payload); },
+  };
+  const runOnce = async () => {
+    const fetched = [];
+    global.fetch = createFetchStub({ lastPage: 4, rowsPerPage: 2, onFetch: (page) => fetched.push(page) });
+    let rows = 0;
+    const runner = createApiRunner({
+      tenant: 'tenant',
+      tokenGetter: () => 'token',
+      signal: new AbortController().signal,
+      pageCache,
+    });
+    await runner.run({ reports: ['detention_history'], facilities: ['FAC1'], ...defaultDates, onRows: (p) => { rows += p.rows.length; } });
+    return { fetched, rows };
+  };
+
+  const first = await runOnce();
+  assert.equal(first.fetched.length, 4);
+  assert.equal(store.size, 4);
+  assert.ok([...store.keys()].every(url => !url.includes('token')), 'cache keys never carry the token');
+
+  const second = await runOnce();
+  assert.deepEqual(second.fetched, [], 'all pages come from the cache');
+  assert.equal(second.rows, first.rows);
+});
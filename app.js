@@ -1,9 +1,10 @@
 import { createApiRunner, ApiError } from './api.js?v=2025.01.07.0';
-import { createAnalyzers, normalizeRowStrict, detectGlobalPartialPeriods, recalculateROI, facilityRegistry } from './analysis.js?v=2025.01.07.0';
-import { renderReportResult, destroyAllCharts, createFacilityTabs, renderFacilityComparisons, wrapGlossaryTerms, createGlobalFacilityFilter } from './charts.js?v=2025.01.07.0';
-import { downloadText, downloadCsv, buildSummaryTxt, buildExportJson, buildReportSummaryCsv, buildChartCsv, printReport } from './export.js?v=2025.01.07.0';
+import { createAnalyzers, normalizeRowStrict, detectGlobalPartialPeriods, recalculateROI, facilityRegistry, serializeAnalyzers, restoreAnalyzers } from './analysis.js?v=2025.01.07.0';
+import { renderReportResult, destroyAllCharts, createFacilityTabs, renderFacilityComparisons, wrapGlossaryTerms, createGlobalFacilityFilter, renderAssessmentComparison, renderCarrierScorecard, renderTrailerJourneys, renderDriverProfiles, renderPiiAudit } from './charts.js?v=2025.01.07.0';
+import { downloadText, downloadCsv, buildSummaryTxt, buildExportJson, buildReportSummaryCsv, buildChartCsv, printReport, assessmentFromExportJson, buildComparisonCsv, buildValidationReportCsv, buildCarrierScorecardCsv, buildTrailerJourneysCsv, buildDriverLeaderboardCsv, buildAliasMapCsv } from './export.js?v=2025.01.07.0';
 import { MOCK_TIMEZONES } from './mock-data.js?v=2025.01.07.0';
 import { instrumentation } from './instrumentation.js?v=2025.01.07.0';
+import { buildAliasMap, pseudonymizeResult } from './pseudonymize.js?v=2025.01.07.0';
 import { createETATracker } from './eta.js?v=2025.01.07.0';
 import { createWorkerBatcher } from './worker-transfer.js?v=2025.01.07.0';
 import {
@@ -26,12 +27,68 @@ import {
 import {
   createCSVImportState,
   handleFileUpload,
+  overrideCSVFormat,
   processCSVFiles,
   renderFileList,
   renderCSVProgress,
+  renderMappingWizard,
+  renderValidationSummary,
   setupDropZone,
   REPORT_TYPE_LABELS,
 } from './csv-import.js';
+import { validateCSVColumns } from './csv-parser.js';
+import { toCSVIngestFile } from './csv-ingest.js?v=2025.01.07.0';
+import { ambiguousColumns, resolveDateOrder } from './timestamp-formats.js?v=2025.01.07.0';
+import { ISSUE_LABELS } from './validation-report.js?v=2025.01.07.0';
+import { FILTER_OPERATORS, filterFieldsFor, sanitizeRowFilters, compileRowFilters, operatorTakesValue } from './row-filters.js?v=2025.01.07.0';
+import { SHIFT_PRESETS, DEFAULT_SHIFTS, validateShifts } from './shifts.js?v=2025.01.07.0';
+import { DEFAULT_PII_RULES, LOCKED_PII_RULE_ID, PII_RULE_TARGETS, validatePiiRules, compilePiiRules, buildPiiAudit } from './pii-rules.js?v=2025.01.07.0';
+import {
+  resolvePoolSize,
+  shardKey,
+  planShards,
+  planCSVShards,
+  mergeCSVSummaries,
+  mergeShardCheckpoints,
+  mergeShardStates,
+} from './worker-pool.js?v=2025.01.07.0';
+import { suggestColumnMapping, finalizeColumnMapping, COMBINED_TIMESTAMP_FIELDS } from './column-mapping.js?v=2025.01.07.0';
+import {
+  buildAssessmentRecord,
+  saveAssessment,
+  listAssessments,
+  getAssessment,
+  updateAssessment,
+  renameAssessment,
+  deleteAssessment,
+  isAssessmentStoreAvailable,
+} from './assessment-store.js?v=2025.01.07.0';
+import { compareAssessments } from './assessment-compare.js?v=2025.01.07.0';
+import {
+  CHECKPOINT_INTERVAL_MS,
+  createPageLedger,
+  markPageIngested,
+  resumeEntryFor,
+  summarizeLedger,
+  createRunCheckpoint,
+} from './run-checkpoint.js?v=2025.01.07.0';
+import {
+  PAGE_CACHE_DEFAULTS,
+  createPageCache,
+  getPageCacheStats,
+  clearPageCache,
+  isPageCacheAvailable,
+} from './page-cache.js?v=2025.01.07.0';
+import {
+  addMappingToProfile,
+  buildMappingProfilesExport,
+  parseMappingProfilesImport,
+  reconcileImportedProfiles,
+  listMappingProfiles,
+  saveMappingProfiles,
+  deleteMappingProfile,
+  isMappingProfileStoreAvailable,
+} from './mapping-profiles.js?v=2025.01.07.0';
 
 const { DateTime } = window.luxon;
 
@@ -70,6 +127,7 @@ const UI = {
   mockModeToggle: document.querySelector('#mockModeToggle'),
   runBtn: document.querySelector('#runBtn'),
   cancelBtn: document.querySelector('#cancelBtn'),
+  resumeRunBtn: document.querySelector('#resumeRunBtn'),
   startFreshBtn: document.querySelector('#startFreshBtn'),
   startFreshModal: document.querySelector('#startFreshModal'),
   startFreshCancel: document.querySelector('#startFreshCancel'),
@@ -90,6 +148,7 @@ const UI = {
   assumptionTargetMoves: document.querySelector('#assumptionTargetMoves'),
   assumptionTargetTurnsPerDoor: document.querySelector('#assumptionTargetTurnsPerDoor'),
   assumptionCostPerDockHour: document.querySelector('#assumptionCostPerDockHour'),
+  assumptionDockOperatingHours: document.querySelector('#assumptionDockOperatingHours'),
   recalcRoiBtn: document.querySelector('#recalcRoiBtn'),
   workerToggle: document.querySelector('#workerToggle'),
   workerStatus: document.querySelector('#workerStatus'),
@@ -105,7 +164,29 @@ const UI = {
   csvDropZone: document.querySelector('#csvDropZone'),
   csvFileInput: document.querySelector('#csvFileInput'),
   csvFileList: document.querySelector('#csvFileList'),
+  // Column-mapping wizard
+  mappingWizardModal: document.querySelector('#mappingWizardModal'),
+  mappingWizardBody: document.querySelector('#mappingWizardBody'),
+  mappingWizardCancel: document.querySelector('#mappingWizardCancel'),
+  mappingWizardApply: document.querySelector('#mappingWizardApply'),
+  mappingWizardSaveProfile: document.querySelector('#mappingWizardSaveProfile'),
+  // Saved column-mapping profiles
+  mappingProfilesBadge: document.querySelector('#mappingProfilesBadge'),
+  mappingProfilesList: document.querySelector('#mappingProfilesList'),
+  mappingProfilesExport: document.querySelector('#mappingProfilesExport'),
+  mappingProfilesImportBtn: document.querySelector('#mappingProfilesImportBtn'),
+  mappingProfilesImportInput: document.querySelector('#mappingProfilesImportInput'),
   csvValidationMessages: document.querySelector('#csvValidationMessages'),
+  rowFiltersList: document.querySelector('#rowFiltersList'),
+  addRowFilterBtn: document.querySelector('#addRowFilterBtn'),
+  shiftPresetSelect: document.querySelector('#shiftPresetSelect'),
+  shiftsList: document.querySelector('#shiftsList'),
+  addShiftBtn: document.querySelector('#addShiftBtn'),
+  shiftsError: document.querySelector('#shiftsError'),
+  piiRulesList: document.querySelector('#piiRulesList'),
+  piiRulesError: document.querySelector('#piiRulesError'),
+  addPiiRuleBtn: document.querySelector('#addPiiRuleBtn'),
+  journeysToggle: document.querySelector('#journeysToggle'),
   // Reports fieldset (hidden in CSV mode)
   reportsFieldset: document.querySelector('#reportsFieldset'),
   // Backpressure drawer elements
@@ -134,6 +215,14 @@ const UI = {
   partialTrimGranularity: document.querySelector('#partialTrimGranularity'),
   // Drill-down
   drilldownToggle: document.querySelector('#drilldownToggle'),
+  pseudonymizeToggle: document.querySelector('#pseudonymizeToggle'),
+  aliasMapDownloadBtn: document.querySelector('#aliasMapDownloadBtn'),
+  // API page cache
+  pageCacheToggle: document.querySelector('#pageCacheToggle'),
+  pageCacheTtl: document.querySelector('#pageCacheTtl'),
+  pageCacheMaxSize: document.querySelector('#pageCacheMaxSize'),
+  pageCacheStats: document.querySelector('#pageCacheStats'),
+  pageCacheClear: document.querySelector('#pageCacheClear'),
   // AI Insights
   aiInsightsBtn: document.querySelector('#aiInsightsBtn'),
   aiConfirmModal: document.querySelector('#aiConfirmModal'),
@@ -145,6 +234,17 @@ const UI = {
   aiResultsState: document.querySelector('#aiResultsState'),
   aiInsightsList: document.querySelector('#aiInsightsList'),
   aiSummary: document.querySelector('#aiSummary'),
+  // Saved assessments
+  savedAssessmentsSection: document.querySelector('#savedAssessmentsSection'),
+  savedAssessmentsList: document.querySelector('#savedAssessmentsList'),
+  savedAssessmentsBadge: document.querySelector('#savedAssessmentsBadge'),
+  compareBaselineSelect: document.querySelector('#compareBaselineSelect'),
+  compareCurrentSelect: document.querySelector('#compareCurrentSelect'),
+  importJsonBtn: document.querySelector('#importJsonBtn'),
+  importJsonInput: document.querySelector('#importJsonInput'),
+  compareImportBtn: document.querySelector('#compareImportBtn'),
+  compareImportInput: document.querySelector('#compareImportInput'),
+  compareRunBtn: document.querySelector('#compareRunBtn'),
 };
 
 // AI Loading messages that rotate during generation
@@ -179,9 +279,18 @@ const state = {
   etaTracker: null, // ETA tracking instance
   csvImportState: null, // CSV import state manager
   csvProgress: {}, // CSV processing progress
+  csvValidation: null, // per-file data validation reports from the last CSV run
+  rowFilters: [], // filter builder rows: { report, field, operator, value }
+  rowFilterExcluded: {}, // report -> rows excluded by row filters in the current run
+  shifts: DEFAULT_SHIFTS.map(s => ({ ...s })), // shift editor rows: { name, start, end }
+  piiRules: DEFAULT_PII_RULES.map(r => ({ ...r })), // PII rules editor rows (see pii-rules.js)
+  mappingWizard: null, // { fileId, reportType, mapping } while the column-mapping wizard is open
+  mappingProfiles: [], // saved column-mapping profiles, in detection order
   partialPeriodMode: 'include', // 'include' | 'trim' | 'highlight'
   partialPeriodInfo: null, // Global partial period detection result
   enableDrilldown: true, // Enable drill-down on charts
+  pseudonymize: false, // Show driver, user and carrier names as aliases in everything rendered or exported
+  aliasCache: null, // { results, reports, aliasMap, presented } for the current state.results
   // Multi-facility tracking (auto-detected from data)
   isMultiFacility: false, // True when 2+ facilities detected
   detectedFacilities: [], // Array of facility names from data
@@ -189,7 +298,21 @@ const state = {
   // Global facility filter state (synced from createGlobalFacilityFilter events)
   facilityFilter: { selected: ['all'], campusMode: false },
   // AI Insights (populated when user generates them)
-  aiInsights: null, // { insights: string[], summary: string }
+  aiInsights: null, // { insights: string[], summary: string, pseudonymized: boolean }
+  // Saved assessments (IndexedDB)
+  savedAssessmentId: null, // id of the saved record for the results on screen
+  facilityResultSnapshot: null, // report -> facility -> result (reopened runs have no live analyzers)
+  importedAssessment: null, // { fileName, exportVersion, exportedAt } when viewing an imported export JSON (read-only)
+  resumeCheckpoint: null, // createRunCheckpoint() output after an API run fails part-way (token never included)
+  // Opt-in IndexedDB cache of fetched API pages (rows stored PII-scrubbed)
+  pageCache: { enabled: false, ...PAGE_CACHE_DEFAULTS },
+  // Assessment comparison (baseline vs current)
+  comparison: {
+    imported: [], // assessments read from export JSON files (session only)
+    baseline: null,
+    current: null,
+    facility: null,
+  },
   perf: {
     enabled: PERF_DEBUG,
     startedAt: null,
@@ -230,6 +353,10 @@ const workerRuntime = {
   finalizePromise: null,
   finalizeResolve: null,
   finalizeReject: null,
+  lastCheckpoint: null, // { analyzers, ledger } posted by the worker for the current run
+  helpers: [], // extra analysis workers for pooled runs: { worker, ready }
+  runWorkers: [], // workers in the current run; [0] is the primary, which merges and finalizes
+  shardCheckpoints: null, // Map(worker -> { analyzers, ledger }) during pooled runs
 };
 
 // ---------- Timezones ----------
@@ -400,6 +527,11 @@ function resetAll() {
   state.detectedFacilities = [];
   state.facilityFilter = { selected: ['all'], campusMode: false };
   state.analyzers = null;
+  state.savedAssessmentId = null;
+  state.facilityResultSnapshot = null;
+  state.importedAssessment = null;
+  state.resumeCheckpoint = null;
+  state.rowFilterExcluded = {};
   facilityRegistry.clear();
   resetPerfStats();
   resetWorkerState();
@@ -420,6 +552,7 @@ function resetAll() {
   UI.exportDropdownTrigger.disabled = true;
   UI.cancelBtn.disabled = true;
   UI.runBtn.disabled = false;
+  UI.resumeRunBtn?.classList.add('hidden');
   if (UI.perfPanel && state.perf.enabled) {
     UI.perfPanel.textContent = 'Perf debug ready. Will populate when a run starts.';
   }
@@ -449,6 +582,10 @@ function setRunningUI(running) {
   state.running = running;
   UI.runBtn.disabled = running;
   UI.cancelBtn.disabled = !running;
+  if (UI.resumeRunBtn) {
+    UI.resumeRunBtn.classList.toggle('hidden', !state.resumeCheckpoint);
+    UI.resumeRunBtn.disabled = running;
+  }
   UI.startFreshBtn.disabled = running;
   UI.mockModeToggle.disabled = running;
   UI.downloadSummaryBtn.disabled = running || Object.keys(state.results).length === 0;
@@ -485,7 +622,7 @@ function initProgressUI(selectedReports, facilities) {
   selectedReports.forEach(report => {
     state.progress[report] = {};
     facilities.forEach(f => {
-      state.progress[report][f] = { page: 0, lastPage: 0, rowsProcessed: 0, status: 'queued', error: null };
+      state.progress[report][f] = { page: 0, lastPage: 0, rowsProcessed: 0, fetchedPages: 0, resumedPages: 0, status: 'queued', error: null };
     });
 
     const el = document.createElement('div');
@@ -497,7 +634,7 @@ function initProgressUI(selectedReports, facilities) {
         <b>${report}</b>
         <span class="progress-meta" data-meta="meta">queued</span>
       </div>
-      <div class="bar" aria-hidden="true"><span data-bar="bar"></span></div>
+      <div class="bar" aria-hidden="true"><span class="bar-resumed" data-bar="resumed"></span><span data-bar="bar"></span></div>
       <div class="facilities" data-facs="facs"></div>
     `;
 
@@ -521,11 +658,13 @@ function renderProgressNow(report) {
 
   const metaEl = reportEl.querySelector('[data-meta="meta"]');
   const barEl = reportEl.querySelector('[data-bar="bar"]');
+  const resumedBarEl = reportEl.querySelector('[data-bar="resumed"]');
 
   const facilities = Object.keys(state.progress[report] || {});
   let done = 0;
   let totalPages = 0;
   let donePages = 0;
+  let resumedPages = 0;
   let anyRunning = false;
   let anyError = false;
 
@@ -535,25 +674,31 @@ function renderProgressNow(report) {
     if (p.status === 'running') anyRunning = true;
     if (p.status === 'error') anyError = true;
     if (p.lastPage) totalPages += p.lastPage;
-    if (p.page) donePages += p.page;
+    // Resumed pages came from a checkpoint; fetched pages were downloaded in this attempt
+    const facDonePages = p.resumedPages || p.fetchedPages ? (p.resumedPages || 0) + (p.fetchedPages || 0) : (p.page || 0);
+    donePages += facDonePages;
+    resumedPages += p.resumedPages || 0;
 
     const pill = reportEl.querySelector(`.fac-pill[data-facility="${f}"]`);
     if (pill) {
       pill.dataset.status = p.status;
+      const resumedNote = p.resumedPages ? ` (${p.resumedPages} resumed)` : '';
       if (p.status === 'error') pill.textContent = `${f}: error`;
-      else if (p.status === 'done') pill.textContent = `${f}: done`;
-      else if (p.status === 'running') pill.textContent = `${f}: ${p.page || 0}/${p.lastPage || '?'} pages`;
-      else pill.textContent = `${f}: ${p.status}`;
+      else if (p.status === 'done') pill.textContent = `${f}: done${resumedNote}`;
+      else if (p.status === 'running') pill.textContent = `${f}: ${facDonePages}/${p.lastPage || '?'} pages${resumedNote}`;
+      else pill.textContent = `${f}: ${p.status}${resumedNote}`;
       if (p.status === 'error' && p.error) pill.title = p.error;
     }
   });
 
   const pct = totalPages > 0 ? Math.min(100, Math.round((donePages / totalPages) * 100)) : (done > 0 ? 100 : 0);
-  barEl.style.width = `${pct}%`;
+  const resumedPct = totalPages > 0 ? Math.min(pct, Math.round((resumedPages / totalPages) * 100)) : 0;
+  if (resumedBarEl) resumedBarEl.style.width = `${resumedPct}%`;
+  barEl.style.width = `${pct - resumedPct}%`;
 
   if (anyError) metaEl.textContent = `errors detected`;
   else if (done === facilities.length && facilities.length > 0) metaEl.textContent = `complete (${donePages}/${totalPages || donePages} pages)`;
-  else if (anyRunning) metaEl.textContent = `running (${donePages}/${totalPages || '?'} pages)`;
+  else if (anyRunning) metaEl.textContent = `running (${donePages}/${totalPages || '?'} pages${resumedPages ? `, ${resumedPages} resumed` : ''})`;
   else metaEl.textContent = `queued`;
 }
 
@@ -736,17 +881,25 @@ function recordRender(ms) {
 // ---------- Main-thread ingestion helper (yields to keep UI responsive) ----------
 const MAIN_THREAD_INGEST_CHUNK = 200;  // Reduced chunk size for better responsiveness
 
-async function ingestRowsChunked({ rows, report, timezone, analyzer, onWarning, signal, facility }) {
+async function ingestRowsChunked({ rows, report, timezone, analyzer, onWarning, signal, facility, excludeRow, piiScrubber }) {
   const incoming = Array.isArray(rows) ? rows : [];
   let processed = 0;
+  let filtered = 0;
+  let complete = true;
   const t0 = state.perf.enabled ? performance.now() : 0;
 
   for (let start = 0; start < incoming.length; start += MAIN_THREAD_INGEST_CHUNK) {
-    if (signal?.aborted) break;
+    if (signal?.aborted) {
+      complete = false;
+      break;
+    }
     const end = Math.min(incoming.length, start + MAIN_THREAD_INGEST_CHUNK);
     for (let i = start; i < end; i++) {
-      const normalized = normalizeRowStrict(incoming[i], { report, timezone, onWarning });
-      if (normalized) {
+      const normalized = normalizeRowStrict(incoming[i], { report, timezone, onWarning, piiScrubber });
+      if (normalized) analyzer.tallyPiiScrubbed(normalized.flags.piiScrubbed);
+      if (normalized && excludeRow?.(normalized.row, report)) {
+        filtered++;
+      } else if (normalized) {
         // For API mode, inject facility into flags so analyzers can track per-facility metrics
         if (facility && normalized.flags) {
           normalized.flags.facility = facility;
@@ -760,10 +913,15 @@ async function ingestRowsChunked({ rows, report, timezone, analyzer, onWarning,
   }
 
   const dt = state.perf.enabled ? (performance.now() - t0) : 0;
-  return { processed, durationMs: dt };
+  return { processed, filtered, durationMs: dt, complete };
 }
 
-function createMainThreadIngestQueue({ analyzers, timezone, onWarning, signal }) {
+/**
+ * Sequential ingestion queue for main-thread analysis.
+ * onIngested fires after a page is fully ingested and before the next one starts,
+ * so analyzer state and the page ledger can be checkpointed together.
+ */
+function createMainThreadIngestQueue({ analyzers, timezone, onWarning, signal, onIngested, excludeRow = null, piiScrubber }) {
   // Use a bounded queue instead of unbounded array
   const MAX_PENDING = 8;  // Max pending ingestion tasks
   let pendingCount = 0;
@@ -780,7 +938,7 @@ function createMainThreadIngestQueue({ analyzers, timezone, onWarning, signal })
     }
   };
 
-  const enqueue = async ({ report, rows, facility }) => {
+  const enqueue = async ({ report, rows, facility, page, lastPage }) => {
     const analyzer = analyzers?.[report];
     if (!analyzer) return null;
 
@@ -800,7 +958,12 @@ function createMainThreadIngestQueue({ analyzers, timezone, onWarning, signal })
         return { processed: 0, durationMs: 0 };
       }
       try {
-        return await ingestRowsChunked({ rows, report, timezone, analyzer, onWarning, signal, facility });
+        const result = await ingestRowsChunked({ rows, report, timezone, analyzer, onWarning, signal, facility, excludeRow, piiScrubber });
+        recordFilteredRows(report, result.filtered);
+        if (result.complete) {
+          onIngested?.({ report, facility, page, lastPage, rowCount: Array.isArray(rows) ? rows.length : 0 });
+        }
+        return result;
       } finally {
         pendingCount--;
         completedCount++;
@@ -824,7 +987,14 @@ function createMainThreadIngestQueue({ analyzers, timezone, onWarning, signal })
     return drainPromise;
   };
 
-  return { enqueue, drain };
+  // Run fn between ingestion tasks (never while a page is half-ingested)
+  const exclusive = (fn) => {
+    const task = currentChain.then(fn);
+    currentChain = task.catch(() => {});
+    return task;
+  };
+
+  return { enqueue, drain, exclusive };
 }
 
 // ---------- Worker helpers ----------
@@ -852,19 +1022,46 @@ async function waitForWorkerReady(timeoutMs = WORKER_READY_TIMEOUT_MS) {
 function handleWorkerMessage(event) {
   const data = event.data || {};
   switch (data.type) {
-    case 'WORKER_READY':
+    case 'WORKER_READY': {
+      const helper = findHelperWorker(event.target);
+      if (helper) {
+        helper.ready = true;
+        break;
+      }
       workerRuntime.ready = true;
       workerRuntime.fallbackReason = null;
       updateWorkerStatus('Web Worker ready (keeps UI responsive).');
       break;
+    }
     case 'PROGRESS':
       if (data.runId !== workerRuntime.currentRunId) return;
       if (Array.isArray(data.warningsDelta)) data.warningsDelta.forEach(addWarning);
+      recordFilteredRows(data.report, data.rowsFilteredDelta);
       if (state.progress?.[data.report]?.[data.facility]) {
         state.progress[data.report][data.facility].rowsProcessed = data.totalRowsProcessed;
         scheduleProgressRender(data.report);
       }
       break;
+    case 'CSV_PROGRESS':
+      if (data.runId !== workerRuntime.currentRunId) return;
+      if (Array.isArray(data.warningsDelta)) data.warningsDelta.forEach(addWarning);
+      if (data.progress?.report) {
+        state.csvProgress[data.progress.report] = data.progress;
+        renderCSVProgressUI();
+      }
+      break;
+    case 'CSV_FILE_STATUS':
+      if (data.runId !== workerRuntime.currentRunId) return;
+      state.csvImportState?.updateFile(data.fileId, data.updates);
+      break;
+    case 'CHECKPOINT':
+      if (data.runId !== workerRuntime.currentRunId) return;
+      if (workerRuntime.shardCheckpoints) {
+        workerRuntime.shardCheckpoints.set(event.target, { analyzers: data.analyzers, ledger: data.ledger });
+      } else {
+        workerRuntime.lastCheckpoint = { analyzers: data.analyzers, ledger: data.ledger };
+      }
+      break;
     case 'PARTIAL_RESULT':
       if (data.runId !== workerRuntime.currentRunId) return;
       if (data.results && state.running) {
@@ -891,24 +1088,93 @@ function handleWorkerMessage(event) {
       workerRuntime.finalizeResolve = null;
       workerRuntime.finalizeReject = null;
       break;
-    case 'ERROR':
+    case 'ERROR': {
       addWarning(`Worker error: ${data.message || data.errorCode || 'unknown'}`);
       if (data.runId && data.runId === workerRuntime.currentRunId) {
-        workerRuntime.finalizeReject?.(new Error(data.message || 'Worker error'));
-        workerRuntime.currentRunId = null;
-        workerRuntime.finalizePromise = null;
-        workerRuntime.finalizeResolve = null;
-        workerRuntime.finalizeReject = null;
+        failWorkerRun(data.message || 'Worker error');
+      }
+      // A failed pool worker is replaced next time; the primary stays usable
+      const helper = findHelperWorker(event.target);
+      if (helper) {
+        dropHelperWorker(helper);
+        break;
       }
+      // A CDN miss for the CSV parser only affects that run; the worker itself is fine
+      if (data.errorCode === 'csv_unavailable') break;
       workerRuntime.fallbackReason = data.message || data.errorCode || 'worker error';
       workerRuntime.ready = false;
       updateWorkerStatus('Worker unavailable; falling back to main thread.');
       break;
+    }
     default:
       break;
   }
 }
 
+function failWorkerRun(message) {
+  const currentRunId = workerRuntime.currentRunId;
+  workerRuntime.currentRunId = null;
+  workerRuntime.finalizeReject?.(new Error(message));
+  workerRuntime.finalizePromise = null;
+  workerRuntime.finalizeResolve = null;
+  workerRuntime.finalizeReject = null;
+  // Other pool workers may still be ingesting their shards
+  for (const worker of workerRuntime.runWorkers.slice(1)) {
+    worker.postMessage({ type: 'CANCEL', runId: currentRunId });
+  }
+}
+
+function findHelperWorker(worker) {
+  return workerRuntime.helpers.find(h => h.worker === worker) || null;
+}
+
+function dropHelperWorker(helper) {
+  helper.worker.terminate();
+  workerRuntime.helpers = workerRuntime.helpers.filter(h => h !== helper);
+}
+
+function spawnHelperWorker() {
+  try {
+    const helper = { worker: new Worker(new URL('./analysis.worker.js', import.meta.url), { type: 'module' }), ready: false };
+    helper.worker.onmessage = handleWorkerMessage;
+    helper.worker.onerror = (err) => {
+      addWarning(`Pool worker error: ${err?.message || err}`);
+      const inRun = workerRuntime.currentRunId && workerRuntime.runWorkers.includes(helper.worker);
+      dropHelperWorker(helper);
+      if (inRun) failWorkerRun(err?.message || 'Pool worker error');
+    };
+    return helper;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Start (or reuse) helper workers for a pooled run.
+ * Resolves with how many of the requested helpers finished their handshake in time.
+ */
+async function ensureHelperWorkers(count, timeoutMs = WORKER_READY_TIMEOUT_MS) {
+  while (workerRuntime.helpers.length < count) {
+    const helper = spawnHelperWorker();
+    if (!helper) break;
+    workerRuntime.helpers.push(helper);
+  }
+  const readyCount = () => workerRuntime.helpers.filter(h => h.ready).length;
+  const start = Date.now();
+  while (readyCount() < count && Date.now() - start < timeoutMs) {
+    await new Promise(resolve => setTimeout(resolve, 30));
+  }
+  return Math.min(count, readyCount());
+}
+
+/**
+ * Helper workers to add for a run of this size (0 when one worker is enough).
+ */
+async function helperWorkersFor({ shardCount, estimatedRows }) {
+  const size = resolvePoolSize({ hardwareConcurrency: navigator.hardwareConcurrency, shardCount, estimatedRows });
+  return size > 1 ? ensureHelperWorkers(size - 1) : 0;
+}
+
 function initWorker() {
   if (!workerRuntime.supported) {
     workerRuntime.fallbackReason = 'Web Worker not supported';
@@ -938,35 +1204,96 @@ function shouldUseWorker() {
   return workerRuntime.supported && workerRuntime.preferred && workerRuntime.ready && !workerRuntime.fallbackReason;
 }
 
-function beginWorkerRun(config) {
+/**
+ * Start a run on the primary worker, plus `helperCount` ready helper workers for
+ * a pooled run. Returns { runId, finalizePromise, workers } (workers[0] is the primary).
+ */
+function beginWorkerRun(config, helperCount = 0) {
   if (!shouldUseWorker() || !workerRuntime.worker) return null;
 
   const runId = `run_${Date.now()}_${Math.random().toString(16).slice(2)}`;
+  const helpers = workerRuntime.helpers.filter(h => h.ready).slice(0, helperCount).map(h => h.worker);
+  const pooled = helpers.length > 0;
   workerRuntime.currentRunId = runId;
+  workerRuntime.lastCheckpoint = null;
+  workerRuntime.runWorkers = [workerRuntime.worker, ...helpers];
+  workerRuntime.shardCheckpoints = pooled ? new Map() : null;
   workerRuntime.finalizePromise = new Promise((resolve, reject) => {
     workerRuntime.finalizeResolve = resolve;
     workerRuntime.finalizeReject = reject;
   });
 
-  workerRuntime.worker.postMessage({ type: 'INIT_RUN', runId, ...config });
-  return { runId, finalizePromise: workerRuntime.finalizePromise };
+  if (!pooled) {
+    workerRuntime.worker.postMessage({ type: 'INIT_RUN', runId, ...config });
+  } else {
+    // Only the primary continues from a resumed checkpoint; helpers start empty
+    const { resumeAnalyzers, resumeLedger, ...shardConfig } = config;
+    if (resumeAnalyzers) {
+      workerRuntime.shardCheckpoints.set(workerRuntime.worker, { analyzers: resumeAnalyzers, ledger: resumeLedger });
+    }
+    workerRuntime.worker.postMessage({ type: 'INIT_RUN', runId, ...config, shardRole: 'merge', partialResults: false });
+    for (const worker of helpers) {
+      worker.postMessage({ type: 'INIT_RUN', runId, ...shardConfig, shardRole: 'shard', partialResults: false });
+    }
+  }
+  return { runId, finalizePromise: workerRuntime.finalizePromise, workers: workerRuntime.runWorkers.slice() };
+}
+
+/**
+ * Pooled runs: collect every worker's state and have the primary merge and
+ * finalize (see mergeShardStates; FINAL_RESULT settles finalizePromise).
+ *
+ * @returns {Promise<Object[]>} SHARD_STATE payloads, one per worker
+ */
+async function mergePooledWorkerRun(runId, { requestState = false, timeoutMs = 0 } = {}) {
+  const states = await mergeShardStates({
+    workers: workerRuntime.runWorkers,
+    runId,
+    requestState,
+    stopped: workerRuntime.finalizePromise, // only settles before the merge on error/cancel
+    timeoutMs,
+  });
+  states.forEach(s => (s.warnings || []).forEach(addWarning));
+  return states;
 }
 
-function finalizeWorkerRun(runId, timeoutMs = 30000) {
-  if (!runId || !workerRuntime.worker || !workerRuntime.finalizePromise) return Promise.reject(new Error('Worker not ready'));
-  workerRuntime.worker.postMessage({ type: 'FINALIZE', runId });
+async function finalizeWorkerRun(runId, timeoutMs = 30000) {
+  if (!runId || !workerRuntime.worker || !workerRuntime.finalizePromise) throw new Error('Worker not ready');
+  const finalizePromise = workerRuntime.finalizePromise;
+  if (workerRuntime.runWorkers.length > 1) {
+    await mergePooledWorkerRun(runId, { requestState: true, timeoutMs });
+  } else {
+    workerRuntime.worker.postMessage({ type: 'FINALIZE', runId });
+  }
 
   // Add timeout to prevent hanging if worker doesn't respond
+  let timer = null;
   const timeoutPromise = new Promise((_, reject) => {
-    setTimeout(() => reject(new Error('Worker finalize timed out')), timeoutMs);
+    timer = setTimeout(() => reject(new Error('Worker finalize timed out')), timeoutMs);
   });
 
-  return Promise.race([workerRuntime.finalizePromise, timeoutPromise]);
+  try {
+    return await Promise.race([finalizePromise, timeoutPromise]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Latest resumable worker state for the current run; pooled runs combine the
+ * checkpoint of each worker.
+ */
+function currentWorkerCheckpoint() {
+  const shards = workerRuntime.shardCheckpoints;
+  if (!shards) return workerRuntime.lastCheckpoint;
+  return shards.size ? mergeShardCheckpoints([...shards.values()]) : null;
 }
 
 function cancelWorkerRun(reason = 'cancelled') {
-  if (workerRuntime.currentRunId && workerRuntime.worker) {
-    workerRuntime.worker.postMessage({ type: 'CANCEL', runId: workerRuntime.currentRunId });
+  if (workerRuntime.currentRunId) {
+    for (const worker of workerRuntime.runWorkers) {
+      worker.postMessage({ type: 'CANCEL', runId: workerRuntime.currentRunId });
+    }
   }
   workerRuntime.currentRunId = null;
   if (workerRuntime.finalizeReject) workerRuntime.finalizeReject(new Error(reason));
@@ -979,7 +1306,10 @@ function resetWorkerState() {
   if (workerRuntime.worker) {
     workerRuntime.worker.postMessage({ type: 'RESET' });
   }
+  for (const helper of workerRuntime.helpers) helper.worker.postMessage({ type: 'RESET' });
   workerRuntime.currentRunId = null;
+  workerRuntime.runWorkers = [];
+  workerRuntime.shardCheckpoints = null;
   workerRuntime.finalizePromise = null;
   workerRuntime.finalizeResolve = null;
   workerRuntime.finalizeReject = null;
@@ -1048,9 +1378,14 @@ function renderAllResults() {
 
   // Determine mode badge
   const isCSVMode = inputs.csvMode === true;
-  const modeBadge = isCSVMode ? 'CSV Import' : (state.mockMode ? 'Mock mode' : 'Live API');
-  const modeBadgeClass = isCSVMode ? 'yellow' : (state.mockMode ? 'yellow' : 'green');
-  const csvTooltip = isCSVMode ? 'CSV mode limitations:\n• Detention "prevented" counts may be unavailable\n• Date/time values use the selected timezone' : '';
+  let modeBadge = isCSVMode ? 'CSV Import' : (state.mockMode ? 'Mock mode' : 'Live API');
+  let modeBadgeClass = isCSVMode ? 'yellow' : (state.mockMode ? 'yellow' : 'green');
+  let csvTooltip = isCSVMode ? 'CSV mode limitations:\n• Detention "prevented" counts may be unavailable\n• Date/time values use the selected timezone' : '';
+  if (state.importedAssessment) {
+    modeBadge = 'Imported (read-only)';
+    modeBadgeClass = 'info';
+    csvTooltip = escapeHtml(`Opened from ${state.importedAssessment.fileName}${state.importedAssessment.exportedAt ? `, exported ${state.importedAssessment.exportedAt}` : ''}.\nDrill-down records are not included in exports.`);
+  }
 
   // For CSV mode, use detected facilities; for API mode, use input facilities
   const facilitiesForDisplay = isCSVMode ? state.detectedFacilities : inputs.facilities;
@@ -1097,6 +1432,10 @@ function renderAllResults() {
   // Create getFacilityResult function for per-facility tabbed results
   const getFacilityResult = (report, facility) => {
     try {
+      // Reopened saved assessments carry per-facility results instead of live analyzers
+      const snapshot = state.facilityResultSnapshot?.[report]?.[facility];
+      if (snapshot) return presentable(snapshot);
+
       const analyzer = state.analyzers?.[report];
       if (!analyzer) {
         console.warn(`No analyzer found for report: ${report}`);
@@ -1126,7 +1465,7 @@ function renderAllResults() {
       if (!result) {
         console.warn(`finalizeFacility returned null for ${facility} in ${report}`);
       }
-      return result;
+      return presentable(result);
 
     } catch (error) {
       console.error(`Error getting facility result for ${facility} in ${report}:`, error);
@@ -1134,8 +1473,11 @@ function renderAllResults() {
     }
   };
 
+  // Everything below renders from the pseudonymized copy when that mode is on
+  const results = presentedResults();
+
   reports.forEach(report => {
-    const result = state.results[report];
+    const result = results[report];
     const card = renderReportResult({
       report,
       result,
@@ -1171,7 +1513,7 @@ function renderAllResults() {
             timezone: inputs.timezone,
             assumptions: inputs.assumptions,
           };
-          return analyzer.finalizeMultiFacility(facilityNames, meta);
+          return presentable(analyzer.finalizeMultiFacility(facilityNames, meta));
         } catch (e) {
           console.error(`Error in finalizeMultiFacility for ${report}:`, e);
           return null;
@@ -1181,11 +1523,45 @@ function renderAllResults() {
     root.appendChild(card);
   });
 
+  // Carrier scorecard: detention, trailer and inventory results joined by SCAC
+  const scorecardSection = renderCarrierScorecard({
+    results,
+    facilities: state.detectedFacilities,
+    getFacilityResult,
+    enableDrilldown: state.enableDrilldown,
+    onDownloadCsv: downloadCarrierScorecard,
+  });
+  if (scorecardSection) root.appendChild(scorecardSection);
+
+  // Trailer journeys: per-visit timelines joined across reports (when the run tracked them)
+  const journeysSection = renderTrailerJourneys({
+    results,
+    facilities: state.detectedFacilities,
+    timezone: inputs.timezone,
+    dateRange: { startDate: inputs.startDate, endDate: inputs.endDate },
+    onDownloadCsv: downloadTrailerJourneys,
+    onWarning: addWarning,
+  });
+  if (journeysSection) root.appendChild(journeysSection);
+
+  // Driver leaderboard: per-driver profiles from driver history
+  const driverSection = renderDriverProfiles({
+    results,
+    facilities: state.detectedFacilities,
+    getFacilityResult,
+    onDownloadCsv: downloadDriverLeaderboard,
+  });
+  if (driverSection) root.appendChild(driverSection);
+
+  // PII scrubbing audit: counts of what the run's rules removed
+  const piiAuditSection = renderPiiAudit({ results, rules: inputs.piiRules || DEFAULT_PII_RULES });
+  if (piiAuditSection) root.appendChild(piiAuditSection);
+
   // Render Facility Comparisons section if multi-facility detected
   if (state.isMultiFacility && state.detectedFacilities.length >= 2) {
     const comparisonSection = renderFacilityComparisons({
       facilities: state.detectedFacilities,
-      results: state.results,
+      results,
       chartRegistry: state.chartRegistry,
       getFacilityResult: (report, facility) => getFacilityResult(report, facility),
     });
@@ -1243,11 +1619,236 @@ function escapeHtml(s) {
     .replaceAll("'", '&#039;');
 }
 
+// ---------- Row filters ----------
+function recordFilteredRows(report, count) {
+  if (!report || !count) return;
+  state.rowFilterExcluded[report] = (state.rowFilterExcluded[report] || 0) + count;
+}
+
+/**
+ * Keeps the run's excluded-row counts with its inputs (for exports) and tells
+ * the user how many rows the row filters left out.
+ */
+function reportRowFilterExclusions() {
+  if (!state.inputs?.rowFilters?.length) return;
+  const excluded = { ...state.rowFilterExcluded };
+  state.inputs.rowFiltersExcluded = excluded;
+  const total = Object.values(excluded).reduce((sum, n) => sum + n, 0);
+  const perReport = Object.entries(excluded)
+    .filter(([, n]) => n > 0)
+    .map(([report, n]) => `${REPORT_TYPE_LABELS[report] || report} ${n.toLocaleString()}`)
+    .join(', ');
+  addWarning(total > 0
+    ? `Row filters excluded ${total.toLocaleString()} row(s) before analysis (${perReport}).`
+    : 'Row filters matched no rows; nothing was excluded.');
+}
+
+function renderRowFilters() {
+  if (!UI.rowFiltersList) return;
+  const reportOptions = [['all', 'All reports'], ...Object.entries(REPORT_TYPE_LABELS)];
+  UI.rowFiltersList.innerHTML = state.rowFilters.map((filter, index) => {
+    const fields = filterFieldsFor(filter.report);
+    const options = (pairs, selected) => pairs
+      .map(([value, label]) => `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`)
+      .join('');
+    return `
+      <div class="row-filter" data-index="${index}">
+        <span class="row-filter-verb">Exclude</span>
+        <select data-setting="report" aria-label="Report">${options(reportOptions, filter.report)}</select>
+        <select data-setting="field" aria-label="Field">${options(fields.map(f => [f, f]), filter.field)}</select>
+        <select data-setting="operator" aria-label="Operator">${options(Object.entries(FILTER_OPERATORS), filter.operator)}</select>
+        <input data-setting="value" type="text" aria-label="Value" value="${escapeHtml(filter.value)}"
+          placeholder="${filter.operator === 'in' ? 'e.g. TEST, XXXX' : 'Value'}"${operatorTakesValue(filter.operator) ? '' : ' class="hidden"'} />
+        <button class="btn btn-ghost" type="button" data-action="remove" title="Remove filter">✕</button>
+      </div>
+    `;
+  }).join('');
+}
+
+function onRowFilterChange(e) {
+  const control = e.target.closest('[data-setting]');
+  const row = e.target.closest('.row-filter');
+  if (!control || !row) return;
+  const filter = state.rowFilters[Number(row.dataset.index)];
+  if (!filter) return;
+  filter[control.dataset.setting] = control.value;
+  // Typing a value needs no re-render (it would drop focus)
+  if (control.dataset.setting === 'value') return;
+  if (control.dataset.setting === 'report') {
+    const fields = filterFieldsFor(filter.report);
+    if (!fields.includes(filter.field)) filter.field = fields[0] || '';
+  }
+  renderRowFilters();
+}
+
+function initRowFilters() {
+  UI.addRowFilterBtn?.addEventListener('click', () => {
+    const fields = filterFieldsFor('all');
+    state.rowFilters.push({ report: 'all', field: fields.includes('scac') ? 'scac' : fields[0], operator: 'in', value: '' });
+    renderRowFilters();
+  });
+  UI.rowFiltersList?.addEventListener('change', onRowFilterChange);
+  UI.rowFiltersList?.addEventListener('input', onRowFilterChange);
+  UI.rowFiltersList?.addEventListener('click', (e) => {
+    const row = e.target.closest('.row-filter');
+    if (!row || !e.target.closest('button[data-action="remove"]')) return;
+    state.rowFilters.splice(Number(row.dataset.index), 1);
+    renderRowFilters();
+  });
+  renderRowFilters();
+}
+
+// ---------- Shifts ----------
+/**
+ * Shift definitions for a run, trimmed. Validated with the other inputs.
+ */
+function readShifts() {
+  return state.shifts.map(s => ({ name: s.name.trim(), start: s.start, end: s.end }));
+}
+
+function matchingShiftPreset() {
+  const current = JSON.stringify(readShifts());
+  return Object.keys(SHIFT_PRESETS).find(key => JSON.stringify(SHIFT_PRESETS[key].shifts) === current) || 'custom';
+}
+
+function showShiftErrors() {
+  if (!UI.shiftsError) return;
+  const errors = validateShifts(readShifts());
+  UI.shiftsError.textContent = errors.join(' ');
+  UI.shiftsError.classList.toggle('hidden', errors.length === 0);
+}
+
+function renderShifts() {
+  if (!UI.shiftsList) return;
+  UI.shiftsList.innerHTML = state.shifts.map((shift, index) => `
+    <div class="shift-row" data-index="${index}">
+      <input data-setting="name" type="text" aria-label="Shift name" value="${escapeHtml(shift.name)}" placeholder="Shift name" />
+      <input data-setting="start" type="time" aria-label="Start" value="${escapeHtml(shift.start)}" />
+      <span class="shift-row-sep">to</span>
+      <input data-setting="end" type="time" aria-label="End" value="${escapeHtml(shift.end)}" />
+      <button class="btn btn-ghost" type="button" data-action="remove" title="Remove shift">✕</button>
+    </div>
+  `).join('');
+  if (UI.shiftPresetSelect) UI.shiftPresetSelect.value = matchingShiftPreset();
+  showShiftErrors();
+}
+
+function onShiftChange(e) {
+  const control = e.target.closest('[data-setting]');
+  const row = e.target.closest('.shift-row');
+  if (!control || !row) return;
+  const shift = state.shifts[Number(row.dataset.index)];
+  if (!shift) return;
+  shift[control.dataset.setting] = control.value;
+  // No re-render while editing (it would drop focus)
+  if (UI.shiftPresetSelect) UI.shiftPresetSelect.value = matchingShiftPreset();
+  showShiftErrors();
+}
+
+function initShifts() {
+  if (UI.shiftPresetSelect) {
+    UI.shiftPresetSelect.innerHTML = [
+      ...Object.entries(SHIFT_PRESETS).map(([key, preset]) => `<option value="${key}">${escapeHtml(preset.label)}</option>`),
+      '<option value="custom">Custom</option>',
+    ].join('');
+    UI.shiftPresetSelect.addEventListener('change', () => {
+      const preset = SHIFT_PRESETS[UI.shiftPresetSelect.value];
+      if (!preset) return;
+      state.shifts = preset.shifts.map(s => ({ ...s }));
+      renderShifts();
+    });
+  }
+  UI.addShiftBtn?.addEventListener('click', () => {
+    state.shifts.push({ name: `Shift ${state.shifts.length + 1}`, start: '', end: '' });
+    renderShifts();
+  });
+  UI.shiftsList?.addEventListener('input', onShiftChange);
+  UI.shiftsList?.addEventListener('click', (e) => {
+    const row = e.target.closest('.shift-row');
+    if (!row || !e.target.closest('button[data-action="remove"]')) return;
+    state.shifts.splice(Number(row.dataset.index), 1);
+    renderShifts();
+  });
+  renderShifts();
+}
+
+// ---------- PII rules ----------
+/**
+ * PII rules for a run, trimmed. Validated with the other inputs.
+ */
+function readPiiRules() {
+  return state.piiRules.map(r => ({ ...r, label: String(r.label).trim(), pattern: String(r.pattern).trim() }));
+}
+
+function showPiiRuleErrors() {
+  if (!UI.piiRulesError) return;
+  const errors = validatePiiRules(readPiiRules());
+  UI.piiRulesError.textContent = errors.join(' ');
+  UI.piiRulesError.classList.toggle('hidden', errors.length === 0);
+}
+
+function renderPiiRules() {
+  if (!UI.piiRulesList) return;
+  const builtIn = new Set(DEFAULT_PII_RULES.map(r => r.id));
+  UI.piiRulesList.innerHTML = state.piiRules.map((rule, index) => {
+    const locked = rule.id === LOCKED_PII_RULE_ID;
+    // Built-in rules can only be switched on or off; custom rules are fully editable
+    const fixed = builtIn.has(rule.id) ? 'disabled' : '';
+    return `
+      <div class="pii-rule-row" data-index="${index}">
+        <input data-setting="enabled" type="checkbox" aria-label="Enabled" ${rule.enabled ? 'checked' : ''} ${locked ? 'disabled title="Phone and cell fields are always scrubbed"' : ''} />
+        <input data-setting="label" type="text" aria-label="Rule name" value="${escapeHtml(rule.label)}" placeholder="Rule name" ${fixed} />
+        <select data-setting="target" aria-label="Matches" ${fixed}>
+          ${Object.entries(PII_RULE_TARGETS).map(([key, label]) => `<option value="${key}" ${rule.target === key ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+        </select>
+        <input data-setting="pattern" type="text" class="pii-rule-pattern" aria-label="Pattern" value="${escapeHtml(rule.pattern)}" placeholder="Regular expression" spellcheck="false" ${fixed} />
+        ${builtIn.has(rule.id) ? '' : '<button class="btn btn-ghost" type="button" data-action="remove" title="Remove rule">✕</button>'}
+      </div>
+    `;
+  }).join('');
+  showPiiRuleErrors();
+}
+
+function onPiiRuleChange(e) {
+  const control = e.target.closest('[data-setting]');
+  const row = e.target.closest('.pii-rule-row');
+  if (!control || !row) return;
+  const rule = state.piiRules[Number(row.dataset.index)];
+  if (!rule) return;
+  const setting = control.dataset.setting;
+  rule[setting] = setting === 'enabled' ? control.checked : control.value;
+  // No re-render while editing (it would drop focus)
+  showPiiRuleErrors();
+}
+
+function initPiiRules() {
+  UI.addPiiRuleBtn?.addEventListener('click', () => {
+    const taken = new Set(state.piiRules.map(r => r.id));
+    let n = 1;
+    while (taken.has(`custom_${n}`)) n++;
+    state.piiRules.push({ id: `custom_${n}`, label: `Custom rule ${n}`, target: 'value', pattern: '', enabled: true });
+    renderPiiRules();
+  });
+  UI.piiRulesList?.addEventListener('input', onPiiRuleChange);
+  UI.piiRulesList?.addEventListener('change', onPiiRuleChange);
+  UI.piiRulesList?.addEventListener('click', (e) => {
+    const row = e.target.closest('.pii-rule-row');
+    if (!row || !e.target.closest('button[data-action="remove"]')) return;
+    state.piiRules.splice(Number(row.dataset.index), 1);
+    renderPiiRules();
+  });
+  renderPiiRules();
+}
+
 // ---------- Validation ----------
 function validateInputs(inputs) {
   if (!inputs.tenant || !/^[a-z0-9-]+$/i.test(inputs.tenant)) {
     return 'Tenant must be a non-empty subdomain (letters/numbers/dash).';
   }
+  const shiftErrors = validateShifts(inputs.shifts || []);
+  if (shiftErrors.length) return `Shifts: ${shiftErrors[0]}`;
+  const piiRuleErrors = validatePiiRules(inputs.piiRules || []);
+  if (piiRuleErrors.length) return `PII rules: ${piiRuleErrors[0]}`;
 
   // CSV mode validation
   if (state.dataSource === 'csv') {
@@ -1280,6 +1881,7 @@ function readAssumptions() {
   const targetMoves = UI.assumptionTargetMoves.value.trim();
   const targetTurnsPerDoor = UI.assumptionTargetTurnsPerDoor?.value?.trim();
   const costPerDockHour = UI.assumptionCostPerDockHour?.value?.trim();
+  const dockOperatingHours = UI.assumptionDockOperatingHours?.value?.trim();
 
   return {
     detention_cost_per_hour: detention ? Number(detention) : null,
@@ -1287,6 +1889,7 @@ function readAssumptions() {
     target_moves_per_driver_per_day: targetMoves ? Number(targetMoves) : null,
     target_turns_per_door_per_day: targetTurnsPerDoor ? Number(targetTurnsPerDoor) : null,
     cost_per_dock_door_hour: costPerDockHour ? Number(costPerDockHour) : null,
+    dock_operating_hours_per_day: dockOperatingHours ? Number(dockOperatingHours) : null,
   };
 }
 
@@ -1299,24 +1902,36 @@ function canComputeROI(a) {
 }
 
 // ---------- Run assessment ----------
-async function runAssessment() {
+/**
+ * Run an API assessment.
+ * @param {Object} [options]
+ * @param {Object} [options.resume] - state.resumeCheckpoint to continue from; its inputs
+ *   are reused and only the token is read from the form
+ */
+async function runAssessment({ resume = null } = {}) {
   clearInputError();
   clearBanner();
   state.warnings = [];
   UI.warningsPanel.textContent = 'None.';
   updateWarningsBadge();
 
-  const inputs = {
-    tenant: UI.tenantInput.value.trim(),
-    token: UI.tokenInput.value, // read once; then keep in-memory only during run
-    facilities: parseFacilities(UI.facilitiesInput.value),
-    startDate: UI.startDateInput.value,
-    endDate: UI.endDateInput.value,
-    timezone: UI.timezoneSelect.value,
-    reports: getSelectedReports(),
-    assumptions: readAssumptions(),
-    mockMode: state.mockMode,
-  };
+  const inputs = resume
+    ? { ...resume.inputs, token: UI.tokenInput.value }
+    : {
+      tenant: UI.tenantInput.value.trim(),
+      token: UI.tokenInput.value, // read once; then keep in-memory only during run
+      facilities: parseFacilities(UI.facilitiesInput.value),
+      startDate: UI.startDateInput.value,
+      endDate: UI.endDateInput.value,
+      timezone: UI.timezoneSelect.value,
+      reports: getSelectedReports(),
+      assumptions: readAssumptions(),
+      rowFilters: sanitizeRowFilters(state.rowFilters),
+      shifts: readShifts(),
+      trackJourneys: !!UI.journeysToggle?.checked,
+      piiRules: readPiiRules(),
+      mockMode: state.mockMode,
+    };
 
   const err = validateInputs(inputs);
   if (err) {
@@ -1337,6 +1952,10 @@ async function runAssessment() {
     timezone: inputs.timezone,
     reports: inputs.reports,
     assumptions: inputs.assumptions,
+    rowFilters: inputs.rowFilters || [],
+    shifts: inputs.shifts,
+    trackJourneys: !!inputs.trackJourneys,
+    piiRules: inputs.piiRules || DEFAULT_PII_RULES,
     mockMode: inputs.mockMode,
   };
 
@@ -1349,6 +1968,11 @@ async function runAssessment() {
   state.timezone = inputs.timezone;
   state.resultsRenderThrottleMs = computeRenderThrottle(PARTIAL_EMIT_INTERVAL_MS_DEFAULT);
   state.facilityFilter = { selected: ['all'], campusMode: false };
+  state.savedAssessmentId = null;
+  state.facilityResultSnapshot = null;
+  state.importedAssessment = null;
+  state.resumeCheckpoint = null;
+  state.rowFilterExcluded = {};
 
   // Clear facility registry for fresh detection
   facilityRegistry.clear();
@@ -1359,9 +1983,30 @@ async function runAssessment() {
   state.etaTracker = createETATracker();
   state.etaTracker.start();
 
+  // Pages ingested so far (this attempt plus any resumed checkpoint), and the latest
+  // analyzer snapshot that matches it
+  const ledger = createPageLedger(resume?.ledger || null);
+  let lastCheckpoint = resume ? { analyzers: resume.analyzers, ledger: createPageLedger(resume.ledger) } : null;
+  let lastCheckpointAt = Date.now();
+
   initProgressUI(inputs.reports, inputs.facilities);
+  if (resume) {
+    for (const report of inputs.reports) {
+      for (const facility of inputs.facilities) {
+        const entry = resumeEntryFor(ledger, report, facility);
+        const p = state.progress[report]?.[facility];
+        if (!entry || !p) continue;
+        p.resumedPages = entry.done.length;
+        p.lastPage = entry.lastPage;
+        p.rowsProcessed = entry.rows;
+      }
+      scheduleProgressRender(report);
+    }
+  }
   setRunningUI(true);
-  setBanner('info', 'Running assessment… streaming pages, updating metrics, discarding raw rows.');
+  setBanner('info', resume
+    ? `Resuming assessment… ${summarizeLedger(ledger).donePages} pages restored from checkpoint, fetching the rest.`
+    : 'Running assessment… streaming pages, updating metrics, discarding raw rows.');
   flushProgressRender();
   flushResultsRender();
 
@@ -1373,9 +2018,12 @@ async function runAssessment() {
   state.currentRunId = assessmentRunId;
 
   const roiEnabled = canComputeROI(inputs.assumptions);
+  // Scrubs rows on this thread before they reach the worker, the page cache or main-thread analyzers
+  const piiScrubber = compilePiiRules(state.inputs.piiRules);
 
   let workerRun = null;
-  let workerBatcher = null;
+  let workerBatchers = []; // one per pool worker
+  let workerShards = null; // shard key -> index into workerBatchers
   let analyzers = null;
   let mainThreadIngest = null;
   let analysisMode = null; // 'worker' | 'main'
@@ -1410,6 +2058,12 @@ async function runAssessment() {
         if (ready) {
           // Get current backpressure config for worker settings
           const bpConfig = getConfig();
+          // Very large runs shard report/facility pairs across a pool of workers
+          const shardKeys = inputs.reports.flatMap(report => inputs.facilities.map(facility => shardKey(report, facility)));
+          const helperCount = await helperWorkersFor({
+            shardCount: shardKeys.length,
+            estimatedRows: (estimatedPages || 0) * sampleRowCount * shardKeys.length,
+          });
           workerRun = beginWorkerRun({
             timezone: inputs.timezone,
             startDate: inputs.startDate,
@@ -1421,23 +2075,33 @@ async function runAssessment() {
             roiEnabled,
             partialEmitIntervalMs: bpConfig.partialUpdateInterval,
             enableDrilldown: state.enableDrilldown,
-          });
+            resumeAnalyzers: resume?.analyzers || null,
+            resumeLedger: resume?.ledger || null,
+            rowFilters: state.inputs.rowFilters,
+            shifts: state.inputs.shifts,
+            trackJourneys: state.inputs.trackJourneys,
+            piiRules: state.inputs.piiRules,
+          }, helperCount);
           if (workerRun && workerRuntime.worker) {
-            workerBatcher = createWorkerBatcher({
+            workerBatchers = workerRun.workers.map(worker => createWorkerBatcher({
               runId: workerRun.runId,
               signal,
-              postMessage: (payload) => workerRuntime.worker?.postMessage(payload),
+              postMessage: (payload) => worker.postMessage(payload),
               maxBatchRows: bpConfig.batchSize,
-            });
+              piiScrubber,
+            }));
+            workerShards = planShards(shardKeys, workerBatchers.length);
             analysisMode = 'worker';
-            updateWorkerStatus('Web Worker active for this run.');
+            updateWorkerStatus(workerBatchers.length > 1
+              ? `${workerBatchers.length} Web Workers active for this run.`
+              : 'Web Worker active for this run.');
             return analysisMode;
           }
         }
         addWarning('Web Worker unavailable; using main-thread analysis.');
       }
 
-      analyzers = createAnalyzers({
+      const analyzerOptions = {
         timezone: inputs.timezone,
         startDate: inputs.startDate,
         endDate: inputs.endDate,
@@ -1445,7 +2109,12 @@ async function runAssessment() {
         onWarning: (w) => addWarning(w),
         isCSVMode: state.dataSource === 'csv',
         enableDrilldown: state.enableDrilldown,
-      });
+        shifts: inputs.shifts,
+        trackJourneys: !!inputs.trackJourneys,
+      };
+      analyzers = resume
+        ? { ...createAnalyzers(analyzerOptions), ...restoreAnalyzers(resume.analyzers, analyzerOptions) }
+        : createAnalyzers(analyzerOptions);
       // Store analyzers in state for facility result retrieval
       state.analyzers = analyzers;
       mainThreadIngest = createMainThreadIngestQueue({
@@ -1453,6 +2122,14 @@ async function runAssessment() {
         timezone: inputs.timezone,
         onWarning: addWarning,
         signal,
+        excludeRow: compileRowFilters(state.inputs.rowFilters),
+        piiScrubber,
+        onIngested: (page) => {
+          markPageIngested(ledger, page);
+          if (Date.now() - lastCheckpointAt < CHECKPOINT_INTERVAL_MS) return;
+          lastCheckpointAt = Date.now();
+          lastCheckpoint = { analyzers: serializeAnalyzers(analyzers), ledger: createPageLedger(ledger) };
+        },
       });
       analysisMode = 'main';
       return analysisMode;
@@ -1460,12 +2137,17 @@ async function runAssessment() {
     return analysisInitPromise;
   };
 
+  const pageCache = (state.pageCache.enabled && !state.mockMode && isPageCacheAvailable())
+    ? createPageCache({ ...state.pageCache, onWarning: addWarning, piiScrubber })
+    : null;
+
   const apiRunner = createApiRunner({
     tenant: inputs.tenant,
     tokenGetter: () => state.token, // token remains in-memory only
     mockMode: state.mockMode,
     signal,
-    onProgress: ({ report, facility, page, lastPage, rowsProcessed }) => {
+    pageCache,
+    onProgress: ({ report, facility, page, lastPage, rowsProcessed, resumedPages = 0, resumed = false }) => {
       if (state.currentRunId !== assessmentRunId) return; // Cancelled
       const p = state.progress?.[report]?.[facility];
       if (!p) return;
@@ -1473,11 +2155,13 @@ async function runAssessment() {
       p.page = page;
       p.lastPage = lastPage;
       p.rowsProcessed = rowsProcessed;
+      p.resumedPages = resumedPages;
+      if (!resumed) p.fetchedPages++;
 
-      // Update ETA tracker
+      // Update ETA tracker (resumed pages are already done, so they don't count toward the estimate)
       if (state.etaTracker) {
-        state.etaTracker.setTotalPages(report, facility, lastPage);
-        state.etaTracker.recordPageComplete(report, facility);
+        state.etaTracker.setTotalPages(report, facility, Math.max(0, lastPage - resumedPages));
+        if (!resumed) state.etaTracker.recordPageComplete(report, facility);
       }
 
       scheduleProgressRender(report);
@@ -1511,6 +2195,7 @@ async function runAssessment() {
       startDate: inputs.startDate,
       endDate: inputs.endDate,
       timezone: inputs.timezone,
+      resume: resume?.ledger || null,
       onRows: async ({ report, facility, page, lastPage, rows, runId: pageRunId }) => {
         // Check cancellation via runId
         if (state.currentRunId !== assessmentRunId) return;
@@ -1518,8 +2203,9 @@ async function runAssessment() {
 
         const mode = await ensureAnalysisMode({ lastPage, sampleRowCount: Array.isArray(rows) ? rows.length : 0 });
 
-        if (mode === 'worker' && workerBatcher) {
-          await workerBatcher.enqueue({ report, facility, page, lastPage, rows });
+        if (mode === 'worker' && workerBatchers.length) {
+          const batcher = workerBatchers[workerShards.get(shardKey(report, facility)) ?? 0];
+          await batcher.enqueue({ report, facility, page, lastPage, rows });
           return;
         }
 
@@ -1528,7 +2214,7 @@ async function runAssessment() {
 
         // Stream/aggregate pattern: process rows immediately and discard page data
         // Pass facility to enable per-facility tracking in API mode
-        const task = mainThreadIngest?.enqueue({ report, rows, facility });
+        const task = mainThreadIngest?.enqueue({ report, rows, facility, page, lastPage });
         if (task) {
           try {
             const parseStart = performance.now();
@@ -1551,13 +2237,18 @@ async function runAssessment() {
       }
     });
 
+    if (pageCache?.stats.hits) {
+      addWarning(`Used ${pageCache.stats.hits} cached page(s) from a previous run (${pageCache.stats.misses} fetched from the API).`);
+    }
+    pageCache?.prune().then(refreshPageCacheStats);
+
     // Finalize per report
     if (!analysisMode) {
       await ensureAnalysisMode({ lastPage: 0, sampleRowCount: 0 });
     }
 
     if (analysisMode === 'worker' && workerRun) {
-      await workerBatcher?.flush();
+      await Promise.all(workerBatchers.map(b => b.flush()));
       const payload = await finalizeWorkerRun(workerRun.runId);
       if (Array.isArray(payload?.warnings)) payload.warnings.forEach(addWarning);
       state.results = payload?.results || {};
@@ -1581,6 +2272,8 @@ async function runAssessment() {
       }
     }
 
+    reportRowFilterExclusions();
+
     // Update multi-facility state from detected facilities
     state.isMultiFacility = facilityRegistry.isMultiFacility();
     state.detectedFacilities = facilityRegistry.getFacilities();
@@ -1588,23 +2281,46 @@ async function runAssessment() {
     flushProgressRender();
     flushResultsRender();
     setBanner('ok', 'Complete. You can export summaries, print, and download chart CSV/PNG.');
+    persistCompletedAssessment(); // fire-and-forget; storage failures surface as warnings
 
   } catch (e) {
+    // Keep what was ingested so the run can continue from the last good page
+    if (!signal.aborted) {
+      if (analysisMode === 'main' && mainThreadIngest) {
+        await mainThreadIngest.exclusive(() => {
+          lastCheckpoint = { analyzers: serializeAnalyzers(analyzers), ledger: createPageLedger(ledger) };
+        });
+      } else if (analysisMode === 'worker') {
+        lastCheckpoint = currentWorkerCheckpoint() || lastCheckpoint;
+      }
+      if (lastCheckpoint?.analyzers && summarizeLedger(lastCheckpoint.ledger).donePages > 0) {
+        state.resumeCheckpoint = createRunCheckpoint({
+          inputs: state.inputs,
+          ledger: lastCheckpoint.ledger,
+          analyzers: lastCheckpoint.analyzers,
+          error: e?.message || String(e),
+        });
+      }
+    }
+    const resumeHint = state.resumeCheckpoint
+      ? ` ${summarizeLedger(state.resumeCheckpoint.ledger).donePages} pages were saved; re-enter the token if it expired and click Resume run.`
+      : '';
+
     if (analysisMode === 'worker' && workerRun) cancelWorkerRun('Run failed');
     if (signal.aborted) {
       setBanner('info', 'Run cancelled.');
     } else if (e instanceof ApiError) {
-      setBanner('error', `API error: ${e.message}`);
+      setBanner('error', `API error: ${e.message}${resumeHint}`);
       addWarning(`API error: ${e.message}`);
       if (e.status === 401 || e.status === 403) {
         abortInFlight('Unauthorized (401/403)');
       }
     } else {
-      setBanner('error', `Unexpected error: ${e?.message || String(e)}`);
+      setBanner('error', `Unexpected error: ${e?.message || String(e)}${resumeHint}`);
       addWarning(`Unexpected error: ${e?.stack || e?.message || String(e)}`);
     }
   } finally {
-    await workerBatcher?.stop?.();
+    await Promise.all(workerBatchers.map(b => b.stop()));
     flushProgressRender();
     flushResultsRender();
     // Critical: null out token from memory (but leave it in the input field for user convenience)
@@ -1622,6 +2338,79 @@ async function runAssessment() {
 }
 
 // ---------- CSV Assessment ----------
+
+/**
+ * Runs the CSV pipeline in the analysis worker. Returns null when the worker
+ * is unsupported, unavailable or fails (the latter two with a warning), so the
+ * caller can fall back to the main thread. On success the worker's finalized results are applied and
+ * its analyzer state is restored for per-facility views.
+ */
+async function runCSVInWorker({ inputs, roiEnabled, analyzerOptions, signal }) {
+  // CSV always prefers the worker: parse cost scales with file size, not page count
+  if (!workerRuntime.supported || workerRuntime.fallbackReason) return null;
+  const files = state.csvImportState.getAllFiles().filter(f => f.reportType).map(toCSVIngestFile);
+
+  const ready = await waitForWorkerReady();
+  // Very large imports split their reports across a pool of workers
+  const helperCount = ready ? await helperWorkersFor({
+    shardCount: new Set(files.map(f => f.reportType)).size,
+    estimatedRows: files.reduce((sum, f) => sum + (f.rowCount || 0), 0),
+  }) : 0;
+  const workerRun = ready ? beginWorkerRun({
+    timezone: inputs.timezone,
+    startDate: null,
+    endDate: null,
+    assumptions: inputs.assumptions,
+    selectedReports: inputs.reports,
+    facilities: inputs.facilities.length > 0 ? inputs.facilities : ['CSV Import'],
+    tenant: inputs.tenant,
+    roiEnabled,
+    enableDrilldown: state.enableDrilldown,
+    csvMode: true,
+    rowFilters: inputs.rowFilters,
+    shifts: inputs.shifts,
+    trackJourneys: inputs.trackJourneys,
+    piiRules: inputs.piiRules,
+  }, helperCount) : null;
+  if (!workerRun || !workerRuntime.worker) {
+    addWarning('Web Worker unavailable; using main-thread analysis.');
+    return null;
+  }
+  const pooled = workerRun.workers.length > 1;
+  updateWorkerStatus(pooled
+    ? `${workerRun.workers.length} Web Workers active for this run.`
+    : 'Web Worker active for this run.');
+
+  let payload;
+  try {
+    const shards = planCSVShards(files, workerRun.workers.length);
+    workerRun.workers.forEach((worker, i) => {
+      worker.postMessage({ type: 'CSV_FILES', runId: workerRun.runId, files: shards[i] });
+    });
+    // No timeout: large imports take minutes, and progress shows the workers are alive
+    const shardStates = pooled ? await mergePooledWorkerRun(workerRun.runId) : null;
+    payload = await workerRun.finalizePromise;
+    if (shardStates) payload = { ...payload, csvSummary: mergeCSVSummaries(shardStates.map(s => s.csvSummary)) };
+  } catch (e) {
+    if (signal.aborted) return null;
+    addWarning(`Web Worker could not process the CSV files (${e?.message || String(e)}); retrying on the main thread.`);
+    facilityRegistry.clear();
+    state.csvProgress = {};
+    return null;
+  } finally {
+    updateWorkerStatus(shouldUseWorker()
+      ? 'Web Worker ready (keeps UI responsive).'
+      : 'Worker unavailable; falling back to main thread.');
+  }
+
+  if (Array.isArray(payload?.warnings)) payload.warnings.forEach(addWarning);
+  state.results = payload?.results || {};
+  // Restoring re-registers each analyzer's facilities with the facility registry
+  const analyzers = restoreAnalyzers(payload?.analyzers || {}, analyzerOptions);
+  state.analyzers = analyzers;
+  return { processingResults: payload.csvSummary, analyzers };
+}
+
 async function runCSVAssessment() {
   clearInputError();
   clearBanner();
@@ -1638,6 +2427,10 @@ async function runCSVAssessment() {
     startDate: null,
     endDate: null,
     reports: [], // Will be populated from CSV files
+    rowFilters: sanitizeRowFilters(state.rowFilters),
+    shifts: readShifts(),
+    trackJourneys: !!UI.journeysToggle?.checked,
+    piiRules: readPiiRules(),
   };
 
   const err = validateInputs(inputs);
@@ -1661,6 +2454,10 @@ async function runCSVAssessment() {
     timezone: inputs.timezone,
     reports: inputs.reports,
     assumptions: inputs.assumptions,
+    rowFilters: inputs.rowFilters,
+    shifts: inputs.shifts,
+    trackJourneys: inputs.trackJourneys,
+    piiRules: inputs.piiRules,
     mockMode: false,
     csvMode: true,
   };
@@ -1674,12 +2471,27 @@ async function runCSVAssessment() {
   state.runStartedAt = Date.now();
   state.timezone = inputs.timezone;
   state.facilityFilter = { selected: ['all'], campusMode: false };
+  state.savedAssessmentId = null;
+  state.facilityResultSnapshot = null;
+  state.importedAssessment = null;
+  state.resumeCheckpoint = null;
+  state.rowFilterExcluded = {};
+  state.csvValidation = null;
+  renderCSVValidation();
 
   // Clear facility registry for fresh detection
   facilityRegistry.clear();
   state.isMultiFacility = false;
   state.detectedFacilities = [];
 
+  // Ambiguous date columns nobody picked an order for are read month-first
+  for (const fileInfo of state.csvImportState.getAllFiles()) {
+    const unconfirmed = ambiguousColumns(fileInfo.timestampFormats).filter(c => !fileInfo.timestampFormats[c].confirmed);
+    if (fileInfo.reportType && unconfirmed.length) {
+      addWarning(`[${fileInfo.name}] Dates in ${unconfirmed.join(', ')} fit both month-first and day-first; read month-first. Pick the order in the file list to change it.`);
+    }
+  }
+
   // Initialize progress UI for CSV mode
   initCSVProgressUI(inputs.reports);
   setRunningUI(true);
@@ -1695,32 +2507,45 @@ async function runCSVAssessment() {
 
   const roiEnabled = canComputeROI(inputs.assumptions);
 
+  const analyzerOptions = {
+    timezone: inputs.timezone,
+    startDate: null, // CSV mode - will extract from data
+    endDate: null,
+    assumptions: inputs.assumptions,
+    onWarning: (w) => addWarning(w),
+    isCSVMode: true,
+    enableDrilldown: state.enableDrilldown,
+    shifts: inputs.shifts,
+    trackJourneys: inputs.trackJourneys,
+  };
+
   try {
-    // Create analyzers for the reports we have CSV files for
-    const analyzers = createAnalyzers({
-      timezone: inputs.timezone,
-      startDate: null, // CSV mode - will extract from data
-      endDate: null,
-      assumptions: inputs.assumptions,
-      onWarning: (w) => addWarning(w),
-      isCSVMode: true,
-      enableDrilldown: state.enableDrilldown,
-    });
+    // Parse + ingest in the worker when possible; results come back finalized
+    const workerOutput = await runCSVInWorker({ inputs, roiEnabled, analyzerOptions, signal });
+    let processingResults = workerOutput?.processingResults;
+    let analyzers = workerOutput?.analyzers;
 
-    // Store analyzers in state for facility result retrieval
-    state.analyzers = analyzers;
+    if (!workerOutput && !signal.aborted) {
+      // Create analyzers for the reports we have CSV files for
+      analyzers = createAnalyzers(analyzerOptions);
 
-    // Process all CSV files
-    const processingResults = await processCSVFiles(state.csvImportState, analyzers, {
-      timezone: inputs.timezone,
-      onProgress: (progress) => {
-        if (state.currentRunId !== assessmentRunId) return;
-        state.csvProgress[progress.report] = progress;
-        renderCSVProgressUI();
-      },
-      onWarning: addWarning,
-      signal,
-    });
+      // Store analyzers in state for facility result retrieval
+      state.analyzers = analyzers;
+
+      // Process all CSV files
+      processingResults = await processCSVFiles(state.csvImportState, analyzers, {
+        timezone: inputs.timezone,
+        rowFilters: inputs.rowFilters,
+        piiRules: inputs.piiRules,
+        onProgress: (progress) => {
+          if (state.currentRunId !== assessmentRunId) return;
+          state.csvProgress[progress.report] = progress;
+          renderCSVProgressUI();
+        },
+        onWarning: addWarning,
+        signal,
+      });
+    }
 
     if (signal.aborted) {
       setBanner('info', 'Run cancelled.');
@@ -1731,6 +2556,24 @@ async function runCSVAssessment() {
     processingResults.warnings.forEach(w => {
       if (state.warnings.length < 50) addWarning(w);
     });
+    state.csvValidation = processingResults.validation || [];
+    renderCSVValidation();
+    updateCSVFileList();
+
+    // Overlapping exports: report what was skipped so totals can be trusted
+    for (const [report, count] of Object.entries(processingResults.duplicatesByReport)) {
+      if (!count) continue;
+      const perFile = state.csvImportState.getAllFiles()
+        .filter(f => f.reportType === report && f.duplicateRows > 0)
+        .map(f => `${f.name}: ${f.duplicateRows.toLocaleString()}`)
+        .join(', ');
+      addWarning(`${REPORT_TYPE_LABELS[report] || report}: skipped ${count.toLocaleString()} duplicate row(s) already present in an earlier file (${perFile}).`);
+    }
+    for (const report of processingResults.dedupSaturatedReports || []) {
+      addWarning(`${REPORT_TYPE_LABELS[report] || report}: too many rows to track for duplicate detection; later rows were not checked.`);
+    }
+    state.rowFilterExcluded = { ...(processingResults.filteredByReport || {}) };
+    reportRowFilterExclusions();
 
     // Finalize analyzers and collect inferred date range
     let inferredStart = null;
@@ -1739,16 +2582,18 @@ async function runCSVAssessment() {
     for (const report of inputs.reports) {
       const analyzer = analyzers[report];
       if (!analyzer) continue;
-      state.results[report] = analyzer.finalize({
-        tenant: inputs.tenant,
-        facilities: inputs.facilities.length > 0 ? inputs.facilities : ['CSV Import'],
-        startDate: '(from CSV)',
-        endDate: '(from CSV)',
-        timezone: inputs.timezone,
-        assumptions: inputs.assumptions,
-        roiEnabled,
-        csvMode: true,
-      });
+      if (!workerOutput) {
+        state.results[report] = analyzer.finalize({
+          tenant: inputs.tenant,
+          facilities: inputs.facilities.length > 0 ? inputs.facilities : ['CSV Import'],
+          startDate: '(from CSV)',
+          endDate: '(from CSV)',
+          timezone: inputs.timezone,
+          assumptions: inputs.assumptions,
+          roiEnabled,
+          csvMode: true,
+        });
+      }
 
       // Collect inferred date range from all reports
       const inferred = state.results[report]?.inferredDateRange;
@@ -1792,6 +2637,7 @@ async function runCSVAssessment() {
     flushProgressRender();
     flushResultsRender();
     setBanner('ok', `Complete. Processed ${processingResults.totalRows.toLocaleString()} rows from ${state.csvImportState.count} file(s).`);
+    persistCompletedAssessment(); // fire-and-forget; storage failures surface as warnings
 
   } catch (e) {
     if (signal.aborted) {
@@ -1808,6 +2654,17 @@ async function runCSVAssessment() {
   }
 }
 
+function renderCSVValidation() {
+  if (!UI.csvValidationMessages) return;
+  const html = renderValidationSummary(state.csvValidation);
+  UI.csvValidationMessages.innerHTML = html;
+  UI.csvValidationMessages.classList.toggle('hidden', !html);
+  UI.csvValidationMessages.querySelector('.csv-validation-download')?.addEventListener('click', () => {
+    const stamp = DateTime.now().setZone(state.timezone).toFormat('yyyyLLdd_HHmm');
+    downloadCsv(`YardIQ_CSV_Validation_${stamp}.csv`, buildValidationReportCsv(state.csvValidation, { issueLabels: ISSUE_LABELS }));
+  });
+}
+
 function initCSVProgressUI(reports) {
   UI.progressPanel.innerHTML = '';
 
@@ -1969,6 +2826,29 @@ function updateCSVFileList() {
     });
   });
 
+  UI.csvFileList.querySelectorAll('.csv-format-select').forEach(select => {
+    select.addEventListener('change', (e) => {
+      const { fileId, setting } = e.target.dataset;
+      overrideCSVFormat(fileId, state.csvImportState, { [setting]: e.target.value }, updateCSVFileList, {
+        profiles: state.mappingProfiles,
+      });
+    });
+  });
+
+  UI.csvFileList.querySelectorAll('.csv-date-order-select').forEach(select => {
+    select.addEventListener('change', (e) => {
+      const fileId = e.target.dataset.fileId;
+      const fileInfo = state.csvImportState.getFile(fileId);
+      if (!fileInfo) return;
+      state.csvImportState.updateFile(fileId, { timestampFormats: resolveDateOrder(fileInfo.timestampFormats, e.target.value) });
+      updateCSVFileList();
+    });
+  });
+
+  UI.csvFileList.querySelectorAll('.csv-file-map').forEach(btn => {
+    btn.addEventListener('click', (e) => openMappingWizard(e.currentTarget.dataset.fileId));
+  });
+
   UI.csvFileList.querySelectorAll('.csv-file-remove').forEach(btn => {
     btn.addEventListener('click', (e) => {
       const fileId = e.target.dataset.fileId;
@@ -1981,19 +2861,279 @@ function updateCSVFileList() {
   updateROICategoryRecommendations();
 }
 
-async function handleCSVFileUpload(files) {
-  if (!state.csvImportState) {
+// ---------- Column-mapping wizard ----------
+
+function openMappingWizard(fileId) {
+  const fileInfo = state.csvImportState?.getFile(fileId);
+  if (!fileInfo || !UI.mappingWizardModal) return;
+
+  const reportType = fileInfo.mapping?.reportType || fileInfo.reportType || Object.keys(REPORT_TYPE_LABELS)[0];
+  const mapping = fileInfo.mapping?.reportType === reportType
+    ? { ...structuredClone(fileInfo.mapping), scores: {} }
+    : suggestColumnMapping(fileInfo.columns, reportType);
+
+  state.mappingWizard = { fileId, reportType, mapping };
+  renderMappingWizardBody();
+  UI.mappingWizardModal.style.display = 'flex';
+}
+
+function closeMappingWizard() {
+  state.mappingWizard = null;
+  if (UI.mappingWizardModal) UI.mappingWizardModal.style.display = 'none';
+}
+
+function renderMappingWizardBody() {
+  const wizard = state.mappingWizard;
+  const fileInfo = wizard && state.csvImportState?.getFile(wizard.fileId);
+  if (!fileInfo) return;
+  UI.mappingWizardBody.innerHTML = renderMappingWizard({
+    fileInfo,
+    reportType: wizard.reportType,
+    mapping: wizard.mapping,
+    timezone: state.timezone,
+  });
+}
+
+function onMappingWizardChange(e) {
+  const wizard = state.mappingWizard;
+  if (!wizard) return;
+  const target = e.target;
+
+  if (target.id === 'mappingReportType') {
+    const fileInfo = state.csvImportState.getFile(wizard.fileId);
+    wizard.reportType = target.value;
+    wizard.mapping = suggestColumnMapping(fileInfo.columns, target.value);
+  } else if (target.dataset.field) {
+    const { field } = target.dataset;
+    if (target.value) wizard.mapping.columns[field] = target.value;
+    else delete wizard.mapping.columns[field];
+    delete wizard.mapping.scores?.[field];
+  } else if (target.dataset.combinePart) {
+    const index = Number(target.closest('[data-combine-index]')?.dataset.combineIndex);
+    const entry = wizard.mapping.combine[index];
+    if (entry) entry[target.dataset.combinePart] = target.value || null;
+  } else {
+    return;
+  }
+  renderMappingWizardBody();
+}
+
+function onMappingWizardClick(e) {
+  const wizard = state.mappingWizard;
+  if (!wizard) return;
+
+  if (e.target.closest('#mappingAddCombine')) {
+    const targets = COMBINED_TIMESTAMP_FIELDS[wizard.reportType] || [];
+    const used = new Set(wizard.mapping.combine.map(c => c.field));
+    const field = targets.find(f => !used.has(f)) || targets[0];
+    wizard.mapping.combine.push({ field, dateColumn: null, timeColumn: null });
+    renderMappingWizardBody();
+    return;
+  }
+
+  const remove = e.target.closest('.mapping-combine-remove');
+  if (remove) {
+    wizard.mapping.combine.splice(Number(remove.dataset.combineIndex), 1);
+    renderMappingWizardBody();
+  }
+}
+
+function applyMappingWizard() {
+  const wizard = state.mappingWizard;
+  const fileInfo = wizard && state.csvImportState?.getFile(wizard.fileId);
+  if (!fileInfo) {
+    closeMappingWizard();
+    return;
+  }
+
+  const mapping = finalizeColumnMapping(wizard.mapping);
+  const validation = validateCSVColumns(fileInfo.columns, wizard.reportType, mapping);
+  state.csvImportState.updateFile(wizard.fileId, {
+    reportType: wizard.reportType,
+    mapping,
+    profileName: wizard.profileName || null,
+    status: 'ready',
+    needsMapping: !validation.isValid,
+    validationWarnings: validation.warnings,
+  });
+  closeMappingWizard();
+  updateCSVFileList();
+}
+
+/**
+ * Saves the wizard's mapping into a named profile (new or existing, matched
+ * by name), then applies it to the file.
+ */
+async function saveMappingWizardAsProfile() {
+  const wizard = state.mappingWizard;
+  const fileInfo = wizard && state.csvImportState?.getFile(wizard.fileId);
+  if (!fileInfo) return;
+
+  const name = prompt('Save mapping to profile (an existing name adds this report to it):', fileInfo.profileName || '');
+  if (name === null || !name.trim()) return;
+
+  const existing = state.mappingProfiles.find(p => p.name.toLowerCase() === name.trim().toLowerCase()) || null;
+  try {
+    const profile = addMappingToProfile(existing, finalizeColumnMapping(wizard.mapping), { name: name.trim() });
+    await saveMappingProfiles([profile]);
+    wizard.profileName = profile.name;
+    setBanner('ok', `Saved mapping profile "${profile.name}".`);
+  } catch (err) {
+    setBanner('error', `Could not save mapping profile: ${err?.message || String(err)}`);
+    return;
+  }
+  applyMappingWizard();
+  await refreshMappingProfilesList();
+}
+
+function initMappingWizard() {
+  UI.mappingWizardBody?.addEventListener('change', onMappingWizardChange);
+  UI.mappingWizardBody?.addEventListener('click', onMappingWizardClick);
+  UI.mappingWizardCancel?.addEventListener('click', closeMappingWizard);
+  UI.mappingWizardApply?.addEventListener('click', applyMappingWizard);
+  UI.mappingWizardSaveProfile?.addEventListener('click', saveMappingWizardAsProfile);
+  UI.mappingWizardModal?.addEventListener('click', (e) => {
+    if (e.target === UI.mappingWizardModal) closeMappingWizard();
+  });
+}
+
+async function handleCSVFileUpload(files) {
+  if (!state.csvImportState) {
     state.csvImportState = createCSVImportState();
   }
 
-  const result = await handleFileUpload(files, state.csvImportState, updateCSVFileList);
+  const result = await handleFileUpload(files, state.csvImportState, updateCSVFileList, {
+    profiles: state.mappingProfiles,
+  });
 
   if (result.error) {
     showInputError(result.error);
   }
 }
 
+// ---------- Mapping profiles ----------
+
+function describeProfilePriority(priority) {
+  return priority > 0 ? `priority ${priority}, before built-in` : `priority ${priority}, after built-in`;
+}
+
+async function refreshMappingProfilesList() {
+  if (!UI.mappingProfilesList) return;
+  if (!isMappingProfileStoreAvailable()) {
+    UI.mappingProfilesList.innerHTML = `<div class="muted small">Saving mapping profiles requires IndexedDB, which this browser does not provide.</div>`;
+    return;
+  }
+
+  try {
+    state.mappingProfiles = await listMappingProfiles();
+  } catch (e) {
+    UI.mappingProfilesList.innerHTML = `<div class="muted small">Mapping profiles unavailable: ${escapeHtml(e?.message || String(e))}</div>`;
+    return;
+  }
+
+  const profiles = state.mappingProfiles;
+  if (UI.mappingProfilesBadge) {
+    UI.mappingProfilesBadge.textContent = profiles.length;
+    UI.mappingProfilesBadge.classList.toggle('hidden', profiles.length === 0);
+  }
+  if (UI.mappingProfilesExport) UI.mappingProfilesExport.disabled = profiles.length === 0;
+
+  if (!profiles.length) {
+    UI.mappingProfilesList.innerHTML = `<div class="muted small">No mapping profiles yet. Use "Save as profile…" in the column-mapping wizard.</div>`;
+    return;
+  }
+
+  UI.mappingProfilesList.innerHTML = profiles.map(profile => {
+    const reports = Object.keys(profile.reports).map(r => REPORT_TYPE_LABELS[r] || r).join(', ');
+    return `
+      <div class="saved-assessment-row" data-id="${escapeHtml(profile.id)}">
+        <div class="saved-assessment-info">
+          <div class="saved-assessment-name" title="${escapeHtml(profile.name)}">${escapeHtml(profile.name)}</div>
+          <div class="saved-assessment-meta">${escapeHtml(reports)} · ${describeProfilePriority(profile.priority)}</div>
+        </div>
+        <div class="saved-assessment-actions">
+          <button class="btn btn-ghost" type="button" data-action="priority" title="Higher numbers are tried first; above 0 overrides the built-in signatures">Priority</button>
+          <button class="btn btn-ghost" type="button" data-action="rename">Rename</button>
+          <button class="btn btn-ghost" type="button" data-action="export">Export</button>
+          <button class="btn btn-warn" type="button" data-action="delete">Delete</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+function exportMappingProfiles(profiles) {
+  const stamp = DateTime.now().toFormat('yyyyLLdd');
+  const slug = profiles.length === 1 ? profiles[0].name.replace(/[^a-z0-9]+/gi, '_') : 'All';
+  downloadText(`YardIQ_MappingProfiles_${slug}_${stamp}.json`, buildMappingProfilesExport(profiles));
+}
+
+async function importMappingProfiles(file) {
+  try {
+    const { profiles, warnings } = parseMappingProfilesImport(await file.text());
+    await saveMappingProfiles(reconcileImportedProfiles(state.mappingProfiles, profiles));
+    await refreshMappingProfilesList();
+    warnings.forEach(addWarning);
+    setBanner('ok', `Imported ${profiles.length} mapping profile(s) from ${file.name}.`);
+  } catch (e) {
+    setBanner('error', `Could not import ${file.name}: ${e?.message || String(e)}`);
+  }
+}
+
+async function onMappingProfileAction(e) {
+  const button = e.target.closest('button[data-action]');
+  const row = e.target.closest('.saved-assessment-row');
+  if (!button || !row) return;
+  const profile = state.mappingProfiles.find(p => p.id === row.dataset.id);
+  if (!profile) return;
+
+  try {
+    if (button.dataset.action === 'priority') {
+      const value = prompt('Detection priority (higher is tried first; above 0 overrides the built-in signatures):', String(profile.priority));
+      if (value === null || !Number.isFinite(Number(value))) return;
+      await saveMappingProfiles([{ ...profile, priority: Number(value), updatedAt: Date.now() }]);
+    } else if (button.dataset.action === 'rename') {
+      const name = prompt('Rename mapping profile:', profile.name);
+      if (name === null || !name.trim()) return;
+      await saveMappingProfiles([{ ...profile, name, updatedAt: Date.now() }]);
+    } else if (button.dataset.action === 'export') {
+      exportMappingProfiles([profile]);
+      return;
+    } else if (button.dataset.action === 'delete') {
+      if (!confirm(`Delete mapping profile "${profile.name}"? Files already added keep their mapping.`)) return;
+      await deleteMappingProfile(profile.id);
+    }
+    await refreshMappingProfilesList();
+  } catch (err) {
+    setBanner('error', `Mapping profile action failed: ${err?.message || String(err)}`);
+  }
+}
+
+function initMappingProfiles() {
+  UI.mappingProfilesList?.addEventListener('click', onMappingProfileAction);
+  UI.mappingProfilesExport?.addEventListener('click', () => {
+    if (state.mappingProfiles.length) exportMappingProfiles(state.mappingProfiles);
+  });
+  UI.mappingProfilesImportBtn?.addEventListener('click', () => UI.mappingProfilesImportInput?.click());
+  UI.mappingProfilesImportInput?.addEventListener('change', (e) => {
+    const file = e.target.files?.[0];
+    if (file) importMappingProfiles(file);
+    e.target.value = ''; // Reset so the same file can be selected again
+  });
+
+  refreshMappingProfilesList();
+}
+
 // ---------- Export wiring ----------
+/**
+ * Rules the current run scrubbed PII with, plus the audit counts, for exports.
+ * Null for assessments from before PII rules were recorded.
+ */
+function currentPiiScrubbing() {
+  const rules = state.inputs?.piiRules;
+  return rules ? { rules, audit: buildPiiAudit(state.results, rules) } : null;
+}
+
 function downloadSummary() {
   if (!state.inputs || !Object.keys(state.results).length) return;
   const { results, viewMode, activeFacilities } = buildFilteredExportResults();
@@ -2001,16 +3141,54 @@ function downloadSummary() {
     inputs: state.inputs,
     results,
     warnings: state.warnings,
-    aiInsights: state.aiInsights,
+    aiInsights: exportableAIInsights(),
     isMultiFacility: state.isMultiFacility,
     detectedFacilities: state.detectedFacilities,
     viewMode,
     activeFacilities,
+    pseudonymized: state.pseudonymize,
+    piiScrubbing: currentPiiScrubbing(),
   });
   const stamp = DateTime.now().setZone(state.inputs.timezone).toFormat('yyyyLLdd_HHmm');
   downloadText(`YardIQ_Report_${state.inputs.tenant}_${stamp}.txt`, txt);
 }
 
+function downloadCarrierScorecard(scorecard, activeFacilities) {
+  if (!state.inputs) return;
+  const stamp = DateTime.now().setZone(state.inputs.timezone).toFormat('yyyyLLdd_HHmm');
+  downloadCsv(`YardIQ_Carrier_Scorecard_${state.inputs.tenant}_${stamp}.csv`, buildCarrierScorecardCsv(scorecard, {
+    facilities: activeFacilities,
+    timezone: state.inputs.timezone,
+  }));
+}
+
+function downloadTrailerJourneys(journeys, activeFacilities) {
+  if (!state.inputs) return;
+  const stamp = DateTime.now().setZone(state.inputs.timezone).toFormat('yyyyLLdd_HHmm');
+  downloadCsv(`YardIQ_Trailer_Journeys_${state.inputs.tenant}_${stamp}.csv`, buildTrailerJourneysCsv(journeys, {
+    facilities: activeFacilities,
+    timezone: state.inputs.timezone,
+  }));
+}
+
+function downloadDriverLeaderboard(leaderboard, activeFacilities) {
+  if (!state.inputs) return;
+  const stamp = DateTime.now().setZone(state.inputs.timezone).toFormat('yyyyLLdd_HHmm');
+  downloadCsv(`YardIQ_Driver_Leaderboard_${state.inputs.tenant}_${stamp}.csv`, buildDriverLeaderboardCsv(leaderboard, {
+    facilities: activeFacilities,
+    timezone: state.inputs.timezone,
+  }));
+}
+
+function downloadAliasMap() {
+  if (!state.inputs || !Object.keys(state.results).length) return;
+  const stamp = DateTime.now().setZone(state.inputs.timezone).toFormat('yyyyLLdd_HHmm');
+  downloadCsv(`YardIQ_Alias_Map_${state.inputs.tenant}_${stamp}.csv`, buildAliasMapCsv(currentAliasMap(), {
+    tenant: state.inputs.tenant,
+    timezone: state.inputs.timezone,
+  }));
+}
+
 function buildFilteredExportResults() {
   const { selected, campusMode } = state.facilityFilter;
   const isAll = selected.includes('all') || selected.length === 0;
@@ -2018,7 +3196,7 @@ function buildFilteredExportResults() {
 
   // No filter or "All" selected without campus → export all-facilities aggregated results
   if (isAll && !campusMode) {
-    return { results: state.results, viewMode: 'all_facilities', activeFacilities: state.detectedFacilities };
+    return { results: presentedResults(), viewMode: 'all_facilities', activeFacilities: state.detectedFacilities };
   }
 
   const activeFacilities = isAll ? state.detectedFacilities : selected;
@@ -2043,7 +3221,7 @@ function buildFilteredExportResults() {
         campusResults[report] = state.results[report];
       }
     }
-    return { results: campusResults, viewMode: 'campus', activeFacilities };
+    return { results: presentable(campusResults), viewMode: 'campus', activeFacilities };
   }
 
   // Specific facilities selected (no campus): export per-facility results
@@ -2055,6 +3233,8 @@ function buildFilteredExportResults() {
       if (analyzer && typeof analyzer.finalizeFacility === 'function') {
         const result = analyzer.finalizeFacility(fac, { ...meta, facilities: [fac] });
         if (result) facilityResults[fac] = result;
+      } else if (state.facilityResultSnapshot?.[report]?.[fac]) {
+        facilityResults[fac] = state.facilityResultSnapshot[report][fac];
       }
     }
     // Include the all-facilities result as a reference
@@ -2063,7 +3243,7 @@ function buildFilteredExportResults() {
       byFacility: facilityResults,
     };
   }
-  return { results: perFacilityResults, viewMode: 'per_facility', activeFacilities };
+  return { results: presentable(perFacilityResults), viewMode: 'per_facility', activeFacilities };
 }
 
 function downloadJson() {
@@ -2077,6 +3257,10 @@ function downloadJson() {
     detectedFacilities: state.detectedFacilities,
     viewMode,
     activeFacilities,
+    // Per-facility results let the file be re-imported with facility tabs intact
+    facilityResults: viewMode === 'all_facilities' ? presentable(snapshotFacilityResults().facilityResults) : null,
+    pseudonymized: state.pseudonymize,
+    piiScrubbing: currentPiiScrubbing(),
   });
   const stamp = DateTime.now().setZone(state.inputs.timezone).toFormat('yyyyLLdd_HHmm');
   downloadText(`YardIQ_Export_${state.inputs.tenant}_${stamp}.json`, json);
@@ -2139,6 +3323,12 @@ async function generateAIInsights() {
     // Display results with transition
     displayAIInsights(result);
 
+    // Attach insights to the saved copy of this assessment, if any
+    if (state.savedAssessmentId) {
+      updateAssessment(state.savedAssessmentId, { aiInsights: state.aiInsights })
+        .catch(err => addWarning(`Could not update saved assessment: ${err?.message || String(err)}`));
+    }
+
   } catch (error) {
     console.error('AI insights error:', error);
     setBanner('error', `AI insights failed: ${error.message}`);
@@ -2163,7 +3353,7 @@ function buildAIPayload(requestId) {
   };
 
   // Process each report
-  for (const [reportName, result] of Object.entries(state.results)) {
+  for (const [reportName, result] of Object.entries(presentedResults())) {
     const reportTitle = formatReportName(reportName);
     lines.push(`\n${'='.repeat(60)}`);
     lines.push(`${reportTitle} REPORT`);
@@ -2315,6 +3505,8 @@ function displayAIInsights(aiResult) {
   state.aiInsights = {
     insights: aiResult.insights || [],
     summary: aiResult.summary || '',
+    // Fresh insights come from the payload as currently presented
+    pseudonymized: aiResult.pseudonymized ?? state.pseudonymize,
   };
 
   // Transition from loading to results
@@ -2369,6 +3561,11 @@ UI.runBtn.addEventListener('click', () => {
   }
 });
 
+UI.resumeRunBtn?.addEventListener('click', () => {
+  if (!state.resumeCheckpoint || state.running) return;
+  runAssessment({ resume: state.resumeCheckpoint });
+});
+
 UI.cancelBtn.addEventListener('click', () => {
   abortInFlight('User cancelled.');
   // Token cleared from memory but kept in input field for convenience
@@ -2474,6 +3671,9 @@ UI.recalcRoiBtn?.addEventListener('click', () => {
   // Create getFacilityResult function for per-facility tabbed results
   const getFacilityResultForRecalc = (report, facility) => {
     try {
+      const snapshot = state.facilityResultSnapshot?.[report]?.[facility];
+      if (snapshot) return presentable(recalculateROI({ [report]: snapshot }, newAssumptions)[report]);
+
       const analyzer = state.analyzers?.[report];
       if (!analyzer) {
         console.warn(`No analyzer found for report: ${report} during ROI recalc`);
@@ -2498,7 +3698,7 @@ UI.recalcRoiBtn?.addEventListener('click', () => {
         assumptions: newAssumptions,
       };
 
-      return analyzer.finalizeFacility(facility, meta);
+      return presentable(analyzer.finalizeFacility(facility, meta));
 
     } catch (error) {
       console.error(`Error getting facility result for ${facility} in ${report} during ROI recalc:`, error);
@@ -2506,8 +3706,9 @@ UI.recalcRoiBtn?.addEventListener('click', () => {
     }
   };
 
-  for (const report of Object.keys(state.results)) {
-    const result = state.results[report];
+  const results = presentedResults();
+  for (const report of Object.keys(results)) {
+    const result = results[report];
     const card = renderReportResult({
       report,
       result,
@@ -2534,7 +3735,7 @@ UI.recalcRoiBtn?.addEventListener('click', () => {
             timezone: state.timezone,
             assumptions: newAssumptions,
           };
-          return analyzer.finalizeMultiFacility(facilityNames, meta);
+          return presentable(analyzer.finalizeMultiFacility(facilityNames, meta));
         } catch (e) {
           console.error(`Error in finalizeMultiFacility for ${report}:`, e);
           return null;
@@ -2887,6 +4088,493 @@ function initDrilldownHandling() {
   });
 }
 
+// ---------- Pseudonymization ----------
+
+/**
+ * Alias map (pseudonymize.js) for the current results, rebuilt whenever
+ * state.results or one of its report results is replaced.
+ */
+function currentAliasMap() {
+  const reports = Object.values(state.results);
+  const cached = state.aliasCache;
+  const stale = !cached || cached.results !== state.results
+    || cached.reports.length !== reports.length
+    || cached.reports.some((result, i) => result !== reports[i]);
+  if (stale) {
+    state.aliasCache = { results: state.results, reports, aliasMap: buildAliasMap(state.results), presented: null };
+  }
+  return state.aliasCache.aliasMap;
+}
+
+/**
+ * A result (or results / facility results object) as it should be shown or
+ * exported: unchanged, or a copy with names replaced by aliases.
+ */
+function presentable(value) {
+  return state.pseudonymize && value ? pseudonymizeResult(value, currentAliasMap()) : value;
+}
+
+/**
+ * state.results as shown or exported; the pseudonymized copy is cached until
+ * the results change.
+ */
+function presentedResults() {
+  if (!state.pseudonymize) return state.results;
+  const aliasMap = currentAliasMap();
+  state.aliasCache.presented ??= pseudonymizeResult(state.results, aliasMap);
+  return state.aliasCache.presented;
+}
+
+/**
+ * AI insights for exports. Insights are free text, so in pseudonymize mode
+ * they are only exported when they were generated from the pseudonymized payload.
+ */
+function exportableAIInsights() {
+  return state.pseudonymize && !state.aiInsights?.pseudonymized ? null : state.aiInsights;
+}
+
+function initPseudonymizeHandling() {
+  UI.pseudonymizeToggle?.addEventListener('change', () => {
+    state.pseudonymize = UI.pseudonymizeToggle.checked;
+    if (UI.aliasMapDownloadBtn) UI.aliasMapDownloadBtn.disabled = !state.pseudonymize;
+    if (Object.keys(state.results).length > 0) {
+      if (state.pseudonymize && currentAliasMap().entries.length === 0) {
+        addWarning('Pseudonymize names: these results carry no driver, user or carrier names to replace (files opened from a Data JSON export keep the names they were exported with).');
+      }
+      scheduleResultsRender();
+    }
+  });
+  UI.aliasMapDownloadBtn?.addEventListener('click', downloadAliasMap);
+}
+
+// ---------- API page cache ----------
+
+function formatCacheBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+async function refreshPageCacheStats() {
+  if (!UI.pageCacheStats) return;
+  if (!isPageCacheAvailable()) {
+    UI.pageCacheStats.textContent = 'IndexedDB is not available in this browser.';
+    return;
+  }
+  try {
+    const { entries, bytes, oldestAt } = await getPageCacheStats();
+    UI.pageCacheStats.textContent = entries
+      ? `${entries.toLocaleString()} page(s), ${formatCacheBytes(bytes)}. Oldest cached ${new Date(oldestAt).toLocaleString()}.`
+      : 'Cache is empty.';
+  } catch (err) {
+    UI.pageCacheStats.textContent = `Cache unavailable: ${err?.message || String(err)}`;
+  }
+}
+
+function initPageCache() {
+  const available = isPageCacheAvailable();
+  if (UI.pageCacheToggle) {
+    UI.pageCacheToggle.checked = state.pageCache.enabled;
+    UI.pageCacheToggle.disabled = !available;
+    UI.pageCacheToggle.addEventListener('change', () => {
+      state.pageCache.enabled = UI.pageCacheToggle.checked;
+    });
+  }
+  if (UI.pageCacheTtl) {
+    UI.pageCacheTtl.value = String(state.pageCache.ttlHours);
+    UI.pageCacheTtl.addEventListener('change', () => {
+      state.pageCache.ttlHours = Number(UI.pageCacheTtl.value);
+    });
+  }
+  if (UI.pageCacheMaxSize) {
+    UI.pageCacheMaxSize.value = String(state.pageCache.maxMegabytes);
+    UI.pageCacheMaxSize.addEventListener('change', () => {
+      state.pageCache.maxMegabytes = Number(UI.pageCacheMaxSize.value);
+    });
+  }
+  UI.pageCacheClear?.addEventListener('click', async () => {
+    if (!confirm('Delete all cached API pages from this browser?')) return;
+    try {
+      await clearPageCache();
+    } catch (err) {
+      setBanner('error', `Could not clear the page cache: ${err?.message || String(err)}`);
+    }
+    refreshPageCacheStats();
+  });
+  // Stats are read lazily so opening the app never touches IndexedDB needlessly
+  UI.bpDrawerToggle?.addEventListener('click', refreshPageCacheStats);
+}
+
+// ---------- Saved assessments ----------
+
+/**
+ * Capture per-facility results while live analyzers still exist, so a
+ * reopened run can populate facility tabs and comparisons without them.
+ */
+function snapshotFacilityResults() {
+  const facilityResults = {};
+  const facilitiesByReport = {};
+  const inputs = state.inputs || {};
+
+  for (const report of Object.keys(state.results)) {
+    const facilities = facilityRegistry.getFacilitiesForReport(report);
+    facilitiesByReport[report] = facilities;
+
+    const analyzer = state.analyzers?.[report];
+    if (!analyzer || typeof analyzer.finalizeFacility !== 'function') {
+      // Reopened/imported runs: reuse the snapshot they were loaded with
+      if (state.facilityResultSnapshot?.[report]) facilityResults[report] = state.facilityResultSnapshot[report];
+      continue;
+    }
+
+    const byFacility = {};
+    for (const facility of facilities) {
+      try {
+        const result = analyzer.finalizeFacility(facility, {
+          tenant: inputs.tenant,
+          facilities: [facility],
+          startDate: inputs.startDate,
+          endDate: inputs.endDate,
+          timezone: inputs.timezone,
+          assumptions: inputs.assumptions,
+        });
+        if (result) byFacility[facility] = result;
+      } catch (e) {
+        console.warn(`Failed to snapshot ${report} for ${facility}:`, e);
+      }
+    }
+    facilityResults[report] = byFacility;
+  }
+
+  return { facilityResults, facilitiesByReport };
+}
+
+async function persistCompletedAssessment() {
+  if (!isAssessmentStoreAvailable() || !state.inputs || !Object.keys(state.results).length) return;
+
+  try {
+    const { facilityResults, facilitiesByReport } = snapshotFacilityResults();
+    const record = buildAssessmentRecord({
+      inputs: state.inputs,
+      results: state.results,
+      facilityResults,
+      facilitiesByReport,
+      warnings: state.warnings,
+      aiInsights: state.aiInsights,
+      isMultiFacility: state.isMultiFacility,
+      detectedFacilities: state.detectedFacilities,
+      runStartedAt: state.runStartedAt,
+      dataSource: state.inputs.csvMode ? 'csv' : 'api',
+    });
+    state.savedAssessmentId = await saveAssessment(record);
+    await refreshSavedAssessmentsList();
+  } catch (e) {
+    addWarning(`Could not save assessment locally: ${e?.message || String(e)}`);
+  }
+}
+
+async function refreshSavedAssessmentsList() {
+  if (!UI.savedAssessmentsList) return;
+  if (!isAssessmentStoreAvailable()) {
+    UI.savedAssessmentsList.innerHTML = `<div class="muted small">Saving assessments requires IndexedDB, which this browser does not provide.</div>`;
+    populateCompareSelects([]);
+    return;
+  }
+
+  let items = [];
+  try {
+    items = await listAssessments();
+  } catch (e) {
+    UI.savedAssessmentsList.innerHTML = `<div class="muted small">Saved assessments unavailable: ${escapeHtml(e?.message || String(e))}</div>`;
+    populateCompareSelects([]);
+    return;
+  }
+  populateCompareSelects(items);
+
+  if (UI.savedAssessmentsBadge) {
+    UI.savedAssessmentsBadge.textContent = items.length;
+    UI.savedAssessmentsBadge.classList.toggle('hidden', items.length === 0);
+  }
+
+  if (!items.length) {
+    UI.savedAssessmentsList.innerHTML = `<div class="muted small">No saved assessments yet. Completed runs are saved in this browser automatically.</div>`;
+    return;
+  }
+
+  UI.savedAssessmentsList.innerHTML = items.map(item => {
+    const savedAt = DateTime.fromMillis(item.savedAt).setZone(state.timezone).toFormat('yyyy-LL-dd HH:mm');
+    const source = item.dataSource === 'csv' ? 'CSV' : 'API';
+    const active = item.id === state.savedAssessmentId ? ' active' : '';
+    return `
+      <div class="saved-assessment-row${active}" data-id="${escapeHtml(item.id)}">
+        <div class="saved-assessment-info">
+          <div class="saved-assessment-name" title="${escapeHtml(item.name)}">${escapeHtml(item.name)}</div>
+          <div class="saved-assessment-meta">${source} · ${item.reports.length} report(s) · saved ${escapeHtml(savedAt)}</div>
+        </div>
+        <div class="saved-assessment-actions">
+          <button class="btn btn-ghost" type="button" data-action="open">Open</button>
+          <button class="btn btn-ghost" type="button" data-action="rename">Rename</button>
+          <button class="btn btn-warn" type="button" data-action="delete">Delete</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+async function openSavedAssessment(id) {
+  if (state.running) return;
+
+  let record;
+  try {
+    record = await getAssessment(id);
+  } catch (e) {
+    setBanner('error', `Could not open saved assessment: ${e?.message || String(e)}`);
+    return;
+  }
+  if (!record) {
+    setBanner('error', 'Saved assessment not found. It may have been deleted in another tab.');
+    await refreshSavedAssessmentsList();
+    return;
+  }
+
+  state.importedAssessment = null;
+  applyAssessmentRecord(record);
+  setBanner('ok', `Opened saved assessment "${record.name}".`);
+  await refreshSavedAssessmentsList();
+}
+
+/**
+ * Load a saved or imported assessment into app state and render it.
+ * No analyzers exist for these runs; per-facility views come from the
+ * record's facilityResults snapshot.
+ */
+function applyAssessmentRecord(record) {
+  clearInputError();
+  destroyAllCharts(state.chartRegistry);
+  state.chartRegistry.clear();
+
+  state.inputs = record.inputs;
+  state.results = record.results || {};
+  state.timezone = record.inputs?.timezone || state.timezone;
+  state.runStartedAt = record.runStartedAt;
+  state.progress = {};
+  state.partialPeriodInfo = null;
+  state.facilityFilter = { selected: ['all'], campusMode: false };
+  state.analyzers = null;
+  state.facilityResultSnapshot = record.facilityResults || {};
+  state.savedAssessmentId = record.id || null;
+
+  // Rebuild facility registry so per-report facility tabs render as they did originally
+  facilityRegistry.clear();
+  for (const [report, facilities] of Object.entries(record.facilitiesByReport || {})) {
+    (facilities || []).forEach(facility => facilityRegistry.register(facility, report));
+  }
+  state.isMultiFacility = !!record.isMultiFacility;
+  state.detectedFacilities = record.detectedFacilities || [];
+
+  state.warnings = Array.isArray(record.warnings) ? record.warnings.slice() : [];
+  UI.warningsPanel.textContent = state.warnings.length ? state.warnings.join('\n') : 'None.';
+  updateWarningsBadge();
+
+  if (record.aiInsights) {
+    UI.aiInsightsSection.style.display = 'block';
+    // Records saved before the flag existed were not generated pseudonymized
+    displayAIInsights({ pseudonymized: false, ...record.aiInsights });
+  } else {
+    state.aiInsights = null;
+    UI.aiInsightsSection.style.display = 'none';
+  }
+
+  UI.progressPanel.innerHTML = state.importedAssessment
+    ? `<div class="muted">Opened from ${escapeHtml(state.importedAssessment.fileName)}. No data was fetched or parsed.</div>`
+    : `<div class="muted">Reopened from saved assessments. No data was fetched or parsed.</div>`;
+  renderAllResults();
+  setRunningUI(false);
+}
+
+async function openImportedExport(file) {
+  if (state.running) return;
+
+  let assessment;
+  try {
+    assessment = assessmentFromExportJson(await file.text());
+  } catch (e) {
+    setBanner('error', `Could not import ${file.name}: ${e?.message || String(e)}`);
+    return;
+  }
+
+  // Multi-facility views need per-facility results, which older/filtered exports may lack
+  const hasFacilityResults = Object.values(assessment.facilityResults).some(byFac => Object.keys(byFac).length > 0);
+  state.importedAssessment = {
+    fileName: file.name,
+    exportVersion: assessment.exportVersion,
+    exportedAt: assessment.exportedAt,
+  };
+  applyAssessmentRecord({
+    ...assessment,
+    id: null,
+    runStartedAt: null,
+    isMultiFacility: assessment.isMultiFacility && hasFacilityResults,
+    aiInsights: null,
+  });
+  assessment.importWarnings.forEach(addWarning);
+  setBanner('ok', `Opened ${file.name} (read-only). ROI can still be recalculated with new assumptions.`);
+  await refreshSavedAssessmentsList();
+}
+
+// ---------- Assessment comparison ----------
+
+function populateCompareSelects(savedItems) {
+  if (!UI.compareBaselineSelect || !UI.compareCurrentSelect) return;
+
+  const options = [
+    ...savedItems.map(item => ({ value: `saved:${item.id}`, label: item.name })),
+    ...state.comparison.imported.map((a, idx) => ({ value: `import:${idx}`, label: `${a.name} (imported)` })),
+  ];
+
+  for (const select of [UI.compareBaselineSelect, UI.compareCurrentSelect]) {
+    const previous = select.value;
+    select.innerHTML = '';
+    options.forEach(o => select.appendChild(new Option(o.label, o.value)));
+    if (options.some(o => o.value === previous)) select.value = previous;
+  }
+
+  // Sensible default: newest saved run as current, the one before it as baseline
+  if (options.length >= 2 && UI.compareBaselineSelect.value === UI.compareCurrentSelect.value) {
+    UI.compareCurrentSelect.value = options[0].value;
+    UI.compareBaselineSelect.value = options[1].value;
+  }
+  if (UI.compareRunBtn) UI.compareRunBtn.disabled = options.length < 2;
+}
+
+async function loadComparableAssessment(key) {
+  if (!key) return null;
+  if (key.startsWith('import:')) {
+    return state.comparison.imported[Number(key.slice('import:'.length))] || null;
+  }
+  if (key.startsWith('saved:')) {
+    return getAssessment(key.slice('saved:'.length));
+  }
+  return null;
+}
+
+async function handleCompareImport(file) {
+  try {
+    const text = await file.text();
+    const assessment = assessmentFromExportJson(text);
+    state.comparison.imported.push(assessment);
+    await refreshSavedAssessmentsList();
+    setBanner('ok', `Added "${assessment.name}" for comparison.`);
+  } catch (e) {
+    setBanner('error', `Could not read ${file.name}: ${e?.message || String(e)}`);
+  }
+}
+
+function renderComparisonView() {
+  const { baseline, current, facility } = state.comparison;
+  if (!baseline || !current) return;
+
+  const comparison = compareAssessments(baseline, current, { facility });
+
+  destroyAllCharts(state.chartRegistry);
+  state.chartRegistry.clear();
+  UI.resultsRoot.innerHTML = '';
+  UI.resultsRoot.appendChild(renderAssessmentComparison({
+    comparison,
+    chartRegistry: state.chartRegistry,
+    onFacilityChange: (next) => {
+      state.comparison.facility = next;
+      renderComparisonView();
+    },
+    onDownloadCsv: () => {
+      const stamp = DateTime.now().setZone(state.timezone).toFormat('yyyyLLdd_HHmm');
+      downloadText(`YardIQ_Comparison_${stamp}.csv`, buildComparisonCsv(comparison));
+    },
+    onClose: closeComparisonView,
+    onWarning: addWarning,
+  }));
+}
+
+async function runComparison() {
+  if (state.running) return;
+  const baselineKey = UI.compareBaselineSelect?.value;
+  const currentKey = UI.compareCurrentSelect?.value;
+  if (!baselineKey || !currentKey || baselineKey === currentKey) {
+    setBanner('error', 'Pick two different assessments to compare.');
+    return;
+  }
+
+  try {
+    const [baseline, current] = await Promise.all([
+      loadComparableAssessment(baselineKey),
+      loadComparableAssessment(currentKey),
+    ]);
+    if (!baseline || !current) {
+      setBanner('error', 'One of the selected assessments could not be loaded.');
+      return;
+    }
+    state.comparison.baseline = baseline;
+    state.comparison.current = current;
+    state.comparison.facility = null;
+    renderComparisonView();
+    setBanner('ok', `Comparing "${current.name}" against "${baseline.name}".`);
+  } catch (e) {
+    setBanner('error', `Comparison failed: ${e?.message || String(e)}`);
+  }
+}
+
+function closeComparisonView() {
+  state.comparison.baseline = null;
+  state.comparison.current = null;
+  state.comparison.facility = null;
+  clearBanner();
+  renderAllResults();
+}
+
+function initSavedAssessments() {
+  UI.compareRunBtn?.addEventListener('click', runComparison);
+  UI.importJsonBtn?.addEventListener('click', () => UI.importJsonInput?.click());
+  UI.importJsonInput?.addEventListener('change', (e) => {
+    const file = e.target.files?.[0];
+    if (file) openImportedExport(file);
+    e.target.value = '';
+  });
+  UI.compareImportBtn?.addEventListener('click', () => UI.compareImportInput?.click());
+  UI.compareImportInput?.addEventListener('change', (e) => {
+    const file = e.target.files?.[0];
+    if (file) handleCompareImport(file);
+    e.target.value = ''; // Reset so the same file can be selected again
+  });
+
+  UI.savedAssessmentsList?.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action]');
+    const row = e.target.closest('.saved-assessment-row');
+    if (!button || !row) return;
+    const id = row.dataset.id;
+
+    try {
+      if (button.dataset.action === 'open') {
+        await openSavedAssessment(id);
+      } else if (button.dataset.action === 'rename') {
+        const current = row.querySelector('.saved-assessment-name')?.textContent || '';
+        const name = prompt('Rename saved assessment:', current);
+        if (name === null || !name.trim()) return;
+        await renameAssessment(id, name);
+        await refreshSavedAssessmentsList();
+      } else if (button.dataset.action === 'delete') {
+        if (!confirm('Delete this saved assessment? This cannot be undone.')) return;
+        await deleteAssessment(id);
+        if (state.savedAssessmentId === id) state.savedAssessmentId = null;
+        await refreshSavedAssessmentsList();
+      }
+    } catch (err) {
+      setBanner('error', `Saved assessment action failed: ${err?.message || String(err)}`);
+    }
+  });
+
+  refreshSavedAssessmentsList();
+}
+
 // ---------- Init ----------
 (function init() {
   buildTimezoneOptions(UI.timezoneSelect);
@@ -2930,6 +4618,22 @@ function initDrilldownHandling() {
 
   // Initialize drill-down toggle
   initDrilldownHandling();
+  initPseudonymizeHandling();
+
+  // Initialize the API page cache controls
+  initPageCache();
+
+  // Column-mapping wizard for CSV files that fail detection or validation
+  initMappingWizard();
+  initMappingProfiles();
+
+  // Row filter builder (applies to CSV and API runs)
+  initRowFilters();
+  initShifts();
+  initPiiRules();
+
+  // Load the saved assessments library from IndexedDB
+  initSavedAssessments();
 
   // Initialize CSV mode as default (set up UI and state)
   setDataSource('csv');
@@ -0,0 +1,264 @@
+/**
+ * Assessment Comparison
+ *
+ * Compares two finalized assessments (e.g. last quarter vs. this quarter):
+ * metric deltas per report, new/resolved findings, and overlaid time series.
+ *
+ * Inputs are "assessment-like" objects: { name, inputs, results, facilityResults }
+ * as produced by assessment-store.js records or assessmentFromExportJson().
+ * Pure functions only - rendering lives in charts.js.
+ */
+
+// Direction of improvement for known result metrics. Metrics not listed are neutral.
+const HIGHER_IS_BETTER = new Set([
+  'updated_last_24h_pct',
+  'updated_last_7d_pct',
+  'updated_last_30d_pct',
+  'prevented_detention_count',
+  'prevention_rate',
+  'dwell_coverage_pct',
+  'process_coverage_pct',
+  'avg_turns_per_door_per_day',
+  'door_utilization_pct',
+  'process_adoption_pct',
+  'compliance_pct',
+  'avg_moves_per_driver_per_day',
+]);
+
+const LOWER_IS_BETTER = new Set([
+  'placeholder_scac_pct',
+  'live_load_missing_driver_contact_pct',
+  'pre_detention_count',
+  'detention_count',
+  'dwell_median_latest_month_min',
+  'dwell_p90_latest_month_min',
+  'process_median_latest_month_min',
+  'process_p90_latest_month_min',
+  'median_dwell_time_min',
+  'median_process_time_min',
+  'idle_door_hours_per_day',
+  'queue_median_minutes',
+  'queue_p90_minutes',
+  'deadhead_median_minutes',
+  'deadhead_ratio_pct',
+  'total_error_events',
+  'trailer_marked_lost',
+  'yard_check_insert',
+  'spot_edited',
+  'facility_edited',
+  'errors_per_day',
+  'error_rate_pct',
+]);
+
+/**
+ * Classify a metric change as 'improved' | 'worsened' | 'unchanged' | 'neutral'.
+ */
+export function classifyMetricChange(key, delta) {
+  if (!Number.isFinite(delta)) return 'neutral';
+  if (delta === 0) return 'unchanged';
+  if (HIGHER_IS_BETTER.has(key)) return delta > 0 ? 'improved' : 'worsened';
+  if (LOWER_IS_BETTER.has(key)) return delta < 0 ? 'improved' : 'worsened';
+  return 'neutral';
+}
+
+/**
+ * Normalize finding text so the same finding with different numbers matches
+ * across runs ("Median queue time is ~12 min" vs "~9 min").
+ */
+export function findingKey(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[$~]?-?\d[\d,]*(\.\d+)?%?/g, '#')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Pick the result to compare for a report, either aggregated or per facility.
+ */
+function pickResult(assessment, report, facility) {
+  if (facility) return assessment?.facilityResults?.[report]?.[facility] || null;
+  return assessment?.results?.[report] || null;
+}
+
+function compareMetrics(baseMetrics = {}, curMetrics = {}) {
+  const keys = [];
+  const seen = new Set();
+  for (const k of [...Object.keys(baseMetrics), ...Object.keys(curMetrics)]) {
+    if (seen.has(k) || k.startsWith('_debug')) continue;
+    seen.add(k);
+    keys.push(k);
+  }
+
+  const rows = [];
+  for (const key of keys) {
+    const baseline = baseMetrics[key];
+    const current = curMetrics[key];
+    // Only scalar metrics are compared; arrays/objects are displayed elsewhere
+    if (Array.isArray(baseline) || Array.isArray(current)) continue;
+    if ((baseline !== null && typeof baseline === 'object') || (current !== null && typeof current === 'object')) continue;
+
+    const bothNumeric = Number.isFinite(baseline) && Number.isFinite(current);
+    const delta = bothNumeric ? Math.round((current - baseline) * 100) / 100 : null;
+    const deltaPct = bothNumeric && baseline !== 0
+      ? Math.round(((current - baseline) / Math.abs(baseline)) * 1000) / 10
+      : null;
+
+    rows.push({
+      key,
+      baseline: baseline ?? null,
+      current: current ?? null,
+      delta,
+      deltaPct,
+      change: classifyMetricChange(key, delta),
+    });
+  }
+  return rows;
+}
+
+function compareFindings(baseFindings = [], curFindings = []) {
+  const baseKeys = new Map(baseFindings.map(f => [findingKey(f.text), f]));
+  const curKeys = new Map(curFindings.map(f => [findingKey(f.text), f]));
+
+  const newFindings = [];
+  const persistingFindings = [];
+  for (const [key, finding] of curKeys) {
+    if (baseKeys.has(key)) {
+      persistingFindings.push({ baseline: baseKeys.get(key), current: finding });
+    } else {
+      newFindings.push(finding);
+    }
+  }
+  const resolvedFindings = [];
+  for (const [key, finding] of baseKeys) {
+    if (!curKeys.has(key)) resolvedFindings.push(finding);
+  }
+  return { newFindings, resolvedFindings, persistingFindings };
+}
+
+/**
+ * Overlay two line charts with the same id. Periods are aligned by position
+ * (period 1 of baseline vs period 1 of current) because the date ranges differ.
+ */
+export function buildOverlayChart(baseDef, curDef, baselineName, currentName) {
+  const baseLabels = baseDef?.data?.labels || [];
+  const curLabels = curDef?.data?.labels || [];
+  const length = Math.max(baseLabels.length, curLabels.length);
+  const labels = Array.from({ length }, (_, i) => `Period ${i + 1}`);
+
+  const pad = (data) => Array.from({ length }, (_, i) => (data && data[i] !== undefined ? data[i] : null));
+
+  const datasets = [];
+  const csvColumns = ['period', 'baseline_label', 'current_label'];
+  const csvSeries = [];
+
+  (baseDef?.data?.datasets || []).forEach((ds, idx) => {
+    const column = `baseline_${idx}`;
+    datasets.push({ label: `${ds.label} (${baselineName})`, data: pad(ds.data), borderDash: [6, 3] });
+    csvColumns.push(column);
+    csvSeries.push({ column, data: pad(ds.data) });
+  });
+  (curDef?.data?.datasets || []).forEach((ds, idx) => {
+    const column = `current_${idx}`;
+    datasets.push({ label: `${ds.label} (${currentName})`, data: pad(ds.data) });
+    csvColumns.push(column);
+    csvSeries.push({ column, data: pad(ds.data) });
+  });
+
+  return {
+    id: `compare_${curDef?.id || baseDef?.id}`,
+    title: curDef?.title || baseDef?.title || 'Time series',
+    kind: 'line',
+    description: `Periods aligned by position. Dashed lines are ${baselineName}; solid lines are ${currentName}.`,
+    data: { labels, datasets },
+    csv: {
+      columns: csvColumns,
+      rows: labels.map((period, i) => {
+        const row = { period, baseline_label: baseLabels[i] ?? '', current_label: curLabels[i] ?? '' };
+        csvSeries.forEach(s => { row[s.column] = s.data[i]; });
+        return row;
+      }),
+    },
+  };
+}
+
+function overlayCharts(baseCharts = [], curCharts = [], baselineName, currentName) {
+  // Chart ids can carry a granularity suffix (e.g. _weekly vs _daily); match on the stem too
+  const stem = (id) => String(id || '').replace(/_(monthly|weekly|daily)$/, '');
+  const baseLines = baseCharts.filter(c => c.kind === 'line');
+  const overlays = [];
+  for (const cur of curCharts.filter(c => c.kind === 'line')) {
+    const base = baseLines.find(b => b.id === cur.id) || baseLines.find(b => stem(b.id) === stem(cur.id));
+    if (!base) continue;
+    overlays.push(buildOverlayChart(base, cur, baselineName, currentName));
+  }
+  return overlays;
+}
+
+/**
+ * Facilities that have per-facility results in both assessments.
+ */
+export function listComparableFacilities(baseline, current) {
+  const collect = (assessment) => {
+    const set = new Set();
+    for (const byFacility of Object.values(assessment?.facilityResults || {})) {
+      Object.keys(byFacility || {}).forEach(f => set.add(f));
+    }
+    return set;
+  };
+  const baseSet = collect(baseline);
+  return Array.from(collect(current)).filter(f => baseSet.has(f)).sort();
+}
+
+/**
+ * Compare two assessments.
+ * @param {Object} baseline - earlier assessment
+ * @param {Object} current - later assessment
+ * @param {Object} [options]
+ * @param {string|null} [options.facility] - compare a single facility's results instead of the aggregate
+ * @returns {Object} comparison model for rendering/export
+ */
+export function compareAssessments(baseline, current, { facility = null } = {}) {
+  const baselineName = baseline?.name || 'Baseline';
+  const currentName = current?.name || 'Current';
+
+  const reportSet = new Set([
+    ...Object.keys(baseline?.results || {}),
+    ...Object.keys(current?.results || {}),
+    ...Object.keys(baseline?.facilityResults || {}),
+    ...Object.keys(current?.facilityResults || {}),
+  ]);
+
+  const reports = [];
+  for (const report of Array.from(reportSet).sort()) {
+    const baseResult = pickResult(baseline, report, facility);
+    const curResult = pickResult(current, report, facility);
+    if (!baseResult && !curResult) continue;
+
+    reports.push({
+      report,
+      baselineAvailable: !!baseResult,
+      currentAvailable: !!curResult,
+      metrics: compareMetrics(baseResult?.metrics, curResult?.metrics),
+      findings: compareFindings(baseResult?.findings, curResult?.findings),
+      charts: (baseResult && curResult)
+        ? overlayCharts(baseResult.charts, curResult.charts, baselineName, currentName)
+        : [],
+    });
+  }
+
+  const describe = (a, name) => ({
+    name,
+    tenant: a?.inputs?.tenant || null,
+    startDate: a?.inputs?.startDate || null,
+    endDate: a?.inputs?.endDate || null,
+  });
+
+  return {
+    baseline: describe(baseline, baselineName),
+    current: describe(current, currentName),
+    facility,
+    facilities: listComparableFacilities(baseline, current),
+    reports,
+  };
+}
@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+// Minimal browser shim: export.js reads Luxon from window at import time
+global.window = global.window || {};
+global.window.luxon = global.window.luxon || {
+  DateTime: { now: () => ({ setZone: () => ({ toFormat: () => '2025-04-01 09:00:00 UTC' }) }) },
+};
+
+const { compareAssessments, findingKey, classifyMetricChange, listComparableFacilities } = await import('./assessment-compare.js');
+const { buildExportJson, assessmentFromExportJson, buildComparisonCsv } = await import('./export.js');
+
+function driverResult({ moves, queue, findings = [], weekly = [] }) {
+  return {
+    metrics: { moves_total: moves, queue_median_minutes: queue, _debug_rows: 1 },
+    findings,
+    charts: [{
+      id: 'active_drivers_and_moves_weekly',
+      title: 'Active drivers & moves (weekly)',
+      kind: 'line',
+      data: { labels: weekly.map((_, i) => `2025-W${i + 1}`), datasets: [{ label: 'Moves', data: weekly }] },
+    }],
+  };
+}
+
+test('findingKey ignores changing numbers', () => {
+  assert.equal(
+    findingKey('Median queue time is ~12 min (p90 ~30 min).'),
+    findingKey('Median queue time is ~9 min (p90 ~21 min).'),
+  );
+  assert.notEqual(findingKey('Queue time healthy'), findingKey('Low compliance signal'));
+});
+
+test('classifyMetricChange respects metric direction', () => {
+  assert.equal(classifyMetricChange('queue_median_minutes', -3), 'improved');
+  assert.equal(classifyMetricChange('compliance_pct', -3), 'worsened');
+  assert.equal(classifyMetricChange('total_trailers', 10), 'neutral');
+  assert.equal(classifyMetricChange('moves_total', null), 'neutral');
+});
+
+test('compareAssessments reports deltas, new/resolved findings and overlays', () => {
+  const baseline = {
+    name: 'Q1',
+    inputs: { startDate: '2025-01-01', endDate: '2025-03-31' },
+    results: {
+      driver_history: driverResult({
+        moves: 100,
+        queue: 12,
+        weekly: [10, 20],
+        findings: [
+          { level: 'yellow', text: 'Median queue time is ~12 min (p90 ~30 min).' },
+          { level: 'yellow', text: 'Low compliance signal: 20% within ≤2 minutes.' },
+        ],
+      }),
+    },
+  };
+  const current = {
+    name: 'Q2',
+    inputs: { startDate: '2025-04-01', endDate: '2025-06-30' },
+    results: {
+      driver_history: driverResult({
+        moves: 150,
+        queue: 8,
+        weekly: [15, 25, 30],
+        findings: [
+          { level: 'yellow', text: 'Median queue time is ~8 min (p90 ~20 min).' },
+          { level: 'green', text: 'Dispatch efficiency looks healthy (20% deadhead).' },
+        ],
+      }),
+    },
+  };
+
+  const cmp = compareAssessments(baseline, current);
+  assert.equal(cmp.reports.length, 1);
+  const driver = cmp.reports[0];
+
+  const moves = driver.metrics.find(m => m.key === 'moves_total');
+  assert.equal(moves.delta, 50);
+  assert.equal(moves.deltaPct, 50);
+  assert.ok(!driver.metrics.some(m => m.key.startsWith('_debug')), 'debug metrics are skipped');
+  assert.equal(driver.metrics.find(m => m.key === 'queue_median_minutes').change, 'improved');
+
+  assert.equal(driver.findings.newFindings.length, 1);
+  assert.match(driver.findings.newFindings[0].text, /Dispatch efficiency/);
+  assert.equal(driver.findings.resolvedFindings.length, 1);
+  assert.match(driver.findings.resolvedFindings[0].text, /Low compliance/);
+  assert.equal(driver.findings.persistingFindings.length, 1);
+
+  assert.equal(driver.charts.length, 1);
+  const overlay = driver.charts[0];
+  assert.deepEqual(overlay.data.labels, ['Period 1', 'Period 2', 'Period 3']);
+  assert.deepEqual(overlay.data.datasets[0].data, [10, 20, null], 'baseline padded to align periods');
+  assert.equal(overlay.csv.rows[2].current_label, '2025-W3');
+});
+
+test('per-facility comparison uses facility results', () => {
+  const baseline = {
+    results: {},
+    facilityResults: { driver_history: { FAC1: driverResult({ moves: 10, queue: 5 }), FAC2: driverResult({ moves: 1, queue: 1 }) } },
+  };
+  const current = {
+    results: {},
+    facilityResults: { driver_history: { FAC1: driverResult({ moves: 20, queue: 5 }) } },
+  };
+
+  assert.deepEqual(listComparableFacilities(baseline, current), ['FAC1']);
+  const cmp = compareAssessments(baseline, current, { facility: 'FAC1' });
+  assert.equal(cmp.facility, 'FAC1');
+  assert.equal(cmp.reports[0].metrics.find(m => m.key === 'moves_total').delta, 10);
+});
+
+test('export JSON round-trips into a comparable assessment', () => {
+  const inputs = { tenant: 'acme', facilities: ['FAC1'], startDate: '2025-01-01', endDate: '2025-03-31', timezone: 'UTC', assumptions: {} };
+  const json = buildExportJson({
+    inputs,
+    results: { driver_history: driverResult({ moves: 100, queue: 12, weekly: [1, 2], findings: [{ level: 'red', text: 'Bad' }] }) },
+    warnings: [],
+    isMultiFacility: false,
+    detectedFacilities: ['FAC1'],
+  });
+
+  const imported = assessmentFromExportJson(json);
+  assert.equal(imported.inputs.tenant, 'acme');
+  assert.equal(imported.results.driver_history.metrics.moves_total, 100);
+  assert.equal(imported.results.driver_history.findings[0].level, 'red');
+
+  const cmp = compareAssessments(imported, imported);
+  assert.ok(buildComparisonCsv(cmp).includes('driver_history,moves_total,100,100,0,0,unchanged'));
+
+  assert.throws(() => assessmentFromExportJson('{"hello":1}'), /Not a YardIQ export/);
+});
@@ -0,0 +1,198 @@
+/**
+ * Saved Assessments Store
+ *
+ * Persists finalized assessments in IndexedDB so completed runs can be
+ * reopened later without re-fetching or re-parsing the source data.
+ *
+ * Only aggregated output is stored (results, inputs, assumptions, warnings,
+ * AI insights). Raw rows are never kept, and API tokens are never written.
+ */
+
+import { isIndexedDbAvailable, requestToPromise, transactionDone, createDbOpener } from './idb.js?v=2025.01.07.0';
+
+const DB_NAME = 'yardiq-assessments';
+const DB_VERSION = 1;
+const STORE_NAME = 'assessments';
+
+export const ASSESSMENT_RECORD_VERSION = 1;
+
+// ============================================================================
+// RECORD BUILDING (pure, no IndexedDB access)
+// ============================================================================
+
+/**
+ * Deep-clone a value into plain JSON data. Drops functions and class
+ * prototypes so the record is safe for structured clone and later export.
+ */
+function toPlainData(value) {
+  if (value === undefined) return null;
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Build a default display name for a saved assessment.
+ * @param {Object} inputs - state.inputs at completion time
+ * @param {number} savedAt - epoch millis
+ * @returns {string}
+ */
+export function defaultAssessmentName(inputs, savedAt = Date.now()) {
+  const tenant = inputs?.tenant || 'Assessment';
+  const start = inputs?.startDate;
+  const end = inputs?.endDate;
+  if (start && end && start !== end) return `${tenant} ${start} to ${end}`;
+  if (start) return `${tenant} ${start}`;
+  return `${tenant} ${new Date(savedAt).toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Build a storable assessment record from app state.
+ * The token is stripped from inputs even if a caller passes it in.
+ *
+ * @param {Object} params
+ * @param {Object} params.inputs - state.inputs
+ * @param {Object} params.results - state.results (report -> finalized result)
+ * @param {Object} [params.facilityResults] - report -> facility -> finalizeFacility result
+ * @param {Object} [params.facilitiesByReport] - report -> facility names
+ * @param {string[]} [params.warnings]
+ * @param {Object|null} [params.aiInsights]
+ * @param {boolean} [params.isMultiFacility]
+ * @param {string[]} [params.detectedFacilities]
+ * @param {number|null} [params.runStartedAt]
+ * @param {string} [params.dataSource] - 'api' | 'csv'
+ * @param {string} [params.name]
+ * @returns {Object}
+ */
+export function buildAssessmentRecord({
+  inputs,
+  results,
+  facilityResults = {},
+  facilitiesByReport = {},
+  warnings = [],
+  aiInsights = null,
+  isMultiFacility = false,
+  detectedFacilities = [],
+  runStartedAt = null,
+  dataSource = 'csv',
+  name,
+}) {
+  const savedAt = Date.now();
+  const { token, ...safeInputs } = inputs || {};
+
+  return {
+    id: `saved_${savedAt}_${Math.random().toString(16).slice(2)}`,
+    version: ASSESSMENT_RECORD_VERSION,
+    name: (name || '').trim() || defaultAssessmentName(safeInputs, savedAt),
+    savedAt,
+    runStartedAt,
+    dataSource,
+    inputs: toPlainData(safeInputs),
+    results: toPlainData(results || {}),
+    facilityResults: toPlainData(facilityResults),
+    facilitiesByReport: toPlainData(facilitiesByReport),
+    warnings: Array.isArray(warnings) ? warnings.slice() : [],
+    aiInsights: toPlainData(aiInsights),
+    isMultiFacility: !!isMultiFacility,
+    detectedFacilities: Array.isArray(detectedFacilities) ? detectedFacilities.slice() : [],
+  };
+}
+
+/**
+ * Reduce a full record to the fields needed for the saved-assessments list.
+ */
+export function summarizeAssessmentRecord(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    savedAt: record.savedAt,
+    dataSource: record.dataSource,
+    tenant: record.inputs?.tenant || '',
+    startDate: record.inputs?.startDate || null,
+    endDate: record.inputs?.endDate || null,
+    reports: Object.keys(record.results || {}),
+    facilityCount: record.detectedFacilities?.length || 0,
+  };
+}
+
+// ============================================================================
+// INDEXEDDB ACCESS
+// ============================================================================
+
+export function isAssessmentStoreAvailable() {
+  return isIndexedDbAvailable();
+}
+
+const openDb = createDbOpener(DB_NAME, DB_VERSION, (db) => {
+  if (!db.objectStoreNames.contains(STORE_NAME)) {
+    const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    store.createIndex('savedAt', 'savedAt');
+  }
+});
+
+/**
+ * Persist a record built by buildAssessmentRecord.
+ * @returns {Promise<string>} record id
+ */
+export async function saveAssessment(record) {
+  const db = await openDb();
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  tx.objectStore(STORE_NAME).put(record);
+  await transactionDone(tx);
+  return record.id;
+}
+
+/**
+ * List saved assessments, newest first, as lightweight summaries.
+ * @returns {Promise<Object[]>}
+ */
+export async function listAssessments() {
+  const db = await openDb();
+  const tx = db.transaction(STORE_NAME, 'readonly');
+  const records = await requestToPromise(tx.objectStore(STORE_NAME).getAll());
+  return records
+    .map(summarizeAssessmentRecord)
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Load a full saved assessment.
+ * @returns {Promise<Object|null>}
+ */
+export async function getAssessment(id) {
+  const db = await openDb();
+  const tx = db.transaction(STORE_NAME, 'readonly');
+  const record = await requestToPromise(tx.objectStore(STORE_NAME).get(id));
+  return record || null;
+}
+
+/**
+ * Apply a shallow patch to a saved record (e.g. rename, attach AI insights).
+ * @returns {Promise<Object|null>} updated record, or null if not found
+ */
+export async function updateAssessment(id, patch) {
+  const db = await openDb();
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  const store = tx.objectStore(STORE_NAME);
+  const existing = await requestToPromise(store.get(id));
+  if (!existing) {
+    await transactionDone(tx);
+    return null;
+  }
+  const { id: _ignored, token, ...safePatch } = patch || {};
+  const updated = { ...existing, ...toPlainData(safePatch) };
+  store.put(updated);
+  await transactionDone(tx);
+  return updated;
+}
+
+export async function renameAssessment(id, name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('Name cannot be empty.');
+  return updateAssessment(id, { name: trimmed });
+}
+
+export async function deleteAssessment(id) {
+  const db = await openDb();
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  tx.objectStore(STORE_NAME).delete(id);
+  await transactionDone(tx);
+}
@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  buildAssessmentRecord,
+  summarizeAssessmentRecord,
+  defaultAssessmentName,
+  ASSESSMENT_RECORD_VERSION,
+} from './assessment-store.js';
+
+test('buildAssessmentRecord never stores the API token', () => {
+  const record = buildAssessmentRecord({
+    inputs: { tenant: 'acme', token: 'secret-token-value', startDate: '2025-01-01', endDate: '2025-03-31', timezone: 'UTC' },
+    results: { driver_history: { metrics: { moves_total: 10 } } },
+  });
+
+  assert.ok(!('token' in record.inputs), 'token must be stripped from inputs');
+  assert.ok(!JSON.stringify(record).includes('secret-token-value'), 'token value must not appear anywhere');
+  assert.equal(record.version, ASSESSMENT_RECORD_VERSION);
+  assert.equal(record.inputs.tenant, 'acme');
+});
+
+test('buildAssessmentRecord snapshots results as plain data', () => {
+  const results = { trailer_history: { metrics: { lost: 2 }, charts: [], fn: () => 1 } };
+  const record = buildAssessmentRecord({
+    inputs: { tenant: 'acme' },
+    results,
+    facilityResults: { trailer_history: { FAC1: { metrics: { lost: 1 } } } },
+    detectedFacilities: ['FAC1', 'FAC2'],
+    isMultiFacility: true,
+  });
+
+  results.trailer_history.metrics.lost = 99;
+  assert.equal(record.results.trailer_history.metrics.lost, 2, 'record should not alias live state');
+  assert.ok(!('fn' in record.results.trailer_history), 'functions are dropped');
+  assert.equal(record.facilityResults.trailer_history.FAC1.metrics.lost, 1);
+  assert.deepEqual(record.detectedFacilities, ['FAC1', 'FAC2']);
+  assert.equal(record.isMultiFacility, true);
+});
+
+test('default names and summaries describe the run', () => {
+  assert.equal(defaultAssessmentName({ tenant: 'acme', startDate: '2025-01-01', endDate: '2025-03-31' }), 'acme 2025-01-01 to 2025-03-31');
+  assert.equal(defaultAssessmentName({ tenant: 'acme', startDate: '2025-01-01', endDate: '2025-01-01' }), 'acme 2025-01-01');
+
+  const record = buildAssessmentRecord({
+    inputs: { tenant: 'acme', startDate: '2025-01-01', endDate: '2025-03-31' },
+    results: { current_inventory: {}, driver_history: {} },
+    name: '  Q1 review  ',
+    dataSource: 'api',
+  });
+  const summary = summarizeAssessmentRecord(record);
+  assert.equal(summary.name, 'Q1 review');
+  assert.equal(summary.dataSource, 'api');
+  assert.deepEqual(summary.reports, ['current_inventory', 'driver_history']);
+  assert.ok(!('results' in summary));
+});
@@ -0,0 +1,242 @@
+/**
+ * Cross-report carrier scorecard
+ *
+ * Detention, trailer and inventory results each carry `carrierStats`
+ * (upper-cased SCAC -> counts) and, with drill-down on, `carrierRecords`
+ * (SCAC -> { report, trailer, event, date, detail }). This module joins them
+ * into one row per carrier, ranks carriers by an issue score and names the
+ * worst ones in findings. Placeholder SCACs (XXXX, UNKNOWN, blank) are pooled
+ * into one unranked row so their share of carrier-tagged rows is visible.
+ *
+ * Pass any mix of aggregate or per-facility results; counts are summed, so a
+ * facility selection is scored from just those facilities' results.
+ */
+
+import { scacIsPlaceholder } from './analysis.js?v=2025.01.07.0';
+import { isAlias } from './pseudonymize.js?v=2025.01.07.0';
+
+export const PLACEHOLDER_CARRIER = 'Placeholder SCAC';
+
+// Drill-down records kept per carrier
+export const CARRIER_DRILLDOWN_LIMIT = 100;
+
+// Carriers need this many detention-risk events before their prevention rate counts
+const MIN_PREVENTION_SAMPLES = 5;
+
+const REPORT_LABELS = {
+  current_inventory: 'Inventory',
+  detention_history: 'Detention',
+  trailer_history: 'Trailer',
+};
+
+/**
+ * Scorecard columns, in display order. `report` is the result that supplies
+ * the column; columns for reports that were not run are dropped.
+ */
+export const SCORECARD_COLUMNS = [
+  { key: 'detention_events', label: 'Detention events', report: 'detention_history' },
+  { key: 'detention_hours', label: 'Detention hours', report: 'detention_history' },
+  { key: 'prevention_rate_pct', label: 'Prevention rate %', report: 'detention_history' },
+  { key: 'lost_events', label: 'Lost trailers', report: 'trailer_history' },
+  { key: 'trailer_events', label: 'Trailer events', report: 'trailer_history' },
+  { key: 'trailers', label: 'On yard', report: 'current_inventory' },
+  { key: 'aged_trailers', label: 'Aged >7d', report: 'current_inventory' },
+  { key: 'share_of_rows_pct', label: 'Share of rows %', report: null },
+  { key: 'issue_score', label: 'Issue score', report: null },
+];
+
+// Metrics that feed the issue score: each is scaled to the worst carrier and averaged
+const SCORED_METRICS = [
+  { key: 'detention_events', report: 'detention_history' },
+  { key: 'detention_hours', report: 'detention_history' },
+  { key: 'missed_prevention_pct', report: 'detention_history' },
+  { key: 'lost_events', report: 'trailer_history' },
+  { key: 'aged_trailers', report: 'current_inventory' },
+];
+
+const round1 = n => Math.round(n * 10) / 10;
+
+/**
+ * Carrier key for joining reports: trimmed, upper-cased, placeholders pooled.
+ * Pseudonymized results carry aliases, which keep their spelling ("Carrier 02").
+ */
+export function carrierKey(scac) {
+  const name = String(scac ?? '').trim();
+  if (isAlias(name)) return name;
+  const key = name.toUpperCase();
+  return scacIsPlaceholder(key) ? PLACEHOLDER_CARRIER : key;
+}
+
+/**
+ * Builds the scorecard, or null when no result carries carrier stats.
+ *
+ * @param {Array<object>} results - Report results (aggregate or per facility)
+ * @returns {{
+ *   columns: Array<{key: string, label: string}>,
+ *   rows: Array<object>,
+ *   placeholder: object|null,
+ *   placeholderSharePct: number,
+ *   findings: Array<{level: string, text: string}>,
+ *   csv: {columns: string[], rows: object[]},
+ *   drilldown: object|null
+ * }|null}
+ */
+export function buildCarrierScorecard(results) {
+  const reports = new Set();
+  const byCarrier = new Map();
+  const records = new Map();
+  let hasRecords = false;
+
+  for (const result of results || []) {
+    if (!result?.carrierStats) continue;
+    reports.add(result.report);
+    for (const [scac, stats] of Object.entries(result.carrierStats)) {
+      const key = carrierKey(scac);
+      const into = byCarrier.get(key) || { carrier: key };
+      for (const [k, v] of Object.entries(stats)) into[k] = (into[k] || 0) + v;
+      byCarrier.set(key, into);
+    }
+    if (result.carrierRecords) {
+      hasRecords = true;
+      for (const [scac, list] of Object.entries(result.carrierRecords)) {
+        const key = carrierKey(scac);
+        if (!records.has(key)) records.set(key, []);
+        records.get(key).push(...list.map(r => ({ ...r, report: REPORT_LABELS[r.report] || r.report })));
+      }
+    }
+  }
+  if (byCarrier.size === 0) return null;
+
+  const allRows = [...byCarrier.values()].map(fillRow);
+  const totalRows = allRows.reduce((sum, r) => sum + r.tagged_rows, 0);
+  for (const row of allRows) {
+    row.share_of_rows_pct = totalRows > 0 ? round1((row.tagged_rows / totalRows) * 100) : 0;
+  }
+
+  const placeholder = allRows.find(r => r.carrier === PLACEHOLDER_CARRIER) || null;
+  const rows = allRows.filter(r => r !== placeholder);
+  scoreRows(rows, reports);
+  rows.sort((a, b) => b.issue_score - a.issue_score || b.tagged_rows - a.tagged_rows || a.carrier.localeCompare(b.carrier));
+  rows.forEach((row, i) => { row.rank = i + 1; });
+  if (placeholder) placeholder.issue_score = null;
+
+  const columns = SCORECARD_COLUMNS.filter(c => !c.report || reports.has(c.report));
+  const csvColumns = ['rank', 'carrier', ...columns.map(c => c.key)];
+  const csvRows = [...rows, ...(placeholder ? [placeholder] : [])].map(row => Object.fromEntries(
+    csvColumns.map(c => [c, row[c] ?? ''])
+  ));
+
+  const byLabel = {};
+  for (const [key, list] of records) {
+    if (list.length) byLabel[key] = list.slice(0, CARRIER_DRILLDOWN_LIMIT);
+  }
+
+  return {
+    columns: columns.map(({ key, label }) => ({ key, label })),
+    rows,
+    placeholder,
+    placeholderSharePct: placeholder?.share_of_rows_pct || 0,
+    findings: scorecardFindings(rows, placeholder, reports),
+    csv: { columns: csvColumns, rows: csvRows },
+    drilldown: hasRecords ? {
+      columns: ['report', 'trailer', 'event', 'date', 'detail'],
+      columnLabels: ['Report', 'Trailer #', 'Event', 'Date', 'Detail'],
+      byLabel,
+      limitPerLabel: CARRIER_DRILLDOWN_LIMIT,
+    } : null,
+  };
+}
+
+function fillRow(stats) {
+  const row = {
+    detention_events: 0,
+    prevented_events: 0,
+    detention_hours: 0,
+    lost_events: 0,
+    trailer_events: 0,
+    trailers: 0,
+    aged_trailers: 0,
+    ...stats,
+  };
+  row.detention_hours = round1(row.detention_hours);
+  const atRisk = row.detention_events + row.prevented_events;
+  row.prevention_rate_pct = atRisk > 0 ? Math.round((row.prevented_events / atRisk) * 100) : null;
+  row.missed_prevention_pct = atRisk >= MIN_PREVENTION_SAMPLES ? 100 - row.prevention_rate_pct : 0;
+  // Rows this carrier appears on: detention-risk events, trailer events, trailers on yard
+  row.tagged_rows = atRisk + row.trailer_events + row.trailers;
+  return row;
+}
+
+function scoreRows(rows, reports) {
+  const metrics = SCORED_METRICS.filter(m => reports.has(m.report));
+  const worst = Object.fromEntries(metrics.map(m => [m.key, Math.max(0, ...rows.map(r => r[m.key]))]));
+  for (const row of rows) {
+    const scaled = metrics.map(m => (worst[m.key] > 0 ? row[m.key] / worst[m.key] : 0));
+    row.issue_score = scaled.length ? Math.round((scaled.reduce((a, b) => a + b, 0) / scaled.length) * 100) : 0;
+  }
+}
+
+function listCarriers(rows, format) {
+  return rows.map(format).join(', ');
+}
+
+function scorecardFindings(rows, placeholder, reports) {
+  const findings = [];
+
+  const worst = rows.filter(r => r.issue_score >= 25).slice(0, 3);
+  if (worst.length) {
+    findings.push({
+      level: worst[0].issue_score >= 60 ? 'red' : 'yellow',
+      text: `Worst carriers overall: ${listCarriers(worst, r => `${r.carrier} (score ${r.issue_score})`)}.`,
+    });
+  }
+
+  if (reports.has('detention_history')) {
+    const totalHours = rows.reduce((sum, r) => sum + r.detention_hours, 0);
+    const top = rows.filter(r => r.detention_hours > 0).sort((a, b) => b.detention_hours - a.detention_hours)[0];
+    if (top && totalHours > 0) {
+      findings.push({
+        level: 'yellow',
+        text: `${top.carrier} has the most detention: ${top.detention_events.toLocaleString()} events, ${top.detention_hours.toLocaleString()} h (${Math.round((top.detention_hours / totalHours) * 100)}% of detention hours).`,
+      });
+    }
+    const lowPrevention = rows
+      .filter(r => r.detention_events + r.prevented_events >= MIN_PREVENTION_SAMPLES && r.prevention_rate_pct < 50)
+      .sort((a, b) => a.prevention_rate_pct - b.prevention_rate_pct)
+      .slice(0, 3);
+    if (lowPrevention.length) {
+      findings.push({
+        level: 'yellow',
+        text: `Lowest prevention rates: ${listCarriers(lowPrevention, r => `${r.carrier} ${r.prevention_rate_pct}%`)}.`,
+      });
+    }
+  }
+
+  if (reports.has('trailer_history')) {
+    const lost = rows.filter(r => r.lost_events > 0).sort((a, b) => b.lost_events - a.lost_events).slice(0, 3);
+    if (lost.length) {
+      findings.push({
+        level: lost[0].lost_events > 5 ? 'yellow' : 'green',
+        text: `Most lost-trailer events: ${listCarriers(lost, r => `${r.carrier} (${r.lost_events})`)}.`,
+      });
+    }
+  }
+
+  if (reports.has('current_inventory')) {
+    const aged = rows.filter(r => r.aged_trailers > 0).sort((a, b) => b.aged_trailers - a.aged_trailers).slice(0, 3);
+    if (aged.length) {
+      findings.push({
+        level: 'yellow',
+        text: `Most trailers on the yard over 7 days: ${listCarriers(aged, r => `${r.carrier} (${r.aged_trailers})`)}.`,
+      });
+    }
+  }
+
+  if (placeholder && placeholder.share_of_rows_pct >= 5) {
+    findings.push({
+      level: placeholder.share_of_rows_pct >= 15 ? 'red' : 'yellow',
+      text: `${placeholder.share_of_rows_pct}% of carrier-tagged rows use a placeholder SCAC (XXXX, UNKNOWN or blank), so those rows cannot be scored by carrier.`,
+    });
+  }
+  return findings;
+}
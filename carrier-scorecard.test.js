@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { buildCarrierScorecard, carrierKey, PLACEHOLDER_CARRIER, CARRIER_DRILLDOWN_LIMIT } from './carrier-scorecard.js';
+
+const detention = (carrierStats, carrierRecords = null) => ({ report: 'detention_history', carrierStats, carrierRecords });
+const trailer = (carrierStats, carrierRecords = null) => ({ report: 'trailer_history', carrierStats, carrierRecords });
+const inventory = (carrierStats) => ({ report: 'current_inventory', carrierStats, carrierRecords: null });
+
+test('carriers are joined across reports, ranked by issue score and named in findings', () => {
+  const scorecard = buildCarrierScorecard([
+    detention({
+      ABCD: { detention_events: 20, prevented_events: 5, detention_hours: 120 },
+      WXYZ: { detention_events: 2, prevented_events: 18, detention_hours: 6 },
+    }),
+    trailer({ ABCD: { trailer_events: 300, lost_events: 2 }, WXYZ: { trailer_events: 200, lost_events: 10 }, XXXX: { trailer_events: 40 } }),
+    inventory({ ABCD: { trailers: 30, aged_trailers: 6 }, wxyz: { trailers: 10 }, UNKNOWN: { trailers: 20 } }),
+  ]);
+
+  assert.deepEqual(scorecard.rows.map(r => [r.rank, r.carrier, r.issue_score]), [[1, 'ABCD', 84], [2, 'WXYZ', 26]]);
+  const abcd = scorecard.rows[0];
+  assert.equal(abcd.prevention_rate_pct, 20);
+  assert.equal(abcd.detention_hours, 120);
+  assert.equal(scorecard.rows[1].trailers, 10, 'SCACs are joined case-insensitively');
+
+  assert.equal(scorecard.placeholder.carrier, PLACEHOLDER_CARRIER);
+  assert.equal(scorecard.placeholder.trailer_events, 40);
+  assert.equal(scorecard.placeholder.trailers, 20);
+  assert.equal(scorecard.placeholderSharePct, 9.3);
+
+  assert.deepEqual(scorecard.findings.map(f => f.text), [
+    'Worst carriers overall: ABCD (score 84), WXYZ (score 26).',
+    'ABCD has the most detention: 20 events, 120 h (95% of detention hours).',
+    'Lowest prevention rates: ABCD 20%.',
+    'Most lost-trailer events: WXYZ (10), ABCD (2).',
+    'Most trailers on the yard over 7 days: ABCD (6).',
+    '9.3% of carrier-tagged rows use a placeholder SCAC (XXXX, UNKNOWN or blank), so those rows cannot be scored by carrier.',
+  ]);
+
+  assert.deepEqual(scorecard.csv.columns.slice(0, 3), ['rank', 'carrier', 'detention_events']);
+  assert.equal(scorecard.csv.rows.length, 3, 'placeholder row is exported last');
+  assert.equal(scorecard.csv.rows[2].rank, '');
+  assert.equal(scorecard.drilldown, null);
+});
+
+test('columns follow the reports present, facility results are summed and drill-down is capped', () => {
+  assert.equal(buildCarrierScorecard([{ report: 'driver_history' }]), null);
+  assert.equal(carrierKey(' abcd '), 'ABCD');
+  assert.equal(carrierKey(''), PLACEHOLDER_CARRIER);
+
+  const records = n => Array.from({ length: n }, (_, i) => ({ report: 'trailer_history', trailer: `T${i}`, event: 'Trailer marked lost', date: '', detail: '' }));
+  const scorecard = buildCarrierScorecard([
+    trailer({ ABCD: { trailer_events: 10, lost_events: 60 } }, { ABCD: records(60) }),
+    trailer({ ABCD: { trailer_events: 5, lost_events: 60 }, EFGH: { trailer_events: 50, lost_events: 1 } }, { ABCD: records(60) }),
+  ]);
+  assert.deepEqual(scorecard.columns.map(c => c.key), ['lost_events', 'trailer_events', 'share_of_rows_pct', 'issue_score']);
+  assert.equal(scorecard.rows[0].lost_events, 120);
+  assert.equal(scorecard.rows[0].trailer_events, 15);
+  assert.equal(scorecard.drilldown.byLabel.ABCD.length, CARRIER_DRILLDOWN_LIMIT);
+  assert.equal(scorecard.drilldown.byLabel.ABCD[0].report, 'Trailer');
+});
@@ -1,5 +1,9 @@
 import { downloadText } from './export.js?v=2025.01.07.0';
 import { applyPartialPeriodHandling } from './analysis.js?v=2025.01.07.0';
+import { buildCarrierScorecard } from './carrier-scorecard.js?v=2025.01.07.0';
+import { buildTrailerJourneys, searchJourneys } from './journeys.js?v=2025.01.07.0';
+import { buildDriverProfiles, buildDriverDistributionChart, MIN_RANKED_MOVES, DRIVER_PROFILE_LIMIT } from './driver-profiles.js?v=2025.01.07.0';
+import { buildPiiAudit } from './pii-rules.js?v=2025.01.07.0';
 
 // Global facility filter: when fired, update all active facility-tabs-containers
 document.addEventListener('yardiq:globalfacilityfilter', (event) => {
@@ -14,6 +18,11 @@ document.addEventListener('yardiq:globalfacilityfilter', (event) => {
 // can be destroyed when the section re-renders in response to a filter change.
 let _comparisonCharts = [];
 let _comparisonFilterCleanup = null;
+let _scorecardFilterCleanup = null;
+let _journeyCharts = [];
+let _journeyFilterCleanup = null;
+let _driverProfileCharts = [];
+let _driverProfilesFilterCleanup = null;
 
 // Campus mode: switch all facility-tabs-containers to their campus aggregate panel.
 document.addEventListener('yardiq:campusmode', (event) => {
@@ -1033,7 +1042,154 @@ function buildConfidenceTooltip(dataQuality) {
   return lines.join('\n');
 }
 
-function chartConfigFromKind(kind, chartData, title, partialPeriodMode = 'include') {
+// ---------- Heatmaps (hour × weekday grids from heatmap.js) ----------
+// Drawn as a scatter chart with one point per cell; a plugin paints the cells
+// underneath so hover, click (drill-down) and PNG export work like other charts.
+const HEATMAP_RGB = '38, 34, 98';
+
+function heatmapCellColor(value, max) {
+  if (!value) return '#f3f4f6';
+  return `rgba(${HEATMAP_RGB}, ${(0.12 + 0.88 * (value / max)).toFixed(3)})`;
+}
+
+const heatmapCellsPlugin = {
+  id: 'heatmapCells',
+  beforeDatasetsDraw(chart) {
+    const { ctx, scales: { x, y } } = chart;
+    const points = chart.data.datasets[0]?.data || [];
+    const max = Math.max(1, ...points.map(p => p.v));
+    const w = Math.abs(x.getPixelForValue(1) - x.getPixelForValue(0));
+    const h = Math.abs(y.getPixelForValue(1) - y.getPixelForValue(0));
+    const showValues = w >= 26 && h >= 16;
+
+    ctx.save();
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (const p of points) {
+      const cx = x.getPixelForValue(p.x);
+      const cy = y.getPixelForValue(p.y);
+      ctx.fillStyle = heatmapCellColor(p.v, max);
+      ctx.fillRect(cx - w / 2 + 1, cy - h / 2 + 1, w - 2, h - 2);
+      if (showValues && p.v) {
+        ctx.fillStyle = p.v / max > 0.5 ? '#ffffff' : '#262262';
+        ctx.fillText(p.v.toLocaleString(), cx, cy);
+      }
+    }
+    ctx.restore();
+  }
+};
+
+function heatmapConfig(chartData, title, valueLabel = 'events') {
+  const columns = chartData?.labels || [];
+  const rows = (chartData?.datasets || []).map(ds => ds.label);
+  const points = [];
+  (chartData?.datasets || []).forEach((ds, y) => {
+    (ds.data || []).forEach((v, x) => {
+      points.push({ x, y, v: Number(v) || 0, cell: `${ds.label} ${columns[x]}` });
+    });
+  });
+
+  const axis = (labels, extra = {}) => ({
+    type: 'linear',
+    min: -0.5,
+    max: labels.length - 0.5,
+    grid: { display: false },
+    ticks: { stepSize: 1, autoSkip: true, maxRotation: 0, callback: (v) => labels[v] ?? '' },
+    ...extra,
+  });
+
+  return {
+    type: 'scatter',
+    data: { datasets: [{ label: valueLabel, data: points, pointRadius: 0, pointHoverRadius: 0 }] },
+    plugins: [heatmapCellsPlugin],
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: 'nearest', intersect: false },
+      plugins: {
+        legend: { display: false },
+        title: { display: false, text: title },
+        tooltip: {
+          callbacks: {
+            title: (items) => items[0]?.raw?.cell || '',
+            label: (item) => `${item.raw.v.toLocaleString()} ${valueLabel}`,
+          }
+        }
+      },
+      scales: {
+        x: axis(columns),
+        y: axis(rows, { reverse: true }),
+      }
+    }
+  };
+}
+
+const clockLabel = (minutes) => {
+  const m = Math.max(0, Math.min(1440, Math.round(minutes)));
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Door timeline (door-occupancy.js): floating horizontal bars, one row per
+ * door, x in minutes after local midnight.
+ */
+function ganttConfig(chartData, title) {
+  return {
+    type: 'bar',
+    data: {
+      labels: chartData?.labels || [],
+      datasets: (chartData?.datasets || []).map(ds => ({
+        ...ds,
+        grouped: false,
+        barPercentage: 0.9,
+        categoryPercentage: 0.9,
+        backgroundColor: 'rgba(59, 130, 246, 0.75)',
+      })),
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      indexAxis: 'y',
+      plugins: {
+        legend: { display: false },
+        title: { display: false, text: title },
+        tooltip: {
+          callbacks: {
+            title: (items) => items[0]?.raw?.y ?? '',
+            label: (item) => {
+              const [start, end] = item.raw?.x || [0, 0];
+              return `${clockLabel(start)}–${clockLabel(end)} (${Math.round(end - start)} min)`;
+            },
+          }
+        }
+      },
+      scales: {
+        x: {
+          type: 'linear',
+          min: 0,
+          max: 1440,
+          ticks: { stepSize: 120, maxRotation: 0, callback: (v) => clockLabel(v) },
+        },
+        y: { ticks: { autoSkip: false, font: { size: 10 } } },
+      }
+    }
+  };
+}
+
+/**
+ * Drill-down key for a clicked chart element: the category label, or the
+ * cell label for heatmaps.
+ */
+function drilldownLabelAt(chart, element) {
+  const point = chart.data.datasets[element.datasetIndex]?.data?.[element.index];
+  return point?.cell ?? chart.data.labels?.[element.index];
+}
+
+function chartConfigFromKind(kind, chartData, title, partialPeriodMode = 'include', valueLabel) {
+  if (kind === 'heatmap') return heatmapConfig(chartData, title, valueLabel);
+  if (kind === 'gantt') return ganttConfig(chartData, title);
+
   const partialInfo = chartData?.partialPeriodInfo;
   const isHighlightMode = partialPeriodMode === 'highlight' && partialInfo?.highlightFirst || partialInfo?.highlightLast;
 
@@ -1617,10 +1773,10 @@ function openChartFullscreen(def, chartData, report, onWarning, partialPeriodMod
   }
 
   // Create fullscreen chart with better label visibility
-  const cfg = chartConfigFromKind(def.kind, chartData, def.title, partialPeriodMode);
+  const cfg = chartConfigFromKind(def.kind, chartData, def.title, partialPeriodMode, def.valueLabel);
 
   // Override config for fullscreen to show all labels
-  if (cfg.options.scales && cfg.options.scales.x) {
+  if (def.kind !== 'heatmap' && def.kind !== 'gantt' && cfg.options.scales && cfg.options.scales.x) {
     cfg.options.scales.x.ticks = {
       maxRotation: 45,
       minRotation: 0,
@@ -1634,8 +1790,7 @@ function openChartFullscreen(def, chartData, report, onWarning, partialPeriodMod
   if (hasDrilldown) {
     cfg.options.onClick = (event, elements, chart) => {
       if (elements.length === 0) return;
-      const el = elements[0];
-      const label = chart.data.labels?.[el.index];
+      const label = drilldownLabelAt(chart, elements[0]);
       if (label && def.drilldown.byLabel[label]) {
         openDrilldownModal(label, def.drilldown.byLabel[label], def.drilldown);
       }
@@ -1727,7 +1882,9 @@ function openDrilldownModal(label, rows, drilldownConfig) {
   }
 
   // Set title
-  drilldownModal.title.textContent = `Details for: ${label} (${rows.length} records)`;
+  // Some charts keep only the first records per label (e.g. heatmap cells)
+  const capped = drilldownConfig.limitPerLabel && rows.length >= drilldownConfig.limitPerLabel;
+  drilldownModal.title.textContent = `Details for: ${label} (${capped ? `first ${rows.length}` : rows.length} records)`;
 
   // Build sortable table
   const columns = drilldownConfig.columns || [];
@@ -1902,10 +2059,12 @@ export function renderReportResult({
 
     const chartCard = el('div', { class: 'chart-card' });
     const canvas = el('canvas', { width: 800, height: 360 });
-    const wrap = el('div', { class: 'canvas-wrap', style: 'height:360px;' }, [canvas]);
+    // Door timelines get a row per door
+    const height = def.kind === 'gantt' ? Math.max(360, (chartData?.labels?.length || 0) * 16 + 60) : 360;
+    const wrap = el('div', { class: 'canvas-wrap', style: `height:${height}px;` }, [canvas]);
 
-    // Capture chartData in closure for fullscreen
-    const chartDataForFullscreen = chartData;
+    // Capture chartData in closure for fullscreen (the door timeline swaps it when the day changes)
+    let chartDataForFullscreen = chartData;
 
     // Drilldown indicator - check if this chart has drilldown data
     const hasDrilldown = enableDrilldown && def.drilldown && def.drilldown.byLabel;
@@ -1916,7 +2075,7 @@ export function renderReportResult({
     if (hasDrilldown) {
       actionButtons.push(el('span', {
         class: 'drilldown-badge',
-        'data-tooltip': 'Click chart bars or points to view underlying records'
+        'data-tooltip': def.kind === 'heatmap' ? 'Click a cell to view its records' : 'Click chart bars or points to view underlying records'
       }, ['🔍 Drill-down']));
     }
 
@@ -1957,6 +2116,15 @@ export function renderReportResult({
       }, ['⬇ CSV'])
     );
 
+    // Door timeline: switch between the days the result carries
+    let ganttDaySelect = null;
+    if (def.kind === 'gantt' && def.gantt?.days?.length > 1) {
+      ganttDaySelect = el('select', { class: 'gantt-day-select', 'aria-label': 'Timeline day' },
+        def.gantt.days.map(day => el('option', { value: day }, [day])));
+      ganttDaySelect.value = def.gantt.day;
+      actionButtons.unshift(ganttDaySelect);
+    }
+
     const actions = el('div', { class: 'chart-actions' }, actionButtons);
 
     const titleContent = [el('b', {}, [def.title])];
@@ -1973,7 +2141,7 @@ export function renderReportResult({
     chartsBlock.appendChild(chartCard);
 
     // Render chart
-    const cfg = chartConfigFromKind(def.kind, chartData, def.title, partialPeriodMode);
+    const cfg = chartConfigFromKind(def.kind, chartData, def.title, partialPeriodMode, def.valueLabel);
 
     // Add onClick handler for drilldown if enabled
     if (hasDrilldown) {
@@ -1984,7 +2152,7 @@ export function renderReportResult({
         const element = elements[0];
         const datasetIndex = element.datasetIndex;
         const dataIndex = element.index;
-        const label = chart.data.labels[dataIndex];
+        const label = drilldownLabelAt(chart, element);
 
         // For outlierOnly charts (like dock door), only allow click on outlier points
         if (def.drilldown.outlierOnly) {
@@ -2006,6 +2174,19 @@ export function renderReportResult({
 
     const chart = new window.Chart(canvas.getContext('2d'), cfg);
     handles.push({ id: def.id, chart, def, canvas });
+
+    if (ganttDaySelect) {
+      ganttDaySelect.addEventListener('change', () => {
+        const dayData = def.gantt.byDay[ganttDaySelect.value];
+        if (!dayData) return;
+        chartDataForFullscreen = dayData;
+        wrap.style.height = `${Math.max(360, dayData.labels.length * 16 + 60)}px`;
+        const next = ganttConfig(dayData, def.title).data;
+        chart.data.labels = next.labels;
+        chart.data.datasets = next.datasets;
+        chart.update();
+      });
+    }
   }
 
   chartRegistry.set(report, handles);
@@ -2069,7 +2250,7 @@ export function renderReportResult({
               console.error('Failed to get 2d context for per-facility chart');
               continue;
             }
-            const cfg = chartConfigFromKind(def.kind, def.data, def.title, partialPeriodMode);
+            const cfg = chartConfigFromKind(def.kind, def.data, def.title, partialPeriodMode, def.valueLabel);
             const chart = new window.Chart(ctx, cfg);
 
             // Track this chart for cleanup
@@ -2974,6 +3155,564 @@ export function renderFacilityComparisons({ facilities, results, chartRegistry,
   return section;
 }
 
+// Carriers listed in the scorecard table; the CSV has all of them
+const SCORECARD_TABLE_LIMIT = 20;
+
+/**
+ * Render the cross-report Carrier Scorecard section (carrier-scorecard.js).
+ * Like Facility Comparisons it reacts to 'yardiq:globalfacilityfilter' events:
+ * with specific facilities selected, it is rebuilt from their per-facility results.
+ * Returns null when no report carries carrier stats.
+ *
+ * @param {object} params
+ * @param {object} params.results - report -> aggregate result
+ * @param {string[]} params.facilities - Detected facilities (for the filter)
+ * @param {(report: string, facility: string) => object|null} params.getFacilityResult
+ * @param {boolean} [params.enableDrilldown=true]
+ * @param {(scorecard: object, activeFacilities: string[]) => void} params.onDownloadCsv
+ */
+export function renderCarrierScorecard({ results, facilities = [], getFacilityResult, enableDrilldown = true, onDownloadCsv }) {
+  if (_scorecardFilterCleanup) {
+    _scorecardFilterCleanup();
+    _scorecardFilterCleanup = null;
+  }
+  if (!buildCarrierScorecard(Object.values(results))) return null;
+
+  const section = el('div', { class: 'report-card carrier-scorecard-section' });
+  const header = el('details', { open: true });
+  const badgeEl = el('span', { class: 'badge blue' });
+  header.appendChild(el('summary', { class: 'section-title', style: 'cursor: pointer;' }, [
+    el('h2', {}, ['Carrier Scorecard']),
+    badgeEl,
+  ]));
+  const contentEl = el('div', { style: 'margin-top: 12px;' });
+  header.appendChild(contentEl);
+  section.appendChild(header);
+
+  function buildContent(activeFacilities) {
+    contentEl.innerHTML = '';
+    const sources = activeFacilities
+      ? Object.keys(results).flatMap(report => activeFacilities.map(fac => getFacilityResult(report, fac)).filter(Boolean))
+      : Object.values(results);
+    const scorecard = buildCarrierScorecard(sources);
+    badgeEl.textContent = scorecard ? `${scorecard.rows.length} carriers` : '0 carriers';
+    if (!scorecard) {
+      contentEl.appendChild(el('div', { class: 'muted', style: 'padding: 16px 0;' }, ['No carrier data for the selected facilities.']));
+      return;
+    }
+
+    const csvBtn = el('button', { class: 'btn btn-ghost', type: 'button', title: 'Download as CSV' }, ['⬇ CSV']);
+    csvBtn.addEventListener('click', () => onDownloadCsv?.(scorecard, activeFacilities || []));
+    contentEl.appendChild(el('div', { class: 'chart-title' }, [
+      el('span', { class: 'muted small' }, [
+        `Detention, trailer and inventory data joined by SCAC${activeFacilities ? ` for ${activeFacilities.join(', ')}` : ''}. `,
+        'Issue score: each metric scaled to the worst carrier (100) and averaged; higher is worse.',
+      ]),
+      el('div', { class: 'chart-actions' }, [csvBtn]),
+    ]));
+
+    const drilldown = enableDrilldown ? scorecard.drilldown : null;
+    const table = el('table', { class: 'comparison-table carrier-scorecard-table' });
+    table.appendChild(el('thead', {}, [el('tr', {}, [
+      el('th', {}, ['#']),
+      el('th', {}, ['Carrier']),
+      ...scorecard.columns.map(c => el('th', {}, [c.label])),
+    ])]));
+    const tbody = el('tbody');
+    const shown = scorecard.rows.slice(0, SCORECARD_TABLE_LIMIT);
+    for (const row of [...shown, ...(scorecard.placeholder ? [scorecard.placeholder] : [])]) {
+      const records = drilldown?.byLabel[row.carrier] || [];
+      const tr = el('tr', records.length ? { class: 'drilldown-row', title: 'Click to view records' } : {}, [
+        el('td', {}, [row.rank ? String(row.rank) : '—']),
+        el('td', { class: 'metric-name' }, [row.carrier]),
+        ...scorecard.columns.map(c => {
+          const value = row[c.key];
+          if (c.key !== 'issue_score') return el('td', {}, [value === null || value === undefined ? '—' : formatNumber(value)]);
+          if (value === null) return el('td', {}, ['—']);
+          const light = value >= 60 ? 'red' : value >= 25 ? 'yellow' : 'green';
+          return el('td', { class: `metric-cell traffic-${light}` }, [String(value)]);
+        }),
+      ]);
+      if (records.length) tr.addEventListener('click', () => openDrilldownModal(row.carrier, records, drilldown));
+      tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+    contentEl.appendChild(el('div', { style: 'overflow-x: auto;' }, [table]));
+    if (scorecard.rows.length > shown.length) {
+      contentEl.appendChild(el('div', { class: 'muted small', style: 'margin-top: 6px;' }, [
+        `Showing the top ${shown.length} of ${scorecard.rows.length} carriers; the CSV has all of them.`,
+      ]));
+    }
+
+    if (scorecard.findings.length) {
+      const ul = el('ul', { class: 'list', style: 'margin-top: 12px;' });
+      for (const f of scorecard.findings) {
+        ul.appendChild(el('li', { class: 'finding-item' }, [
+          el('span', { class: `badge ${f.level}` }, [f.level === 'red' ? 'BAD' : f.level === 'green' ? 'GOOD' : 'CAUTION']),
+          el('span', { class: 'finding-text' }, [f.text]),
+        ]));
+      }
+      contentEl.appendChild(ul);
+    }
+  }
+
+  buildContent(null);
+
+  const allFacilities = [...facilities];
+  const handler = (event) => {
+    const { selected } = event.detail || {};
+    if (!Array.isArray(selected)) return;
+    buildContent(selected.includes('all') || selected.length === 0
+      ? null
+      : allFacilities.filter(f => selected.includes(f)));
+  };
+  document.addEventListener('yardiq:globalfacilityfilter', handler);
+  _scorecardFilterCleanup = () => document.removeEventListener('yardiq:globalfacilityfilter', handler);
+
+  return section;
+}
+
+function formatMinutes(value) {
+  return value === null || value === undefined ? '—' : `${formatNumber(value)} min`;
+}
+
+function renderJourneyVisit(visit) {
+  const route = [visit.gate_in || visit.start, visit.gate_out].filter(Boolean).join(' → ');
+  const summary = el('summary', {}, [
+    el('b', {}, [visit.trailer]),
+    el('span', { class: 'muted small' }, [
+      [
+        visit.refs.length ? `Ref ${visit.refs.join(', ')}` : null,
+        visit.facility || null,
+        route,
+        `turn ${formatMinutes(visit.turn_minutes)}`,
+        `door wait ${formatMinutes(visit.door_wait_minutes)}`,
+        `${visit.moves} move${visit.moves === 1 ? '' : 's'}`,
+      ].filter(Boolean).join(' · '),
+    ]),
+  ]);
+  const tbody = el('tbody');
+  for (const e of visit.events) {
+    tbody.appendChild(el('tr', {}, [
+      el('td', {}, [e.time]),
+      el('td', { class: 'metric-name' }, [e.stage]),
+      el('td', {}, [e.report]),
+      el('td', {}, [e.reference || '—']),
+      el('td', {}, [e.detail || '']),
+    ]));
+  }
+  return el('details', { class: 'journey-visit' }, [
+    summary,
+    el('div', { style: 'overflow-x: auto;' }, [
+      el('table', { class: 'comparison-table journey-timeline' }, [
+        el('thead', {}, [el('tr', {}, ['Time', 'Stage', 'Report', 'Reference', 'Detail'].map(h => el('th', {}, [h])))]),
+        tbody,
+      ]),
+    ]),
+  ]);
+}
+
+/**
+ * Render the Trailer Journeys section (journeys.js): visit-stage charts,
+ * findings and a trailer / appointment search showing each visit's timeline.
+ * Rebuilt for the selected facilities on 'yardiq:globalfacilityfilter'.
+ * Returns null when the run did not reconstruct journeys.
+ *
+ * @param {object} params
+ * @param {object} params.results - report -> aggregate result
+ * @param {string[]} params.facilities - Detected facilities (for the filter)
+ * @param {string} params.timezone
+ * @param {{startDate: string, endDate: string}} params.dateRange
+ * @param {(journeys: object, activeFacilities: string[]) => void} params.onDownloadCsv
+ * @param {(msg: string) => void} [params.onWarning]
+ */
+export function renderTrailerJourneys({ results, facilities = [], timezone, dateRange, onDownloadCsv, onWarning }) {
+  if (_journeyFilterCleanup) {
+    _journeyFilterCleanup();
+    _journeyFilterCleanup = null;
+  }
+  _journeyCharts.forEach(c => { try { c.destroy(); } catch (_) {} });
+  _journeyCharts = [];
+  if (!buildTrailerJourneys(Object.values(results))) return null;
+
+  const section = el('div', { class: 'report-card journeys-section' });
+  const header = el('details', { open: true });
+  const badgeEl = el('span', { class: 'badge blue' });
+  header.appendChild(el('summary', { class: 'section-title', style: 'cursor: pointer;' }, [
+    el('h2', {}, ['Trailer Journeys']),
+    badgeEl,
+  ]));
+  const contentEl = el('div', { style: 'margin-top: 12px;' });
+  header.appendChild(contentEl);
+  section.appendChild(header);
+
+  function renderChartCard(def) {
+    const canvas = el('canvas', { width: 800, height: 300 });
+    const pngBtn = el('button', { class: 'btn btn-ghost', type: 'button', title: 'Download as PNG' }, ['⬇ PNG']);
+    const csvBtn = el('button', { class: 'btn btn-ghost', type: 'button', title: 'Download as CSV' }, ['⬇ CSV']);
+    pngBtn.addEventListener('click', () => {
+      try { downloadPngFromCanvas(canvas, `trailer_journeys_${def.id}.png`); } catch (e) { onWarning?.(`PNG export failed: ${e?.message || String(e)}`); }
+    });
+    csvBtn.addEventListener('click', () => {
+      try {
+        downloadText(`trailer_journeys_${def.id}.csv`, buildChartCsvText(def, {}, { timezone, dateRange, report: 'trailer_journeys' }));
+      } catch (e) {
+        onWarning?.(`Chart CSV export failed: ${e?.message || String(e)}`);
+      }
+    });
+    const card = el('div', { class: 'chart-card' }, [
+      el('div', { class: 'chart-title' }, [el('b', {}, [def.title]), el('div', { class: 'chart-actions' }, [pngBtn, csvBtn])]),
+      el('div', { class: 'muted small', style: 'margin-bottom: 8px;' }, [def.description]),
+      el('div', { class: 'canvas-wrap', style: 'height: 300px;' }, [canvas]),
+    ]);
+    _journeyCharts.push(new window.Chart(canvas.getContext('2d'), chartConfigFromKind(def.kind, def.data, def.title)));
+    return card;
+  }
+
+  function buildContent(activeFacilities) {
+    _journeyCharts.forEach(c => { try { c.destroy(); } catch (_) {} });
+    _journeyCharts = [];
+    contentEl.innerHTML = '';
+    const journeys = buildTrailerJourneys(Object.values(results), { facilities: activeFacilities });
+    badgeEl.textContent = `${journeys.visits.length.toLocaleString()} visits`;
+    if (journeys.visits.length === 0) {
+      contentEl.appendChild(el('div', { class: 'muted', style: 'padding: 16px 0;' }, ['No trailer visits for the selected facilities.']));
+      return;
+    }
+
+    const csvBtn = el('button', { class: 'btn btn-ghost', type: 'button', title: 'Download visits as CSV' }, ['⬇ CSV']);
+    csvBtn.addEventListener('click', () => onDownloadCsv?.(journeys, activeFacilities || []));
+    contentEl.appendChild(el('div', { class: 'chart-title' }, [
+      el('span', { class: 'muted small' }, [
+        `${journeys.visits.length.toLocaleString()} visits of ${journeys.trailers.toLocaleString()} trailers, joined across reports by trailer and appointment / move number`,
+        `${activeFacilities ? ` for ${activeFacilities.join(', ')}` : ''}. Times in ${timezone}.`,
+      ]),
+      el('div', { class: 'chart-actions' }, [csvBtn]),
+    ]));
+
+    if (journeys.charts.length) {
+      contentEl.appendChild(el('div', { class: 'chart-grid', style: 'margin-top: 12px;' }, journeys.charts.map(renderChartCard)));
+    }
+
+    if (journeys.findings.length) {
+      const ul = el('ul', { class: 'list', style: 'margin-top: 12px;' });
+      for (const f of journeys.findings) {
+        ul.appendChild(el('li', { class: 'finding-item' }, [
+          el('span', { class: `badge ${f.level}` }, [f.level === 'red' ? 'BAD' : f.level === 'green' ? 'GOOD' : 'CAUTION']),
+          el('span', { class: 'finding-text' }, [f.text]),
+        ]));
+      }
+      contentEl.appendChild(ul);
+    }
+
+    const searchInput = el('input', { type: 'search', class: 'journey-search-input', placeholder: 'Trailer # or appointment #', 'aria-label': 'Search trailer journeys' });
+    const matchesEl = el('div', { class: 'journey-matches' });
+    const showMatches = () => {
+      matchesEl.innerHTML = '';
+      const query = searchInput.value.trim();
+      if (!query) return;
+      const { matches, total } = searchJourneys(journeys, query);
+      if (total === 0) {
+        matchesEl.appendChild(el('div', { class: 'muted small' }, [`No visits match "${query}".`]));
+        return;
+      }
+      matchesEl.appendChild(el('div', { class: 'muted small' }, [
+        total > matches.length ? `Showing the ${matches.length} most recent of ${total} matching visits.` : `${total} matching visit${total === 1 ? '' : 's'}.`,
+      ]));
+      matches.forEach(visit => matchesEl.appendChild(renderJourneyVisit(visit)));
+    };
+    searchInput.addEventListener('input', showMatches);
+    contentEl.appendChild(el('div', { class: 'journey-search' }, [
+      el('label', { class: 'field' }, [el('span', {}, ['Find a trailer']), searchInput]),
+      matchesEl,
+    ]));
+  }
+
+  buildContent(null);
+
+  const allFacilities = [...facilities];
+  const handler = (event) => {
+    const { selected } = event.detail || {};
+    if (!Array.isArray(selected)) return;
+    buildContent(selected.includes('all') || selected.length === 0
+      ? null
+      : allFacilities.filter(f => selected.includes(f)));
+  };
+  document.addEventListener('yardiq:globalfacilityfilter', handler);
+  _journeyFilterCleanup = () => document.removeEventListener('yardiq:globalfacilityfilter', handler);
+
+  return section;
+}
+
+const DRIVER_TABLE_LIMIT = 100;
+
+function renderDriverProfileCard(profile, leaderboard, onClose) {
+  const tiles = leaderboard.metrics.map(m => {
+    const value = profile[m.key];
+    const pct = profile.percentiles[m.key];
+    const fleet = leaderboard.fleet[m.key];
+    return el('div', { class: 'driver-profile-tile' }, [
+      el('div', { class: 'muted small' }, [m.label]),
+      el('div', { class: 'driver-profile-value' }, [value === null || value === undefined ? '—' : formatNumber(value)]),
+      el('div', { class: 'muted small' }, [
+        `Fleet median ${fleet === null ? '—' : formatNumber(fleet)}`,
+        pct === undefined ? '' : ` · p${pct}`,
+      ]),
+    ]);
+  });
+  const p90 = [
+    profile.queue_p90_min !== null ? `queue ${formatMinutes(profile.queue_p90_min)}` : null,
+    profile.deadhead_p90_min !== null ? `deadhead ${formatMinutes(profile.deadhead_p90_min)}` : null,
+    profile.execution_p90_min !== null ? `execution ${formatMinutes(profile.execution_p90_min)}` : null,
+  ].filter(Boolean);
+
+  const closeBtn = el('button', { class: 'btn btn-ghost', type: 'button' }, ['✕ Close']);
+  closeBtn.addEventListener('click', onClose);
+  const card = el('div', { class: 'driver-profile-card' }, [
+    el('div', { class: 'chart-title' }, [
+      el('b', {}, [`${profile.driver}${profile.rank ? ` · #${profile.rank}` : ' · not ranked'}`]),
+      el('div', { class: 'chart-actions' }, [closeBtn]),
+    ]),
+    el('div', { class: 'muted small' }, [
+      `${profile.moves.toLocaleString()} moves over ${profile.days_worked} days worked`,
+      p90.length ? ` · p90 ${p90.join(', ')}` : '',
+    ]),
+    el('div', { class: 'driver-profile-flags' }, profile.flags.map(f =>
+      el('span', { class: `badge ${f.level === 'good' ? 'green' : 'yellow'}` }, [f.text]))),
+    el('div', { class: 'driver-profile-grid' }, tiles),
+  ]);
+
+  const chartDef = buildDriverDistributionChart(profile);
+  if (chartDef) {
+    const canvas = el('canvas', { width: 800, height: 260 });
+    card.appendChild(el('div', { class: 'muted small', style: 'margin-top: 8px;' }, [chartDef.description]));
+    card.appendChild(el('div', { class: 'canvas-wrap', style: 'height: 260px;' }, [canvas]));
+    _driverProfileCharts.push(new window.Chart(canvas.getContext('2d'), chartConfigFromKind(chartDef.kind, chartDef.data, chartDef.title)));
+  }
+  return card;
+}
+
+/**
+ * Render the Driver Leaderboard section (driver-profiles.js): a sortable
+ * table of drivers with percentiles and outlier flags, and a profile card
+ * with the driver's time distributions when a row is clicked.
+ * Rebuilt for the selected facilities on 'yardiq:globalfacilityfilter'.
+ * Returns null when no driver history result carries driver stats.
+ *
+ * @param {object} params
+ * @param {object} params.results - report -> aggregate result
+ * @param {string[]} params.facilities - Detected facilities (for the filter)
+ * @param {(report: string, facility: string) => object|null} params.getFacilityResult
+ * @param {(leaderboard: object, activeFacilities: string[]) => void} params.onDownloadCsv
+ */
+export function renderDriverProfiles({ results, facilities = [], getFacilityResult, onDownloadCsv }) {
+  if (_driverProfilesFilterCleanup) {
+    _driverProfilesFilterCleanup();
+    _driverProfilesFilterCleanup = null;
+  }
+  _driverProfileCharts.forEach(c => { try { c.destroy(); } catch (_) {} });
+  _driverProfileCharts = [];
+  const aggregate = results.driver_history;
+  if (!buildDriverProfiles([aggregate])) return null;
+
+  const section = el('div', { class: 'report-card driver-profiles-section' });
+  const header = el('details', { open: true });
+  const badgeEl = el('span', { class: 'badge blue' });
+  header.appendChild(el('summary', { class: 'section-title', style: 'cursor: pointer;' }, [
+    el('h2', {}, ['Driver Leaderboard']),
+    badgeEl,
+  ]));
+  const contentEl = el('div', { style: 'margin-top: 12px;' });
+  header.appendChild(contentEl);
+  section.appendChild(header);
+
+  function buildContent(activeFacilities) {
+    _driverProfileCharts.forEach(c => { try { c.destroy(); } catch (_) {} });
+    _driverProfileCharts = [];
+    contentEl.innerHTML = '';
+    const sources = activeFacilities
+      ? activeFacilities.map(fac => getFacilityResult('driver_history', fac)).filter(Boolean)
+      : [aggregate];
+    const leaderboard = buildDriverProfiles(sources);
+    badgeEl.textContent = `${leaderboard?.rankedCount ?? 0} ranked drivers`;
+    if (!leaderboard) {
+      contentEl.appendChild(el('div', { class: 'muted', style: 'padding: 16px 0;' }, ['No driver data for the selected facilities.']));
+      return;
+    }
+
+    const csvBtn = el('button', { class: 'btn btn-ghost', type: 'button', title: 'Download leaderboard as CSV' }, ['⬇ CSV']);
+    csvBtn.addEventListener('click', () => onDownloadCsv?.(leaderboard, activeFacilities || []));
+    contentEl.appendChild(el('div', { class: 'chart-title' }, [
+      el('span', { class: 'muted small' }, [
+        `Drivers with at least ${MIN_RANKED_MOVES} moves are ranked by moves per day${activeFacilities ? ` for ${activeFacilities.join(', ')}` : ''}. `,
+        'Percentiles (p0–p100) are among ranked drivers; higher is better. Flags mark values outside 1.5× the interquartile range. Click a driver for their profile.',
+      ]),
+      el('div', { class: 'chart-actions' }, [csvBtn]),
+    ]));
+
+    const profileEl = el('div');
+    const showProfile = (profile) => {
+      _driverProfileCharts.forEach(c => { try { c.destroy(); } catch (_) {} });
+      _driverProfileCharts = [];
+      profileEl.innerHTML = '';
+      if (profile) {
+        profileEl.appendChild(renderDriverProfileCard(profile, leaderboard, () => showProfile(null)));
+        profileEl.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      }
+    };
+
+    const columns = [
+      { key: 'rank', label: '#' },
+      { key: 'driver', label: 'Driver' },
+      { key: 'moves', label: 'Moves' },
+      { key: 'days_worked', label: 'Days' },
+      ...leaderboard.metrics,
+      { key: 'flags', label: 'Flags' },
+    ];
+    let sort = { key: 'rank', dir: 1 };
+    const sortValue = (row, key) => (key === 'flags' ? row.flags.filter(f => f.level === 'bad').length : row[key]);
+    const tbody = el('tbody');
+    const headRow = el('tr');
+    const noteEl = el('div', { class: 'muted small', style: 'margin-top: 6px;' });
+
+    const renderRows = () => {
+      tbody.innerHTML = '';
+      const rows = leaderboard.drivers.slice().sort((a, b) => {
+        const va = sortValue(a, sort.key);
+        const vb = sortValue(b, sort.key);
+        if (va === null || va === undefined) return vb === null || vb === undefined ? 0 : 1;
+        if (vb === null || vb === undefined) return -1;
+        return (typeof va === 'string' ? va.localeCompare(vb) : va - vb) * sort.dir;
+      });
+      const shown = rows.slice(0, DRIVER_TABLE_LIMIT);
+      for (const row of shown) {
+        const tr = el('tr', { class: 'drilldown-row', title: 'Click to view profile' }, columns.map(c => {
+          if (c.key === 'driver') return el('td', { class: 'metric-name' }, [row.driver]);
+          if (c.key === 'flags') {
+            return el('td', {}, row.flags.map(f => el('span', { class: `badge ${f.level === 'good' ? 'green' : 'yellow'}` }, [f.text])));
+          }
+          const value = row[c.key];
+          const pct = row.percentiles[c.key];
+          return el('td', {}, [
+            value === null || value === undefined ? '—' : formatNumber(value),
+            ...(pct === undefined ? [] : [el('span', { class: 'muted small' }, [` p${pct}`])]),
+          ]);
+        }));
+        tr.addEventListener('click', () => showProfile(row));
+        tbody.appendChild(tr);
+      }
+      noteEl.textContent = rows.length > shown.length
+        ? `Showing ${shown.length} of ${rows.length} drivers; the CSV has all of them.`
+        : '';
+    };
+
+    for (const c of columns) {
+      const th = el('th', { class: 'sortable', title: 'Click to sort' }, [c.label]);
+      th.addEventListener('click', () => {
+        // Rank and name sort ascending first; metrics show the highest first
+        const ascendingFirst = c.key === 'rank' || c.key === 'driver';
+        sort = sort.key === c.key ? { key: c.key, dir: -sort.dir } : { key: c.key, dir: ascendingFirst ? 1 : -1 };
+        renderRows();
+      });
+      headRow.appendChild(th);
+    }
+    renderRows();
+
+    contentEl.appendChild(el('div', { style: 'overflow-x: auto;' }, [
+      el('table', { class: 'comparison-table driver-leaderboard-table' }, [el('thead', {}, [headRow]), tbody]),
+    ]));
+    contentEl.appendChild(noteEl);
+    if (aggregate?.driverProfilesDropped > 0 && !activeFacilities) {
+      contentEl.appendChild(el('div', { class: 'muted small' }, [
+        `${aggregate.driverProfilesDropped.toLocaleString()} rows from drivers beyond the first ${DRIVER_PROFILE_LIMIT.toLocaleString()} are counted in fleet metrics only.`,
+      ]));
+    }
+    contentEl.appendChild(profileEl);
+
+    if (leaderboard.findings.length) {
+      const ul = el('ul', { class: 'list', style: 'margin-top: 12px;' });
+      for (const f of leaderboard.findings) {
+        ul.appendChild(el('li', { class: 'finding-item' }, [
+          el('span', { class: `badge ${f.level}` }, [f.level === 'red' ? 'BAD' : f.level === 'green' ? 'GOOD' : 'CAUTION']),
+          el('span', { class: 'finding-text' }, [f.text]),
+        ]));
+      }
+      contentEl.appendChild(ul);
+    }
+  }
+
+  buildContent(null);
+
+  const allFacilities = [...facilities];
+  const handler = (event) => {
+    const { selected } = event.detail || {};
+    if (!Array.isArray(selected)) return;
+    buildContent(selected.includes('all') || selected.length === 0
+      ? null
+      : allFacilities.filter(f => selected.includes(f)));
+  };
+  document.addEventListener('yardiq:globalfacilityfilter', handler);
+  _driverProfilesFilterCleanup = () => document.removeEventListener('yardiq:globalfacilityfilter', handler);
+
+  return section;
+}
+
+/**
+ * Render the PII scrubbing audit (pii-rules.js): how many values each rule
+ * removed, per report and field. Counts only; scrubbed values are never kept.
+ * Collapsed by default. Returns null for results that predate the audit.
+ *
+ * @param {object} params
+ * @param {object} params.results - report -> aggregate result
+ * @param {Array} params.rules - PII rules the run used
+ */
+export function renderPiiAudit({ results, rules = [] }) {
+  if (!Object.values(results || {}).some(r => Array.isArray(r?.piiScrubbed))) return null;
+  const audit = buildPiiAudit(results, rules);
+  const active = rules.filter(r => r.enabled);
+
+  const section = el('div', { class: 'report-card pii-audit-section' });
+  const header = el('details');
+  header.appendChild(el('summary', { class: 'section-title', style: 'cursor: pointer;' }, [
+    el('h2', {}, ['PII Scrubbing']),
+    el('span', { class: `badge ${audit.total ? 'blue' : 'green'}` }, [`${formatNumber(audit.total)} values scrubbed`]),
+  ]));
+  const contentEl = el('div', { style: 'margin-top: 12px;' });
+  header.appendChild(contentEl);
+  section.appendChild(header);
+
+  contentEl.appendChild(el('div', { class: 'muted small', style: 'margin-bottom: 8px;' }, [
+    `Active rules: ${active.map(r => r.label).join(', ') || 'none'}. `,
+    'Fields matched by name were dropped before analysis; matching text in comments, notes and remarks was replaced with a [redacted] marker.',
+  ]));
+
+  if (!audit.rows.length) {
+    contentEl.appendChild(el('div', { class: 'muted', style: 'padding: 8px 0;' }, ['No fields matched the active rules.']));
+    return section;
+  }
+
+  const table = el('table', { class: 'comparison-table pii-audit-table' });
+  table.appendChild(el('thead', {}, [el('tr', {}, [
+    el('th', {}, ['Rule']),
+    el('th', {}, ['Report']),
+    el('th', {}, ['Field']),
+    el('th', {}, ['Values scrubbed']),
+  ])]));
+  const tbody = el('tbody');
+  for (const row of audit.rows) {
+    tbody.appendChild(el('tr', {}, [
+      el('td', { class: 'metric-name' }, [row.label]),
+      el('td', {}, [row.report]),
+      el('td', {}, [el('code', {}, [row.field])]),
+      el('td', {}, [formatNumber(row.values)]),
+    ]));
+  }
+  table.appendChild(tbody);
+  contentEl.appendChild(el('div', { style: 'overflow-x: auto;' }, [table]));
+
+  return section;
+}
+
 /**
  * Open radar chart in fullscreen modal
  */
@@ -3120,3 +3859,191 @@ function buildRadarChartCsvText(facilities, metricsByFacility, metricKeys, assum
 
   return lines.join('\n');
 }
+
+// ---------- Assessment comparison (quarter-over-quarter) ----------
+
+function formatDelta(m) {
+  if (m.delta === null) return '—';
+  const sign = m.delta > 0 ? '+' : '';
+  const pct = m.deltaPct !== null ? ` (${m.deltaPct > 0 ? '+' : ''}${m.deltaPct}%)` : '';
+  return `${sign}${formatNumber(m.delta)}${pct}`;
+}
+
+function formatCompareValue(v) {
+  if (v === null || v === undefined) return '—';
+  return typeof v === 'number' ? formatNumber(v) : String(v);
+}
+
+function renderComparisonFindingList(title, findings, emptyText) {
+  const list = el('ul', { class: 'list' });
+  if (!findings.length) {
+    list.appendChild(el('li', { class: 'muted' }, [emptyText]));
+  }
+  for (const f of findings) {
+    list.appendChild(el('li', { class: 'finding-item' }, [
+      el('span', { class: `badge ${f.level || 'info'}` }, [String(f.level || 'info').toUpperCase()]),
+      el('span', { class: 'finding-text' }, [f.text || '']),
+    ]));
+  }
+  return el('div', { style: 'margin-top:12px;' }, [el('b', {}, [title]), list]);
+}
+
+/**
+ * Render a comparison model from assessment-compare.js compareAssessments().
+ * @param {Object} options
+ * @param {Object} options.comparison - comparison model
+ * @param {Map} options.chartRegistry - registry for Chart.js cleanup
+ * @param {Function} [options.onFacilityChange] - (facility|null) => void
+ * @param {Function} [options.onDownloadCsv] - () => void
+ * @param {Function} [options.onClose] - () => void
+ * @param {Function} [options.onWarning]
+ * @returns {HTMLElement}
+ */
+export function renderAssessmentComparison({ comparison, chartRegistry, onFacilityChange, onDownloadCsv, onClose, onWarning }) {
+  const root = el('div', { class: 'assessment-comparison' });
+  const { baseline, current } = comparison;
+  const range = (a) => (a.startDate ? `${a.startDate}${a.endDate && a.endDate !== a.startDate ? ` → ${a.endDate}` : ''}` : 'Unknown range');
+
+  const facilitySelect = el('select', { class: 'csv-type-select', 'aria-label': 'Facility' });
+  facilitySelect.appendChild(new Option('All facilities', ''));
+  comparison.facilities.forEach(f => facilitySelect.appendChild(new Option(f, f)));
+  facilitySelect.value = comparison.facility || '';
+  facilitySelect.disabled = comparison.facilities.length === 0;
+  facilitySelect.addEventListener('change', () => onFacilityChange?.(facilitySelect.value || null));
+
+  const summary = el('div', { class: 'report-card' }, [
+    el('div', { class: 'section-title' }, [
+      el('h2', {}, ['Assessment comparison']),
+      el('div', { class: 'chart-actions' }, [
+        el('button', { class: 'btn btn-ghost', type: 'button', onClick: () => onDownloadCsv?.() }, ['⬇ CSV']),
+        el('button', { class: 'btn btn-ghost', type: 'button', onClick: () => onClose?.() }, ['Close comparison']),
+      ]),
+    ]),
+    el('div', { class: 'kpi-grid' }, [
+      el('div', { class: 'kpi' }, [
+        el('div', { class: 'label' }, ['Baseline']),
+        el('div', { class: 'value' }, [baseline.name]),
+        el('div', { class: 'sub' }, [range(baseline)]),
+      ]),
+      el('div', { class: 'kpi' }, [
+        el('div', { class: 'label' }, ['Current']),
+        el('div', { class: 'value' }, [current.name]),
+        el('div', { class: 'sub' }, [range(current)]),
+      ]),
+      el('div', { class: 'kpi' }, [
+        el('div', { class: 'label' }, ['Facility']),
+        facilitySelect,
+        el('div', { class: 'sub' }, [comparison.facilities.length
+          ? 'Facilities with per-facility results in both assessments.'
+          : 'No per-facility results shared by both assessments.']),
+      ]),
+    ]),
+  ]);
+  root.appendChild(summary);
+
+  if (!comparison.reports.length) {
+    root.appendChild(el('div', { class: 'report-card', style: 'margin-top:12px;' }, [
+      el('div', { class: 'muted' }, ['No reports to compare for this selection.']),
+    ]));
+    return root;
+  }
+
+  for (const r of comparison.reports) {
+    const card = el('div', { class: 'report-card', style: 'margin-top:12px;' });
+    card.appendChild(el('div', { class: 'report-head' }, [
+      el('h3', {}, [humanizeReportName(r.report)]),
+    ]));
+
+    if (!r.baselineAvailable || !r.currentAvailable) {
+      card.appendChild(el('div', { class: 'muted small', style: 'margin-top:6px;' }, [
+        `Only present in the ${r.baselineAvailable ? 'baseline' : 'current'} assessment.`,
+      ]));
+    }
+
+    // Metric deltas
+    const tbody = el('tbody');
+    for (const m of r.metrics) {
+      const cls = m.change === 'improved' ? 'metric-cell traffic-green' : (m.change === 'worsened' ? 'metric-cell traffic-red' : 'metric-cell');
+      tbody.appendChild(el('tr', {}, [
+        el('td', { class: 'metric-name' }, [m.key.replaceAll('_', ' ')]),
+        el('td', {}, [formatCompareValue(m.baseline)]),
+        el('td', {}, [formatCompareValue(m.current)]),
+        el('td', { class: cls }, [formatDelta(m)]),
+      ]));
+    }
+    card.appendChild(el('div', { class: 'comparison-table-container', style: 'margin-top:12px;' }, [
+      el('table', { class: 'comparison-table' }, [
+        el('thead', {}, [el('tr', {}, [
+          el('th', {}, ['Metric']),
+          el('th', {}, [baseline.name]),
+          el('th', {}, [current.name]),
+          el('th', {}, ['Change']),
+        ])]),
+        tbody,
+      ]),
+    ]));
+
+    // Findings
+    card.appendChild(renderComparisonFindingList('New findings', r.findings.newFindings, 'No new findings.'));
+    card.appendChild(renderComparisonFindingList('Resolved findings', r.findings.resolvedFindings, 'No resolved findings.'));
+    if (r.findings.persistingFindings.length) {
+      card.appendChild(el('div', { class: 'muted small', style: 'margin-top:8px;' }, [
+        `${r.findings.persistingFindings.length} finding(s) appear in both assessments.`,
+      ]));
+    }
+
+    // Overlaid time series
+    const handles = [];
+    if (r.charts.length) {
+      const grid = el('div', { class: 'chart-grid', style: 'margin-top:12px;' });
+      for (const def of r.charts) {
+        const canvas = el('canvas', { width: 800, height: 320 });
+        const chartCard = el('div', { class: 'chart-card' }, [
+          el('div', { class: 'chart-title' }, [
+            el('b', {}, [def.title]),
+            el('div', { class: 'chart-actions' }, [
+              el('button', {
+                class: 'btn btn-ghost',
+                type: 'button',
+                onClick: () => {
+                  try {
+                    downloadPngFromCanvas(canvas, `compare_${r.report}_${def.id}.png`);
+                  } catch (e) {
+                    onWarning?.(`PNG export failed: ${e?.message || String(e)}`);
+                  }
+                }
+              }, ['⬇ PNG']),
+              el('button', {
+                class: 'btn btn-ghost',
+                type: 'button',
+                onClick: () => {
+                  try {
+                    const csvText = buildChartCsvText(def, {}, {
+                      timezone: '',
+                      dateRange: { startDate: range(baseline), endDate: range(current) },
+                      report: r.report,
+                    });
+                    downloadText(`compare_${r.report}_${def.id}.csv`, csvText);
+                  } catch (e) {
+                    onWarning?.(`Chart CSV export failed: ${e?.message || String(e)}`);
+                  }
+                }
+              }, ['⬇ CSV']),
+            ]),
+          ]),
+          el('div', { class: 'muted small', style: 'margin-bottom:8px;' }, [def.description]),
+          el('div', { class: 'canvas-wrap', style: 'height:320px;' }, [canvas]),
+        ]);
+        grid.appendChild(chartCard);
+        const chart = new window.Chart(canvas.getContext('2d'), chartConfigFromKind('line', def.data, def.title));
+        handles.push({ id: def.id, chart, def, canvas });
+      }
+      card.appendChild(grid);
+    }
+    chartRegistry.set(`compare_${r.report}`, handles);
+
+    root.appendChild(card);
+  }
+
+  return root;
+}
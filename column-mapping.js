@@ -0,0 +1,237 @@
+/**
+ * Column mapping helpers for YMS QBR Assistant
+ * Builds the data behind the column-mapping wizard: canonical fields per report,
+ * fuzzy header suggestions, split date/time pairs and a normalized preview.
+ *
+ * A mapping has the shape normalizeCSVRow accepts:
+ * { reportType, columns: { apiField: csvColumn }, combine: [{ field, dateColumn, timeColumn }] }
+ */
+
+import { CSV_FIELD_MAPS, CRITICAL_FIELDS, normalizeCSVRow } from './csv-parser.js';
+
+// Minimum similarity for a fuzzy header suggestion
+export const SUGGESTION_THRESHOLD = 0.6;
+
+/**
+ * Timestamp fields the analyzers read, per report. Files with separate date and
+ * time columns can be combined into these via combineDateTimeColumns.
+ */
+export const COMBINED_TIMESTAMP_FIELDS = {
+  current_inventory: ['timezone_arrival_time', 'updated_at'],
+  detention_history: ['appointment_time', 'arrival_time', 'pre_detention_start_time', 'detention_start_time', 'departure_datetime', 'process_complete_time'],
+  dockdoor_history: ['dwell_start_time', 'dwell_end_time', 'process_start_time', 'process_end_time'],
+  driver_history: ['request_time', 'accept_time', 'start_time', 'complete_time'],
+  trailer_history: ['event_time'],
+};
+
+// Common abbreviations in customer exports
+const TOKEN_ALIASES = {
+  '#': 'number',
+  no: 'number',
+  num: 'number',
+  nbr: 'number',
+  appt: 'appointment',
+  qty: 'quantity',
+  ref: 'reference',
+  fac: 'facility',
+  dt: 'date',
+};
+
+function tokenize(header) {
+  return String(header || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/#/g, ' # ')
+    .toLowerCase()
+    .split(/[^a-z0-9#]+/)
+    .filter(Boolean)
+    .map(token => TOKEN_ALIASES[token] || token);
+}
+
+function bigrams(text) {
+  const grams = [];
+  for (let i = 0; i < text.length - 1; i++) grams.push(text.slice(i, i + 2));
+  return grams;
+}
+
+/**
+ * Similarity between two headers in [0, 1]: the best of token overlap,
+ * token containment ("Status" within "Trailer Status") and character-bigram
+ * (Dice) similarity, after expanding common abbreviations.
+ */
+export function columnSimilarity(a, b) {
+  const tokensA = tokenize(a);
+  const tokensB = tokenize(b);
+  if (!tokensA.length || !tokensB.length) return 0;
+
+  const compactA = tokensA.join('');
+  const compactB = tokensB.join('');
+  if (compactA === compactB) return 1;
+
+  const setB = new Set(tokensB);
+  const shared = new Set(tokensA.filter(token => setB.has(token))).size;
+  const jaccard = shared / new Set([...tokensA, ...tokensB]).size;
+  const contained = shared === new Set(tokensA).size || shared === setB.size;
+  const containment = contained ? 0.6 + 0.4 * jaccard : 0;
+
+  const gramsA = bigrams(compactA);
+  const gramsB = bigrams(compactB);
+  const counts = new Map();
+  for (const gram of gramsB) counts.set(gram, (counts.get(gram) || 0) + 1);
+  let overlap = 0;
+  for (const gram of gramsA) {
+    const n = counts.get(gram) || 0;
+    if (n > 0) {
+      overlap++;
+      counts.set(gram, n - 1);
+    }
+  }
+  const dice = gramsA.length + gramsB.length ? (2 * overlap) / (gramsA.length + gramsB.length) : 0;
+
+  return Math.max(jaccard, containment, dice);
+}
+
+/**
+ * Canonical fields for a report, critical fields first.
+ * @returns {Array<{field: string, label: string, aliases: string[], critical: boolean}>}
+ */
+export function getCanonicalFields(reportType) {
+  const map = CSV_FIELD_MAPS[reportType];
+  if (!map) return [];
+  const critical = CRITICAL_FIELDS[reportType] || [];
+  const byField = new Map();
+  for (const [csvCol, apiField] of Object.entries(map)) {
+    if (!byField.has(apiField)) {
+      byField.set(apiField, { field: apiField, label: csvCol, aliases: [], critical: critical.includes(apiField) });
+    }
+    byField.get(apiField).aliases.push(csvCol);
+  }
+  const fields = Array.from(byField.values());
+  return [...fields.filter(f => f.critical), ...fields.filter(f => !f.critical)];
+}
+
+/**
+ * Pairs of "<base> Date" / "<base> Time" headers (any case or separator).
+ * @returns {Array<{base: string, dateColumn: string, timeColumn: string}>}
+ */
+export function findDateTimePairs(columns) {
+  const split = (column) => {
+    const tokens = tokenize(column);
+    const last = tokens[tokens.length - 1];
+    if (tokens.length < 2 || (last !== 'date' && last !== 'time')) return null;
+    return { base: tokens.slice(0, -1).join(' '), kind: last };
+  };
+
+  const dates = new Map();
+  const times = new Map();
+  for (const column of columns || []) {
+    const parts = split(column);
+    if (!parts) continue;
+    const target = parts.kind === 'date' ? dates : times;
+    if (!target.has(parts.base)) target.set(parts.base, column);
+  }
+
+  const pairs = [];
+  for (const [base, dateColumn] of dates) {
+    if (times.has(base)) pairs.push({ base, dateColumn, timeColumn: times.get(base) });
+  }
+  return pairs;
+}
+
+const isTemporal = (text) => tokenize(text).some(token => token === 'date' || token === 'time' || token === 'datetime');
+
+/**
+ * Suggests a mapping for a file's headers, in three passes:
+ * 1. exact alias matches from CSV_FIELD_MAPS
+ * 2. split date/time pairs combined into the report's timestamp fields
+ * 3. the most similar unused header above SUGGESTION_THRESHOLD for each field
+ *
+ * Date/time headers are only fuzzily matched to date/time fields, and critical
+ * fields win near-ties.
+ *
+ * @param {string[]} columns - File headers
+ * @param {string} reportType
+ * @returns {{reportType: string, columns: Object, combine: Array, scores: Object}}
+ */
+export function suggestColumnMapping(columns, reportType) {
+  const fields = getCanonicalFields(reportType);
+  const headers = Array.from(new Set(columns || []));
+  const mapping = { reportType, columns: {}, combine: [], scores: {} };
+  const usedHeaders = new Set();
+
+  const assign = (field, header, score) => {
+    mapping.columns[field] = header;
+    mapping.scores[field] = Math.min(1, Math.round(score * 100) / 100);
+    usedHeaders.add(header);
+  };
+
+  for (const { field, aliases } of fields) {
+    const header = aliases.find(alias => headers.includes(alias) && !usedHeaders.has(alias));
+    if (header) assign(field, header, 1);
+  }
+
+  const targets = (COMBINED_TIMESTAMP_FIELDS[reportType] || []).filter(field => !mapping.columns[field]);
+  for (const { base, dateColumn, timeColumn } of findDateTimePairs(headers)) {
+    if (usedHeaders.has(dateColumn) || usedHeaders.has(timeColumn)) continue;
+    let best = null;
+    for (const field of targets) {
+      if (mapping.combine.some(c => c.field === field)) continue;
+      const score = columnSimilarity(base, field.replace(/_(date)?time$/, ''));
+      if (score >= SUGGESTION_THRESHOLD && (!best || score > best.score)) best = { field, score };
+    }
+    if (!best) continue;
+    mapping.combine.push({ field: best.field, dateColumn, timeColumn });
+    usedHeaders.add(dateColumn);
+    usedHeaders.add(timeColumn);
+  }
+
+  const candidates = [];
+  for (const { field, aliases, critical } of fields) {
+    if (mapping.columns[field]) continue;
+    const fieldTemporal = isTemporal(field) || aliases.some(isTemporal);
+    for (const header of headers) {
+      if (usedHeaders.has(header)) continue;
+      let score = Math.max(columnSimilarity(header, field), ...aliases.map(alias => columnSimilarity(header, alias)));
+      if (isTemporal(header) !== fieldTemporal) score *= 0.5;
+      if (score >= SUGGESTION_THRESHOLD) candidates.push({ field, header, score, rank: score + (critical ? 0.1 : 0) });
+    }
+  }
+  candidates.sort((a, b) => b.rank - a.rank);
+
+  for (const { field, header, score } of candidates) {
+    if (mapping.columns[field] || usedHeaders.has(header)) continue;
+    assign(field, header, score);
+  }
+
+  return mapping;
+}
+
+/**
+ * Critical fields the mapping leaves unassigned.
+ */
+export function missingCriticalFields(mapping, reportType) {
+  const combined = new Set((mapping?.combine || []).map(c => c.field));
+  return (CRITICAL_FIELDS[reportType] || []).filter(field => !mapping?.columns?.[field] && !combined.has(field));
+}
+
+/**
+ * Strips UI-only data (scores) and empty assignments so the mapping can be
+ * stored on the file and passed to normalizeCSVRow.
+ */
+export function finalizeColumnMapping(mapping) {
+  const columns = {};
+  for (const [field, header] of Object.entries(mapping?.columns || {})) {
+    if (header) columns[field] = header;
+  }
+  const combine = (mapping?.combine || [])
+    .filter(c => c.field && c.dateColumn)
+    .map(({ field, dateColumn, timeColumn }) => ({ field, dateColumn, timeColumn: timeColumn || null }));
+  return { reportType: mapping?.reportType || null, columns, combine };
+}
+
+/**
+ * Normalizes the first rows of a file with a mapping, for the wizard preview.
+ * @returns {object[]}
+ */
+export function previewMappedRows(rows, reportType, timezone, mapping, limit = 5) {
+  return (rows || []).slice(0, limit).map(row => normalizeCSVRow(row, reportType, timezone, finalizeColumnMapping(mapping)));
+}
@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  columnSimilarity,
+  findDateTimePairs,
+  suggestColumnMapping,
+  missingCriticalFields,
+  finalizeColumnMapping,
+  previewMappedRows,
+} from './column-mapping.js';
+import { normalizeCSVRow, validateCSVColumns } from './csv-parser.js';
+
+test('similarity expands abbreviations and rewards contained tokens', () => {
+  assert.equal(columnSimilarity('Trailer No', 'Trailer Number'), 1);
+  assert.equal(columnSimilarity('Appt #', 'appointment_number'), 1);
+  assert.ok(columnSimilarity('Status', 'Trailer Status') >= 0.6);
+  assert.ok(columnSimilarity('Carrier', 'Dwell Time') < 0.6);
+
+  assert.deepEqual(findDateTimePairs(['Event Date', 'event_time', 'Date', 'Notes']), [
+    { base: 'event', dateColumn: 'Event Date', timeColumn: 'event_time' },
+  ]);
+});
+
+test('suggestions prefer exact aliases, then combine pairs, then fuzzy matches', () => {
+  const mapping = suggestColumnMapping(['Trailer', 'Event Date', 'Event Time', 'Status', 'Username'], 'trailer_history');
+  assert.equal(mapping.columns.username, 'Username');
+  assert.equal(mapping.scores.username, 1);
+  assert.equal(mapping.columns.trailer_number, 'Trailer', 'critical fields win near-ties');
+  assert.equal(mapping.columns.trailer_status, 'Status');
+  assert.deepEqual(mapping.combine, [{ field: 'event_time', dateColumn: 'Event Date', timeColumn: 'Event Time' }]);
+  assert.deepEqual(missingCriticalFields(mapping, 'trailer_history'), ['event']);
+
+  // Date/time headers are not fuzzily matched to non-temporal fields
+  const driver = suggestColumnMapping(['Yard Driver', 'Request Date'], 'driver_history');
+  assert.notEqual(driver.columns.requested_by, 'Request Date');
+});
+
+test('a finalized mapping drives normalization, combining and validation', () => {
+  const mapping = finalizeColumnMapping({
+    reportType: 'trailer_history',
+    columns: { trailer_number: 'Unit', event: 'Activity', scac: '' },
+    combine: [{ field: 'event_time', dateColumn: 'Day', timeColumn: 'Clock' }],
+    scores: { trailer_number: 0.7 },
+  });
+  assert.deepEqual(mapping, {
+    reportType: 'trailer_history',
+    columns: { trailer_number: 'Unit', event: 'Activity' },
+    combine: [{ field: 'event_time', dateColumn: 'Day', timeColumn: 'Clock' }],
+  });
+
+  const row = { Unit: 'TR-9', Activity: 'Check In', Day: '01-20-2025', Clock: '14:30', Extra: 'x' };
+  const normalized = normalizeCSVRow(row, 'trailer_history', 'UTC', mapping);
+  assert.equal(normalized.trailer_number, 'TR-9');
+  assert.equal(normalized.event, 'Check In');
+  assert.equal(normalized.event_time, '01-20-2025 14:30');
+  assert.equal(normalized.extra, 'x', 'unmapped columns are still carried through');
+
+  assert.deepEqual(previewMappedRows([row, row], 'trailer_history', 'UTC', mapping, 1).map(r => r.event), ['Check In']);
+
+  const columns = Object.keys(row);
+  assert.equal(validateCSVColumns(columns, 'trailer_history').isValid, false);
+  assert.equal(validateCSVColumns(columns, 'trailer_history', mapping).isValid, true);
+});
+
+test('column validation counts a field as present when any alias is', () => {
+  const result = validateCSVColumns(['Trailer Number', 'Move Type', 'Load Status'], 'current_inventory');
+  assert.equal(result.isValid, true);
+  assert.ok(!result.warnings.some(w => /critical/.test(w)));
+
+  const missing = validateCSVColumns(['Load Status'], 'current_inventory');
+  assert.deepEqual(missing.missingCritical.sort(), ['move_type_name', 'trailer_number']);
+  assert.match(missing.warnings[0], /Missing critical columns: .*Trailer Number/);
+});
@@ -1,17 +1,46 @@
 /**
  * CSV Import UI module for YMS QBR Assistant
- * Handles file uploads, drag-drop, report type selection, and CSV processing
+ * Handles file uploads, drag-drop, report type selection, and CSV processing.
+ * Excel workbooks are accepted too: each worksheet becomes its own entry.
  */
 
 import {
-  detectReportType,
-  normalizeCSVRow,
+  detectReportMatch,
   validateCSVColumns,
-  validateCSVRow,
   parseCSVFile,
-  streamCSVFile,
+  parseCSVText,
   aggregateYardAgeBuckets,
 } from './csv-parser.js';
+import { isSpreadsheetFile, previewWorkbook, checkWorkbookSize } from './xlsx-import.js?v=2025.01.07.0';
+import {
+  getCanonicalFields,
+  missingCriticalFields,
+  previewMappedRows,
+  COMBINED_TIMESTAMP_FIELDS,
+} from './column-mapping.js?v=2025.01.07.0';
+import { mappingFromProfile } from './mapping-profiles.js?v=2025.01.07.0';
+import { ingestCSVFiles, toCSVIngestFile } from './csv-ingest.js?v=2025.01.07.0';
+import {
+  detectTimestampFormats,
+  ambiguousColumns,
+  describeTimestampFormat,
+  DATE_ORDER_LABELS,
+} from './timestamp-formats.js?v=2025.01.07.0';
+import {
+  sniffCSVFile,
+  csvFormatParseOptions,
+  describeCSVFormat,
+  ENCODING_LABELS,
+  DELIMITER_LABELS,
+} from './csv-sniff.js?v=2025.01.07.0';
+import { isZipFile, listZipEntries, importableZipEntries, openImportFile, readZipEntryPrefix } from './zip-bundle.js?v=2025.01.07.0';
+import { describeValidationReport } from './validation-report.js?v=2025.01.07.0';
+
+// Raw rows kept per file for the column-mapping wizard preview
+const SAMPLE_ROW_COUNT = 5;
+
+// Uncompressed bytes of a zipped CSV read for its preview; the row count is estimated from them
+const ZIP_PREVIEW_BYTES = 2 * 1024 * 1024;
 
 // ---------- Report Type Labels ----------
 
@@ -51,27 +80,40 @@ function detectReportTypeFromFilename(filename) {
  * Tracks uploaded files, their report types, and processing status.
  */
 export function createCSVImportState() {
-  const files = new Map(); // fileId -> { file, reportType, status, rowCount, columns, error }
+  const files = new Map(); // fileId -> { file, sheetName, reportType, status, rowCount, columns, error }
   let nextId = 1;
 
   return {
     /**
-     * Adds a file to the import state.
+     * Adds a file (or one worksheet of a workbook) to the import state.
      * @param {File} file - The file object
      * @param {string|null} reportType - Auto-detected or null
+     * @param {string|null} sheetName - Worksheet name for Excel workbooks
+     * @param {object|null} zipEntry - Entry inside `file` when it is a zip archive (see zip-bundle.js)
      * @returns {string} fileId
      */
-    addFile(file, reportType = null) {
+    addFile(file, reportType = null, sheetName = null, zipEntry = null) {
       const id = `csv_${nextId++}`;
+      const baseName = zipEntry ? `${file.name} › ${zipEntry.path}` : file.name;
       files.set(id, {
         id,
         file,
-        name: file.name,
-        size: file.size,
+        zipEntry,
+        name: sheetName ? `${baseName} › ${sheetName}` : baseName,
+        sheetName,
+        size: zipEntry ? zipEntry.size : file.size,
         reportType,
         status: 'pending', // pending | detecting | ready | processing | done | error
         rowCount: null,
         columns: [],
+        sampleRows: [],
+        mapping: null, // custom column mapping from the mapping wizard or a profile
+        timestampFormats: {}, // pinned format per timestamp column (see timestamp-formats.js)
+        csvFormat: null, // encoding + delimiter of a CSV file (see csv-sniff.js)
+        profileName: null, // mapping profile that detected this file
+        needsMapping: false, // detection or critical-column validation failed
+        duplicateRows: 0, // rows skipped because an earlier file of the same report had them
+        issueRows: 0, // rows with data issues in the last run (see validation-report.js)
         error: null,
         validationWarnings: [],
       });
@@ -154,242 +196,253 @@ export function createCSVImportState() {
 
 /**
  * Handles file selection/drop and initiates report type detection.
+ * Zip archives are opened and each CSV/Excel entry is added on its own.
  *
  * @param {FileList|File[]} fileList - Files to process
  * @param {object} csvState - CSV import state manager
  * @param {function} onUpdate - Callback when state changes
+ * @param {object} [options]
+ * @param {object[]} [options.profiles] - Saved mapping profiles in detection order
  * @returns {Promise<void>}
  */
-export async function handleFileUpload(fileList, csvState, onUpdate) {
+export async function handleFileUpload(fileList, csvState, onUpdate, { profiles = [] } = {}) {
   const files = Array.from(fileList).filter(f =>
     f.name.toLowerCase().endsWith('.csv') ||
     f.type === 'text/csv' ||
-    f.type === 'application/csv'
+    f.type === 'application/csv' ||
+    isSpreadsheetFile(f) ||
+    isZipFile(f)
   );
 
   if (files.length === 0) {
-    return { error: 'No valid CSV files selected' };
+    return { error: 'No valid CSV, Excel or zip files selected' };
   }
 
   for (const file of files) {
-    const fileId = csvState.addFile(file);
-    csvState.updateFile(fileId, { status: 'detecting' });
-    onUpdate?.();
-
-    try {
-      // Parse first few rows to detect report type
-      const preview = await parseCSVFile(file);
-      const columns = preview.columns;
-      const filenameHint = detectReportTypeFromFilename(file.name);
-      const detectedType = detectReportType(columns, { filenameHint });
-
-      // Validate columns if type detected
-      let validation = { isValid: true, warnings: [] };
-      if (detectedType) {
-        validation = validateCSVColumns(columns, detectedType);
-      }
-
-      csvState.updateFile(fileId, {
-        status: detectedType ? 'ready' : 'pending',
-        reportType: detectedType,
-        columns,
-        rowCount: preview.data.length,
-        validationWarnings: validation.warnings,
-      });
-    } catch (err) {
-      csvState.updateFile(fileId, {
-        status: 'error',
-        error: err.message || 'Failed to read file',
-      });
+    if (isZipFile(file)) {
+      await addZipBundle(file, csvState, onUpdate, profiles);
+    } else if (isSpreadsheetFile(file)) {
+      await addWorkbookSheets(file, csvState, onUpdate, profiles);
+    } else {
+      await addCSVFile(file, csvState, onUpdate, profiles);
     }
-
-    onUpdate?.();
   }
 
   return { success: true, count: files.length };
 }
 
-// ---------- CSV Processing Pipeline ----------
+async function addCSVFile(file, csvState, onUpdate, profiles, zipEntry = null) {
+  const fileId = csvState.addFile(file, null, null, zipEntry);
+  csvState.updateFile(fileId, { status: 'detecting' });
+  onUpdate?.();
+
+  await previewCSVFile(fileId, csvState, profiles);
+  onUpdate?.();
+}
 
 /**
- * Processes all uploaded CSV files and feeds data to analyzers.
- *
- * @param {object} csvState - CSV import state manager
- * @param {object} analyzers - Report analyzers from analysis.js
- * @param {object} options - Processing options
- * @returns {Promise<object>} Processing results
+ * Adds every CSV file and Excel workbook in a zip archive, each detected as if
+ * it had been dropped on its own. Entries are opened one at a time.
  */
-export async function processCSVFiles(csvState, analyzers, options = {}) {
-  const {
-    timezone = 'America/Los_Angeles',
-    onProgress,
-    onWarning,
-    signal, // AbortSignal for cancellation
-  } = options;
-
-  const filesByReport = csvState.getFilesByReportType();
-  const results = {
-    totalRows: 0,
-    rowsByReport: {},
-    warnings: [],
-    errors: [],
-  };
+async function addZipBundle(file, csvState, onUpdate, profiles) {
+  const placeholderId = csvState.addFile(file);
+  csvState.updateFile(placeholderId, { status: 'detecting' });
+  onUpdate?.();
+
+  let entries;
+  try {
+    entries = importableZipEntries(await listZipEntries(file));
+  } catch (err) {
+    csvState.updateFile(placeholderId, {
+      status: 'error',
+      error: err.message || 'Failed to read archive',
+    });
+    onUpdate?.();
+    return;
+  }
 
-  // Process each report type
-  for (const [reportType, files] of Object.entries(filesByReport)) {
-    const analyzer = analyzers[reportType];
-    if (!analyzer) {
-      results.warnings.push(`No analyzer for report type: ${reportType}`);
-      continue;
+  if (entries.length === 0) {
+    csvState.updateFile(placeholderId, { status: 'error', error: 'Archive has no CSV or Excel files' });
+    onUpdate?.();
+    return;
+  }
+
+  csvState.removeFile(placeholderId);
+  for (const entry of entries) {
+    if (isSpreadsheetFile({ name: entry.name })) {
+      await addWorkbookSheets(file, csvState, onUpdate, profiles, entry);
+    } else {
+      await addCSVFile(file, csvState, onUpdate, profiles, entry);
     }
+  }
+}
 
-    let reportRows = 0;
-
-    for (const fileInfo of files) {
-      if (signal?.aborted) break;
-
-      csvState.updateFile(fileInfo.id, { status: 'processing' });
-      onProgress?.({ report: reportType, file: fileInfo.name, status: 'processing' });
-
-      try {
-        // For large files (>50MB), use streaming
-        if (fileInfo.size > 50 * 1024 * 1024) {
-          const largeFileResult = await processLargeCSV(fileInfo, analyzer, reportType, timezone, {
-            onProgress: (processed, total) => {
-              onProgress?.({
-                report: reportType,
-                file: fileInfo.name,
-                rowsProcessed: processed,
-                totalRows: total,
-              });
-            },
-            onWarning: (msg) => {
-              results.warnings.push(`[${fileInfo.name}] ${msg}`);
-              onWarning?.(`[${fileInfo.name}] ${msg}`);
-            },
-            signal,
-          });
-          // Update counters with actual rows processed
-          reportRows += largeFileResult.totalRows;
-          results.totalRows += largeFileResult.totalRows;
-        } else {
-          // Small/medium files: batch processing
-          const { data, columns } = await parseCSVFile(fileInfo.file);
-
-          for (let i = 0; i < data.length; i++) {
-            if (signal?.aborted) break;
-
-            const normalizedRow = normalizeCSVRow(data[i], reportType, timezone);
-
-            // Validate row
-            const rowWarnings = validateCSVRow(normalizedRow, reportType, i);
-            rowWarnings.forEach(w => {
-              if (results.warnings.length < 100) { // Limit warnings
-                results.warnings.push(`[${fileInfo.name}] ${w}`);
-              }
-            });
-
-            // Feed to analyzer
-            analyzer.ingest({
-              row: normalizedRow,
-              flags: {
-                driverContactPresent: !!normalizedRow.driver_cell,
-                anyPhoneFieldPresent: !!normalizedRow.driver_cell,
-                hasTimezoneArrivalTime: !!normalizedRow.timezone_arrival_time,
-                isCSVSource: true, // Flag for CSV-specific handling
-              },
-              report: reportType,
-              timezone,
-            });
-
-            reportRows++;
-            results.totalRows++;
-
-            // Progress update every 500 rows
-            if (i > 0 && i % 500 === 0) {
-              onProgress?.({
-                report: reportType,
-                file: fileInfo.name,
-                rowsProcessed: i + 1,
-                totalRows: data.length,
-              });
-            }
-          }
-        }
+/**
+ * Preview parse of a zipped CSV from the first ZIP_PREVIEW_BYTES of the entry.
+ * The row count is extrapolated from the bytes read when the entry is longer.
+ */
+async function previewZippedCSV(fileInfo, current) {
+  const { zipEntry } = fileInfo;
+  const { bytes, truncated } = await readZipEntryPrefix(fileInfo.file, zipEntry, ZIP_PREVIEW_BYTES);
+  const csvFormat = current?.manual ? current : await sniffCSVFile(new Blob([bytes]));
+  let text = new TextDecoder(csvFormat.encoding).decode(bytes);
+  // The prefix usually ends mid-row
+  if (truncated) text = text.slice(0, text.lastIndexOf('\n') + 1);
+  const preview = await parseCSVText(text, csvFormatParseOptions(csvFormat));
+  const rowCount = truncated ? Math.round((preview.data.length * zipEntry.size) / bytes.length) : preview.data.length;
+  return { csvFormat, preview, rowCount, rowCountEstimated: truncated };
+}
 
-        csvState.updateFile(fileInfo.id, { status: 'done', rowCount: reportRows });
-        onProgress?.({
-          report: reportType,
-          file: fileInfo.name,
-          status: 'done',
-          rowsProcessed: reportRows,
-        });
-      } catch (err) {
-        csvState.updateFile(fileInfo.id, {
-          status: 'error',
-          error: err.message,
-        });
-        results.errors.push(`[${fileInfo.name}] ${err.message}`);
-        onWarning?.(`Error processing ${fileInfo.name}: ${err.message}`);
-      }
+/**
+ * Parses a CSV entry to detect its report type, columns and timestamp formats.
+ * The encoding and delimiter are sniffed first unless the user picked them.
+ */
+async function previewCSVFile(fileId, csvState, profiles) {
+  const fileInfo = csvState.getFile(fileId);
+  const current = fileInfo.csvFormat;
+  try {
+    let csvFormat, preview, rowCount, rowCountEstimated = false;
+    if (fileInfo.zipEntry) {
+      ({ csvFormat, preview, rowCount, rowCountEstimated } = await previewZippedCSV(fileInfo, current));
+    } else {
+      csvFormat = current?.manual ? current : await sniffCSVFile(fileInfo.file);
+      preview = await parseCSVFile(fileInfo.file, csvFormatParseOptions(csvFormat));
+      rowCount = preview.data.length;
     }
+    const columns = preview.columns;
+    const filenameHint = detectReportTypeFromFilename(fileInfo.zipEntry?.name || fileInfo.file.name);
+    const detected = detectColumns(columns, filenameHint, profiles);
+
+    csvState.updateFile(fileId, {
+      ...detected,
+      csvFormat,
+      columns,
+      rowCount,
+      rowCountEstimated,
+      sampleRows: preview.data.slice(0, SAMPLE_ROW_COUNT),
+      timestampFormats: detectTimestampFormats(columns, preview.data),
+    });
+  } catch (err) {
+    csvState.updateFile(fileId, {
+      status: 'error',
+      error: err.message || 'Failed to read file',
+    });
+  }
+}
+
+/**
+ * Re-reads a CSV entry with a manually chosen encoding or delimiter. Columns,
+ * report type and timestamp formats are detected again; a custom mapping built
+ * for the old columns is dropped.
+ *
+ * @param {string} fileId
+ * @param {object} csvState - CSV import state manager
+ * @param {{encoding?: string, delimiter?: string}} override
+ * @param {function} onUpdate - Callback when state changes
+ * @param {object} [options]
+ * @param {object[]} [options.profiles] - Saved mapping profiles in detection order
+ */
+export async function overrideCSVFormat(fileId, csvState, override, onUpdate, { profiles = [] } = {}) {
+  const fileInfo = csvState.getFile(fileId);
+  if (!fileInfo?.csvFormat) return;
+  csvState.updateFile(fileId, {
+    csvFormat: { ...fileInfo.csvFormat, ...override, manual: true },
+    status: 'detecting',
+    error: null,
+    mapping: null,
+    profileName: null,
+  });
+  onUpdate?.();
 
-    results.rowsByReport[reportType] = reportRows;
+  await previewCSVFile(fileId, csvState, profiles);
+  onUpdate?.();
+}
+
+/**
+ * Detects a file's report type and validates its columns. When a mapping
+ * profile's signature matched, the profile's mapping is attached to the file.
+ * @returns {object} File state updates
+ */
+function detectColumns(columns, filenameHint, profiles) {
+  const { reportType, profile } = detectReportMatch(columns, { filenameHint, profiles });
+  if (!reportType) {
+    return { status: 'pending', reportType: null, needsMapping: true, validationWarnings: [] };
   }
 
-  return results;
+  const mapping = profile ? mappingFromProfile(profile, reportType, columns) : null;
+  const validation = validateCSVColumns(columns, reportType, mapping);
+  return {
+    status: 'ready',
+    reportType,
+    mapping,
+    profileName: profile?.name || null,
+    needsMapping: !validation.isValid,
+    validationWarnings: validation.warnings,
+  };
 }
 
 /**
- * Processes large CSV files using streaming.
+ * Adds one import entry per non-empty worksheet, each run through report type detection.
+ * Sheet names are tried as a filename hint before the workbook name.
  */
-async function processLargeCSV(fileInfo, analyzer, reportType, timezone, callbacks) {
-  const { onProgress, onWarning, signal } = callbacks;
+async function addWorkbookSheets(file, csvState, onUpdate, profiles = [], zipEntry = null) {
+  const placeholderId = csvState.addFile(file, null, null, zipEntry);
+  csvState.updateFile(placeholderId, { status: 'detecting' });
+  onUpdate?.();
+
+  let sheets;
+  try {
+    // Checked before a zipped workbook is unzipped
+    checkWorkbookSize(zipEntry ? zipEntry.size : file.size);
+    const workbook = await openImportFile({ file, zipEntry });
+    sheets = (await previewWorkbook(workbook)).filter(sheet => sheet.columns.length > 0);
+  } catch (err) {
+    csvState.updateFile(placeholderId, {
+      status: 'error',
+      error: err.message || 'Failed to read workbook',
+    });
+    onUpdate?.();
+    return;
+  }
 
-  return new Promise((resolve, reject) => {
-    let aborted = false;
+  if (sheets.length === 0) {
+    csvState.updateFile(placeholderId, { status: 'error', error: 'Workbook has no data sheets' });
+    onUpdate?.();
+    return;
+  }
 
-    if (signal) {
-      signal.addEventListener('abort', () => {
-        aborted = true;
-      });
-    }
+  csvState.removeFile(placeholderId);
+  for (const { sheetName, columns, rowCount, sampleRows } of sheets) {
+    const filenameHint = detectReportTypeFromFilename(sheetName) || detectReportTypeFromFilename(zipEntry?.name || file.name);
+    const fileId = csvState.addFile(file, null, sheetName, zipEntry);
+    csvState.updateFile(fileId, {
+      ...detectColumns(columns, filenameHint, profiles),
+      columns,
+      rowCount,
+      sampleRows: sampleRows.slice(0, SAMPLE_ROW_COUNT),
+      timestampFormats: detectTimestampFormats(columns, sampleRows),
+    });
+  }
+  onUpdate?.();
+}
 
-    streamCSVFile(
-      fileInfo.file,
-      reportType,
-      timezone,
-      {
-        onChunk: (rows, totalProcessed) => {
-          if (aborted) return;
-
-          for (const row of rows) {
-            analyzer.ingest({
-              row,
-              flags: {
-                driverContactPresent: !!row.driver_cell,
-                anyPhoneFieldPresent: !!row.driver_cell,
-                hasTimezoneArrivalTime: !!row.timezone_arrival_time,
-                isCSVSource: true,
-              },
-              report: reportType,
-              timezone,
-            });
-          }
-        },
-        onProgress: (processed, total) => {
-          if (!aborted) onProgress?.(processed, total);
-        },
-        onComplete: ({ totalRows }) => {
-          resolve({ totalRows });
-        },
-        onError: (err) => {
-          reject(err);
-        },
-      },
-      500, // chunk size
-      fileInfo.rowCount // known row count from preview parse
-    );
+// ---------- CSV Processing Pipeline ----------
+
+/**
+ * Processes all uploaded CSV files on the main thread and feeds data to analyzers.
+ * Used when the analysis worker is unavailable; the worker runs the same
+ * ingestCSVFiles pipeline (see csv-ingest.js).
+ *
+ * @param {object} csvState - CSV import state manager
+ * @param {object} analyzers - Report analyzers from analysis.js
+ * @param {object} options - Processing options ({ timezone, onProgress, onWarning, signal })
+ * @returns {Promise<object>} Processing results
+ */
+export async function processCSVFiles(csvState, analyzers, options = {}) {
+  const files = csvState.getAllFiles().filter(f => f.reportType).map(toCSVIngestFile);
+  return ingestCSVFiles(files, analyzers, {
+    ...options,
+    onFileUpdate: (fileId, updates) => csvState.updateFile(fileId, updates),
   });
 }
 
@@ -433,12 +486,20 @@ export function renderFileList(csvState) {
       })
       .join('');
 
-    const rowCountText = f.rowCount !== null ? `${f.rowCount.toLocaleString()} rows` : '';
+    const rowCountText = f.rowCount !== null ? `${f.rowCountEstimated && f.status !== 'done' ? '~' : ''}${f.rowCount.toLocaleString()} rows` : '';
     // Escape HTML entities and quotes for safe attribute value
     const escapeAttr = (s) => s.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
     const warningsHtml = f.validationWarnings.length > 0
       ? `<div class="csv-file-warnings" data-tooltip="${escapeAttr(f.validationWarnings.join('\n'))}">${f.validationWarnings.length} warning(s)</div>`
       : '';
+    const canMap = f.columns.length > 0 && f.status !== 'processing' && f.status !== 'done' && f.status !== 'error';
+    const hasMapping = !!f.mapping && f.mapping.reportType === f.reportType;
+    const mapLabel = hasMapping ? 'Custom mapping ✓ Edit' : (f.needsMapping ? 'Map columns…' : 'Adjust columns…');
+    const mapHtml = canMap
+      ? `<button class="csv-file-map${f.needsMapping && !hasMapping ? ' csv-file-map-needed' : ''}" type="button" data-file-id="${f.id}">${mapLabel}</button>`
+      : '';
+    const dateOrderHtml = renderDateOrderChooser(f, escapeAttr);
+    const csvFormatHtml = renderCSVFormatChooser(f);
 
     return `
       <div class="csv-file-row" data-file-id="${f.id}">
@@ -447,8 +508,14 @@ export function renderFileList(csvState) {
           <div class="csv-file-meta">
             <span class="csv-file-size">${formatFileSize(f.size)}</span>
             ${rowCountText ? `<span class="csv-file-rows">${rowCountText}</span>` : ''}
+            ${f.duplicateRows > 0 ? `<span class="csv-file-duplicates" title="Rows already read from an earlier file of this report">${f.duplicateRows.toLocaleString()} duplicates skipped</span>` : ''}
+            ${f.issueRows > 0 ? `<span class="csv-file-issues" title="Rows with missing or invalid values; see the validation report">${f.issueRows.toLocaleString()} rows with issues</span>` : ''}
+            ${hasMapping && f.profileName ? `<span class="csv-file-profile" title="Detected by mapping profile">${escapeAttr(f.profileName)}</span>` : ''}
           </div>
           ${warningsHtml}
+          ${csvFormatHtml}
+          ${dateOrderHtml}
+          ${mapHtml}
         </div>
         <div class="csv-file-type">
           <select class="csv-type-select" data-file-id="${f.id}" ${f.status === 'processing' || f.status === 'done' ? 'disabled' : ''}>
@@ -467,20 +534,191 @@ export function renderFileList(csvState) {
   return `<div class="csv-file-list">${rows}</div>`;
 }
 
+/**
+ * Detected encoding and delimiter of a CSV entry, each with a manual override.
+ * Empty for worksheets and files not read yet.
+ */
+function renderCSVFormatChooser(f) {
+  if (!f.csvFormat) return '';
+  const locked = f.status === 'processing' || f.status === 'done' || f.status === 'detecting';
+  const select = (setting, labels) => {
+    const options = Object.entries(labels)
+      .map(([value, label]) => `<option value="${value}" ${f.csvFormat[setting] === value ? 'selected' : ''}>${label}</option>`)
+      .join('');
+    return `<select class="csv-format-select" data-file-id="${f.id}" data-setting="${setting}" ${locked ? 'disabled' : ''}>${options}</select>`;
+  };
+  const title = f.csvFormat.manual ? 'Set manually' : `Detected: ${describeCSVFormat(f.csvFormat)}`;
+
+  return `
+    <div class="csv-file-format${f.csvFormat.manual ? ' csv-file-format-manual' : ''}" title="${title}">
+      ${select('encoding', ENCODING_LABELS)}
+      ${select('delimiter', DELIMITER_LABELS)}
+    </div>
+  `;
+}
+
+/**
+ * Warning with a month/day order chooser for files whose date columns fit
+ * both orders. Empty when nothing is ambiguous.
+ */
+function renderDateOrderChooser(f, escapeAttr) {
+  const columns = ambiguousColumns(f.timestampFormats);
+  if (columns.length === 0) return '';
+
+  const formats = f.timestampFormats;
+  const confirmed = columns.every(column => formats[column].confirmed);
+  const order = formats[columns[0]].order;
+  const locked = f.status === 'processing' || f.status === 'done';
+  const options = Object.entries(DATE_ORDER_LABELS)
+    .map(([value, label]) => `<option value="${value}" ${order === value ? 'selected' : ''}>${label}</option>`)
+    .join('');
+  const title = columns.map(column => `${column}: ${describeTimestampFormat(formats[column])}`).join('\n');
+
+  return `
+    <div class="csv-file-date-order${confirmed ? '' : ' csv-file-date-order-unconfirmed'}" title="${escapeAttr(title)}">
+      <span>${confirmed ? 'Date order' : 'Ambiguous dates'}</span>
+      <select class="csv-date-order-select" data-file-id="${f.id}" ${locked ? 'disabled' : ''}>${options}</select>
+    </div>
+  `;
+}
+
+/**
+ * Renders the body of the column-mapping wizard for one file.
+ * Field selects carry data-field; combine rows carry data-combine-index.
+ *
+ * @param {object} params
+ * @param {object} params.fileInfo - CSV import file entry (columns, sampleRows)
+ * @param {string} params.reportType - Report type being mapped
+ * @param {object} params.mapping - Mapping being edited (see column-mapping.js)
+ * @param {string} params.timezone
+ * @returns {string} HTML string
+ */
+export function renderMappingWizard({ fileInfo, reportType, mapping, timezone }) {
+  const esc = (s) => String(s ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const headers = fileInfo.columns || [];
+  const headerOptions = (selected, placeholder = '-- Not in file --') => [
+    `<option value="">${placeholder}</option>`,
+    ...headers.map(h => `<option value="${esc(h)}" ${h === selected ? 'selected' : ''}>${esc(h)}</option>`),
+  ].join('');
+
+  const reportOptions = Object.entries(REPORT_TYPE_LABELS)
+    .map(([value, label]) => `<option value="${value}" ${value === reportType ? 'selected' : ''}>${label}</option>`)
+    .join('');
+
+  const fieldRows = getCanonicalFields(reportType).map(({ field, label, critical }) => {
+    const selected = mapping.columns[field] || '';
+    const score = mapping.scores?.[field];
+    const hint = selected && score != null && score < 1
+      ? `<span class="mapping-suggestion" title="Fuzzy match">~${Math.round(score * 100)}% match</span>`
+      : '';
+    return `
+      <tr>
+        <td>
+          <div class="mapping-field-label">${esc(label)}${critical ? ' <span class="mapping-critical">Required</span>' : ''}</div>
+          <div class="mapping-field-name">${esc(field)}</div>
+        </td>
+        <td><select class="mapping-select" data-field="${esc(field)}">${headerOptions(selected)}</select>${hint}</td>
+      </tr>
+    `;
+  }).join('');
+
+  const combineTargets = COMBINED_TIMESTAMP_FIELDS[reportType] || [];
+  const combineRows = mapping.combine.map((c, i) => `
+    <div class="mapping-combine-row" data-combine-index="${i}">
+      <select class="mapping-select" data-combine-part="field">
+        ${combineTargets.map(f => `<option value="${f}" ${f === c.field ? 'selected' : ''}>${f}</option>`).join('')}
+      </select>
+      <span>=</span>
+      <select class="mapping-select" data-combine-part="dateColumn">${headerOptions(c.dateColumn, '-- Date column --')}</select>
+      <span>+</span>
+      <select class="mapping-select" data-combine-part="timeColumn">${headerOptions(c.timeColumn, '-- Time column --')}</select>
+      <button class="btn btn-ghost mapping-combine-remove" type="button" data-combine-index="${i}" title="Remove">&times;</button>
+    </div>
+  `).join('');
+
+  const missing = missingCriticalFields(mapping, reportType);
+  const missingHtml = missing.length
+    ? `<div class="mapping-missing">Still missing required fields: ${missing.map(esc).join(', ')}</div>`
+    : '';
+
+  // Preview: mapped fields only, required first
+  const previewFields = [
+    ...getCanonicalFields(reportType).map(f => f.field).filter(f => mapping.columns[f]),
+    ...mapping.combine.map(c => c.field),
+  ].slice(0, 8);
+  const previewRows = previewMappedRows(fileInfo.sampleRows, reportType, timezone, mapping);
+  const previewHtml = previewFields.length && previewRows.length
+    ? `
+      <table class="mapping-preview">
+        <thead><tr>${previewFields.map(f => `<th>${esc(f)}</th>`).join('')}</tr></thead>
+        <tbody>
+          ${previewRows.map(row => `<tr>${previewFields.map(f => `<td>${esc(row[f])}</td>`).join('')}</tr>`).join('')}
+        </tbody>
+      </table>
+    `
+    : '<div class="muted small">Map at least one column to preview normalized rows.</div>';
+
+  return `
+    <div class="mapping-wizard-header">
+      <div class="mapping-file-name" title="${esc(fileInfo.name)}">${esc(fileInfo.name)}</div>
+      <label class="mapping-report-type">
+        <span>Report type</span>
+        <select id="mappingReportType" class="csv-type-select">${reportOptions}</select>
+      </label>
+    </div>
+    ${missingHtml}
+    <div class="mapping-table-wrap">
+      <table class="mapping-table">
+        <thead><tr><th>YardIQ field</th><th>Column in your file</th></tr></thead>
+        <tbody>${fieldRows}</tbody>
+      </table>
+    </div>
+    <div class="mapping-section-title">Combine split date + time columns</div>
+    ${combineRows || '<div class="muted small">No combined timestamps.</div>'}
+    ${combineTargets.length ? '<button id="mappingAddCombine" class="btn btn-ghost mapping-add-combine" type="button">+ Add date + time</button>' : ''}
+    <div class="mapping-section-title">Preview (first ${previewRows.length} rows)</div>
+    <div class="mapping-preview-wrap">${previewHtml}</div>
+  `;
+}
+
+/**
+ * Renders the post-run data validation summary: files with issues and a
+ * download button for the full report (.csv-validation-download).
+ * @param {object[]} reports - Per-file reports from validation-report.js
+ * @returns {string} HTML string ('' when no file was checked)
+ */
+export function renderValidationSummary(reports) {
+  if (!reports?.length) return '';
+  const esc = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const withIssues = reports.filter(r => r.rowsWithIssues > 0);
+  const items = withIssues
+    .map(r => `<li><strong>${esc(r.fileName)}</strong>: ${esc(describeValidationReport(r))}</li>`)
+    .join('');
+
+  return `
+    <div class="csv-validation-header">
+      <span>${withIssues.length ? `Data issues in ${withIssues.length} of ${reports.length} file(s)` : `No data issues in ${reports.length} file(s)`}</span>
+      <button class="btn btn-ghost csv-validation-download" type="button">⬇ Validation report (CSV)</button>
+    </div>
+    ${items ? `<ul>${items}</ul>` : ''}
+  `;
+}
+
 /**
  * Renders CSV mode progress display.
  * @param {object} progress - Progress state
  * @returns {string} HTML string
  */
 export function renderCSVProgress(progress) {
-  const { report, file, rowsProcessed, totalRows, status } = progress;
+  const { report, file, rowsProcessed, totalRows, status, duplicateRows } = progress;
 
   if (status === 'done') {
+    const duplicatesText = duplicateRows > 0 ? `, ${duplicateRows.toLocaleString()} duplicates skipped` : '';
     return `
       <div class="csv-progress-item csv-progress-done">
         <span class="csv-progress-report">${REPORT_TYPE_LABELS[report] || report}</span>
         <span class="csv-progress-file">${file}</span>
-        <span class="csv-progress-count">${rowsProcessed?.toLocaleString() || 0} rows</span>
+        <span class="csv-progress-count">${rowsProcessed?.toLocaleString() || 0} rows${duplicatesText}</span>
         <span class="csv-progress-status">Done</span>
       </div>
     `;
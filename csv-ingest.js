@@ -0,0 +1,296 @@
+/**
+ * CSV ingest pipeline for YMS QBR Assistant
+ * Streams uploaded CSV files and Excel worksheets through field mapping, row
+ * validation, duplicate detection and analyzer ingest.
+ *
+ * Has no DOM or UI-state access, so the same code runs in analysis.worker.js
+ * (the default) and on the main thread when the worker is unavailable.
+ */
+
+import { streamCSVFile, createStreamSource } from './csv-parser.js';
+import { streamWorksheet, checkWorkbookSize, readWorkbookBytes } from './xlsx-import.js?v=2025.01.07.0';
+import { createRowDeduper } from './row-dedup.js?v=2025.01.07.0';
+import { openImportFile, openZipEntryStream } from './zip-bundle.js?v=2025.01.07.0';
+import { createFileValidator, describeValidationReport } from './validation-report.js?v=2025.01.07.0';
+import { compileRowFilters } from './row-filters.js?v=2025.01.07.0';
+import { compilePiiRules, scrubRow } from './pii-rules.js?v=2025.01.07.0';
+import { trackRowTimestamps } from './analysis.js?v=2025.01.07.0';
+
+// Rows per normalized chunk handed to the analyzer
+const INGEST_CHUNK_SIZE = 500;
+
+/**
+ * Reduces a CSV import entry to what ingest needs. The result is
+ * structured-clone safe, so it can be posted to the worker (File objects clone).
+ * A wizard or profile mapping only applies to the report type it was built for.
+ * Entries from a zip bundle carry the archive plus their zipEntry locator.
+ *
+ * @param {object} fileInfo - Entry from createCSVImportState()
+ * @returns {{id: string, name: string, file: File, sheetName: string|null, reportType: string, rowCount: number|null, mapping: object|null, timestampFormats: object|null, csvFormat: object|null, zipEntry: object|null}}
+ */
+export function toCSVIngestFile(fileInfo) {
+  return {
+    id: fileInfo.id,
+    name: fileInfo.name,
+    file: fileInfo.file,
+    zipEntry: fileInfo.zipEntry || null,
+    sheetName: fileInfo.sheetName || null,
+    reportType: fileInfo.reportType,
+    rowCount: fileInfo.rowCount ?? null,
+    mapping: fileInfo.mapping?.reportType === fileInfo.reportType ? fileInfo.mapping : null,
+    timestampFormats: fileInfo.timestampFormats || null,
+    csvFormat: fileInfo.csvFormat || null,
+  };
+}
+
+// `mapped` is the row before PII scrubbing; only presence flags are read from it
+function ingestRow(analyzer, row, reportType, timezone, mapped = row) {
+  analyzer.ingest({
+    row,
+    flags: {
+      driverContactPresent: !!mapped.driver_cell,
+      anyPhoneFieldPresent: !!mapped.driver_cell,
+      hasTimezoneArrivalTime: !!row.timezone_arrival_time,
+      isCSVSource: true, // Flag for CSV-specific handling
+    },
+    report: reportType,
+    timezone,
+  });
+}
+
+/**
+ * Streams one CSV file (any size) into the analyzer. Zip entries are parsed
+ * as they are decompressed.
+ */
+async function ingestCSVStream(fileInfo, onChunk, callbacks) {
+  const { onProgress, signal } = callbacks;
+  const file = fileInfo.zipEntry
+    ? createStreamSource(await openZipEntryStream(fileInfo.file, fileInfo.zipEntry), {
+      encoding: fileInfo.csvFormat?.encoding,
+      size: fileInfo.zipEntry.size,
+    })
+    : fileInfo.file;
+
+  return new Promise((resolve, reject) => {
+    streamCSVFile(
+      file,
+      fileInfo.reportType,
+      callbacks.timezone,
+      {
+        onChunk,
+        onProgress,
+        onComplete: ({ totalRows }) => resolve({ totalRows }),
+        onError: reject,
+        signal,
+      },
+      INGEST_CHUNK_SIZE,
+      fileInfo.rowCount, // known row count from preview parse
+      fileInfo.mapping,
+      fileInfo.timestampFormats,
+      fileInfo.csvFormat
+    );
+  });
+}
+
+/**
+ * Workbook bytes for one ingest. Each workbook (or zipped workbook) is read once
+ * and shared by its worksheets, then released after its last worksheet.
+ * @param {object[]} files - toCSVIngestFile() entries
+ */
+function createWorkbookCache(files) {
+  const byFile = new Map(); // File -> zip entry path ('' for the file itself) -> { bytes, sheetsLeft }
+  const slot = (fileInfo) => {
+    if (!byFile.has(fileInfo.file)) byFile.set(fileInfo.file, new Map());
+    const byPath = byFile.get(fileInfo.file);
+    const path = fileInfo.zipEntry?.path ?? '';
+    if (!byPath.has(path)) byPath.set(path, { bytes: null, sheetsLeft: 0 });
+    return byPath.get(path);
+  };
+  for (const fileInfo of files) {
+    if (fileInfo.sheetName) slot(fileInfo).sheetsLeft++;
+  }
+
+  return {
+    read(fileInfo) {
+      const entry = slot(fileInfo);
+      entry.bytes ??= (async () => {
+        checkWorkbookSize(fileInfo.zipEntry ? fileInfo.zipEntry.size : fileInfo.file.size);
+        return readWorkbookBytes(await openImportFile(fileInfo));
+      })();
+      return entry.bytes;
+    },
+    release(fileInfo) {
+      const entry = slot(fileInfo);
+      if (--entry.sheetsLeft <= 0) entry.bytes = null;
+    },
+  };
+}
+
+/**
+ * Streams one Excel worksheet into the analyzer.
+ */
+async function ingestWorksheet(fileInfo, onChunk, callbacks) {
+  const { workbooks } = callbacks;
+  try {
+    return await streamWorksheet(
+      await workbooks.read(fileInfo),
+      fileInfo.sheetName,
+      fileInfo.reportType,
+      callbacks.timezone,
+      { onChunk, onProgress: callbacks.onProgress, signal: callbacks.signal },
+      INGEST_CHUNK_SIZE,
+      fileInfo.mapping,
+      fileInfo.timestampFormats
+    );
+  } finally {
+    workbooks.release(fileInfo);
+  }
+}
+
+/**
+ * Ingests files report by report. Rows already ingested from an earlier file
+ * of the same report are skipped (see row-dedup.js) and counted per file and
+ * per report. Every row is checked for data issues, collected in one
+ * validation report per file (see validation-report.js). Rows matched by a
+ * row filter (see row-filters.js) are validated but never reach the analyzer.
+ * A failing file is recorded and the rest still run.
+ *
+ * @param {object[]} files - toCSVIngestFile() entries
+ * @param {object} analyzers - Report analyzers from createAnalyzers()
+ * @param {object} options
+ * @param {string} [options.timezone]
+ * @param {AbortSignal} [options.signal]
+ * @param {Array} [options.rowFilters] - Row filters; matching rows are excluded
+ * @param {Array} [options.piiRules] - PII scrubbing rules (pii-rules.js); defaults when omitted
+ * @param {function} [options.onProgress] - ({ report, file, sheet, status, rowsProcessed, totalRows, duplicateRows })
+ * @param {function} [options.onFileUpdate] - (fileId, updates) with status/rowCount/duplicateRows/issueRows/error
+ * @param {function} [options.onWarning]
+ * @returns {Promise<{totalRows: number, rowsByReport: object, duplicatesByReport: object, filteredByReport: object, dedupSaturatedReports: string[], validation: object[], warnings: string[], errors: string[]}>}
+ *   dedupSaturatedReports lists reports with too many rows to track for duplicate detection
+ */
+export async function ingestCSVFiles(files, analyzers, options = {}) {
+  const {
+    timezone = 'America/Los_Angeles',
+    signal,
+    rowFilters = [],
+    piiRules,
+    onProgress,
+    onFileUpdate,
+    onWarning,
+  } = options;
+  const excludeRow = compileRowFilters(rowFilters);
+  const piiScrubber = compilePiiRules(piiRules);
+  const workbooks = createWorkbookCache(files);
+
+  const results = {
+    totalRows: 0,
+    rowsByReport: {},
+    duplicatesByReport: {},
+    filteredByReport: {},
+    dedupSaturatedReports: [],
+    validation: [],
+    warnings: [],
+    errors: [],
+  };
+
+  const filesByReport = {};
+  for (const fileInfo of files) {
+    if (!fileInfo.reportType) continue;
+    (filesByReport[fileInfo.reportType] ||= []).push(fileInfo);
+  }
+
+  for (const [reportType, reportFiles] of Object.entries(filesByReport)) {
+    const analyzer = analyzers[reportType];
+    if (!analyzer) {
+      results.warnings.push(`No analyzer for report type: ${reportType}`);
+      continue;
+    }
+
+    let reportRows = 0;
+    let reportFiltered = 0;
+    const deduper = createRowDeduper({ reportType });
+
+    for (const fileInfo of reportFiles) {
+      if (signal?.aborted) break;
+      deduper.startFile(fileInfo.id);
+      const validator = createFileValidator({ fileId: fileInfo.id, fileName: fileInfo.name, reportType, timezone });
+      results.validation.push(validator.report);
+      let filteredRows = 0;
+
+      onFileUpdate?.(fileInfo.id, { status: 'processing' });
+      onProgress?.({ report: reportType, file: fileInfo.name, status: 'processing' });
+
+      const onChunk = (rows, totalProcessed) => {
+        if (signal?.aborted) return;
+        const firstIndex = totalProcessed - rows.length;
+        rows.forEach((mapped, i) => {
+          // Scrub before validation (its report keeps sample values) and filters, as API rows are
+          const { row, hits } = scrubRow(mapped, piiScrubber);
+          if (hits.length) analyzer.tallyPiiScrubbed(hits);
+          if (excludeRow?.(row, reportType)) {
+            filteredRows++;
+          } else if (!deduper.isDuplicate(row)) {
+            // Validation below reuses the timestamps the analyzer parses
+            trackRowTimestamps(row);
+            ingestRow(analyzer, row, reportType, timezone, mapped);
+          }
+          validator.check(row, firstIndex + i);
+        });
+      };
+      const callbacks = {
+        timezone,
+        signal,
+        workbooks,
+        onProgress: (processed, total) => {
+          if (signal?.aborted) return;
+          onProgress?.({
+            report: reportType,
+            file: fileInfo.name,
+            sheet: fileInfo.sheetName || undefined,
+            rowsProcessed: processed,
+            totalRows: total,
+          });
+        },
+      };
+
+      try {
+        const { totalRows } = fileInfo.sheetName
+          ? await ingestWorksheet(fileInfo, onChunk, callbacks)
+          : await ingestCSVStream(fileInfo, onChunk, callbacks);
+        if (signal?.aborted) break;
+
+        // Counters only include rows that reached the analyzer
+        const duplicateRows = deduper.stats.duplicatesByFile[fileInfo.id] || 0;
+        reportRows += totalRows - duplicateRows - filteredRows;
+        reportFiltered += filteredRows;
+        results.totalRows += totalRows - duplicateRows - filteredRows;
+
+        const issueRows = validator.report.rowsWithIssues;
+        if (issueRows > 0) {
+          results.warnings.push(`[${fileInfo.name}] Data issues in ${describeValidationReport(validator.report)}. Download the validation report for row numbers.`);
+        }
+
+        onFileUpdate?.(fileInfo.id, { status: 'done', rowCount: totalRows, duplicateRows, issueRows });
+        onProgress?.({
+          report: reportType,
+          file: fileInfo.name,
+          status: 'done',
+          rowsProcessed: reportRows,
+          duplicateRows,
+        });
+      } catch (err) {
+        const message = err?.message || String(err);
+        onFileUpdate?.(fileInfo.id, { status: 'error', error: message });
+        results.errors.push(`[${fileInfo.name}] ${message}`);
+        onWarning?.(`Error processing ${fileInfo.name}: ${message}`);
+      }
+    }
+
+    results.rowsByReport[reportType] = reportRows;
+    results.duplicatesByReport[reportType] = deduper.stats.duplicates;
+    results.filteredByReport[reportType] = reportFiltered;
+    if (deduper.stats.saturated) results.dedupSaturatedReports.push(reportType);
+  }
+
+  return results;
+}
@@ -0,0 +1,202 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { toCSVIngestFile, ingestCSVFiles } from './csv-ingest.js';
+
+test('ingest entries keep a mapping only for the report it was built for', () => {
+  const mapping = { reportType: 'trailer_history', columns: { trailer_number: 'Unit' }, combine: [] };
+  const base = { id: 'f1', name: 'a.csv', file: {}, reportType: 'trailer_history', rowCount: 10, status: 'ready', mapping };
+  assert.deepEqual(toCSVIngestFile(base), {
+    id: 'f1', name: 'a.csv', file: base.file, zipEntry: null, sheetName: null, reportType: 'trailer_history', rowCount: 10, mapping, timestampFormats: null, csvFormat: null,
+  });
+  assert.equal(toCSVIngestFile({ ...base, reportType: 'driver_history' }).mapping, null);
+});
+
+test('reports without an analyzer are skipped with a warning', async () => {
+  const results = await ingestCSVFiles([{ id: 'f1', name: 'a.csv', reportType: 'trailer_history' }], {});
+  assert.equal(results.totalRows, 0);
+  assert.deepEqual(results.warnings, ['No analyzer for report type: trailer_history']);
+});
+
+test('worksheets of one workbook share a single read of the file', async () => {
+  const column = (header, values) => [[{ t: 's', v: header }], ...values.map(v => [{ t: 's', v }])];
+  const sheets = {
+    Trailers: { '!ref': 'A1:A3', '!data': column('Trailer Number', ['T1', 'T2']) },
+    Doors: { '!ref': 'A1:A2', '!data': column('Trailer Number', ['T9']) },
+  };
+  const parsed = [];
+  globalThis.XLSX = {
+    read: (buffer, { sheets: name }) => {
+      parsed.push([buffer.byteLength, name]);
+      return { SheetNames: [name], Sheets: { [name]: sheets[name] }, Workbook: {} };
+    },
+    SSF: { is_date: () => false },
+  };
+  let reads = 0;
+  const file = { name: 'export.xlsx', size: 16, arrayBuffer: async () => { reads++; return new ArrayBuffer(16); } };
+  const rows = [];
+  const analyzer = { ingest: ({ row }) => rows.push(row.trailer_number), tallyPiiScrubbed() {} };
+
+  try {
+    const results = await ingestCSVFiles([
+      { id: 'a', name: 'export.xlsx › Trailers', file, sheetName: 'Trailers', reportType: 'trailer_history' },
+      { id: 'b', name: 'export.xlsx › Doors', file, sheetName: 'Doors', reportType: 'trailer_history' },
+    ], { trailer_history: analyzer }, { timezone: 'UTC' });
+    assert.deepEqual(results.errors, []);
+    assert.equal(results.totalRows, 3);
+  } finally {
+    delete globalThis.XLSX;
+  }
+  assert.equal(reads, 1);
+  assert.deepEqual(parsed, [[16, 'Trailers'], [16, 'Doors']]);
+  assert.deepEqual(rows, ['T1', 'T2', 'T9']);
+});
+
+// Papa Parse stand-in: reads the File's text, steps each line as a row and
+// stops at parser.abort(), calling complete() like Papa does
+function stubPapa() {
+  globalThis.Papa = {
+    parse(file, config) {
+      (async () => {
+        const [header, ...lines] = (await file.text()).trim().split('\n');
+        const fields = header.split(',').map(config.transformHeader);
+        let aborted = false;
+        const parser = { abort: () => { aborted = true; } };
+        for (const line of lines) {
+          if (aborted) break;
+          const values = line.split(',');
+          config.step({ data: Object.fromEntries(fields.map((f, i) => [f, values[i]])), meta: { fields } }, parser);
+        }
+        config.complete();
+      })().catch(config.error);
+    },
+  };
+}
+
+function recordingAnalyzer() {
+  const rows = [];
+  return { rows, ingest: ({ row }) => rows.push(`${row.trailer_number} ${row.event}`), tallyPiiScrubbed() {} };
+}
+
+const csvEntry = (id, text, extra = {}) => ({
+  id,
+  name: `${id}.csv`,
+  file: new File([text], `${id}.csv`),
+  reportType: 'trailer_history',
+  ...extra,
+});
+
+test('files stream through the parser with progress, file updates and duplicate counts', async () => {
+  stubPapa();
+  const analyzer = recordingAnalyzer();
+  const progress = [];
+  const updates = [];
+  try {
+    const results = await ingestCSVFiles([
+      csvEntry('a', 'Trailer Number,Event\nT1,Arrived\nT2,Arrived\n'),
+      csvEntry('b', 'Trailer Number,Event\nT2,Arrived\nT3,Departed\n'),
+    ], { trailer_history: analyzer }, {
+      timezone: 'UTC',
+      onProgress: p => progress.push(p),
+      onFileUpdate: (id, u) => updates.push([id, u.status, u.rowCount, u.duplicateRows]),
+    });
+    assert.deepEqual(results.errors, []);
+    assert.equal(results.totalRows, 3);
+    assert.deepEqual(results.rowsByReport, { trailer_history: 3 });
+    assert.deepEqual(results.duplicatesByReport, { trailer_history: 1 });
+  } finally {
+    delete globalThis.Papa;
+  }
+  assert.deepEqual(analyzer.rows, ['T1 Arrived', 'T2 Arrived', 'T3 Departed']);
+  assert.deepEqual(updates, [
+    ['a', 'processing', undefined, undefined],
+    ['a', 'done', 2, 0],
+    ['b', 'processing', undefined, undefined],
+    ['b', 'done', 2, 1],
+  ]);
+  assert.deepEqual(progress.map(p => [p.file, p.status, p.rowsProcessed, p.totalRows]), [
+    ['a.csv', 'processing', undefined, undefined],
+    ['a.csv', undefined, 2, 2],
+    ['a.csv', 'done', 2, undefined],
+    ['b.csv', 'processing', undefined, undefined],
+    ['b.csv', undefined, 2, 2],
+    ['b.csv', 'done', 3, undefined],
+  ]);
+});
+
+test('a failing file is recorded and the next file still runs', async () => {
+  stubPapa();
+  const analyzer = recordingAnalyzer();
+  const updates = [];
+  const warnings = [];
+  const unreadable = { name: 'bad.csv', size: 10, text: async () => { throw new Error('Unreadable file'); } };
+  try {
+    const results = await ingestCSVFiles([
+      csvEntry('bad', '', { file: unreadable }),
+      csvEntry('good', 'Trailer Number,Event\nT1,Arrived\n'),
+    ], { trailer_history: analyzer }, {
+      timezone: 'UTC',
+      onFileUpdate: (id, u) => updates.push([id, u.status, u.error]),
+      onWarning: w => warnings.push(w),
+    });
+    assert.deepEqual(results.errors, ['[bad.csv] Unreadable file']);
+    assert.equal(results.totalRows, 1);
+  } finally {
+    delete globalThis.Papa;
+  }
+  assert.deepEqual(updates, [
+    ['bad', 'processing', undefined],
+    ['bad', 'error', 'Unreadable file'],
+    ['good', 'processing', undefined],
+    ['good', 'done', undefined],
+  ]);
+  assert.deepEqual(warnings, ['Error processing bad.csv: Unreadable file']);
+  assert.deepEqual(analyzer.rows, ['T1 Arrived']);
+});
+
+test('aborting stops the parse and skips the remaining files', async () => {
+  stubPapa();
+  const analyzer = recordingAnalyzer();
+  const controller = new AbortController();
+  const updates = [];
+  try {
+    const results = await ingestCSVFiles([
+      csvEntry('a', 'Trailer Number,Event\nT1,Arrived\nT2,Arrived\n'),
+      csvEntry('b', 'Trailer Number,Event\nT3,Arrived\n'),
+    ], { trailer_history: analyzer }, {
+      timezone: 'UTC',
+      signal: controller.signal,
+      onFileUpdate: (id, u) => {
+        updates.push([id, u.status]);
+        controller.abort();
+      },
+    });
+    assert.equal(results.totalRows, 0);
+    assert.deepEqual(results.errors, []);
+  } finally {
+    delete globalThis.Papa;
+  }
+  assert.deepEqual(updates, [['a', 'processing']], 'the aborted file is never marked done');
+  assert.deepEqual(analyzer.rows, []);
+});
+
+test('entries posted to the worker with CSV_FILES ingest like main-thread ones', async () => {
+  stubPapa();
+  const analyzer = recordingAnalyzer();
+  const importEntry = {
+    ...csvEntry('a', 'Unit,Event\nT1,Arrived\n'),
+    status: 'ready',
+    rowCount: 1,
+    sampleRows: [{ Unit: 'T1', Event: 'Arrived' }],
+    mapping: { reportType: 'trailer_history', columns: { trailer_number: 'Unit' }, combine: [] },
+  };
+  // What app.js posts and analysis.worker.js hands to ingestCSVFiles
+  const posted = structuredClone([toCSVIngestFile(importEntry)]);
+  try {
+    const results = await ingestCSVFiles(posted, { trailer_history: analyzer }, { timezone: 'UTC' });
+    assert.deepEqual(results.errors, []);
+    assert.equal(results.totalRows, 1);
+  } finally {
+    delete globalThis.Papa;
+  }
+  assert.deepEqual(analyzer.rows, ['T1 Arrived'], 'the mapping survives the structured clone');
+});
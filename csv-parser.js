@@ -3,6 +3,9 @@
  * Handles CSV parsing, field mapping, validation, and report type detection
  */
 
+import { applyTimestampFormats } from './timestamp-formats.js?v=2025.01.07.0';
+import { csvFormatParseOptions } from './csv-sniff.js?v=2025.01.07.0';
+
 // ---------- Field Mapping Configuration ----------
 
 /**
@@ -364,6 +367,18 @@ export const CSV_FIELD_MAPS = {
   },
 };
 
+/**
+ * Fields a report cannot be analyzed without. Drives column validation and
+ * the column-mapping wizard.
+ */
+export const CRITICAL_FIELDS = {
+  current_inventory: ['trailer_number', 'move_type_name'],
+  detention_history: ['scac'],
+  dockdoor_history: ['processed_by'],
+  driver_history: ['yard_driver_name'],
+  trailer_history: ['trailer_number', 'event'],
+};
+
 /**
  * Signature columns used to auto-detect report types.
  * A report is detected if ALL signature columns are present.
@@ -428,7 +443,8 @@ const REPORT_SIGNATURES_ALT = {
 
 /**
  * Combines separate date and time columns into a single timestamp string.
- * @param {string} dateStr - Date in MM-DD-YYYY format
+ * @param {string} dateStr - Date in MM-DD-YYYY format, or yyyy-MM-dd once a
+ *   pinned timestamp format has been applied (see timestamp-formats.js)
  * @param {string} timeStr - Time in HH:mm format (optional)
  * @returns {string|null} Combined timestamp string or null
  */
@@ -456,32 +472,64 @@ function normalizeBoolish(value) {
 // ---------- Report Type Detection ----------
 
 /**
- * Auto-detects the report type based on CSV column headers.
+ * Returns the report type of the first profile whose signature is fully present.
+ * Profiles are tried in the order given (see sortMappingProfiles).
+ */
+function matchProfileSignatures(columnSet, profiles) {
+  for (const profile of profiles) {
+    for (const [report, { signatures = [] } = {}] of Object.entries(profile.reports || {})) {
+      if (signatures.some(sig => sig.length > 0 && sig.every(col => columnSet.has(col)))) {
+        return { reportType: report, profile };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Auto-detects the report type and, when a saved mapping profile's signature
+ * decided it, the matching profile.
+ *
+ * Order: profiles with priority > 0, built-in primary signatures, remaining
+ * profiles, the filename hint, built-in alternate signatures, partial scoring.
+ *
  * @param {string[]} columns - Array of column headers from the CSV
- * @returns {string|null} Report type or null if unknown
+ * @param {object} [options]
+ * @param {string|null} [options.filenameHint] - Report type guessed from the filename
+ * @param {object[]} [options.profiles] - Mapping profiles in detection order
+ * @returns {{reportType: string|null, profile: object|null}}
  */
-export function detectReportType(columns, { filenameHint } = {}) {
-  if (!columns || !Array.isArray(columns)) return filenameHint || null;
+export function detectReportMatch(columns, { filenameHint, profiles = [] } = {}) {
+  if (!columns || !Array.isArray(columns)) return { reportType: filenameHint || null, profile: null };
 
   const columnSet = new Set(columns.map(c => c.trim()));
+  const found = (reportType) => ({ reportType, profile: null });
+
+  // High-priority profiles override the built-in signatures
+  const preferred = matchProfileSignatures(columnSet, profiles.filter(p => (p.priority || 0) > 0));
+  if (preferred) return preferred;
 
   // Try primary signatures first (exact match — highest confidence, overrides filename)
   for (const [report, signature] of Object.entries(REPORT_SIGNATURES)) {
     if (signature.every(col => columnSet.has(col))) {
-      return report;
+      return found(report);
     }
   }
 
+  // Customer profiles are exact matches too, so they still beat hints and alt signatures
+  const fallback = matchProfileSignatures(columnSet, profiles.filter(p => (p.priority || 0) <= 0));
+  if (fallback) return fallback;
+
   // If we have a filename hint, prefer it over alt signatures and partial matching.
   // Alt signatures are broader and can produce false positives (e.g. columns like
   // trailer_number + move_type_name appear in multiple report types).
-  if (filenameHint) return filenameHint;
+  if (filenameHint) return found(filenameHint);
 
   // Try alternative signatures (exact match — no filename hint to override)
   for (const [report, altSigs] of Object.entries(REPORT_SIGNATURES_ALT)) {
     for (const sig of altSigs) {
       if (sig.every(col => columnSet.has(col))) {
-        return report;
+        return found(report);
       }
     }
   }
@@ -499,7 +547,17 @@ export function detectReportType(columns, { filenameHint } = {}) {
     }
   }
 
-  return bestMatch;
+  return found(bestMatch);
+}
+
+/**
+ * Auto-detects the report type based on CSV column headers.
+ * @param {string[]} columns - Array of column headers from the CSV
+ * @param {object} [options] - See detectReportMatch
+ * @returns {string|null} Report type or null if unknown
+ */
+export function detectReportType(columns, options = {}) {
+  return detectReportMatch(columns, options).reportType;
 }
 
 // ---------- Facility Extraction ----------
@@ -573,19 +631,30 @@ function extractFacilityFromRow(normalizedRow, rawRow, reportType) {
  * Normalizes a single CSV row to API-expected field names.
  * Also handles value transformations (booleans, combined timestamps).
  *
+ * A column mapping from the mapping wizard replaces the built-in field map:
+ * { columns: { apiField: csvColumn }, combine: [{ field, dateColumn, timeColumn }] }
+ *
  * @param {object} row - Raw CSV row object
  * @param {string} reportType - The report type
  * @param {string} timezone - Timezone for timestamp interpretation
+ * @param {object|null} mapping - Custom column mapping for this file (optional)
+ * @param {object|null} timestampFormats - Pinned formats per CSV column from
+ *   detectTimestampFormats(); values are rewritten before mapping (optional)
  * @returns {object} Normalized row object
  */
-export function normalizeCSVRow(row, reportType, timezone) {
+export function normalizeCSVRow(row, reportType, timezone, mapping = null, timestampFormats = null) {
   const map = CSV_FIELD_MAPS[reportType];
+  if (timestampFormats) row = applyTimestampFormats(row, timestampFormats);
   if (!map) return row; // Return as-is if no mapping defined
 
   const normalized = {};
+  const columnPairs = mapping
+    ? Object.entries(mapping.columns || {}).map(([apiField, csvCol]) => [csvCol, apiField])
+    : Object.entries(map);
+  const mappedColumns = new Set(columnPairs.map(([csvCol]) => csvCol));
 
   // Map known columns
-  for (const [csvCol, apiField] of Object.entries(map)) {
+  for (const [csvCol, apiField] of columnPairs) {
     if (row[csvCol] !== undefined && row[csvCol] !== null && row[csvCol] !== '') {
       normalized[apiField] = row[csvCol];
     }
@@ -593,7 +662,7 @@ export function normalizeCSVRow(row, reportType, timezone) {
 
   // Copy unmapped columns as-is (preserve original data)
   for (const key of Object.keys(row)) {
-    if (!Object.keys(map).includes(key)) {
+    if (!mappedColumns.has(key)) {
       // Use snake_case for unmapped columns
       const snakeKey = key.toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '');
       if (!normalized[snakeKey]) {
@@ -621,6 +690,15 @@ export function normalizeCSVRow(row, reportType, timezone) {
       break;
   }
 
+  // Split date + time columns combined in the mapping wizard
+  for (const { field, dateColumn, timeColumn } of mapping?.combine || []) {
+    const combined = combineDateTimeColumns(
+      row[dateColumn] == null ? '' : String(row[dateColumn]),
+      row[timeColumn] == null ? '' : String(row[timeColumn])
+    );
+    if (field && combined) normalized[field] = combined;
+  }
+
   // Extract facility identifier for multi-facility support
   // Uses underscore prefix to indicate internal/derived field
   normalized._facility = extractFacilityFromRow(normalized, row, reportType);
@@ -807,57 +885,84 @@ function normalizeTrailerHistory(normalized, row) {
  * Validates CSV data for a given report type.
  * Returns warnings about missing columns, format issues, etc.
  *
+ * A field counts as present when any of its column aliases is in the file
+ * (or, with a custom mapping, when its mapped column is).
+ *
  * @param {string[]} columns - CSV column headers
  * @param {string} reportType - The report type
- * @returns {object} { isValid: boolean, warnings: string[] }
+ * @param {object|null} mapping - Custom column mapping for this file (optional)
+ * @returns {object} { isValid: boolean, warnings: string[], missingCritical: string[] }
  */
-export function validateCSVColumns(columns, reportType) {
+export function validateCSVColumns(columns, reportType, mapping = null) {
   const warnings = [];
   const map = CSV_FIELD_MAPS[reportType];
 
   if (!map) {
     warnings.push(`Unknown report type: ${reportType}`);
-    return { isValid: false, warnings };
+    return { isValid: false, warnings, missingCritical: [] };
   }
 
-  const expectedCols = Object.keys(map);
   const presentCols = new Set(columns);
-  const missingCols = expectedCols.filter(col => !presentCols.has(col));
+  const coveredFields = new Set();
+  if (mapping) {
+    for (const [apiField, csvCol] of Object.entries(mapping.columns || {})) {
+      if (presentCols.has(csvCol)) coveredFields.add(apiField);
+    }
+    for (const { field, dateColumn } of mapping.combine || []) {
+      if (presentCols.has(dateColumn)) coveredFields.add(field);
+    }
+  } else {
+    for (const [csvCol, apiField] of Object.entries(map)) {
+      if (presentCols.has(csvCol)) coveredFields.add(apiField);
+    }
+  }
+
+  // First (standard) column name for each field, used in messages
+  const labels = {};
+  for (const [csvCol, apiField] of Object.entries(map)) {
+    if (!labels[apiField]) labels[apiField] = csvCol;
+  }
+  const missingFields = Object.keys(labels).filter(field => !coveredFields.has(field));
 
   // Check for critical missing columns
-  const criticalMissing = missingCols.filter(col => {
-    const apiField = map[col];
-    // Define critical fields per report
-    const critical = {
-      current_inventory: ['trailer_number', 'move_type_name'],
-      detention_history: ['scac'],
-      dockdoor_history: ['processed_by'],
-      driver_history: ['yard_driver_name'],
-      trailer_history: ['trailer_number', 'event'],
-    };
-    return critical[reportType]?.includes(apiField);
-  });
+  const criticalFields = CRITICAL_FIELDS[reportType] || [];
+  const missingCritical = missingFields.filter(field => criticalFields.includes(field));
 
-  if (criticalMissing.length > 0) {
-    warnings.push(`Missing critical columns: ${criticalMissing.join(', ')}`);
+  if (missingCritical.length > 0) {
+    warnings.push(`Missing critical columns: ${missingCritical.map(field => labels[field]).join(', ')}`);
   }
 
   // Warn about optional missing columns
-  const optionalMissing = missingCols.filter(col => !criticalMissing.includes(col));
+  const optionalMissing = missingFields.filter(field => !missingCritical.includes(field));
   if (optionalMissing.length > 0 && optionalMissing.length <= 5) {
-    warnings.push(`Missing optional columns: ${optionalMissing.join(', ')}`);
+    warnings.push(`Missing optional columns: ${optionalMissing.map(field => labels[field]).join(', ')}`);
   } else if (optionalMissing.length > 5) {
     warnings.push(`Missing ${optionalMissing.length} optional columns`);
   }
 
   return {
-    isValid: criticalMissing.length === 0,
+    isValid: missingCritical.length === 0,
     warnings,
+    missingCritical,
   };
 }
 
+/**
+ * Fields every row of a report must have a value for (row-level counterpart of
+ * CRITICAL_FIELDS, which checks columns).
+ */
+export const ROW_REQUIRED_FIELDS = {
+  current_inventory: ['trailer_number'],
+  detention_history: ['scac'],
+  dockdoor_history: [],
+  driver_history: ['yard_driver_name'],
+  trailer_history: ['event'],
+};
+
 /**
  * Validates a single row of CSV data.
+ * Ingest records row issues with validation-report.js instead; this is the
+ * message form of its missing-field check.
  * @param {object} row - Normalized row object
  * @param {string} reportType - The report type
  * @param {number} rowIndex - Row index for error messages
@@ -867,15 +972,7 @@ export function validateCSVRow(row, reportType, rowIndex) {
   const warnings = [];
 
   // Check for empty critical fields
-  const criticalFields = {
-    current_inventory: ['trailer_number'],
-    detention_history: ['scac'],
-    dockdoor_history: [],
-    driver_history: ['yard_driver_name'],
-    trailer_history: ['event'],
-  };
-
-  const fields = criticalFields[reportType] || [];
+  const fields = ROW_REQUIRED_FIELDS[reportType] || [];
   for (const field of fields) {
     if (!row[field] || row[field] === '') {
       warnings.push(`Row ${rowIndex + 1}: Missing required field "${field}"`);
@@ -953,19 +1050,91 @@ export function parseCSVFile(file, options = {}) {
   });
 }
 
+/**
+ * Wraps a byte stream (e.g. a decompressing zip entry) as the Node-style
+ * readable Papa Parse streams from: text is decoded as it arrives and each
+ * piece is parsed before the next is read, so only one piece is in memory.
+ * destroy() stops reading, e.g. when the parse is aborted.
+ *
+ * @param {ReadableStream<Uint8Array>} byteStream
+ * @param {object} [options]
+ * @param {string} [options.encoding] - TextDecoder label (default utf-8)
+ * @param {number} [options.size] - Uncompressed size, for progress estimates
+ */
+export function createStreamSource(byteStream, { encoding = 'utf-8', size = 0 } = {}) {
+  const reader = byteStream.getReader();
+  const decoder = new TextDecoder(encoding);
+  const listeners = { data: [], end: [], error: [] };
+  const emit = (type, value) => listeners[type].slice().forEach(fn => fn(value));
+  let paused = false;
+  let pumping = false;
+  let destroyed = false;
+
+  const pump = async () => {
+    if (pumping) return;
+    pumping = true;
+    try {
+      while (!paused && !destroyed) {
+        const { done, value } = await reader.read();
+        if (destroyed) return;
+        if (done) {
+          const tail = decoder.decode();
+          if (tail) emit('data', tail);
+          emit('end');
+          return;
+        }
+        const text = decoder.decode(value, { stream: true });
+        if (text) emit('data', text);
+      }
+    } catch (err) {
+      if (!destroyed) emit('error', err);
+    } finally {
+      pumping = false;
+    }
+  };
+
+  return {
+    // What Papa Parse checks to treat the input as a stream
+    readable: true,
+    read: () => null,
+    size,
+    on(type, fn) {
+      listeners[type]?.push(fn);
+      if (type === 'data') setTimeout(pump, 0);
+      return this;
+    },
+    removeListener(type, fn) {
+      if (listeners[type]) listeners[type] = listeners[type].filter(l => l !== fn);
+      return this;
+    },
+    pause() { paused = true; },
+    resume() {
+      paused = false;
+      pump();
+    },
+    destroy() {
+      destroyed = true;
+      reader.cancel().catch(() => {});
+    },
+  };
+}
+
 /**
  * Streams a CSV file for large dataset processing.
  * Yields normalized rows in chunks for memory efficiency.
  *
- * @param {File} file - File object
+ * @param {File|object} file - File object, or createStreamSource() output
  * @param {string} reportType - Report type for normalization
  * @param {string} timezone - Timezone for timestamp parsing
- * @param {object} callbacks - { onProgress, onChunk, onComplete, onError }
+ * @param {object} callbacks - { onProgress, onChunk, onComplete, onError, signal }
  * @param {number} chunkSize - Number of rows per chunk (default 500)
  * @param {number|null} knownRowCount - Known row count from preview parse (optional)
+ * @param {object|null} mapping - Custom column mapping for this file (optional)
+ * @param {object|null} timestampFormats - Pinned timestamp formats for this file (optional)
+ * @param {object|null} csvFormat - Encoding and delimiter from sniffCSVFile() (optional)
  */
-export function streamCSVFile(file, reportType, timezone, callbacks, chunkSize = 500, knownRowCount = null) {
-  const { onProgress, onChunk, onComplete, onError } = callbacks;
+export function streamCSVFile(file, reportType, timezone, callbacks, chunkSize = 500, knownRowCount = null, mapping = null, timestampFormats = null, csvFormat = null) {
+  const { onProgress, onChunk, onComplete, onError, signal } = callbacks;
 
   if (typeof Papa === 'undefined') {
     onError?.(new Error('Papa Parse library not loaded'));
@@ -980,16 +1149,23 @@ export function streamCSVFile(file, reportType, timezone, callbacks, chunkSize =
   const totalEstimate = knownRowCount || Math.ceil(file.size / 100);
 
   Papa.parse(file, {
+    ...csvFormatParseOptions(csvFormat),
     header: true,
     skipEmptyLines: true,
     dynamicTyping: false,
     transformHeader: (header) => header.trim(),
     step: (results, parser) => {
+      // Aborting still runs complete() with the rows read so far
+      if (signal?.aborted) {
+        parser.abort();
+        file.destroy?.();
+        return;
+      }
       if (columns.length === 0) {
         columns = results.meta.fields || [];
       }
 
-      const normalizedRow = normalizeCSVRow(results.data, reportType, timezone);
+      const normalizedRow = normalizeCSVRow(results.data, reportType, timezone, mapping, timestampFormats);
       chunk.push(normalizedRow);
       rowsProcessed++;
 
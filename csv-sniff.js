@@ -0,0 +1,147 @@
+/**
+ * Character encoding and delimiter sniffing for CSV uploads
+ *
+ * Some customer systems export UTF-16, Windows-1252, semicolon- or
+ * tab-delimited files, or prefix a byte order mark. Read with the defaults they
+ * come out as garbled headers that fail report detection. The first few KB of
+ * each file are inspected to pick the encoding and delimiter Papa Parse is
+ * given for both the preview parse and the streamed ingest.
+ *
+ * CSV format shape: { encoding, delimiter, bom: boolean, manual: boolean }
+ * (`manual` once the user overrode a detected setting in the file list).
+ */
+
+// Bytes read from the start of each file
+export const SNIFF_BYTES = 64 * 1024;
+// Lines compared when picking a delimiter
+const SNIFF_LINES = 20;
+
+export const ENCODING_LABELS = {
+  'utf-8': 'UTF-8',
+  'utf-16le': 'UTF-16 LE',
+  'utf-16be': 'UTF-16 BE',
+  'windows-1252': 'Windows-1252',
+};
+
+export const DELIMITER_LABELS = {
+  ',': 'Comma',
+  ';': 'Semicolon',
+  '\t': 'Tab',
+  '|': 'Pipe',
+};
+
+/**
+ * True when the bytes are valid UTF-8. A multi-byte sequence cut off at the
+ * end of the sample is allowed.
+ */
+function isUTF8(bytes) {
+  let i = 0;
+  while (i < bytes.length) {
+    const b = bytes[i];
+    let extra;
+    if (b < 0x80) extra = 0;
+    else if (b >= 0xC2 && b <= 0xDF) extra = 1;
+    else if (b >= 0xE0 && b <= 0xEF) extra = 2;
+    else if (b >= 0xF0 && b <= 0xF4) extra = 3;
+    else return false;
+    for (let k = 1; k <= extra; k++) {
+      if (i + k >= bytes.length) return true;
+      if ((bytes[i + k] & 0xC0) !== 0x80) return false;
+    }
+    i += extra + 1;
+  }
+  return true;
+}
+
+/**
+ * Picks an encoding from a byte order mark, the zero-byte pattern of BOM-less
+ * UTF-16, or whether the bytes are valid UTF-8 (falling back to Windows-1252).
+ *
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {{encoding: string, bom: boolean}}
+ */
+export function detectEncoding(bytes) {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return { encoding: 'utf-8', bom: true };
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return { encoding: 'utf-16le', bom: true };
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return { encoding: 'utf-16be', bom: true };
+
+  // ASCII text in UTF-16 has a zero in every other byte
+  const pairs = Math.floor(Math.min(bytes.length, 4096) / 2);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < pairs * 2; i += 2) {
+    if (bytes[i] === 0) evenZeros++;
+    if (bytes[i + 1] === 0) oddZeros++;
+  }
+  if (pairs && oddZeros > pairs * 0.3 && evenZeros === 0) return { encoding: 'utf-16le', bom: false };
+  if (pairs && evenZeros > pairs * 0.3 && oddZeros === 0) return { encoding: 'utf-16be', bom: false };
+
+  return { encoding: isUTF8(bytes) ? 'utf-8' : 'windows-1252', bom: false };
+}
+
+function countOutsideQuotes(line, delimiter) {
+  let count = 0;
+  let quoted = false;
+  for (const ch of line) {
+    if (ch === '"') quoted = !quoted;
+    else if (ch === delimiter && !quoted) count++;
+  }
+  return count;
+}
+
+/**
+ * Picks the delimiter that splits the header and the following lines into the
+ * same number of fields most consistently. Defaults to a comma.
+ *
+ * @param {string} text - Decoded start of the file
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+  const lines = text.replace(/^\ufeff/, '').split(/\r\n|\n|\r/);
+  // The last line may be cut off by the sample
+  if (lines.length > 1) lines.pop();
+  const sample = lines.filter(line => line.trim()).slice(0, SNIFF_LINES);
+  if (sample.length === 0) return ',';
+
+  let best = { delimiter: ',', consistency: 0, fields: 0 };
+  for (const delimiter of Object.keys(DELIMITER_LABELS)) {
+    const header = countOutsideQuotes(sample[0], delimiter);
+    if (header === 0) continue;
+    const matching = sample.filter(line => countOutsideQuotes(line, delimiter) === header).length;
+    const consistency = matching / sample.length;
+    if (consistency > best.consistency || (consistency === best.consistency && header > best.fields)) {
+      best = { delimiter, consistency, fields: header };
+    }
+  }
+  return best.delimiter;
+}
+
+/**
+ * Detects a CSV file's encoding and delimiter from its first SNIFF_BYTES.
+ *
+ * @param {Blob} file
+ * @returns {Promise<{encoding: string, delimiter: string, bom: boolean, manual: boolean}>}
+ */
+export async function sniffCSVFile(file) {
+  const bytes = new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer());
+  const { encoding, bom } = detectEncoding(bytes);
+  const text = new TextDecoder(encoding).decode(bytes);
+  return { encoding, delimiter: detectDelimiter(text), bom, manual: false };
+}
+
+/**
+ * Papa Parse options for a CSV format (empty when unknown, i.e. Papa's defaults).
+ */
+export function csvFormatParseOptions(csvFormat) {
+  if (!csvFormat) return {};
+  return { encoding: csvFormat.encoding, delimiter: csvFormat.delimiter };
+}
+
+/**
+ * Short label for a CSV format, e.g. "UTF-8 (BOM), Semicolon".
+ */
+export function describeCSVFormat(csvFormat) {
+  if (!csvFormat) return '';
+  const encoding = `${ENCODING_LABELS[csvFormat.encoding] || csvFormat.encoding}${csvFormat.bom ? ' (BOM)' : ''}`;
+  return `${encoding}, ${DELIMITER_LABELS[csvFormat.delimiter] || csvFormat.delimiter}`;
+}
@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { detectEncoding, detectDelimiter, sniffCSVFile, describeCSVFormat } from './csv-sniff.js';
+
+const utf16le = (text, bom = false) => {
+  const bytes = Buffer.from(text, 'utf16le');
+  return new Uint8Array(bom ? Buffer.concat([Buffer.from([0xFF, 0xFE]), bytes]) : bytes);
+};
+
+test('encoding comes from the BOM, UTF-16 zero bytes or UTF-8 validity', () => {
+  assert.deepEqual(detectEncoding(new Uint8Array([0xEF, 0xBB, 0xBF, 0x41])), { encoding: 'utf-8', bom: true });
+  assert.deepEqual(detectEncoding(utf16le('Trailer #,Event\n', true)), { encoding: 'utf-16le', bom: true });
+  assert.deepEqual(detectEncoding(utf16le('Trailer #,Event\n')), { encoding: 'utf-16le', bom: false });
+  assert.equal(detectEncoding(new Uint8Array(Buffer.from('Trailer #\n', 'utf16le').swap16())).encoding, 'utf-16be');
+  assert.equal(detectEncoding(new Uint8Array(Buffer.from('Café,Zürich\n'))).encoding, 'utf-8');
+  assert.equal(detectEncoding(new Uint8Array(Buffer.from('Café,Zürich\n', 'latin1'))).encoding, 'windows-1252');
+  // Multi-byte character cut off by the sample is still UTF-8
+  assert.equal(detectEncoding(new Uint8Array(Buffer.from('Café')).subarray(0, 4)).encoding, 'utf-8');
+});
+
+test('delimiter is the one that splits lines consistently', () => {
+  assert.equal(detectDelimiter('Trailer #;Event;Date\nT1;Arrived;13/01/2025\nT2;"Left; gate";14/01/2025\n'), ';');
+  assert.equal(detectDelimiter('Trailer #\tEvent\nT1\tArrived, late\n'), '\t');
+  assert.equal(detectDelimiter('Trailer #|Event\nT1|Arrived\n'), '|');
+  assert.equal(detectDelimiter('a,b;c\n1,2;3\n4,5;6\n'), ',', 'ties go to the delimiter with more fields, then the first');
+  assert.equal(detectDelimiter('Trailer #\nT1\n'), ',');
+});
+
+test('sniffing a file decodes the sample before picking the delimiter', async () => {
+  const file = new Blob([utf16le('Trailer #;Event\nT1;Arrived\n', true)]);
+  const format = await sniffCSVFile(file);
+  assert.deepEqual(format, { encoding: 'utf-16le', delimiter: ';', bom: true, manual: false });
+  assert.equal(describeCSVFormat(format), 'UTF-16 LE (BOM), Semicolon');
+});
@@ -0,0 +1,329 @@
+/**
+ * Dock door occupancy from dwell intervals
+ *
+ * The dock analyzer splits every dwell (dwell start -> dwell end) at local
+ * midnight and stores the pieces as minutes of the day, flattened into
+ * [start, end, start, end, ...] arrays under day -> door. Plain Maps of
+ * arrays merge across worker shards by concatenation, so overlapping or
+ * duplicate visits are only resolved here, by unioning each door's intervals
+ * per day. From those unions this module derives per-door utilization %,
+ * idle gaps between visits, door-hours per day and the peak number of doors
+ * occupied at once, plus a utilization ranking chart and a Gantt-style door
+ * timeline (`gantt` chart kind).
+ */
+
+export const MINUTES_PER_DAY = 24 * 60;
+
+// Doors drawn on the timeline (busiest that day); the CSV keeps every door
+export const GANTT_DOOR_LIMIT = 40;
+
+// Days offered on the timeline: the most recent ones plus the peak day
+export const GANTT_DAY_LIMIT = 14;
+
+// Doors shown on the utilization ranking chart; the CSV keeps every door
+export const RANKING_DOOR_LIMIT = 40;
+
+// Doors below this utilization are called out as underused
+const LOW_UTILIZATION_PCT = 15;
+
+const round1 = n => Math.round(n * 10) / 10;
+
+/**
+ * Appends one interval (minutes of the day) to day -> door -> flat array.
+ * Empty or inverted intervals are ignored.
+ *
+ * @param {Map<string, Map<string, number[]>>} byDay
+ * @param {string} day - yyyy-MM-dd in the analysis timezone
+ * @param {string} door
+ * @param {number} start - Minutes after local midnight
+ * @param {number} end - Minutes after local midnight (at most 1440)
+ * @returns {boolean} Whether the interval was stored
+ */
+export function addDoorInterval(byDay, day, door, start, end) {
+  const s = Math.max(0, Math.round(start));
+  const e = Math.min(MINUTES_PER_DAY, Math.round(end));
+  if (!day || !door || !(e > s)) return false;
+  if (!byDay.has(day)) byDay.set(day, new Map());
+  const doors = byDay.get(day);
+  if (!doors.has(door)) doors.set(door, []);
+  doors.get(door).push(s, e);
+  return true;
+}
+
+/**
+ * Sorted, non-overlapping [start, end] pairs from a flat interval array.
+ * Touching intervals (one ends when the next starts) are joined.
+ */
+export function unionIntervals(flat) {
+  const pairs = [];
+  for (let i = 0; i + 1 < (flat?.length || 0); i += 2) pairs.push([flat[i], flat[i + 1]]);
+  pairs.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const merged = [];
+  for (const [s, e] of pairs) {
+    const last = merged[merged.length - 1];
+    if (last && s <= last[1]) last[1] = Math.max(last[1], e);
+    else merged.push([s, e]);
+  }
+  return merged;
+}
+
+/**
+ * "08:05" for 485 minutes; 1440 reads "24:00".
+ */
+export function formatMinuteOfDay(minutes) {
+  const m = Math.max(0, Math.min(MINUTES_PER_DAY, Math.round(minutes)));
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Most doors occupied at the same time on one day, and when that first happened.
+ * @param {Array<Array<[number, number]>>} unions - One unioned list per door
+ */
+function peakConcurrency(unions) {
+  const edges = [];
+  for (const list of unions) {
+    for (const [s, e] of list) edges.push([s, 1], [e, -1]);
+  }
+  // Ends sort before starts at the same minute, so back-to-back visits do not overlap
+  edges.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  let current = 0;
+  let peak = { doors: 0, minute: null };
+  for (const [minute, delta] of edges) {
+    current += delta;
+    if (current > peak.doors) peak = { doors: current, minute };
+  }
+  return peak;
+}
+
+/**
+ * Occupancy summary, or null when no intervals were recorded.
+ *
+ * Utilization is occupied time over operating time: a door's operating time is
+ * `operatingHours` on every day in the data (days it saw no trailer count as
+ * idle), and the overall figure uses every door seen in the period. Idle gaps
+ * are the gaps between visits on the same door and day; time before the
+ * first and after the last visit is not a gap.
+ *
+ * @param {Map<string, Map<string, number[]>>} byDay - day -> door -> flat intervals
+ * @param {object} [options]
+ * @param {number} [options.operatingHours=24] - Dock operating hours per day
+ * @param {(door: string) => string} [options.labelFor] - Display name for a door key
+ * @returns {object|null}
+ */
+export function buildDoorOccupancy(byDay, { operatingHours = 24, labelFor = door => door } = {}) {
+  const hours = Number.isFinite(operatingHours) && operatingHours > 0 ? Math.min(24, operatingHours) : 24;
+  const doorStats = new Map();
+  const days = [];
+  const unionsByDay = new Map();
+  let peak = null;
+
+  for (const day of [...(byDay?.keys() || [])].sort()) {
+    const unions = new Map();
+    let occupiedMinutes = 0;
+    for (const [door, flat] of byDay.get(day)) {
+      const list = unionIntervals(flat);
+      if (!list.length) continue;
+      unions.set(door, list);
+
+      const stats = doorStats.get(door) || { door, label: labelFor(door), occupiedMinutes: 0, visits: 0, daysActive: 0, gaps: [] };
+      const minutes = list.reduce((sum, [s, e]) => sum + (e - s), 0);
+      stats.occupiedMinutes += minutes;
+      stats.visits += list.length;
+      stats.daysActive++;
+      for (let i = 1; i < list.length; i++) stats.gaps.push(list[i][0] - list[i - 1][1]);
+      doorStats.set(door, stats);
+      occupiedMinutes += minutes;
+    }
+    if (!unions.size) continue;
+
+    unionsByDay.set(day, unions);
+    const dayPeak = peakConcurrency([...unions.values()]);
+    days.push({
+      day,
+      occupied_hours: round1(occupiedMinutes / 60),
+      doors_used: unions.size,
+      peak_concurrent_doors: dayPeak.doors,
+      peak_time: formatMinuteOfDay(dayPeak.minute),
+    });
+    if (!peak || dayPeak.doors > peak.doors) {
+      peak = { doors: dayPeak.doors, day, time: formatMinuteOfDay(dayPeak.minute) };
+    }
+  }
+  if (!days.length) return null;
+
+  const dayCount = days.length;
+  const doorCount = doorStats.size;
+  const doorCapacityMinutes = dayCount * hours * 60;
+  const doors = [...doorStats.values()].map(s => {
+    const gapMedian = median(s.gaps);
+    return {
+      door: s.door,
+      label: s.label,
+      utilization_pct: round1(Math.min(100, (s.occupiedMinutes / doorCapacityMinutes) * 100)),
+      occupied_hours: round1(s.occupiedMinutes / 60),
+      visits: s.visits,
+      days_active: s.daysActive,
+      median_idle_gap_min: gapMedian === null ? null : Math.round(gapMedian),
+      longest_idle_gap_min: s.gaps.length ? Math.max(...s.gaps) : null,
+    };
+  });
+  doors.sort((a, b) => b.utilization_pct - a.utilization_pct || a.label.localeCompare(b.label, undefined, { numeric: true }));
+
+  const occupiedHours = [...doorStats.values()].reduce((sum, s) => sum + s.occupiedMinutes, 0) / 60;
+  const occupiedPerDay = occupiedHours / dayCount;
+  const capacityPerDay = doorCount * hours;
+  for (const d of days) d.utilization_pct = round1(Math.min(100, (d.occupied_hours / capacityPerDay) * 100));
+
+  return {
+    operatingHours: hours,
+    dayCount,
+    doorCount,
+    utilizationPct: round1(Math.min(100, (occupiedPerDay / capacityPerDay) * 100)),
+    occupiedDoorHoursPerDay: round1(occupiedPerDay),
+    idleDoorHoursPerDay: round1(Math.max(0, capacityPerDay - occupiedPerDay)),
+    peak,
+    doors,
+    days,
+    unionsByDay,
+  };
+}
+
+/**
+ * Findings for an occupancy summary: overall utilization, peak concurrency
+ * against the door count, underused doors and the longest idle gaps.
+ * @returns {Array<{level: string, text: string}>}
+ */
+export function occupancyFindings(occupancy) {
+  if (!occupancy) return [];
+  const findings = [];
+  const { utilizationPct, operatingHours, doorCount, peak, doors } = occupancy;
+
+  findings.push({
+    level: utilizationPct >= 85 ? 'red' : utilizationPct < 30 ? 'yellow' : 'green',
+    text: `Dock doors were occupied ${utilizationPct}% of ${operatingHours} operating hours/day ` +
+      `(${occupancy.occupiedDoorHoursPerDay} of ${round1(doorCount * operatingHours)} door-hours/day across ${doorCount} doors).`,
+  });
+
+  if (peak && doorCount > 0) {
+    const peakPct = Math.round((peak.doors / doorCount) * 100);
+    findings.push({
+      level: peakPct >= 90 ? 'red' : peakPct >= 75 ? 'yellow' : 'green',
+      text: `Peak concurrency: ${peak.doors} of ${doorCount} doors occupied at once (${peakPct}%) on ${peak.day} at ${peak.time}.`,
+    });
+  }
+
+  const low = doors.filter(d => d.utilization_pct < LOW_UTILIZATION_PCT);
+  if (low.length && doors.length >= 3) {
+    const names = low.slice(-5).reverse().map(d => `${d.label} (${d.utilization_pct}%)`).join(', ');
+    findings.push({
+      level: 'yellow',
+      text: `${low.length} of ${doors.length} doors were occupied less than ${LOW_UTILIZATION_PCT}% of the time. Least used: ${names}.`,
+    });
+  }
+
+  const gaps = doors.filter(d => d.longest_idle_gap_min !== null)
+    .sort((a, b) => b.longest_idle_gap_min - a.longest_idle_gap_min);
+  if (gaps.length && gaps[0].longest_idle_gap_min >= 240) {
+    const top = gaps.slice(0, 3).map(d => `${d.label} (${round1(d.longest_idle_gap_min / 60)} h)`).join(', ');
+    findings.push({
+      level: 'yellow',
+      text: `Longest idle gaps between visits: ${top}.`,
+    });
+  }
+  return findings;
+}
+
+/**
+ * Bar chart ranking doors by utilization %.
+ */
+export function buildUtilizationRankingChart(occupancy, { id = 'door_utilization_ranking', timezone } = {}) {
+  if (!occupancy?.doors?.length) return null;
+  const shown = occupancy.doors.slice(0, RANKING_DOOR_LIMIT);
+  const more = occupancy.doors.length - shown.length;
+  return {
+    id,
+    title: 'Door utilization ranking',
+    kind: 'bar',
+    description: `Share of ${occupancy.operatingHours} operating hours/day each door had a trailer at it, ` +
+      `over ${occupancy.dayCount} days.` + (more > 0 ? ` Top ${shown.length} doors shown; the CSV has all ${occupancy.doors.length}.` : ''),
+    data: {
+      labels: shown.map(d => d.label),
+      datasets: [{ label: 'Utilization %', data: shown.map(d => d.utilization_pct) }],
+    },
+    csv: {
+      columns: ['rank', 'door', 'utilization_pct', 'occupied_hours', 'visits', 'days_active', 'median_idle_gap_min', 'longest_idle_gap_min', 'timezone'],
+      rows: occupancy.doors.map((d, i) => ({
+        rank: i + 1,
+        door: d.label,
+        utilization_pct: d.utilization_pct,
+        occupied_hours: d.occupied_hours,
+        visits: d.visits,
+        days_active: d.days_active,
+        median_idle_gap_min: d.median_idle_gap_min ?? '',
+        longest_idle_gap_min: d.longest_idle_gap_min ?? '',
+        timezone,
+      })),
+    },
+  };
+}
+
+function ganttDayData(unions, labelFor) {
+  const doors = [...unions.entries()]
+    .map(([door, list]) => ({ label: labelFor(door), list, minutes: list.reduce((sum, [s, e]) => sum + (e - s), 0) }))
+    .sort((a, b) => b.minutes - a.minutes)
+    .slice(0, GANTT_DOOR_LIMIT)
+    .sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }));
+  return {
+    labels: doors.map(d => d.label),
+    datasets: [{
+      label: 'Occupied',
+      data: doors.flatMap(d => d.list.map(([s, e]) => ({ x: [s, e], y: d.label }))),
+    }],
+  };
+}
+
+/**
+ * Gantt-style door timeline: one row per door, one bar per (unioned) visit,
+ * x in minutes of the day. `data` holds the peak-concurrency day;
+ * `gantt.byDay` holds every offered day so the chart can switch days.
+ */
+export function buildDoorGanttChart(occupancy, { id = 'door_timeline', timezone, labelFor = door => door } = {}) {
+  if (!occupancy?.unionsByDay?.size) return null;
+  const allDays = [...occupancy.unionsByDay.keys()].sort();
+  const offered = allDays.slice(-GANTT_DAY_LIMIT);
+  const peakDay = occupancy.peak?.day;
+  if (peakDay && !offered.includes(peakDay)) offered.unshift(peakDay);
+
+  const byDay = {};
+  const rows = [];
+  for (const day of offered) {
+    const unions = occupancy.unionsByDay.get(day);
+    byDay[day] = ganttDayData(unions, labelFor);
+    for (const [door, list] of unions) {
+      for (const [s, e] of list) {
+        rows.push({ day, door: labelFor(door), start: formatMinuteOfDay(s), end: formatMinuteOfDay(e), minutes: e - s, timezone });
+      }
+    }
+  }
+  rows.sort((a, b) => a.day.localeCompare(b.day) || a.door.localeCompare(b.door, undefined, { numeric: true }) || a.start.localeCompare(b.start));
+
+  const day = peakDay && byDay[peakDay] ? peakDay : offered[offered.length - 1];
+  return {
+    id,
+    title: 'Door timeline',
+    kind: 'gantt',
+    description: `When each door had a trailer at it (overlapping visits merged). Opens on the peak day ` +
+      `(${occupancy.peak?.doors ?? 0} doors at once); pick another of the last ${Math.min(GANTT_DAY_LIMIT, allDays.length)} days above the chart. ` +
+      `Up to ${GANTT_DOOR_LIMIT} busiest doors per day. Times in ${timezone}.`,
+    data: byDay[day],
+    gantt: { day, days: offered, byDay },
+    csv: { columns: ['day', 'door', 'start', 'end', 'minutes', 'timezone'], rows },
+  };
+}
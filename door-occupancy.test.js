@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  addDoorInterval,
+  unionIntervals,
+  buildDoorOccupancy,
+  occupancyFindings,
+  buildUtilizationRankingChart,
+  buildDoorGanttChart,
+} from './door-occupancy.js';
+import { recalculateROI } from './analysis.js';
+
+function sampleIntervals() {
+  const byDay = new Map();
+  addDoorInterval(byDay, '2025-01-06', 'A', 480, 600);
+  addDoorInterval(byDay, '2025-01-06', 'A', 540, 660); // overlaps the first visit
+  addDoorInterval(byDay, '2025-01-06', 'A', 720, 780);
+  addDoorInterval(byDay, '2025-01-06', 'B', 600, 720);
+  addDoorInterval(byDay, '2025-01-07', 'A', 0, 60);
+  return byDay;
+}
+
+test('intervals are unioned per door and empty intervals are dropped', () => {
+  assert.deepEqual(unionIntervals([600, 660, 480, 600, 500, 550, 700, 720]), [[480, 660], [700, 720]]);
+  const byDay = new Map();
+  assert.equal(addDoorInterval(byDay, '2025-01-06', 'A', 600, 600), false);
+  assert.equal(addDoorInterval(byDay, '2025-01-06', '', 0, 60), false);
+  assert.equal(addDoorInterval(byDay, '2025-01-06', 'A', 1400, 1500), true);
+  assert.deepEqual(byDay.get('2025-01-06').get('A'), [1400, 1440]);
+});
+
+test('occupancy gives utilization, idle gaps and peak concurrent doors', () => {
+  const occupancy = buildDoorOccupancy(sampleIntervals());
+
+  assert.equal(occupancy.dayCount, 2);
+  assert.equal(occupancy.doorCount, 2);
+  assert.equal(occupancy.occupiedDoorHoursPerDay, 3.5);
+  assert.equal(occupancy.idleDoorHoursPerDay, 44.5);
+  assert.equal(occupancy.utilizationPct, 7.3);
+  assert.deepEqual(occupancy.peak, { doors: 2, day: '2025-01-06', time: '10:00' });
+
+  const [a, b] = occupancy.doors;
+  assert.deepEqual(
+    { door: a.door, utilization_pct: a.utilization_pct, occupied_hours: a.occupied_hours, visits: a.visits, days_active: a.days_active, median_idle_gap_min: a.median_idle_gap_min, longest_idle_gap_min: a.longest_idle_gap_min },
+    { door: 'A', utilization_pct: 10.4, occupied_hours: 5, visits: 3, days_active: 2, median_idle_gap_min: 60, longest_idle_gap_min: 60 }
+  );
+  assert.equal(b.door, 'B');
+  assert.equal(b.utilization_pct, 4.2);
+  assert.equal(b.longest_idle_gap_min, null);
+  assert.deepEqual(occupancy.days.map(d => d.peak_concurrent_doors), [2, 1]);
+
+  // Operating hours shrink the capacity utilization is measured against
+  assert.equal(buildDoorOccupancy(sampleIntervals(), { operatingHours: 8 }).utilizationPct, 21.9);
+  assert.equal(buildDoorOccupancy(new Map()), null);
+
+  const findings = occupancyFindings(occupancy);
+  assert.match(findings[0].text, /occupied 7\.3% of 24 operating hours/);
+  assert.match(findings[1].text, /2 of 2 doors occupied at once \(100%\) on 2025-01-06 at 10:00/);
+});
+
+test('ranking and timeline charts', () => {
+  const labelFor = door => `Door ${door}`;
+  const occupancy = buildDoorOccupancy(sampleIntervals(), { labelFor });
+
+  const ranking = buildUtilizationRankingChart(occupancy, { timezone: 'UTC' });
+  assert.equal(ranking.kind, 'bar');
+  assert.deepEqual(ranking.data.labels, ['Door A', 'Door B']);
+  assert.deepEqual(ranking.data.datasets[0].data, [10.4, 4.2]);
+  assert.equal(ranking.csv.rows[0].rank, 1);
+
+  const gantt = buildDoorGanttChart(occupancy, { timezone: 'UTC', labelFor });
+  assert.equal(gantt.kind, 'gantt');
+  assert.equal(gantt.gantt.day, '2025-01-06');
+  assert.deepEqual(gantt.gantt.days, ['2025-01-06', '2025-01-07']);
+  assert.deepEqual(gantt.data.labels, ['Door A', 'Door B']);
+  assert.deepEqual(gantt.data.datasets[0].data, [
+    { x: [480, 660], y: 'Door A' },
+    { x: [720, 780], y: 'Door A' },
+    { x: [600, 720], y: 'Door B' },
+  ]);
+  assert.equal(gantt.csv.rows.length, 4);
+  assert.deepEqual(gantt.csv.rows[0], { day: '2025-01-06', door: 'Door A', start: '08:00', end: '11:00', minutes: 180, timezone: 'UTC' });
+});
+
+test('dock ROI prices idle door-hours when occupancy is known', () => {
+  const estimate = { avg_turns_per_door_per_day: 4, unique_doors: 4, total_turns: 80, total_days: 5 };
+  const assumptions = { target_turns_per_door_per_day: 6, cost_per_dock_door_hour: 50, dock_operating_hours_per_day: 16 };
+
+  const { dockdoor_history: withOccupancy } = recalculateROI({
+    dockdoor_history: { metrics: {}, roi: { estimate: { ...estimate, occupied_door_hours_per_day: 30, door_count: 4 } } },
+  }, assumptions);
+  assert.equal(withOccupancy.roi.estimate.door_utilization_pct, 46.9);
+  assert.equal(withOccupancy.roi.estimate.idle_door_hours_per_day, 34);
+  assert.equal(withOccupancy.roi.estimate.cost_of_idle_per_day, 1700);
+  assert.equal(withOccupancy.roi.estimate.performance_vs_target_pct, 67);
+  assert.equal(withOccupancy.roi.estimate.daily_gap_value, undefined);
+
+  // Without dwell intervals the turns-vs-target estimate still applies
+  const { dockdoor_history: turnsOnly } = recalculateROI({
+    dockdoor_history: { metrics: {}, roi: { estimate } },
+  }, assumptions);
+  assert.equal(turnsOnly.roi.estimate.daily_gap_value, 533.3);
+  assert.equal(turnsOnly.roi.estimate.idle_door_hours_per_day, undefined);
+});
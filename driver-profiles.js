@@ -0,0 +1,305 @@
+/**
+ * Per-driver performance profiles and the driver leaderboard
+ *
+ * DriverHistoryAnalyzer keeps one profile bucket per driver (moves, days
+ * worked, compliance counts, P² quantiles for queue / deadhead / execution
+ * minutes and a bucketed histogram of each) and puts the finished numbers in
+ * `driverStats` on its results. This module joins driverStats from any mix of
+ * aggregate or per-facility results into one profile per driver, ranks drivers
+ * on moves per day, scores each metric as a percentile among ranked drivers
+ * and flags outliers with Tukey fences (1.5 × IQR).
+ *
+ * A driver who worked at several selected facilities has counts summed and
+ * medians averaged by sample count, as the campus view does for dwell medians.
+ */
+
+// Drivers tracked per analyzer; later drivers are counted in fleet metrics only
+export const DRIVER_PROFILE_LIMIT = 2000;
+
+// Drivers need this many moves to be ranked, scored and flagged
+export const MIN_RANKED_MOVES = 10;
+
+// Outlier flags need at least this many ranked drivers with the metric
+const MIN_OUTLIER_DRIVERS = 5;
+
+/**
+ * Histogram buckets (minutes) shared by queue, deadhead and execution times.
+ */
+export const DRIVER_DISTRIBUTION_BUCKETS = [
+  { label: '0–2', max: 2 },
+  { label: '2–5', max: 5 },
+  { label: '5–10', max: 10 },
+  { label: '10–20', max: 20 },
+  { label: '20–30', max: 30 },
+  { label: '30–60', max: 60 },
+  { label: '60+', max: Infinity },
+];
+
+export const DRIVER_DISTRIBUTION_METRICS = [
+  { key: 'queue', label: 'Queue' },
+  { key: 'deadhead', label: 'Deadhead' },
+  { key: 'execution', label: 'Execution' },
+];
+
+/**
+ * Leaderboard metrics, in display order. Percentiles are oriented so that
+ * 100 is always best.
+ */
+export const LEADERBOARD_METRICS = [
+  { key: 'moves_per_day', label: 'Moves/day', short: 'moves/day', higherIsBetter: true },
+  { key: 'compliance_pct', label: 'Compliance %', short: 'compliance', higherIsBetter: true },
+  { key: 'queue_median_min', label: 'Queue median (min)', short: 'queue time', higherIsBetter: false },
+  { key: 'deadhead_median_min', label: 'Deadhead median (min)', short: 'deadhead', higherIsBetter: false },
+  { key: 'execution_median_min', label: 'Execution median (min)', short: 'execution time', higherIsBetter: false },
+];
+
+const round1 = n => Math.round(n * 10) / 10;
+
+/**
+ * Histogram bucket label for a duration in minutes.
+ */
+export function distributionBucket(minutes) {
+  return DRIVER_DISTRIBUTION_BUCKETS.find(b => minutes < b.max)?.label ?? DRIVER_DISTRIBUTION_BUCKETS.at(-1).label;
+}
+
+/**
+ * { '0–2': 0, '2–5': 0, ... } — plain numbers so shard merges add them.
+ */
+export function emptyDistribution() {
+  return Object.fromEntries(DRIVER_DISTRIBUTION_BUCKETS.map(b => [b.label, 0]));
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function blankProfile(driver) {
+  return {
+    driver,
+    moves: 0,
+    days: new Set(),
+    complianceOk: 0,
+    complianceTotal: 0,
+    quantiles: Object.fromEntries(DRIVER_DISTRIBUTION_METRICS.map(m => [m.key, { medianSum: 0, p90Sum: 0, samples: 0 }])),
+    distribution: Object.fromEntries(DRIVER_DISTRIBUTION_METRICS.map(m => [m.key, emptyDistribution()])),
+  };
+}
+
+function addStats(into, stats) {
+  into.moves += stats.moves || 0;
+  for (const day of stats.days || []) into.days.add(day);
+  into.complianceOk += stats.compliance_ok || 0;
+  into.complianceTotal += stats.compliance_total || 0;
+  for (const { key } of DRIVER_DISTRIBUTION_METRICS) {
+    const q = stats[key];
+    if (q?.samples > 0 && Number.isFinite(q.median)) {
+      const acc = into.quantiles[key];
+      acc.medianSum += q.median * q.samples;
+      acc.p90Sum += (Number.isFinite(q.p90) ? q.p90 : q.median) * q.samples;
+      acc.samples += q.samples;
+    }
+    for (const [bucket, count] of Object.entries(stats.distribution?.[key] || {})) {
+      into.distribution[key][bucket] = (into.distribution[key][bucket] || 0) + count;
+    }
+  }
+}
+
+function finishProfile(p) {
+  const q = key => {
+    const acc = p.quantiles[key];
+    return acc.samples > 0
+      ? { median: round1(acc.medianSum / acc.samples), p90: round1(acc.p90Sum / acc.samples), samples: acc.samples }
+      : { median: null, p90: null, samples: 0 };
+  };
+  const queue = q('queue');
+  const deadhead = q('deadhead');
+  const execution = q('execution');
+  const daysWorked = p.days.size;
+  return {
+    driver: p.driver,
+    rank: null,
+    moves: p.moves,
+    days_worked: daysWorked,
+    moves_per_day: daysWorked > 0 ? round1(p.moves / daysWorked) : null,
+    compliance_pct: p.complianceTotal > 0 ? Math.round((p.complianceOk / p.complianceTotal) * 100) : null,
+    compliance_samples: p.complianceTotal,
+    queue_median_min: queue.median,
+    queue_p90_min: queue.p90,
+    queue_samples: queue.samples,
+    deadhead_median_min: deadhead.median,
+    deadhead_p90_min: deadhead.p90,
+    execution_median_min: execution.median,
+    execution_p90_min: execution.p90,
+    dispatch_samples: Math.max(deadhead.samples, execution.samples),
+    distribution: p.distribution,
+    percentiles: {},
+    flags: [],
+  };
+}
+
+/**
+ * Percentile (0-100, 100 = best) of each ranked driver's value, and outlier
+ * flags outside the Tukey fences.
+ */
+function scoreMetric(ranked, metric) {
+  const withValue = ranked.filter(d => Number.isFinite(d[metric.key]));
+  const values = withValue.map(d => d[metric.key]).sort((a, b) => a - b);
+  const n = values.length;
+  for (const d of withValue) {
+    const v = d[metric.key];
+    const below = values.filter(x => x < v).length;
+    const equal = values.filter(x => x === v).length;
+    const pct = n > 1 ? ((below + (equal - 1) / 2) / (n - 1)) * 100 : 50;
+    d.percentiles[metric.key] = Math.round(metric.higherIsBetter ? pct : 100 - pct);
+  }
+  if (n < MIN_OUTLIER_DRIVERS) return;
+
+  const q1 = quantile(values, 0.25);
+  const q3 = quantile(values, 0.75);
+  const iqr = q3 - q1;
+  if (!(iqr > 0)) return;
+  const low = q1 - 1.5 * iqr;
+  const high = q3 + 1.5 * iqr;
+  for (const d of withValue) {
+    const v = d[metric.key];
+    if (v >= low && v <= high) continue;
+    const isHigh = v > high;
+    d.flags.push({
+      metric: metric.key,
+      level: isHigh === metric.higherIsBetter ? 'good' : 'bad',
+      text: `${isHigh ? 'High' : 'Low'} ${metric.short}`,
+    });
+  }
+}
+
+/**
+ * Builds driver profiles and the leaderboard, or null when no result carries
+ * driver stats.
+ *
+ * @param {Array<object>} results - driver_history results (aggregate or per facility)
+ * @returns {{
+ *   drivers: Array<object>,
+ *   rankedCount: number,
+ *   fleet: object,
+ *   metrics: Array<object>,
+ *   findings: Array<{level: string, text: string}>,
+ *   csv: {columns: string[], rows: object[]}
+ * }|null}
+ */
+export function buildDriverProfiles(results) {
+  const byDriver = new Map();
+  for (const result of results || []) {
+    if (!result?.driverStats) continue;
+    for (const [driver, stats] of Object.entries(result.driverStats)) {
+      if (!byDriver.has(driver)) byDriver.set(driver, blankProfile(driver));
+      addStats(byDriver.get(driver), stats);
+    }
+  }
+  if (byDriver.size === 0) return null;
+
+  const all = [...byDriver.values()].map(finishProfile);
+  const ranked = all
+    .filter(d => d.moves >= MIN_RANKED_MOVES && d.moves_per_day !== null)
+    .sort((a, b) => b.moves_per_day - a.moves_per_day || b.moves - a.moves || a.driver.localeCompare(b.driver));
+  ranked.forEach((d, i) => { d.rank = i + 1; });
+  for (const metric of LEADERBOARD_METRICS) scoreMetric(ranked, metric);
+
+  const unranked = all
+    .filter(d => d.rank === null)
+    .sort((a, b) => b.moves - a.moves || a.driver.localeCompare(b.driver));
+  const drivers = [...ranked, ...unranked];
+
+  const fleet = {};
+  for (const metric of LEADERBOARD_METRICS) {
+    const values = ranked.map(d => d[metric.key]).filter(Number.isFinite).sort((a, b) => a - b);
+    const median = quantile(values, 0.5);
+    fleet[metric.key] = median === null ? null : round1(median);
+  }
+
+  const csvColumns = [
+    'rank', 'driver', 'moves', 'days_worked', 'moves_per_day', 'compliance_pct',
+    'queue_median_min', 'queue_p90_min', 'deadhead_median_min', 'deadhead_p90_min',
+    'execution_median_min', 'execution_p90_min',
+    ...LEADERBOARD_METRICS.map(m => `${m.key}_percentile`),
+    'flags',
+  ];
+  const csvRows = drivers.map(d => ({
+    ...Object.fromEntries(csvColumns.map(c => [c, d[c] ?? ''])),
+    ...Object.fromEntries(LEADERBOARD_METRICS.map(m => [`${m.key}_percentile`, d.percentiles[m.key] ?? ''])),
+    flags: d.flags.map(f => f.text).join('; '),
+  }));
+
+  return {
+    drivers,
+    rankedCount: ranked.length,
+    fleet,
+    metrics: LEADERBOARD_METRICS.map(({ key, label, higherIsBetter }) => ({ key, label, higherIsBetter })),
+    findings: profileFindings(ranked, fleet),
+    csv: { columns: csvColumns, rows: csvRows },
+  };
+}
+
+function profileFindings(ranked, fleet) {
+  const findings = [];
+  if (!ranked.length) return findings;
+
+  const top = ranked[0];
+  if (ranked.length >= 3) {
+    findings.push({
+      level: 'green',
+      text: `${top.driver} leads the leaderboard with ${top.moves_per_day} moves/day over ${top.days_worked} days (fleet median ${fleet.moves_per_day}).`,
+    });
+  }
+
+  const flagged = ranked.filter(d => d.flags.some(f => f.level === 'bad'));
+  if (flagged.length) {
+    const list = flagged.slice(0, 5)
+      .map(d => `${d.driver} (${d.flags.filter(f => f.level === 'bad').map(f => f.text).join(', ')})`)
+      .join('; ');
+    findings.push({
+      level: 'yellow',
+      text: `${flagged.length} driver${flagged.length === 1 ? '' : 's'} flagged as outliers: ${list}${flagged.length > 5 ? '; …' : ''}.`,
+    });
+  }
+
+  if (ranked.length >= 8) {
+    const quarter = Math.floor(ranked.length / 4);
+    const avg = list => list.reduce((sum, d) => sum + d.moves_per_day, 0) / list.length;
+    const topAvg = avg(ranked.slice(0, quarter));
+    const bottomAvg = avg(ranked.slice(-quarter));
+    if (bottomAvg > 0 && topAvg / bottomAvg >= 2) {
+      findings.push({
+        level: 'yellow',
+        text: `Top-quartile drivers average ${round1(topAvg)} moves/day vs ${round1(bottomAvg)} for the bottom quartile (${round1(topAvg / bottomAvg)}×).`,
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Bar chart of one driver's queue / deadhead / execution times, as % of that
+ * driver's samples per bucket.
+ */
+export function buildDriverDistributionChart(profile) {
+  const datasets = DRIVER_DISTRIBUTION_METRICS.map(({ key, label }) => {
+    const counts = DRIVER_DISTRIBUTION_BUCKETS.map(b => profile.distribution?.[key]?.[b.label] || 0);
+    const total = counts.reduce((a, b) => a + b, 0);
+    return { label: `${label} (${total.toLocaleString()})`, data: counts.map(c => (total > 0 ? round1((c / total) * 100) : 0)), total };
+  }).filter(ds => ds.total > 0);
+  if (!datasets.length) return null;
+  return {
+    id: 'driver_distribution',
+    title: `${profile.driver} — time distribution`,
+    kind: 'bar',
+    description: 'Share of this driver\'s moves in each minute range.',
+    data: {
+      labels: DRIVER_DISTRIBUTION_BUCKETS.map(b => `${b.label} min`),
+      datasets: datasets.map(({ label, data }) => ({ label, data })),
+    },
+  };
+}
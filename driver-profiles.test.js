@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  distributionBucket,
+  emptyDistribution,
+  buildDriverProfiles,
+  buildDriverDistributionChart,
+} from './driver-profiles.js';
+
+// driverStats entry as DriverHistoryAnalyzer.driverStatsFrom() writes it
+function stats({ moves, days, ok = moves, queue = 5, deadhead = 3, execution = 8 }) {
+  const q = median => ({ median, p90: median * 2, samples: moves });
+  const distribution = { queue: emptyDistribution(), deadhead: emptyDistribution(), execution: emptyDistribution() };
+  distribution.queue[distributionBucket(queue)] = moves;
+  return {
+    moves,
+    days: Array.from({ length: days }, (_, i) => `2025-01-${String(6 + i).padStart(2, '0')}`),
+    compliance_ok: ok,
+    compliance_total: moves,
+    queue: q(queue),
+    deadhead: q(deadhead),
+    execution: q(execution),
+    distribution,
+  };
+}
+
+function fleet() {
+  return {
+    driverStats: {
+      Ana: stats({ moves: 40, days: 4, ok: 38 }),
+      Ben: stats({ moves: 44, days: 4 }),
+      Cal: stats({ moves: 36, days: 4, queue: 6, ok: 34 }),
+      Dee: stats({ moves: 48, days: 4 }),
+      Eve: stats({ moves: 40, days: 4, queue: 30, ok: 20 }),
+      Fay: stats({ moves: 3, days: 1 }),
+    },
+  };
+}
+
+test('distribution buckets cover every duration', () => {
+  assert.equal(distributionBucket(0), '0–2');
+  assert.equal(distributionBucket(2), '2–5');
+  assert.equal(distributionBucket(59.9), '30–60');
+  assert.equal(distributionBucket(600), '60+');
+  assert.equal(Object.keys(emptyDistribution()).length, 7);
+});
+
+test('leaderboard ranks on moves per day, scores percentiles and flags outliers', () => {
+  const board = buildDriverProfiles([fleet()]);
+
+  assert.equal(board.rankedCount, 5);
+  assert.deepEqual(board.drivers.map(d => [d.driver, d.rank]), [
+    ['Dee', 1], ['Ben', 2], ['Ana', 3], ['Eve', 4], ['Cal', 5], ['Fay', null],
+  ]);
+  const dee = board.drivers[0];
+  assert.equal(dee.moves_per_day, 12);
+  assert.equal(dee.percentiles.moves_per_day, 100);
+  assert.equal(dee.percentiles.queue_median_min, 75, 'shorter queues score higher');
+
+  const eve = board.drivers.find(d => d.driver === 'Eve');
+  assert.equal(eve.compliance_pct, 50);
+  assert.equal(eve.percentiles.queue_median_min, 0);
+  assert.deepEqual(eve.flags.map(f => [f.text, f.level]), [['Low compliance', 'bad'], ['High queue time', 'bad']]);
+  assert.deepEqual(board.drivers.find(d => d.driver === 'Fay').percentiles, {}, 'unranked drivers are not scored');
+
+  assert.equal(board.fleet.moves_per_day, 10);
+  assert.equal(board.fleet.queue_median_min, 5);
+  assert.match(board.findings[0].text, /Dee leads the leaderboard with 12 moves\/day/);
+  assert.match(board.findings[1].text, /1 driver flagged as outliers: Eve \(Low compliance, High queue time\)/);
+
+  assert.equal(board.csv.rows.length, 6);
+  assert.equal(board.csv.rows[3].flags, 'Low compliance; High queue time');
+  assert.equal(board.csv.rows[5].rank, '');
+  assert.equal(buildDriverProfiles([{}, null]), null);
+});
+
+test('per-facility results join by driver with sample-weighted medians', () => {
+  const fac1 = { driverStats: { Ana: stats({ moves: 10, days: 2, queue: 4 }) } };
+  const fac2 = { driverStats: { Ana: stats({ moves: 30, days: 2, queue: 8 }) } };
+  const [ana] = buildDriverProfiles([fac1, fac2]).drivers;
+
+  assert.equal(ana.moves, 40);
+  assert.equal(ana.days_worked, 2, 'the same days at two facilities count once');
+  assert.equal(ana.moves_per_day, 20);
+  assert.equal(ana.queue_median_min, 7);
+  assert.equal(ana.queue_p90_min, 14);
+  assert.equal(ana.distribution.queue['2–5'], 10);
+  assert.equal(ana.distribution.queue['5–10'], 30);
+});
+
+test('the distribution chart shows each bucket as a share of the driver\'s samples', () => {
+  const board = buildDriverProfiles([fleet()]);
+  const chart = buildDriverDistributionChart(board.drivers[0]);
+  assert.equal(chart.kind, 'bar');
+  assert.deepEqual(chart.data.datasets.map(ds => ds.label), ['Queue (48)']);
+  assert.equal(chart.data.datasets[0].data[2], 100);
+  assert.equal(buildDriverDistributionChart({ driver: 'X', distribution: {} }), null);
+});
@@ -3,6 +3,11 @@
  * (PII policy: by the time exports run, PII fields are already scrubbed in analysis.js.)
  */
 
+import { describeRowFilter } from './row-filters.js?v=2025.01.07.0';
+import { describeShift } from './shifts.js?v=2025.01.07.0';
+import { PII_RULE_TARGETS } from './pii-rules.js?v=2025.01.07.0';
+import { buildCarrierScorecard } from './carrier-scorecard.js?v=2025.01.07.0';
+
 const { DateTime } = window.luxon;
 
 export function downloadText(filename, text) {
@@ -33,7 +38,7 @@ export function printReport() {
   window.print();
 }
 
-export function buildSummaryTxt({ inputs, results, warnings, aiInsights, isMultiFacility, detectedFacilities, viewMode = 'all_facilities', activeFacilities = [] }) {
+export function buildSummaryTxt({ inputs, results, warnings, aiInsights, isMultiFacility, detectedFacilities, viewMode = 'all_facilities', activeFacilities = [], pseudonymized = false, piiScrubbing = null }) {
   const now = DateTime.now().setZone(inputs.timezone).toFormat('yyyy-LL-dd HH:mm:ss ZZZZ');
   const LINE_WIDTH = 64;
   const DIVIDER = '═'.repeat(LINE_WIDTH);
@@ -62,6 +67,7 @@ export function buildSummaryTxt({ inputs, results, warnings, aiInsights, isMulti
   } else if (isMultiFacility && detectedFacilities?.length > 1) {
     lines.push(`Analysis:    Multi-facility (${detectedFacilities.length} facilities detected)`);
   }
+  if (pseudonymized) lines.push('Names:       Pseudonymized (driver, user and carrier aliases)');
   lines.push('');
 
   // ═══════════════════════════════════════════════════════════════
@@ -253,6 +259,30 @@ export function buildSummaryTxt({ inputs, results, warnings, aiInsights, isMulti
     lines.push('');
   }
 
+  // ═══════════════════════════════════════════════════════════════
+  // CARRIER SCORECARD (detention, trailer and inventory joined by SCAC)
+  // ═══════════════════════════════════════════════════════════════
+  const scorecard = buildCarrierScorecard(carrierScorecardSources(results, viewMode));
+  if (scorecard) {
+    lines.push(DIVIDER);
+    lines.push(centerText('CARRIER SCORECARD', LINE_WIDTH));
+    lines.push(DIVIDER);
+    lines.push('');
+    lines.push('  Top carriers by issue score (0-100, higher is worse):');
+    scorecard.rows.slice(0, 10).forEach(row => {
+      const parts = scorecard.columns
+        .filter(c => c.key !== 'issue_score' && row[c.key] !== null && row[c.key] !== undefined)
+        .map(c => `${c.label} ${formatValue(row[c.key])}`);
+      lines.push(`    ${String(row.rank).padStart(2)}. ${row.carrier} (score ${row.issue_score})`);
+      lines.push(`        ${wrapText(parts.join(', '), LINE_WIDTH - 8, '        ')}`);
+    });
+    if (scorecard.findings.length) {
+      lines.push('');
+      scorecard.findings.forEach(f => lines.push(`    • ${wrapText(f.text, LINE_WIDTH - 6, '      ')}`));
+    }
+    lines.push('');
+  }
+
   // ═══════════════════════════════════════════════════════════════
   // ASSUMPTIONS USED
   // ═══════════════════════════════════════════════════════════════
@@ -266,8 +296,60 @@ export function buildSummaryTxt({ inputs, results, warnings, aiInsights, isMulti
   lines.push(`  Target Moves/Driver/Day:         ${a.target_moves_per_driver_per_day ?? '(not set)'}`);
   lines.push(`  Target Turns/Door/Day:           ${a.target_turns_per_door_per_day ?? '(not set)'}`);
   lines.push(`  Cost per Dock Door Hour:         ${a.cost_per_dock_door_hour ?? '(not set)'}`);
+  lines.push(`  Dock Operating Hours/Day:        ${a.dock_operating_hours_per_day ?? '24 (default)'}`);
   lines.push('');
 
+  // ═══════════════════════════════════════════════════════════════
+  // ROW FILTERS (only when the run excluded rows)
+  // ═══════════════════════════════════════════════════════════════
+  const rowFilters = inputs.rowFilters || [];
+  if (rowFilters.length) {
+    lines.push(DIVIDER);
+    lines.push(centerText('ROW FILTERS', LINE_WIDTH));
+    lines.push(DIVIDER);
+    lines.push('');
+    lines.push('  Rows matching these filters were excluded before analysis:');
+    rowFilters.forEach(f => lines.push(`    • ${wrapText(describeRowFilter(f), LINE_WIDTH - 6, '      ')}`));
+    const excluded = Object.entries(inputs.rowFiltersExcluded || {}).filter(([, n]) => n > 0);
+    if (excluded.length) {
+      lines.push('');
+      lines.push('  Rows excluded:');
+      excluded.forEach(([report, n]) => lines.push(`    ${report}: ${n.toLocaleString()}`));
+    }
+    lines.push('');
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // SHIFTS (used by the shift comparison charts and findings)
+  // ═══════════════════════════════════════════════════════════════
+  const shifts = inputs.shifts || [];
+  if (shifts.length) {
+    lines.push(DIVIDER);
+    lines.push(centerText('SHIFTS', LINE_WIDTH));
+    lines.push(DIVIDER);
+    lines.push('');
+    lines.push(`  Shift times in ${inputs.timezone || 'UTC'}:`);
+    shifts.forEach(shift => lines.push(`    • ${describeShift(shift)}`));
+    lines.push('');
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // PII SCRUBBING (rules and counts only; scrubbed values are never kept)
+  // ═══════════════════════════════════════════════════════════════
+  if (piiScrubbing) {
+    const { rules, audit } = piiScrubbing;
+    lines.push(DIVIDER);
+    lines.push(centerText('PII SCRUBBING', LINE_WIDTH));
+    lines.push(DIVIDER);
+    lines.push('');
+    lines.push('  Active rules:');
+    rules.filter(r => r.enabled).forEach(r => lines.push(`    • ${r.label} (${(PII_RULE_TARGETS[r.target] || r.target).toLowerCase()})`));
+    lines.push('');
+    lines.push(`  Values scrubbed: ${audit.total.toLocaleString()}`);
+    audit.rows.forEach(row => lines.push(`    ${row.report} / ${row.field}: ${row.values.toLocaleString()} (${row.label})`));
+    lines.push('');
+  }
+
   // ═══════════════════════════════════════════════════════════════
   // FOOTER
   // ═══════════════════════════════════════════════════════════════
@@ -370,12 +452,21 @@ function csvEscape(v) {
   return s;
 }
 
+// Export schema version. Bump the minor version for additive changes; the importer
+// accepts any file with the same major version.
+export const EXPORT_SCHEMA_VERSION = '1.5';
+const EXPORT_SCHEMA_MAJOR = 1;
+
 /**
  * Build a comprehensive JSON export designed for AI consumption.
  * Includes all chart data, findings, recommendations, ROI, and sufficient context
  * for an AI with minimal prior knowledge to extract meaningful insights.
+ * The same file can be imported back with assessmentFromExportJson().
+ *
+ * @param {Object} [params.facilityResults] - report -> facility -> result; embedded as
+ *   `byFacility` in all-facilities exports so imports can rebuild facility tabs
  */
-export function buildExportJson({ inputs, results, warnings, isMultiFacility, detectedFacilities, viewMode = 'all_facilities', activeFacilities = [] }) {
+export function buildExportJson({ inputs, results, warnings, isMultiFacility, detectedFacilities, viewMode = 'all_facilities', activeFacilities = [], facilityResults = null, pseudonymized = false, piiScrubbing = null }) {
   const REPORT_DESCRIPTIONS = {
     current_inventory: 'Snapshot of all trailers currently in the yard, their statuses, move types, age, and carrier assignments. Used to assess yard congestion, inventory health, and data quality.',
     detention_history: 'Historical record of trailer detention events — when trailers exceeded free time and incurred carrier charges. Tracks prevention rates, detention costs, and carrier performance.',
@@ -402,6 +493,10 @@ export function buildExportJson({ inputs, results, warnings, isMultiFacility, de
     process_adoption_pct: 'Percentage of dock events with process time data captured',
     unique_doors: 'Number of distinct dock doors used',
     total_turns: 'Total door turn count across all doors',
+    door_utilization_pct: 'Share of dock operating hours doors had a trailer at them (from dwell start/end)',
+    occupied_door_hours_per_day: 'Door-hours per day with a trailer at the door',
+    idle_door_hours_per_day: 'Door-hours per day within operating hours with no trailer at the door',
+    peak_concurrent_doors: 'Most doors occupied at the same time',
     moves_total: 'Total completed yard moves (driver assignments)',
     compliance_pct: 'Percentage of moves completed in compliance with procedures',
     queue_median_minutes: 'Median time (minutes) a move request waits before driver accepts',
@@ -427,6 +522,8 @@ export function buildExportJson({ inputs, results, warnings, isMultiFacility, de
       title: c.title,
       kind: c.kind,
       description: c.description || null,
+      // heatmap charts: labels are hours, one dataset per weekday
+      ...(c.valueLabel ? { valueLabel: c.valueLabel } : {}),
       data: c.data ? {
         labels: c.data.labels || [],
         datasets: (c.data.datasets || []).map(ds => ({
@@ -434,6 +531,7 @@ export function buildExportJson({ inputs, results, warnings, isMultiFacility, de
           data: ds.data,
         })),
       } : null,
+      csv: c.csv || null,
     }));
 
     const annotatedMetrics = {};
@@ -449,7 +547,9 @@ export function buildExportJson({ inputs, results, warnings, isMultiFacility, de
       dataQuality: {
         score: res.dataQuality?.score ?? null,
         label: res.dataQuality?.label ?? null,
+        color: res.dataQuality?.color ?? null,
         totalRows: res.dataQuality?.totalRows ?? 0,
+        parseFails: res.dataQuality?.parseFails ?? 0,
       },
       metrics: annotatedMetrics,
       charts,
@@ -459,12 +559,17 @@ export function buildExportJson({ inputs, results, warnings, isMultiFacility, de
         confidence: f.confidence || null,
       })),
       recommendations: res.recommendations || [],
+      // Full ROI object (assumptionsUsed, staffingAnalysis, ...) so imports can recalculate ROI
       roi: res.roi ? {
+        ...res.roi,
         label: res.roi.label || null,
         estimate: res.roi.estimate || null,
         insights: res.roi.insights || [],
         disclaimer: res.roi.disclaimer || null,
       } : null,
+      detentionSpend: res.detentionSpend || null,
+      // Per-carrier counts for the carrier scorecard (upper-cased SCAC -> counts)
+      carrierStats: res.carrierStats || null,
       topEventStrings: res.extras?.event_type_top10?.map(x => ({ event: x.key, count: x.value })) || null,
     };
   }
@@ -482,15 +587,22 @@ export function buildExportJson({ inputs, results, warnings, isMultiFacility, de
       }
       reportSections[report] = {
         description: REPORT_DESCRIPTIONS[report] || null,
+        ...(wrapper._allFacilities ? { allFacilities: serializeResult(wrapper._allFacilities) } : {}),
         byFacility: facilityData,
       };
     }
   } else {
     // all_facilities or campus mode: flat results per report
     for (const [report, res] of Object.entries(results)) {
+      const byFacility = viewMode === 'all_facilities' ? facilityResults?.[report] : null;
+      const facilityData = {};
+      for (const [fac, facRes] of Object.entries(byFacility || {})) {
+        if (facRes) facilityData[fac] = serializeResult(facRes);
+      }
       reportSections[report] = {
         description: REPORT_DESCRIPTIONS[report] || null,
         ...serializeResult(res),
+        ...(Object.keys(facilityData).length ? { byFacility: facilityData } : {}),
       };
     }
   }
@@ -502,14 +614,14 @@ export function buildExportJson({ inputs, results, warnings, isMultiFacility, de
   } else if (viewMode === 'per_facility') {
     viewDescription = `Per-facility view — individual results for each selected facility: ${activeFacilities.join(', ')}. Each report contains a "byFacility" object with separate analysis per facility.`;
   } else {
-    viewDescription = 'All-facilities view — aggregated results across all detected facilities.';
+    viewDescription = 'All-facilities view — aggregated results across all detected facilities. When present, each report\'s "byFacility" object holds the same analysis per facility.';
   }
 
   return JSON.stringify({
     _meta: {
       description: 'YardIQ yard management analysis export. Each report section contains metrics, chart data, findings, recommendations, and ROI estimates for a specific aspect of yard operations.',
       generated: now,
-      version: '1.0',
+      version: EXPORT_SCHEMA_VERSION,
       findingSeverityScale: 'green (healthy) → yellow (warning) → red (critical)',
       roiDisclaimer: 'ROI estimates are directional projections based on configurable assumptions, not guarantees.',
     },
@@ -524,8 +636,289 @@ export function buildExportJson({ inputs, results, warnings, isMultiFacility, de
       viewDescription,
       activeFacilities: activeFacilities || [],
       assumptions: inputs.assumptions || {},
+      rowFilters: inputs.rowFilters || [],
+      rowFiltersExcluded: inputs.rowFiltersExcluded || {},
+      shifts: inputs.shifts || [],
+      // Driver, user and carrier names replaced with aliases such as "Driver 07"
+      namesPseudonymized: pseudonymized,
+      // Rules the run scrubbed PII with and how many values each removed (never the values)
+      piiScrubbing: piiScrubbing ? {
+        rules: piiScrubbing.rules.filter(r => r.enabled).map(({ id, label, target, pattern }) => ({ id, label, target, pattern })),
+        scrubbed: piiScrubbing.audit.rows.map(({ rule, report, field, values }) => ({ rule, report, field, values })),
+        totalValues: piiScrubbing.audit.total,
+      } : null,
     },
     reports: reportSections,
     warnings: warnings || [],
   }, null, 2);
 }
+
+/**
+ * Read a buildExportJson() document back into an assessment-like object
+ * ({ name, inputs, results, facilityResults, ... }) for opening in the UI or
+ * comparing with saved assessments. Throws on files that are not YardIQ
+ * exports or use an unsupported schema major version.
+ * Export files are lossy: drilldown rows are not included, and 1.0 files
+ * also lack chart CSV data, full ROI details, and per-facility results.
+ */
+export function assessmentFromExportJson(data, { name } = {}) {
+  let doc = data;
+  if (typeof data === 'string') {
+    try {
+      doc = JSON.parse(data);
+    } catch (e) {
+      throw new Error(`File is not valid JSON: ${e.message}`);
+    }
+  }
+  if (!doc || typeof doc !== 'object' || !doc._meta || !doc.reports || typeof doc.reports !== 'object') {
+    throw new Error('Not a YardIQ export file (missing _meta or reports).');
+  }
+
+  const version = String(doc._meta.version ?? '');
+  const major = Number.parseInt(version.split('.')[0], 10);
+  if (major !== EXPORT_SCHEMA_MAJOR) {
+    throw new Error(`Unsupported export schema version "${version || 'missing'}". This version of YardIQ reads ${EXPORT_SCHEMA_MAJOR}.x files.`);
+  }
+
+  const importWarnings = [];
+  if (version === '1.0') {
+    importWarnings.push('Export uses schema 1.0: chart CSV data, detention spend and driver staffing details are missing, so ROI recalculation is approximate.');
+  }
+
+  const ctx = doc.context || {};
+  const inputs = {
+    tenant: ctx.tenant || '',
+    facilities: Array.isArray(ctx.facilities) ? ctx.facilities : [],
+    startDate: ctx.dateRange?.start ?? null,
+    endDate: ctx.dateRange?.end ?? null,
+    timezone: ctx.timezone || 'UTC',
+    reports: Object.keys(doc.reports),
+    assumptions: ctx.assumptions || {},
+    rowFilters: Array.isArray(ctx.rowFilters) ? ctx.rowFilters : [],
+    rowFiltersExcluded: ctx.rowFiltersExcluded || {},
+    shifts: Array.isArray(ctx.shifts) ? ctx.shifts : [],
+    ...(Array.isArray(ctx.piiScrubbing?.rules) ? { piiRules: ctx.piiScrubbing.rules.map(r => ({ ...r, enabled: true })) } : {}),
+  };
+
+  const meta = (facilities) => ({
+    tenant: inputs.tenant,
+    facilities,
+    startDate: inputs.startDate,
+    endDate: inputs.endDate,
+    timezone: inputs.timezone,
+    assumptions: inputs.assumptions,
+  });
+
+  function deserializeResult(report, section, facility = null) {
+    const metrics = {};
+    for (const [k, v] of Object.entries(section.metrics || {})) {
+      metrics[k] = (v && typeof v === 'object' && 'value' in v) ? v.value : v;
+    }
+    const score = section.dataQuality?.score ?? null;
+    return {
+      report,
+      ...(facility ? { facility } : {}),
+      meta: meta(facility ? [facility] : inputs.facilities),
+      dataQuality: {
+        score,
+        label: section.dataQuality?.label ?? null,
+        color: section.dataQuality?.color
+          || (score === null ? 'yellow' : (score >= 80 ? 'green' : score >= 50 ? 'yellow' : 'red')),
+        totalRows: section.dataQuality?.totalRows ?? 0,
+        parseFails: section.dataQuality?.parseFails ?? 0,
+      },
+      metrics,
+      charts: (section.charts || []).map(c => ({
+        id: c.id,
+        title: c.title,
+        kind: c.kind,
+        description: c.description || undefined,
+        valueLabel: c.valueLabel || undefined,
+        data: c.data || { labels: [], datasets: [] },
+        ...(c.csv ? { csv: c.csv } : {}),
+      })),
+      findings: (section.findings || []).map(f => ({
+        level: f.severity || 'info',
+        text: f.text,
+        confidence: f.confidence || undefined,
+      })),
+      recommendations: section.recommendations || [],
+      roi: section.roi || null,
+      ...(section.detentionSpend ? { detentionSpend: section.detentionSpend } : {}),
+      ...(section.carrierStats ? { carrierStats: section.carrierStats } : {}),
+    };
+  }
+
+  const results = {};
+  const facilityResults = {};
+  const facilitiesByReport = {};
+  for (const [report, section] of Object.entries(doc.reports)) {
+    if (!section || typeof section !== 'object') continue;
+
+    // Aggregate result: top-level fields, or `allFacilities` in per-facility exports
+    const aggregate = section.allFacilities || (section.metrics ? section : null);
+    if (aggregate) results[report] = deserializeResult(report, aggregate);
+
+    if (section.byFacility && typeof section.byFacility === 'object') {
+      facilityResults[report] = {};
+      for (const [fac, facSection] of Object.entries(section.byFacility)) {
+        facilityResults[report][fac] = deserializeResult(report, facSection, fac);
+      }
+      facilitiesByReport[report] = Object.keys(section.byFacility).sort();
+    }
+  }
+
+  if (!Object.keys(results).length && !Object.keys(facilityResults).length) {
+    throw new Error('Export file contains no report results.');
+  }
+  if (!Object.keys(results).length) {
+    importWarnings.push('Export only contains per-facility results; the all-facilities view is unavailable.');
+  }
+
+  const generated = doc._meta.generated ? ` (exported ${doc._meta.generated})` : '';
+  return {
+    name: name || `${inputs.tenant || 'Imported'} ${inputs.startDate || ''}${inputs.endDate && inputs.endDate !== inputs.startDate ? ` to ${inputs.endDate}` : ''}${generated}`.trim(),
+    source: 'export_json',
+    exportVersion: version,
+    exportedAt: doc._meta.generated || null,
+    viewMode: ctx.viewMode || 'all_facilities',
+    inputs,
+    results,
+    facilityResults,
+    facilitiesByReport,
+    isMultiFacility: !!ctx.isMultiFacility,
+    detectedFacilities: Array.isArray(ctx.detectedFacilities) ? ctx.detectedFacilities : [],
+    warnings: Array.isArray(doc.warnings) ? doc.warnings : [],
+    importWarnings,
+  };
+}
+
+/**
+ * CSV of per-file data issues from CSV ingest (validation-report.js), one line
+ * per file/issue/field with sample data row numbers, for the customer's IT team.
+ * Files without issues get a single line with a zero count.
+ */
+export function buildValidationReportCsv(reports, { issueLabels = {} } = {}) {
+  const lines = [];
+  lines.push(`# files=${reports.length}`);
+  lines.push('# row numbers count data rows: row 1 is the first row after the header');
+  lines.push('file,report,rows_checked,rows_with_issues,issue,field,count,pct_of_rows,sample_rows,sample_values');
+  for (const r of reports) {
+    const base = [r.fileName, r.reportType, r.rowsChecked, r.rowsWithIssues];
+    const issues = Object.values(r.issues || {}).sort((a, b) => b.count - a.count);
+    if (issues.length === 0) {
+      lines.push([...base, '', '', 0, 0, '', ''].map(csvEscape).join(','));
+      continue;
+    }
+    for (const issue of issues) {
+      const pct = r.rowsChecked ? Math.round((issue.count / r.rowsChecked) * 1000) / 10 : 0;
+      lines.push([
+        ...base,
+        issueLabels[issue.type] || issue.type,
+        issue.field,
+        issue.count,
+        pct,
+        issue.sampleRows.join(' '),
+        issue.sampleValues.join(' | '),
+      ].map(csvEscape).join(','));
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Report results the carrier scorecard should join: flat results, or every
+ * facility's result in per-facility exports (so a facility selection is respected).
+ */
+export function carrierScorecardSources(results, viewMode = 'all_facilities') {
+  if (viewMode !== 'per_facility') return Object.values(results || {});
+  return Object.values(results || {}).flatMap(wrapper => Object.values(wrapper?.byFacility || {}));
+}
+
+/**
+ * CSV of a carrier scorecard (carrier-scorecard.js), one row per carrier.
+ * @param {object} scorecard - buildCarrierScorecard() output
+ * @param {object} [context] - { facilities, timezone } for the header comments
+ */
+export function buildCarrierScorecardCsv(scorecard, { facilities = [], timezone = '' } = {}) {
+  const lines = [];
+  lines.push(`# facilities=${facilities.length ? facilities.join(' ') : 'all'}`);
+  if (timezone) lines.push(`# timezone=${timezone}`);
+  lines.push('# issue_score: each metric scaled to the worst carrier (100) and averaged; higher is worse');
+  lines.push(scorecard.csv.columns.map(csvEscape).join(','));
+  for (const row of scorecard.csv.rows) {
+    lines.push(scorecard.csv.columns.map(c => csvEscape(row[c])).join(','));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * CSV of reconstructed trailer visits (journeys.js), one row per visit.
+ * @param {object} journeys - buildTrailerJourneys() output
+ * @param {object} [context] - { facilities, timezone } for the header comments
+ */
+export function buildTrailerJourneysCsv(journeys, { facilities = [], timezone = '' } = {}) {
+  const lines = [];
+  lines.push(`# facilities=${facilities.length ? facilities.join(' ') : 'all'}`);
+  if (timezone) lines.push(`# timezone=${timezone}`);
+  lines.push('# visits joined across reports by trailer number and appointment / move number; blank minutes = stage not seen');
+  lines.push(journeys.csv.columns.map(csvEscape).join(','));
+  for (const row of journeys.csv.rows) {
+    lines.push(journeys.csv.columns.map(c => csvEscape(row[c])).join(','));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * CSV of the driver leaderboard (driver-profiles.js), one row per driver.
+ * @param {object} leaderboard - buildDriverProfiles() output
+ * @param {object} [context] - { facilities, timezone } for the header comments
+ */
+export function buildDriverLeaderboardCsv(leaderboard, { facilities = [], timezone = '' } = {}) {
+  const lines = [];
+  lines.push(`# facilities=${facilities.length ? facilities.join(' ') : 'all'}`);
+  if (timezone) lines.push(`# timezone=${timezone}`);
+  lines.push('# percentiles among ranked drivers (0-100, 100 = best); flags = outside 1.5x IQR');
+  lines.push(leaderboard.csv.columns.map(csvEscape).join(','));
+  for (const row of leaderboard.csv.rows) {
+    lines.push(leaderboard.csv.columns.map(c => csvEscape(row[c])).join(','));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * CSV of the pseudonymization alias map (pseudonymize.js), one row per name.
+ * This file de-anonymizes every pseudonymized export, so it is meant to stay
+ * with the consultant.
+ * @param {object} aliasMap - buildAliasMap() output
+ * @param {object} [context] - { tenant, timezone } for the header comments
+ */
+export function buildAliasMapCsv(aliasMap, { tenant = '', timezone = '' } = {}) {
+  const columns = ['category', 'alias', 'name', 'rows'];
+  const lines = [];
+  lines.push('# PRIVATE: maps aliases in pseudonymized exports back to real names; do not share');
+  if (tenant) lines.push(`# tenant=${tenant}`);
+  if (timezone) lines.push(`# timezone=${timezone}`);
+  lines.push(columns.join(','));
+  for (const entry of aliasMap.entries) {
+    lines.push(columns.map(c => csvEscape(entry[c])).join(','));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * CSV of metric deltas from compareAssessments() (assessment-compare.js).
+ */
+export function buildComparisonCsv(comparison) {
+  const lines = [];
+  lines.push(`# baseline=${comparison.baseline.name} (${comparison.baseline.startDate}..${comparison.baseline.endDate})`);
+  lines.push(`# current=${comparison.current.name} (${comparison.current.startDate}..${comparison.current.endDate})`);
+  lines.push(`# facility=${comparison.facility || 'all'}`);
+  lines.push('report,metric,baseline,current,delta,delta_pct,change');
+  for (const r of comparison.reports) {
+    for (const m of r.metrics) {
+      lines.push([r.report, m.key, m.baseline, m.current, m.delta, m.deltaPct, m.change].map(csvEscape).join(','));
+    }
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+// Minimal browser shim: export.js reads Luxon from window at import time
+global.window = global.window || {};
+global.window.luxon = global.window.luxon || {
+  DateTime: { now: () => ({ setZone: () => ({ toFormat: () => '2025-04-01 09:00:00 UTC' }) }) },
+};
+
+const { buildExportJson, assessmentFromExportJson, EXPORT_SCHEMA_VERSION, buildCarrierScorecardCsv, carrierScorecardSources } = await import('./export.js');
+const { buildCarrierScorecard } = await import('./carrier-scorecard.js');
+const { recalculateROI } = await import('./analysis.js');
+const { SHIFT_PRESETS } = await import('./shifts.js');
+
+const inputs = { tenant: 'acme', facilities: ['FAC1', 'FAC2'], startDate: '2025-01-01', endDate: '2025-03-31', timezone: 'UTC', assumptions: {} };
+
+function detentionResult(prevented) {
+  return {
+    metrics: { prevented_detention_count: prevented, detention_count: 4 },
+    findings: [],
+    recommendations: [],
+    charts: [{
+      id: 'detention_monthly',
+      title: 'Detention (monthly)',
+      kind: 'line',
+      data: { labels: ['2025-01'], datasets: [{ label: 'Detention', data: [4] }] },
+      csv: { columns: ['month', 'detention'], rows: [{ month: '2025-01', detention: 4 }] },
+    }],
+    dataQuality: { score: 90, label: 'Good', color: 'green', totalRows: 10, parseFails: 0 },
+    roi: {
+      label: 'Detention avoidance estimate',
+      assumptionsUsed: { detention_cost_per_hour: 50, prevented_detention_hours_saved_each: 2 },
+      estimate: { prevented_detention_events: prevented, estimated_hours_saved: prevented * 2, estimated_value: prevented * 100 },
+      insights: [],
+      disclaimer: 'Estimate only.',
+    },
+  };
+}
+
+test('multi-facility export re-imports with per-facility results', () => {
+  const json = buildExportJson({
+    inputs,
+    results: { detention_history: detentionResult(10) },
+    warnings: ['Something odd'],
+    isMultiFacility: true,
+    detectedFacilities: ['FAC1', 'FAC2'],
+    viewMode: 'all_facilities',
+    facilityResults: { detention_history: { FAC1: detentionResult(6), FAC2: detentionResult(4) } },
+  });
+  assert.equal(JSON.parse(json)._meta.version, EXPORT_SCHEMA_VERSION);
+
+  const imported = assessmentFromExportJson(json);
+  assert.equal(imported.isMultiFacility, true);
+  assert.deepEqual(imported.facilitiesByReport.detention_history, ['FAC1', 'FAC2']);
+  assert.equal(imported.facilityResults.detention_history.FAC2.metrics.prevented_detention_count, 4);
+  assert.deepEqual(imported.warnings, ['Something odd']);
+  assert.deepEqual(imported.importWarnings, []);
+
+  const result = imported.results.detention_history;
+  assert.equal(result.charts[0].csv.rows[0].detention, 4, 'chart CSV survives the round trip');
+  assert.equal(result.dataQuality.color, 'green');
+
+  // ROI refresh works on imported results without the original analyzers
+  const recalculated = recalculateROI(imported.results, { detention_cost_per_hour: 100 });
+  assert.equal(recalculated.detention_history.roi.estimate.estimated_hours_saved, 20);
+  assert.equal(recalculated.detention_history.roi.estimate.estimated_value, 2000);
+});
+
+test('per-facility export without an aggregate still imports', () => {
+  const rowFilters = [{ report: 'all', field: 'scac', operator: 'in', value: 'TEST' }];
+  const json = buildExportJson({
+    inputs: { ...inputs, rowFilters, rowFiltersExcluded: { detention_history: 12 }, shifts: SHIFT_PRESETS.two.shifts },
+    results: { detention_history: { byFacility: { FAC1: detentionResult(3) } } },
+    warnings: [],
+    isMultiFacility: true,
+    detectedFacilities: ['FAC1', 'FAC2'],
+    viewMode: 'per_facility',
+    activeFacilities: ['FAC1'],
+  });
+
+  const imported = assessmentFromExportJson(json);
+  assert.equal(imported.facilityResults.detention_history.FAC1.metrics.prevented_detention_count, 3);
+  assert.ok(imported.importWarnings.some(w => /per-facility/i.test(w)));
+  assert.deepEqual(imported.inputs.rowFilters, rowFilters, 'row filters survive the round trip');
+  assert.deepEqual(imported.inputs.rowFiltersExcluded, { detention_history: 12 });
+  assert.deepEqual(imported.inputs.shifts, SHIFT_PRESETS.two.shifts);
+});
+
+test('carrier stats survive the round trip and per-facility exports feed the scorecard', () => {
+  const withCarriers = (lost) => ({ ...detentionResult(1), report: 'trailer_history', carrierStats: { ABCD: { trailer_events: 10, lost_events: lost } } });
+  const imported = assessmentFromExportJson(buildExportJson({
+    inputs,
+    results: { trailer_history: withCarriers(3) },
+    warnings: [],
+    facilityResults: { trailer_history: { FAC1: withCarriers(1) } },
+  }));
+  assert.deepEqual(imported.results.trailer_history.carrierStats, { ABCD: { trailer_events: 10, lost_events: 3 } });
+  assert.deepEqual(imported.facilityResults.trailer_history.FAC1.carrierStats, { ABCD: { trailer_events: 10, lost_events: 1 } });
+
+  const perFacility = { trailer_history: { _allFacilities: withCarriers(3), byFacility: { FAC1: withCarriers(1), FAC2: withCarriers(2) } } };
+  const scorecard = buildCarrierScorecard(carrierScorecardSources(perFacility, 'per_facility'));
+  assert.equal(scorecard.rows[0].lost_events, 3, 'selected facilities only, not the all-facilities result');
+
+  const lines = buildCarrierScorecardCsv(scorecard, { facilities: ['FAC1', 'FAC2'], timezone: 'UTC' }).split('\n');
+  assert.equal(lines[0], '# facilities=FAC1 FAC2');
+  assert.equal(lines[3], 'rank,carrier,lost_events,trailer_events,share_of_rows_pct,issue_score');
+  assert.equal(lines[4], '1,ABCD,3,20,100,100');
+});
+
+test('schema versions are validated', () => {
+  const json = JSON.parse(buildExportJson({
+    inputs,
+    results: { detention_history: detentionResult(1) },
+    warnings: [],
+    isMultiFacility: false,
+    detectedFacilities: [],
+  }));
+
+  assert.throws(() => assessmentFromExportJson({ ...json, _meta: { ...json._meta, version: '2.0' } }), /Unsupported export schema version "2.0"/);
+  assert.throws(() => assessmentFromExportJson('{not json'), /not valid JSON/);
+
+  const legacy = assessmentFromExportJson({ ...json, _meta: { ...json._meta, version: '1.0' } });
+  assert.equal(legacy.results.detention_history.metrics.prevented_detention_count, 1);
+  assert.ok(legacy.importWarnings.some(w => /1\.0/.test(w)));
+});
@@ -0,0 +1,90 @@
+/**
+ * Hour-of-day × day-of-week heatmaps
+ *
+ * Analyzers count events per cell keyed "weekday|hour" (Luxon weekday, 1 =
+ * Monday; hour 0-23, both in the analysis timezone), so the grid is a plain
+ * CounterMap that merges across worker shards like any other counter. This
+ * module turns those counts into a `heatmap` chart definition: 24 hour labels,
+ * one dataset per weekday, a cell-level CSV, and drill-down records keyed by
+ * cell label (e.g. "Tue 14:00").
+ */
+
+export const HEATMAP_WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+export const HEATMAP_HOURS = Array.from({ length: 24 }, (_, h) => `${String(h).padStart(2, '0')}:00`);
+
+// Drill-down records kept per cell; cell counts stay exact
+export const HEATMAP_DRILLDOWN_LIMIT = 100;
+
+/**
+ * @param {number} weekday - 1 (Monday) to 7 (Sunday)
+ * @param {number} hour - 0 to 23
+ */
+export function heatmapCellKey(weekday, hour) {
+  return `${weekday}|${hour}`;
+}
+
+/**
+ * "3|14" -> "Wed 14:00"
+ */
+export function heatmapCellLabel(key) {
+  const [weekday, hour] = String(key).split('|').map(Number);
+  return `${HEATMAP_WEEKDAYS[weekday - 1] || '?'} ${HEATMAP_HOURS[hour] || '?'}`;
+}
+
+/**
+ * Builds a heatmap chart definition, or null when no events were counted.
+ *
+ * @param {object} params
+ * @param {string} params.id
+ * @param {string} params.title
+ * @param {string} params.description - The busiest cell is appended
+ * @param {Map<string, number>} params.counts - Cell key -> events (CounterMap.map)
+ * @param {string} params.valueLabel - Plural noun for tooltips, e.g. "turns"
+ * @param {string} params.valueColumn - CSV column for the count, e.g. "door_turns"
+ * @param {string} params.timezone
+ * @param {object|null} [params.drilldown] - { records: Map<cellKey, object[]>, columns, columnLabels }
+ * @returns {object|null}
+ */
+export function buildHeatmapChart({ id, title, description, counts, valueLabel, valueColumn, timezone, drilldown = null }) {
+  let total = 0;
+  let peak = null;
+  const datasets = HEATMAP_WEEKDAYS.map((day, d) => ({
+    label: day,
+    data: HEATMAP_HOURS.map((_, hour) => {
+      const key = heatmapCellKey(d + 1, hour);
+      const value = counts?.get(key) || 0;
+      total += value;
+      if (value > 0 && (!peak || value > peak.value)) peak = { key, value };
+      return value;
+    }),
+  }));
+  if (total === 0) return null;
+
+  const rows = [];
+  datasets.forEach(ds => ds.data.forEach((value, hour) => {
+    rows.push({ weekday: ds.label, hour: HEATMAP_HOURS[hour], [valueColumn]: value, timezone });
+  }));
+
+  const byLabel = {};
+  if (drilldown?.records) {
+    for (const [key, records] of drilldown.records) {
+      if (records?.length) byLabel[heatmapCellLabel(key)] = records.slice(0, HEATMAP_DRILLDOWN_LIMIT);
+    }
+  }
+
+  return {
+    id,
+    title,
+    kind: 'heatmap',
+    description: `${description} Busiest: ${heatmapCellLabel(peak.key)} (${peak.value.toLocaleString()} ${valueLabel}). Times in ${timezone}.`,
+    valueLabel,
+    data: { labels: HEATMAP_HOURS.slice(), datasets },
+    csv: { columns: ['weekday', 'hour', valueColumn, 'timezone'], rows },
+    drilldown: drilldown ? {
+      columns: drilldown.columns,
+      columnLabels: drilldown.columnLabels,
+      byLabel,
+      limitPerLabel: HEATMAP_DRILLDOWN_LIMIT,
+    } : null,
+  };
+}
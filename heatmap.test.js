@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { buildHeatmapChart, heatmapCellKey, heatmapCellLabel, HEATMAP_DRILLDOWN_LIMIT } from './heatmap.js';
+
+test('cell counts become a weekday × hour chart with a cell-level CSV', () => {
+  const counts = new Map([[heatmapCellKey(2, 14), 42], [heatmapCellKey(7, 0), 3]]);
+  const chart = buildHeatmapChart({
+    id: 'door_turns_heatmap',
+    title: 'Door turns by hour and weekday',
+    description: 'Door turns.',
+    counts,
+    valueLabel: 'turns',
+    valueColumn: 'door_turns',
+    timezone: 'America/Chicago',
+  });
+
+  assert.equal(chart.kind, 'heatmap');
+  assert.equal(chart.data.labels.length, 24);
+  assert.deepEqual(chart.data.datasets.map(ds => ds.label), ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']);
+  assert.equal(chart.data.datasets[1].data[14], 42);
+  assert.equal(chart.data.datasets[6].data[0], 3);
+  assert.equal(chart.description, 'Door turns. Busiest: Tue 14:00 (42 turns). Times in America/Chicago.');
+
+  assert.equal(chart.csv.rows.length, 168);
+  assert.deepEqual(chart.csv.rows[24 + 14], { weekday: 'Tue', hour: '14:00', door_turns: 42, timezone: 'America/Chicago' });
+  assert.equal(chart.drilldown, null);
+
+  assert.equal(buildHeatmapChart({ id: 'x', title: 'x', description: '', counts: new Map(), valueLabel: 'x', valueColumn: 'x', timezone: 'UTC' }), null);
+});
+
+test('drill-down records are keyed by cell label and capped per cell', () => {
+  const key = heatmapCellKey(1, 8);
+  assert.equal(heatmapCellLabel(key), 'Mon 08:00');
+  const records = new Map([[key, Array.from({ length: HEATMAP_DRILLDOWN_LIMIT + 5 }, (_, i) => ({ trailer: `T${i}` }))]]);
+  const chart = buildHeatmapChart({
+    id: 'moves', title: 'Moves', description: 'Moves.', counts: new Map([[key, HEATMAP_DRILLDOWN_LIMIT + 5]]),
+    valueLabel: 'moves', valueColumn: 'moves', timezone: 'UTC',
+    drilldown: { records, columns: ['trailer'], columnLabels: ['Trailer #'] },
+  });
+
+  assert.deepEqual(Object.keys(chart.drilldown.byLabel), ['Mon 08:00']);
+  assert.equal(chart.drilldown.byLabel['Mon 08:00'].length, HEATMAP_DRILLDOWN_LIMIT, 'merged shards may hold more');
+  assert.equal(chart.drilldown.limitPerLabel, HEATMAP_DRILLDOWN_LIMIT);
+  assert.deepEqual(chart.drilldown.columnLabels, ['Trailer #']);
+});
@@ -0,0 +1,64 @@
+/**
+ * IndexedDB helpers
+ *
+ * Promise wrappers shared by the IndexedDB-backed stores (assessment-store.js,
+ * page-cache.js, mapping-profiles.js). Each store keeps its own database,
+ * schema and upgrade; this module only opens it once per page and adapts
+ * request/transaction events to promises.
+ */
+
+export function isIndexedDbAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Resolves with the request's result, rejects with its error.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolves once the transaction commits; rejects when it fails or aborts.
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+export function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Returns an openDb() for one database. The connection is opened on first use
+ * and shared; a failed open is retried on the next call.
+ *
+ * @param {string} name
+ * @param {number} version
+ * @param {(db: IDBDatabase) => void} upgrade - Creates missing object stores
+ * @returns {() => Promise<IDBDatabase>}
+ */
+export function createDbOpener(name, version, upgrade) {
+  let dbPromise = null;
+  return function openDb() {
+    if (!isIndexedDbAvailable()) {
+      return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+    }
+    if (!dbPromise) {
+      const request = indexedDB.open(name, version);
+      request.onupgradeneeded = () => upgrade(request.result);
+      dbPromise = requestToPromise(request).catch((err) => {
+        dbPromise = null;
+        throw err;
+      });
+    }
+    return dbPromise;
+  };
+}
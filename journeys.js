@@ -0,0 +1,403 @@
+/**
+ * Trailer journey reconstruction across reports
+ *
+ * With journeys on, every analyzer records timestamped events per trailer
+ * (upper-cased trailer number -> [{ at, time, stage, ref, facility, detail }])
+ * and its result carries them as `journeyEvents`. This module joins those
+ * events across reports into visits: events sharing an appointment / move
+ * number form one visit, and events without one join the visit whose time span
+ * they fall in, or else the trailer's open visit (a gate-out or a long gap
+ * closes it). Each visit gets end-to-end turn time, time waiting for a door,
+ * time at the door, time from door to gate-out and its yard move count.
+ */
+
+export const JOURNEY_STAGES = {
+  gate_in: 'Gate in',
+  detention_start: 'Detention started',
+  dock_start: 'At door',
+  dock_end: 'Left door',
+  move: 'Yard move',
+  event: 'Trailer event',
+  gate_out: 'Gate out',
+};
+
+// Trailers and events per trailer each analyzer keeps; later rows are counted as dropped
+export const JOURNEY_TRAILER_LIMIT = 10000;
+export const JOURNEY_EVENTS_PER_TRAILER = 60;
+
+// Visits listed per trailer search
+export const JOURNEY_SEARCH_LIMIT = 25;
+
+// Events further apart than this start a new visit (when no reference ties them)
+const VISIT_GAP_MS = 24 * 60 * 60 * 1000;
+// Slack for the same moment logged by different reports
+const SAME_MOMENT_MS = 30 * 60 * 1000;
+
+const REPORT_LABELS = {
+  current_inventory: 'Inventory',
+  detention_history: 'Detention',
+  dockdoor_history: 'Dock door',
+  driver_history: 'Driver',
+  trailer_history: 'Trailer',
+};
+
+const MOVE_BUCKETS = ['0', '1', '2', '3', '4', '5+'];
+
+/**
+ * Join key for a trailer: trimmed and upper-cased ('' when missing).
+ */
+export function journeyTrailerKey(trailer) {
+  return trailer === undefined || trailer === null ? '' : String(trailer).trim().toUpperCase();
+}
+
+/**
+ * Journey stage for a trailer-history event string.
+ * @returns {'gate_in'|'gate_out'|'event'}
+ */
+export function classifyTrailerEvent(event) {
+  const text = String(event ?? '');
+  if (/check(ed)?[\s-]*in|gate[\s-]*in|arriv/i.test(text)) return 'gate_in';
+  if (/check(ed)?[\s-]*out|gate[\s-]*out|depart/i.test(text)) return 'gate_out';
+  return 'event';
+}
+
+/**
+ * Adds one event to a trailer -> events Map within the journey limits.
+ * @param {Map<string, object[]>} journeys
+ * @param {string} trailer - Raw trailer number
+ * @param {{at: number, time: string, stage: string, ref?: string, facility?: string, detail?: string}} event
+ * @returns {boolean} false when the event was dropped (no trailer, or a limit was hit)
+ */
+export function addJourneyEvent(journeys, trailer, event) {
+  const key = journeyTrailerKey(trailer);
+  if (!key || !Number.isFinite(event?.at)) return false;
+  let list = journeys.get(key);
+  if (!list) {
+    if (journeys.size >= JOURNEY_TRAILER_LIMIT) return false;
+    list = [];
+    journeys.set(key, list);
+  }
+  // Paired rows (e.g. "Dwell Started" then "Dwell Ended") repeat the same moment
+  if (list.some(e => e.at === event.at && e.stage === event.stage)) return true;
+  if (list.length >= JOURNEY_EVENTS_PER_TRAILER) return false;
+  list.push({
+    at: event.at,
+    time: event.time,
+    stage: event.stage,
+    ref: journeyTrailerKey(event.ref),
+    facility: event.facility || '',
+    detail: event.detail || '',
+  });
+  return true;
+}
+
+/**
+ * Re-applies the trailer and per-trailer event limits after shard merges,
+ * which concatenate lists. Trailers and events seen first are kept.
+ * @param {Map<string, object[]>} journeys - trailer key -> events (trimmed in place)
+ * @returns {number} events dropped
+ */
+export function capJourneyEvents(journeys) {
+  let dropped = 0;
+  let trailers = 0;
+  for (const [key, list] of journeys) {
+    if (++trailers > JOURNEY_TRAILER_LIMIT) {
+      dropped += list.length;
+      journeys.delete(key);
+    } else if (list.length > JOURNEY_EVENTS_PER_TRAILER) {
+      dropped += list.length - JOURNEY_EVENTS_PER_TRAILER;
+      list.length = JOURNEY_EVENTS_PER_TRAILER;
+    }
+  }
+  return dropped;
+}
+
+function quantile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1))];
+}
+
+function minutesBetween(from, to) {
+  if (!from || !to || to.at < from.at) return null;
+  return Math.round((to.at - from.at) / 60000);
+}
+
+function firstOf(events, stage) {
+  return events.find(e => e.stage === stage) || null;
+}
+
+function lastOf(events, stage) {
+  for (let i = events.length - 1; i >= 0; i--) if (events[i].stage === stage) return events[i];
+  return null;
+}
+
+function newVisit(trailer) {
+  return { trailer, refs: new Set(), events: [], start: Infinity, end: -Infinity, gateOutAt: null };
+}
+
+function addToVisit(visit, event) {
+  visit.events.push(event);
+  if (event.ref) visit.refs.add(event.ref);
+  visit.start = Math.min(visit.start, event.at);
+  visit.end = Math.max(visit.end, event.at);
+  if (event.stage === 'gate_out') visit.gateOutAt = Math.max(visit.gateOutAt ?? -Infinity, event.at);
+}
+
+function opensNewVisit(visit, event) {
+  if (event.at - visit.end > VISIT_GAP_MS) return true;
+  return visit.gateOutAt !== null && event.stage !== 'gate_out' && event.at > visit.gateOutAt + SAME_MOMENT_MS;
+}
+
+/**
+ * Splits one trailer's events (sorted by time) into visits.
+ */
+function visitsForTrailer(trailer, events) {
+  const byRef = new Map();
+  const loose = [];
+  for (const event of events) {
+    if (!event.ref) {
+      loose.push(event);
+      continue;
+    }
+    if (!byRef.has(event.ref)) byRef.set(event.ref, newVisit(trailer));
+    addToVisit(byRef.get(event.ref), event);
+  }
+
+  const visits = [...byRef.values()];
+  let open = null;
+  for (const event of loose) {
+    const owner = visits.find(v => v.refs.size && event.at >= v.start - SAME_MOMENT_MS && event.at <= v.end + SAME_MOMENT_MS);
+    if (owner) {
+      addToVisit(owner, event);
+      continue;
+    }
+    if (!open || opensNewVisit(open, event)) {
+      open = newVisit(trailer);
+      visits.push(open);
+    }
+    addToVisit(open, event);
+  }
+  return visits;
+}
+
+function summarizeVisit(visit) {
+  const events = visit.events.sort((a, b) => a.at - b.at);
+  const gateIn = firstOf(events, 'gate_in');
+  const gateOut = lastOf(events, 'gate_out');
+  const doorStart = firstOf(events, 'dock_start');
+  const doorEnd = lastOf(events, 'dock_end');
+  const reports = [...new Set(events.map(e => e.report))];
+  return {
+    trailer: visit.trailer,
+    refs: [...visit.refs],
+    facility: events.find(e => e.facility)?.facility || '',
+    start: events[0].time,
+    gate_in: gateIn?.time || '',
+    gate_out: gateOut?.time || '',
+    turn_minutes: minutesBetween(gateIn, gateOut),
+    door_wait_minutes: minutesBetween(gateIn, doorStart),
+    at_door_minutes: minutesBetween(doorStart, doorEnd),
+    after_door_minutes: minutesBetween(doorEnd, gateOut),
+    moves: events.filter(e => e.stage === 'move').length,
+    reports,
+    events: events.map(e => ({
+      time: e.time,
+      stage: JOURNEY_STAGES[e.stage] || e.stage,
+      report: REPORT_LABELS[e.report] || e.report,
+      reference: e.ref,
+      detail: e.detail,
+    })),
+    sortAt: events[0].at,
+  };
+}
+
+function stageStats(visits, key) {
+  const values = visits.map(v => v[key]).filter(v => v !== null).sort((a, b) => a - b);
+  return { samples: values.length, median: quantile(values, 0.5), p90: quantile(values, 0.9) };
+}
+
+/**
+ * Joins the `journeyEvents` of the given results into visits, or returns null
+ * when no result carries journey events (journeys were off).
+ *
+ * @param {Array<object>} results - Aggregate report results
+ * @param {object} [options]
+ * @param {string[]|null} [options.facilities] - Keep only visits at these facilities
+ * @returns {{
+ *   visits: Array<object>,
+ *   trailers: number,
+ *   stages: object,
+ *   charts: Array<object>,
+ *   findings: Array<{level: string, text: string}>,
+ *   csv: {columns: string[], rows: object[]},
+ *   droppedEvents: number
+ * }|null}
+ */
+export function buildTrailerJourneys(results, { facilities = null } = {}) {
+  const byTrailer = new Map();
+  let found = false;
+  let droppedEvents = 0;
+
+  for (const result of results || []) {
+    if (!result?.journeyEvents) continue;
+    found = true;
+    droppedEvents += result.journeyEventsDropped || 0;
+    for (const [trailer, events] of Object.entries(result.journeyEvents)) {
+      if (!byTrailer.has(trailer)) byTrailer.set(trailer, []);
+      byTrailer.get(trailer).push(...events.map(e => ({ ...e, report: result.report })));
+    }
+  }
+  if (!found) return null;
+
+  let visits = [];
+  for (const [trailer, events] of byTrailer) {
+    events.sort((a, b) => a.at - b.at);
+    visits.push(...visitsForTrailer(trailer, events).map(summarizeVisit));
+  }
+  if (facilities) visits = visits.filter(v => facilities.includes(v.facility));
+  visits.sort((a, b) => a.sortAt - b.sortAt || a.trailer.localeCompare(b.trailer));
+
+  const stages = {
+    door_wait: stageStats(visits, 'door_wait_minutes'),
+    at_door: stageStats(visits, 'at_door_minutes'),
+    after_door: stageStats(visits, 'after_door_minutes'),
+    turn: stageStats(visits, 'turn_minutes'),
+  };
+
+  const csvColumns = ['trailer', 'reference', 'facility', 'gate_in', 'gate_out', 'turn_minutes', 'door_wait_minutes', 'at_door_minutes', 'after_door_minutes', 'moves', 'events', 'reports'];
+  const csvRows = visits.map(v => ({
+    trailer: v.trailer,
+    reference: v.refs.join(' '),
+    facility: v.facility,
+    gate_in: v.gate_in,
+    gate_out: v.gate_out,
+    turn_minutes: v.turn_minutes ?? '',
+    door_wait_minutes: v.door_wait_minutes ?? '',
+    at_door_minutes: v.at_door_minutes ?? '',
+    after_door_minutes: v.after_door_minutes ?? '',
+    moves: v.moves,
+    events: v.events.length,
+    reports: v.reports.map(r => REPORT_LABELS[r] || r).join(' '),
+  }));
+
+  return {
+    visits,
+    trailers: new Set(visits.map(v => v.trailer)).size,
+    stages,
+    charts: journeyCharts(visits, stages),
+    findings: journeyFindings(visits, stages, droppedEvents),
+    csv: { columns: csvColumns, rows: csvRows },
+    droppedEvents,
+  };
+}
+
+function journeyCharts(visits, stages) {
+  const charts = [];
+  const stageRows = [
+    { stage: 'Wait for door', key: 'door_wait' },
+    { stage: 'At door', key: 'at_door' },
+    { stage: 'Door to gate-out', key: 'after_door' },
+    { stage: 'End-to-end turn', key: 'turn' },
+  ].filter(s => stages[s.key].samples > 0);
+  if (stageRows.length) {
+    charts.push({
+      id: 'journey_stage_minutes',
+      title: 'Visit stage times',
+      kind: 'bar',
+      description: 'Median and P90 minutes per visit stage, across visits that have both ends of the stage.',
+      data: {
+        labels: stageRows.map(s => s.stage),
+        datasets: [
+          { label: 'Median (min)', data: stageRows.map(s => stages[s.key].median) },
+          { label: 'P90 (min)', data: stageRows.map(s => stages[s.key].p90) },
+        ],
+      },
+      csv: {
+        columns: ['stage', 'median_minutes', 'p90_minutes', 'visits'],
+        rows: stageRows.map(s => ({
+          stage: s.stage,
+          median_minutes: stages[s.key].median,
+          p90_minutes: stages[s.key].p90,
+          visits: stages[s.key].samples,
+        })),
+      },
+    });
+  }
+
+  const withMoves = visits.filter(v => v.reports.includes('driver_history'));
+  if (withMoves.length) {
+    const counts = MOVE_BUCKETS.map(() => 0);
+    for (const v of withMoves) counts[Math.min(v.moves, MOVE_BUCKETS.length - 1)]++;
+    charts.push({
+      id: 'journey_moves_per_visit',
+      title: 'Yard moves per visit',
+      kind: 'bar',
+      description: 'Visits by number of completed yard moves, for visits the driver report covers.',
+      data: { labels: MOVE_BUCKETS.slice(), datasets: [{ label: 'Visits', data: counts }] },
+      csv: {
+        columns: ['moves', 'visits'],
+        rows: MOVE_BUCKETS.map((moves, i) => ({ moves, visits: counts[i] })),
+      },
+    });
+  }
+  return charts;
+}
+
+function journeyFindings(visits, stages, droppedEvents) {
+  const findings = [];
+  if (visits.length === 0) return findings;
+
+  if (stages.turn.samples > 0) {
+    findings.push({
+      level: stages.turn.median > 240 ? 'yellow' : 'green',
+      text: `Median end-to-end turn is ${stages.turn.median.toLocaleString()} min (P90 ${stages.turn.p90.toLocaleString()} min) across ${stages.turn.samples.toLocaleString()} visits with a gate-in and gate-out.`,
+    });
+  }
+  if (stages.door_wait.samples > 0 && stages.turn.median > 0) {
+    const share = Math.round((stages.door_wait.median / stages.turn.median) * 100);
+    findings.push({
+      level: share >= 50 ? 'yellow' : 'green',
+      text: `Trailers wait a median ${stages.door_wait.median.toLocaleString()} min for a door after gate-in (${share}% of the median turn).`,
+    });
+  }
+
+  const movesCovered = visits.filter(v => v.reports.includes('driver_history'));
+  const manyMoves = movesCovered.filter(v => v.moves >= 4).length;
+  if (movesCovered.length >= 20 && manyMoves / movesCovered.length >= 0.1) {
+    findings.push({
+      level: 'yellow',
+      text: `${Math.round((manyMoves / movesCovered.length) * 100)}% of visits needed 4 or more yard moves; extra moves add driver time without moving freight.`,
+    });
+  }
+
+  const joined = visits.filter(v => v.reports.length >= 2).length;
+  const joinedPct = Math.round((joined / visits.length) * 100);
+  if (joinedPct < 25) {
+    findings.push({
+      level: 'yellow',
+      text: `Only ${joinedPct}% of visits link events from two or more reports. Check that trailer and appointment numbers use the same format in each report.`,
+    });
+  }
+  if (droppedEvents > 0) {
+    findings.push({
+      level: 'yellow',
+      text: `${droppedEvents.toLocaleString()} events were left out of journeys after the limit of ${JOURNEY_TRAILER_LIMIT.toLocaleString()} trailers or ${JOURNEY_EVENTS_PER_TRAILER} events per trailer was reached.`,
+    });
+  }
+  return findings;
+}
+
+/**
+ * Visits whose trailer or reference contains the query (case-insensitive),
+ * most recent first.
+ * @param {{visits: object[]}} journeys - buildTrailerJourneys() output
+ * @param {string} query
+ * @param {number} [limit=JOURNEY_SEARCH_LIMIT]
+ * @returns {{matches: object[], total: number}}
+ */
+export function searchJourneys(journeys, query, limit = JOURNEY_SEARCH_LIMIT) {
+  const needle = journeyTrailerKey(query);
+  if (!journeys || !needle) return { matches: [], total: 0 };
+  const all = journeys.visits.filter(v => v.trailer.includes(needle) || v.refs.some(r => r.includes(needle)));
+  return { matches: all.slice().reverse().slice(0, limit), total: all.length };
+}
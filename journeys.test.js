@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { addJourneyEvent, buildTrailerJourneys, classifyTrailerEvent, searchJourneys, JOURNEY_EVENTS_PER_TRAILER } from './journeys.js';
+
+const T0 = Date.parse('2025-01-06T08:00:00Z');
+const ev = (minutes, stage, { ref = '', facility = 'FAC1', detail = '' } = {}) => ({
+  at: T0 + minutes * 60000,
+  time: new Date(T0 + minutes * 60000).toISOString().slice(0, 16).replace('T', ' '),
+  stage,
+  ref,
+  facility,
+  detail,
+});
+const result = (report, journeyEvents, journeyEventsDropped = 0) => ({ report, journeyEvents, journeyEventsDropped });
+
+test('events join into visits by appointment number, then by time', () => {
+  const journeys = buildTrailerJourneys([
+    result('detention_history', {
+      TR1: [ev(0, 'gate_in', { ref: 'A1' }), ev(300, 'gate_out', { ref: 'A1' }), ev(2000, 'gate_in', { ref: 'A2' })],
+    }),
+    result('dockdoor_history', { TR1: [ev(45, 'dock_start', { ref: 'A1', detail: 'Door 4' }), ev(165, 'dock_end', { ref: 'A1' })] }),
+    result('driver_history', { TR1: [ev(30, 'move'), ev(180, 'move'), ev(2100, 'move')] }),
+    result('trailer_history', { TR2: [ev(10, 'gate_in', { facility: 'FAC2' }), ev(70, 'event'), ev(3000, 'event')] }),
+  ]);
+
+  assert.equal(journeys.trailers, 2);
+  assert.deepEqual(journeys.visits.map(v => [v.trailer, v.refs.join(), v.events.length]), [
+    ['TR1', 'A1', 6],
+    ['TR2', '', 2],
+    ['TR1', 'A2', 1],
+    ['TR1', '', 1],
+    ['TR2', '', 1],
+  ], 'loose events join the referenced visit they fall in; a 24 h gap starts a new visit');
+
+  const [visit] = journeys.visits;
+  assert.equal(visit.turn_minutes, 300);
+  assert.equal(visit.door_wait_minutes, 45);
+  assert.equal(visit.at_door_minutes, 120);
+  assert.equal(visit.after_door_minutes, 135);
+  assert.equal(visit.moves, 2);
+  assert.deepEqual(visit.reports, ['detention_history', 'driver_history', 'dockdoor_history']);
+  assert.deepEqual(visit.events[2], { time: '2025-01-06 08:45', stage: 'At door', report: 'Dock door', reference: 'A1', detail: 'Door 4' });
+
+  assert.deepEqual(journeys.stages.turn, { samples: 1, median: 300, p90: 300 });
+  assert.deepEqual(journeys.charts.map(c => c.id), ['journey_stage_minutes', 'journey_moves_per_visit']);
+  assert.deepEqual(journeys.charts[1].data.datasets[0].data, [0, 1, 1, 0, 0, 0]);
+  assert.equal(journeys.csv.rows[0].reports, 'Detention Driver Dock door');
+  assert.ok(journeys.findings.some(f => f.text.startsWith('Median end-to-end turn is 300 min')));
+
+  assert.equal(buildTrailerJourneys(journeys.visits.map(() => ({ report: 'driver_history', journeyEvents: null }))), null);
+  assert.deepEqual(
+    buildTrailerJourneys([result('trailer_history', { TR2: [ev(10, 'gate_in', { facility: 'FAC2' })] })], { facilities: ['FAC1'] }).visits,
+    []
+  );
+});
+
+test('a gate-out closes a visit that has no reference', () => {
+  const journeys = buildTrailerJourneys([
+    result('trailer_history', { TR9: [ev(0, 'gate_in'), ev(60, 'gate_out'), ev(75, 'gate_out'), ev(120, 'gate_in'), ev(200, 'gate_out')] }),
+  ]);
+  assert.deepEqual(journeys.visits.map(v => v.turn_minutes), [75, 80]);
+});
+
+test('search matches trailer or reference, newest first, and event limits count drops', () => {
+  const journeys = buildTrailerJourneys([
+    result('detention_history', { ABC123: [ev(0, 'gate_in', { ref: 'APPT-7' }), ev(5000, 'gate_in', { ref: 'APPT-8' })], XYZ9: [ev(10, 'gate_in')] }, 3),
+  ]);
+  assert.deepEqual(searchJourneys(journeys, 'abc').matches.map(v => v.refs[0]), ['APPT-8', 'APPT-7']);
+  assert.equal(searchJourneys(journeys, 'appt-7').total, 1);
+  assert.equal(searchJourneys(journeys, 'abc', 1).matches.length, 1);
+  assert.equal(searchJourneys(journeys, '  ').total, 0);
+  assert.ok(journeys.findings.some(f => f.text.startsWith('3 events were left out')));
+
+  assert.equal(classifyTrailerEvent('Trailer Checked In'), 'gate_in');
+  assert.equal(classifyTrailerEvent('Gate Out'), 'gate_out');
+  assert.equal(classifyTrailerEvent('Trailer marked lost'), 'event');
+
+  const map = new Map();
+  assert.equal(addJourneyEvent(map, '', ev(0, 'gate_in')), false);
+  for (let i = 0; i < JOURNEY_EVENTS_PER_TRAILER; i++) assert.equal(addJourneyEvent(map, ' t1 ', ev(i, 'move')), true);
+  assert.equal(addJourneyEvent(map, 'T1', ev(0, 'move')), true, 'a repeat of a kept event is not a drop');
+  assert.equal(addJourneyEvent(map, 'T1', ev(9999, 'move')), false);
+  assert.equal(map.get('T1').length, JOURNEY_EVENTS_PER_TRAILER);
+});
@@ -0,0 +1,304 @@
+/**
+ * Mapping Profiles
+ *
+ * Named, reusable column mappings for customers whose exports don't match the
+ * built-in CSV_FIELD_MAPS / REPORT_SIGNATURES (e.g. "Acme DC exports").
+ * A profile extends the built-in maps with extra header aliases per report and
+ * adds its own signatures to report type detection.
+ *
+ * Profile shape:
+ * {
+ *   id, name, priority, createdAt, updatedAt,
+ *   reports: {
+ *     [reportType]: {
+ *       columns: { csvColumn: apiField },   // same orientation as CSV_FIELD_MAPS
+ *       combine: [{ field, dateColumn, timeColumn }],
+ *       signatures: [[csvColumn, ...], ...] // all columns present => match
+ *     }
+ *   }
+ * }
+ *
+ * Priority orders profiles against the built-in signatures: profiles above 0
+ * are tried before them, the rest right after the built-in primary signatures
+ * (ahead of filename hints and the broader alternate signatures). Higher
+ * priorities are tried first.
+ *
+ * Profiles are stored in IndexedDB and shared as JSON files.
+ */
+
+import { CSV_FIELD_MAPS, CRITICAL_FIELDS } from './csv-parser.js';
+import { COMBINED_TIMESTAMP_FIELDS } from './column-mapping.js?v=2025.01.07.0';
+import { isIndexedDbAvailable, requestToPromise, transactionDone, createDbOpener } from './idb.js?v=2025.01.07.0';
+
+const DB_NAME = 'yardiq-mapping-profiles';
+const DB_VERSION = 1;
+const STORE_NAME = 'profiles';
+
+export const PROFILE_EXPORT_TYPE = 'yardiq-mapping-profiles';
+export const PROFILE_EXPORT_VERSION = 1;
+
+// Signatures built from a mapping use at least this many headers
+const MIN_SIGNATURE_COLUMNS = 2;
+
+// ============================================================================
+// PROFILE HELPERS (pure, no IndexedDB access)
+// ============================================================================
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+function normalizeProfileReport(reportType, raw) {
+  const known = new Set(Object.values(CSV_FIELD_MAPS[reportType]));
+  const columns = {};
+  for (const [csvColumn, apiField] of Object.entries(isPlainObject(raw?.columns) ? raw.columns : {})) {
+    const header = String(csvColumn).trim();
+    if (header && known.has(apiField)) columns[header] = apiField;
+  }
+
+  const timestamps = new Set([...known, ...(COMBINED_TIMESTAMP_FIELDS[reportType] || [])]);
+  const combine = (Array.isArray(raw?.combine) ? raw.combine : [])
+    .filter(c => timestamps.has(c?.field) && typeof c.dateColumn === 'string' && c.dateColumn)
+    .map(({ field, dateColumn, timeColumn }) => ({ field, dateColumn, timeColumn: timeColumn || null }));
+
+  const seen = new Set();
+  const signatures = [];
+  for (const sig of Array.isArray(raw?.signatures) ? raw.signatures : []) {
+    if (!Array.isArray(sig)) continue;
+    const cols = Array.from(new Set(sig.map(c => String(c).trim()).filter(Boolean)));
+    const key = [...cols].sort().join('\u0000');
+    if (cols.length && !seen.has(key)) {
+      seen.add(key);
+      signatures.push(cols);
+    }
+  }
+
+  return { columns, combine, signatures };
+}
+
+/**
+ * Validate and clean a profile (from storage, an import or the wizard).
+ * Unknown report types and API fields are dropped.
+ *
+ * @param {Object} raw
+ * @returns {Object} profile
+ * @throws {Error} if the profile has no name or no usable report mappings
+ */
+export function normalizeMappingProfile(raw) {
+  const name = typeof raw?.name === 'string' ? raw.name.trim() : '';
+  if (!name) throw new Error('Mapping profile is missing a name.');
+
+  const reports = {};
+  for (const [reportType, report] of Object.entries(isPlainObject(raw.reports) ? raw.reports : {})) {
+    if (!CSV_FIELD_MAPS[reportType]) continue;
+    const cleaned = normalizeProfileReport(reportType, report);
+    if (Object.keys(cleaned.columns).length || cleaned.combine.length) reports[reportType] = cleaned;
+  }
+  if (!Object.keys(reports).length) {
+    throw new Error(`Mapping profile "${name}" has no usable report mappings.`);
+  }
+
+  const now = Date.now();
+  const priority = Number(raw.priority);
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : `profile_${now}_${Math.random().toString(16).slice(2)}`,
+    name,
+    priority: Number.isFinite(priority) ? Math.round(priority) : 0,
+    reports,
+    createdAt: Number.isFinite(raw.createdAt) ? raw.createdAt : now,
+    updatedAt: Number.isFinite(raw.updatedAt) ? raw.updatedAt : now,
+  };
+}
+
+/**
+ * Profiles in detection order (as detectReportMatch expects them):
+ * highest priority first, then by name.
+ */
+export function sortMappingProfiles(profiles) {
+  return [...(profiles || [])].sort((a, b) => (b.priority || 0) - (a.priority || 0) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Signature for a mapping: the headers behind its critical fields and combined
+ * timestamps, topped up with other mapped headers so it is never trivially short.
+ */
+export function buildProfileSignature(mapping) {
+  const critical = new Set(CRITICAL_FIELDS[mapping?.reportType] || []);
+  const entries = Object.entries(mapping?.columns || {});
+  const headers = new Set(entries.filter(([field]) => critical.has(field)).map(([, header]) => header));
+  for (const { dateColumn, timeColumn } of mapping?.combine || []) {
+    if (dateColumn) headers.add(dateColumn);
+    if (timeColumn) headers.add(timeColumn);
+  }
+  for (const [, header] of entries) {
+    if (headers.size >= MIN_SIGNATURE_COLUMNS) break;
+    headers.add(header);
+  }
+  return Array.from(headers);
+}
+
+/**
+ * Add (or replace) a report mapping in a profile, from a finalized wizard mapping.
+ * Earlier signatures are kept so the profile still matches older export variants.
+ *
+ * @param {Object|null} profile - existing profile, or null for a new one
+ * @param {Object} mapping - finalizeColumnMapping() output
+ * @param {Object} [options]
+ * @param {string} [options.name] - name for a new profile
+ * @param {number} [options.priority]
+ * @returns {Object} profile
+ */
+export function addMappingToProfile(profile, mapping, { name, priority } = {}) {
+  const reportType = mapping?.reportType;
+  if (!CSV_FIELD_MAPS[reportType]) throw new Error('Mapping has no report type.');
+
+  const columns = {};
+  for (const [apiField, header] of Object.entries(mapping.columns || {})) {
+    columns[header] = apiField;
+  }
+  const previous = profile?.reports?.[reportType];
+  return normalizeMappingProfile({
+    ...profile,
+    name: profile?.name || name,
+    priority: priority ?? profile?.priority ?? 0,
+    reports: {
+      ...profile?.reports,
+      [reportType]: {
+        columns,
+        combine: mapping.combine || [],
+        signatures: [buildProfileSignature(mapping), ...(previous?.signatures || [])],
+      },
+    },
+    updatedAt: Date.now(),
+  });
+}
+
+/**
+ * Build a normalizeCSVRow mapping for a file from a profile: built-in aliases
+ * first, then the profile's own columns, which win for the same field.
+ * Only headers present in the file are used.
+ *
+ * @returns {{reportType: string, columns: Object, combine: Array}}
+ */
+export function mappingFromProfile(profile, reportType, fileColumns) {
+  const present = new Set(fileColumns || []);
+  const columns = {};
+  for (const [csvColumn, apiField] of Object.entries(CSV_FIELD_MAPS[reportType] || {})) {
+    if (present.has(csvColumn) && !columns[apiField]) columns[apiField] = csvColumn;
+  }
+  const report = profile?.reports?.[reportType];
+  for (const [csvColumn, apiField] of Object.entries(report?.columns || {})) {
+    if (present.has(csvColumn)) columns[apiField] = csvColumn;
+  }
+  const combine = (report?.combine || []).filter(c => present.has(c.dateColumn) && (!c.timeColumn || present.has(c.timeColumn)));
+  return { reportType, columns, combine: combine.map(c => ({ ...c })) };
+}
+
+/**
+ * Serialize profiles for sharing.
+ */
+export function buildMappingProfilesExport(profiles) {
+  return JSON.stringify({
+    _meta: {
+      type: PROFILE_EXPORT_TYPE,
+      version: PROFILE_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+    },
+    profiles: (profiles || []).map(({ id, name, priority, reports }) => ({ id, name, priority, reports })),
+  }, null, 2);
+}
+
+/**
+ * Parse a profiles export (or a bare profile / profile array).
+ * Invalid profiles are skipped with a warning instead of failing the import.
+ *
+ * @param {string} text
+ * @returns {{profiles: Object[], warnings: string[]}}
+ * @throws {Error} if the file is not JSON or contains no usable profiles
+ */
+export function parseMappingProfilesImport(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON.');
+  }
+  if (parsed?._meta && parsed._meta.type !== PROFILE_EXPORT_TYPE) {
+    throw new Error('File is not a YardIQ mapping profiles export.');
+  }
+
+  const candidates = Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.profiles) ? parsed.profiles : [parsed]);
+  const profiles = [];
+  const warnings = [];
+  candidates.forEach((raw, i) => {
+    try {
+      profiles.push(normalizeMappingProfile(raw));
+    } catch (err) {
+      warnings.push(`Skipped profile ${i + 1}: ${err.message}`);
+    }
+  });
+  if (!profiles.length) throw new Error(warnings[0] || 'No mapping profiles found.');
+  return { profiles, warnings };
+}
+
+/**
+ * Reconcile imported profiles with stored ones. A profile with the same name
+ * (case-insensitive) is replaced but keeps its stored id and createdAt.
+ *
+ * @returns {Object[]} profiles to save
+ */
+export function reconcileImportedProfiles(existing, imported) {
+  const byName = new Map((existing || []).map(p => [p.name.toLowerCase(), p]));
+  const now = Date.now();
+  return (imported || []).map((profile) => {
+    const match = byName.get(profile.name.toLowerCase());
+    return {
+      ...profile,
+      id: match ? match.id : `profile_${now}_${Math.random().toString(16).slice(2)}`,
+      createdAt: match ? match.createdAt : now,
+      updatedAt: now,
+    };
+  });
+}
+
+// ============================================================================
+// INDEXEDDB ACCESS
+// ============================================================================
+
+export function isMappingProfileStoreAvailable() {
+  return isIndexedDbAvailable();
+}
+
+const openDb = createDbOpener(DB_NAME, DB_VERSION, (db) => {
+  if (!db.objectStoreNames.contains(STORE_NAME)) {
+    db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+  }
+});
+
+/**
+ * All stored profiles in detection order.
+ * @returns {Promise<Object[]>}
+ */
+export async function listMappingProfiles() {
+  const db = await openDb();
+  const tx = db.transaction(STORE_NAME, 'readonly');
+  const profiles = await requestToPromise(tx.objectStore(STORE_NAME).getAll());
+  return sortMappingProfiles(profiles);
+}
+
+/**
+ * Insert or replace profiles.
+ * @param {Object[]} profiles
+ */
+export async function saveMappingProfiles(profiles) {
+  const db = await openDb();
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  const store = tx.objectStore(STORE_NAME);
+  for (const profile of profiles) store.put(normalizeMappingProfile(profile));
+  await transactionDone(tx);
+}
+
+export async function deleteMappingProfile(id) {
+  const db = await openDb();
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  tx.objectStore(STORE_NAME).delete(id);
+  await transactionDone(tx);
+}
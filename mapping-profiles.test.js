@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  addMappingToProfile,
+  mappingFromProfile,
+  sortMappingProfiles,
+  buildMappingProfilesExport,
+  parseMappingProfilesImport,
+  reconcileImportedProfiles,
+} from './mapping-profiles.js';
+import { detectReportMatch, detectReportType, normalizeCSVRow } from './csv-parser.js';
+
+const ACME_COLUMNS = ['Unit', 'Activity', 'Activity Date', 'Activity Time', 'Trailer Status'];
+
+function acmeProfile(priority = 0) {
+  return addMappingToProfile(null, {
+    reportType: 'trailer_history',
+    columns: { trailer_number: 'Unit', event: 'Activity', trailer_status: 'Trailer Status' },
+    combine: [{ field: 'event_time', dateColumn: 'Activity Date', timeColumn: 'Activity Time' }],
+  }, { name: 'Acme DC exports', priority });
+}
+
+test('profiles built from a wizard mapping extend the built-in map', () => {
+  const profile = acmeProfile();
+  assert.equal(profile.name, 'Acme DC exports');
+  assert.deepEqual(profile.reports.trailer_history.columns, {
+    Unit: 'trailer_number',
+    Activity: 'event',
+    'Trailer Status': 'trailer_status',
+  });
+  assert.deepEqual(profile.reports.trailer_history.signatures, [['Unit', 'Activity', 'Activity Date', 'Activity Time']]);
+
+  const mapping = mappingFromProfile(profile, 'trailer_history', [...ACME_COLUMNS, 'Username']);
+  assert.equal(mapping.columns.username, 'Username', 'built-in aliases still apply');
+  assert.equal(mapping.columns.trailer_number, 'Unit');
+  assert.equal(mapping.combine.length, 1);
+
+  const row = normalizeCSVRow({ Unit: 'T1', Activity: 'Check In', 'Activity Date': '01-15-2025', 'Activity Time': '08:30' }, 'trailer_history', 'UTC', mapping);
+  assert.equal(row.trailer_number, 'T1');
+  assert.equal(row.event, 'Check In');
+});
+
+test('detection tries profiles by priority around the built-in signatures', () => {
+  const acme = acmeProfile();
+  assert.equal(detectReportType(ACME_COLUMNS), null);
+  assert.deepEqual(detectReportMatch(ACME_COLUMNS, { profiles: [acme] }), { reportType: 'trailer_history', profile: acme });
+  assert.equal(detectReportMatch(ACME_COLUMNS, { filenameHint: 'detention_history', profiles: [acme] }).reportType, 'trailer_history',
+    'profiles beat filename hints');
+
+  // A profile claiming the built-in current inventory layout only wins with priority > 0
+  const builtIn = ['Trailer Number', 'Move Type', 'Load Status', ...ACME_COLUMNS];
+  const claim = (priority) => ({ ...acme, id: `p${priority}`, priority });
+  assert.equal(detectReportMatch(builtIn, { profiles: [claim(0)] }).reportType, 'current_inventory');
+  assert.equal(detectReportMatch(builtIn, { profiles: [claim(5)] }).reportType, 'trailer_history');
+
+  const sorted = sortMappingProfiles([{ name: 'b', priority: 0 }, { name: 'a', priority: 0 }, { name: 'c', priority: 3 }]);
+  assert.deepEqual(sorted.map(p => p.name), ['c', 'a', 'b']);
+});
+
+test('profiles round-trip through JSON and imports replace same-named profiles', () => {
+  const stored = acmeProfile(2);
+  const text = buildMappingProfilesExport([stored]);
+  const { profiles, warnings } = parseMappingProfilesImport(text);
+  assert.deepEqual(warnings, []);
+  assert.equal(profiles[0].priority, 2);
+  assert.deepEqual(profiles[0].reports, stored.reports);
+
+  const withBad = JSON.stringify({ profiles: [JSON.parse(text).profiles[0], { name: 'Empty', reports: {} }] });
+  assert.equal(parseMappingProfilesImport(withBad).warnings.length, 1);
+  assert.throws(() => parseMappingProfilesImport('{"_meta":{"type":"other"}}'), /not a YardIQ mapping profiles export/);
+  assert.throws(() => parseMappingProfilesImport('nope'), /not valid JSON/);
+
+  const [reconciled] = reconcileImportedProfiles([stored], [{ ...profiles[0], id: 'other', name: 'ACME DC EXPORTS' }]);
+  assert.equal(reconciled.id, stored.id);
+  assert.equal(reconciled.createdAt, stored.createdAt);
+});
@@ -0,0 +1,287 @@
+/**
+ * API Page Cache
+ *
+ * Opt-in IndexedDB cache of fetched API report pages, so re-running the same
+ * tenant/facility/date range (e.g. to try another timezone or report mix) does
+ * not download every page again.
+ *
+ * Entries are keyed by the report URL (never the token, which only travels in
+ * headers). Rows are stored only after the PII scrubber has run with the
+ * run's PII rules (pii-rules.js), so raw phone/cell values never reach disk. Entries expire after a TTL and the
+ * oldest are evicted once the total size passes a cap.
+ */
+
+import { sanitizeRowsForWorker } from './worker-transfer.js?v=2025.01.07.0';
+import { isIndexedDbAvailable, requestToPromise, transactionDone, createDbOpener } from './idb.js?v=2025.01.07.0';
+
+const DB_NAME = 'yardiq-page-cache';
+const DB_VERSION = 1;
+const PAGES_STORE = 'pages';
+const META_STORE = 'meta';
+
+export const PAGE_CACHE_DEFAULTS = {
+  ttlHours: 24,
+  maxMegabytes: 100,
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const MEGABYTE = 1024 * 1024;
+
+// Query params that could carry credentials if a URL ever included them
+const SECRET_PARAM_RE = /^(token|access_token|api_key|apikey|auth)$/i;
+
+// ============================================================================
+// ENTRY HELPERS (pure, no IndexedDB access)
+// ============================================================================
+
+/**
+ * Normalize a report URL into a cache key with any credential params removed.
+ * @param {string} url
+ * @returns {string}
+ */
+export function pageCacheKey(url) {
+  try {
+    const parsed = new URL(url);
+    for (const name of Array.from(parsed.searchParams.keys())) {
+      if (SECRET_PARAM_RE.test(name)) parsed.searchParams.delete(name);
+    }
+    return parsed.toString();
+  } catch {
+    return String(url);
+  }
+}
+
+/**
+ * Resolve cache options (hours/megabytes from the UI) into millis/bytes.
+ */
+export function resolvePageCacheOptions({ ttlHours, maxMegabytes } = {}) {
+  const hours = Number(ttlHours) > 0 ? Number(ttlHours) : PAGE_CACHE_DEFAULTS.ttlHours;
+  const megabytes = Number(maxMegabytes) > 0 ? Number(maxMegabytes) : PAGE_CACHE_DEFAULTS.maxMegabytes;
+  return { ttlMs: hours * HOUR_MS, maxBytes: megabytes * MEGABYTE };
+}
+
+/**
+ * Build a storable cache entry from an API page payload.
+ * Only the fields the runner reads are kept, and rows are PII-scrubbed.
+ *
+ * @param {string} url - report URL from buildReportUrl
+ * @param {Object} payload - API page response
+ * @param {number} [storedAt]
+ * @param {Object} [piiScrubber] - compilePiiRules() output; the default rules when omitted
+ * @returns {{ meta: Object, page: Object }}
+ */
+export function buildPageCacheEntry(url, payload, storedAt = Date.now(), piiScrubber) {
+  const key = pageCacheKey(url);
+  const cachedPayload = {
+    current_page: payload?.current_page ?? null,
+    last_page: payload?.last_page ?? null,
+    next_page_url: payload?.next_page_url ?? null,
+    data: sanitizeRowsForWorker(Array.isArray(payload?.data) ? payload.data : [], piiScrubber),
+  };
+  const bytes = JSON.stringify(cachedPayload).length;
+  return {
+    meta: { key, storedAt, bytes },
+    page: { key, payload: cachedPayload },
+  };
+}
+
+export function isPageCacheEntryFresh(meta, ttlMs, now = Date.now()) {
+  return !!meta && Number.isFinite(meta.storedAt) && now - meta.storedAt <= ttlMs;
+}
+
+/**
+ * Pick entries to delete: everything expired, then oldest first until the
+ * remaining total fits under maxBytes.
+ *
+ * @param {Object[]} metas - { key, storedAt, bytes }
+ * @param {Object} options
+ * @param {number} options.ttlMs
+ * @param {number} options.maxBytes
+ * @param {number} [options.now]
+ * @returns {string[]} keys to evict
+ */
+export function selectPageCacheEvictions(metas, { ttlMs, maxBytes, now = Date.now() }) {
+  const evict = [];
+  const fresh = [];
+  for (const meta of metas || []) {
+    if (isPageCacheEntryFresh(meta, ttlMs, now)) fresh.push(meta);
+    else evict.push(meta.key);
+  }
+
+  let total = fresh.reduce((sum, meta) => sum + (meta.bytes || 0), 0);
+  fresh.sort((a, b) => a.storedAt - b.storedAt);
+  for (const meta of fresh) {
+    if (total <= maxBytes) break;
+    evict.push(meta.key);
+    total -= meta.bytes || 0;
+  }
+  return evict;
+}
+
+/**
+ * Totals for the cache manager.
+ */
+export function summarizePageCache(metas) {
+  let bytes = 0;
+  let oldestAt = null;
+  let newestAt = null;
+  for (const meta of metas || []) {
+    bytes += meta.bytes || 0;
+    if (oldestAt === null || meta.storedAt < oldestAt) oldestAt = meta.storedAt;
+    if (newestAt === null || meta.storedAt > newestAt) newestAt = meta.storedAt;
+  }
+  return { entries: metas?.length || 0, bytes, oldestAt, newestAt };
+}
+
+// ============================================================================
+// INDEXEDDB ACCESS
+// ============================================================================
+
+export function isPageCacheAvailable() {
+  return isIndexedDbAvailable();
+}
+
+const openDb = createDbOpener(DB_NAME, DB_VERSION, (db) => {
+  // Payloads and metadata live apart so pruning never loads row data
+  if (!db.objectStoreNames.contains(PAGES_STORE)) {
+    db.createObjectStore(PAGES_STORE, { keyPath: 'key' });
+  }
+  if (!db.objectStoreNames.contains(META_STORE)) {
+    db.createObjectStore(META_STORE, { keyPath: 'key' });
+  }
+});
+
+async function listMetas() {
+  const db = await openDb();
+  const tx = db.transaction(META_STORE, 'readonly');
+  return requestToPromise(tx.objectStore(META_STORE).getAll());
+}
+
+async function deleteKeys(keys) {
+  if (!keys.length) return;
+  const db = await openDb();
+  const tx = db.transaction([PAGES_STORE, META_STORE], 'readwrite');
+  const pages = tx.objectStore(PAGES_STORE);
+  const metas = tx.objectStore(META_STORE);
+  for (const key of keys) {
+    pages.delete(key);
+    metas.delete(key);
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Look up a cached page. Expired entries are treated as misses.
+ * @returns {Promise<Object|null>} scrubbed payload
+ */
+export async function getCachedPage(url, { ttlMs } = resolvePageCacheOptions()) {
+  const key = pageCacheKey(url);
+  const db = await openDb();
+  const tx = db.transaction([PAGES_STORE, META_STORE], 'readonly');
+  const [meta, page] = await Promise.all([
+    requestToPromise(tx.objectStore(META_STORE).get(key)),
+    requestToPromise(tx.objectStore(PAGES_STORE).get(key)),
+  ]);
+  if (!page || !isPageCacheEntryFresh(meta, ttlMs)) return null;
+  return page.payload;
+}
+
+/**
+ * Store a page (scrubbed via buildPageCacheEntry).
+ * @returns {Promise<number>} bytes written
+ */
+export async function putCachedPage(url, payload, piiScrubber) {
+  const { meta, page } = buildPageCacheEntry(url, payload, Date.now(), piiScrubber);
+  const db = await openDb();
+  const tx = db.transaction([PAGES_STORE, META_STORE], 'readwrite');
+  tx.objectStore(PAGES_STORE).put(page);
+  tx.objectStore(META_STORE).put(meta);
+  await transactionDone(tx);
+  return meta.bytes;
+}
+
+/**
+ * Drop expired entries and evict the oldest until under the size cap.
+ * @returns {Promise<number>} entries removed
+ */
+export async function prunePageCache(options = resolvePageCacheOptions()) {
+  const keys = selectPageCacheEvictions(await listMetas(), options);
+  await deleteKeys(keys);
+  return keys.length;
+}
+
+export async function getPageCacheStats() {
+  return summarizePageCache(await listMetas());
+}
+
+export async function clearPageCache() {
+  const db = await openDb();
+  const tx = db.transaction([PAGES_STORE, META_STORE], 'readwrite');
+  tx.objectStore(PAGES_STORE).clear();
+  tx.objectStore(META_STORE).clear();
+  await transactionDone(tx);
+}
+
+/**
+ * Per-run cache handle passed to createApiRunner({ pageCache }).
+ * Lookups and writes never fail a run: storage errors are reported once via
+ * onWarning and the page is fetched normally.
+ *
+ * @param {Object} [params]
+ * @param {number} [params.ttlHours]
+ * @param {number} [params.maxMegabytes]
+ * @param {Function} [params.onWarning]
+ * @param {Object} [params.piiScrubber] - compilePiiRules() output for the run
+ */
+export function createPageCache({ ttlHours, maxMegabytes, onWarning, piiScrubber } = {}) {
+  const options = resolvePageCacheOptions({ ttlHours, maxMegabytes });
+  const stats = { hits: 0, misses: 0, writes: 0 };
+  let warned = false;
+  let pendingBytes = 0;
+  let pruning = null;
+
+  const warnOnce = (err) => {
+    if (warned) return;
+    warned = true;
+    onWarning?.(`Page cache unavailable (${err?.message || err}); fetching from the API instead.`);
+  };
+
+  const prune = () => {
+    if (!pruning) {
+      pruning = prunePageCache(options)
+        .catch(warnOnce)
+        .finally(() => { pruning = null; });
+    }
+    return pruning;
+  };
+
+  return {
+    stats,
+    async get(url) {
+      try {
+        const payload = await getCachedPage(url, options);
+        if (payload) stats.hits += 1;
+        else stats.misses += 1;
+        return payload;
+      } catch (err) {
+        warnOnce(err);
+        stats.misses += 1;
+        return null;
+      }
+    },
+    async put(url, payload) {
+      try {
+        pendingBytes += await putCachedPage(url, payload, piiScrubber);
+        stats.writes += 1;
+        // Writes are checked against the cap in chunks rather than per page
+        if (pendingBytes >= options.maxBytes / 10) {
+          pendingBytes = 0;
+          await prune();
+        }
+      } catch (err) {
+        warnOnce(err);
+      }
+    },
+    prune,
+  };
+}
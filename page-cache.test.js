@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  pageCacheKey,
+  buildPageCacheEntry,
+  selectPageCacheEvictions,
+  summarizePageCache,
+  resolvePageCacheOptions,
+} from './page-cache.js';
+
+const url = 'https://acme.api.ymshub.com/api/v2/reports/driver_history?fac_code=FAC1&start_date=2025-01-01&end_date=2025-01-31&page=2';
+
+test('cache entries are keyed by URL and store scrubbed rows only', () => {
+  const { meta, page } = buildPageCacheEntry(url, {
+    current_page: 2,
+    last_page: 5,
+    next_page_url: 'https://next',
+    per_page: 100,
+    data: [{ driver_name: 'Pat', driver_cell: '555-0100', cell_phone: '' }],
+  }, 1000);
+
+  assert.equal(meta.key, url);
+  assert.equal(meta.storedAt, 1000);
+  assert.ok(meta.bytes > 0);
+  assert.deepEqual({ ...page.payload.data[0] }, { driver_name: 'Pat', driver_cell: true });
+  assert.ok(!JSON.stringify(page).includes('555-0100'), 'raw phone values never reach the cache');
+  assert.equal(page.payload.last_page, 5);
+  assert.ok(!('per_page' in page.payload));
+
+  assert.equal(pageCacheKey(`${url}&access_token=secret`), url);
+});
+
+test('eviction drops expired entries, then oldest until under the cap', () => {
+  const metas = [
+    { key: 'old', storedAt: 0, bytes: 10 },
+    { key: 'a', storedAt: 100, bytes: 40 },
+    { key: 'b', storedAt: 200, bytes: 40 },
+    { key: 'c', storedAt: 300, bytes: 40 },
+  ];
+  assert.deepEqual(selectPageCacheEvictions(metas, { ttlMs: 250, maxBytes: 1000, now: 300 }), ['old']);
+  assert.deepEqual(selectPageCacheEvictions(metas, { ttlMs: 1000, maxBytes: 80, now: 300 }), ['old', 'a']);
+  assert.deepEqual(summarizePageCache(metas), { entries: 4, bytes: 130, oldestAt: 0, newestAt: 300 });
+
+  const options = resolvePageCacheOptions({ ttlHours: 2, maxMegabytes: 'x' });
+  assert.equal(options.ttlMs, 2 * 60 * 60 * 1000);
+  assert.equal(options.maxBytes, 100 * 1024 * 1024);
+});
@@ -0,0 +1,188 @@
+/**
+ * Configurable PII scrubbing rules
+ *
+ * A rule matches either field names (target 'key') or text inside string
+ * values (target 'value'). Key rules drop the whole field; value rules replace
+ * each match with a "[redacted:<rule id>]" marker and keep the rest of the
+ * text. Value rules only read free-text fields (comments, notes, remarks):
+ * identifiers such as trailer numbers, SCACs and timestamps are never
+ * rewritten, since analyzers key on them. The same compiled rules run in sanitizeRowsForWorker (main thread,
+ * before rows cross to the worker or reach the page cache), normalizeRowStrict
+ * (worker and main-thread fallback) and CSV ingest, so every path scrubs alike.
+ *
+ * The phone/cell key rule is locked on: analyzers only ever see the presence
+ * flags derived from those fields. Scrubbed fields are counted per rule and
+ * field for the audit summary; the values themselves are never kept.
+ *
+ * Rule shape: { id, label, target: 'key'|'value', pattern, enabled }
+ * Patterns are case-insensitive regular expression sources.
+ */
+
+export const PII_RULE_TARGETS = {
+  key: 'Field name',
+  value: 'Value text',
+};
+
+export const LOCKED_PII_RULE_ID = 'phone_fields';
+
+export const DEFAULT_PII_RULES = [
+  { id: LOCKED_PII_RULE_ID, label: 'Phone / cell fields', target: 'key', pattern: 'cell|phone', enabled: true },
+  { id: 'email_fields', label: 'Email fields', target: 'key', pattern: 'e_?mail', enabled: true },
+  { id: 'license_fields', label: 'Driver license fields', target: 'key', pattern: 'licen[cs]e_?(number|no|num|id)|driver_?licen[cs]e|(^|_)dl(_?(number|no|num))?(_|$)', enabled: true },
+  { id: 'seal_fields', label: 'Seal number fields', target: 'key', pattern: '(^|_)seal', enabled: true },
+  // Off by default: comments are often the only place a row filter can key on
+  { id: 'comment_fields', label: 'Comment / note fields', target: 'key', pattern: 'comment|remark|(^|_)notes?(_|$)', enabled: false },
+  { id: 'email_values', label: 'Email addresses in text', target: 'value', pattern: '[a-z0-9._%+-]+@[a-z0-9-]+(\\.[a-z0-9-]+)+', enabled: true },
+  // Separators are required so bare 10-digit trailer / load numbers survive
+  { id: 'phone_values', label: 'Phone numbers in text', target: 'value', pattern: '(?<![\\d-])(\\+?1[\\s.-]?)?(\\(\\d{3}\\)\\s?|\\d{3}[\\s.-])\\d{3}[\\s.-]\\d{4}(?![\\d-])', enabled: true },
+  // Needs the word "license": a bare "DL" prefix is too common in equipment numbers
+  { id: 'license_values', label: 'License numbers in text', target: 'value', pattern: '\\b(driver\'?s?\\s+)?licen[cs]e\\s*(#|no\\.?|num(ber)?)?\\s*[:#]?\\s*(?=[a-z-]*\\d)[a-z0-9][a-z0-9-]{4,}', enabled: true },
+];
+
+const RULE_ID_RE = /^[a-z0-9_]+$/;
+// Fields value rules apply to; everything else is structured data
+const FREE_TEXT_FIELD_RE = /comment|remark|(^|_)notes?(_|$)/i;
+// Shorter values cannot hold an email, phone or license number
+const MIN_VALUE_SCRUB_LENGTH = 5;
+const MARKER_RE = /\[redacted:([a-z0-9_]+)\]/g;
+
+/**
+ * Compiles one pattern source; null when it is not a valid expression.
+ * @param {string} pattern
+ * @param {string} [flags]
+ * @returns {RegExp|null}
+ */
+export function compilePiiPattern(pattern, flags = 'i') {
+  if (typeof pattern !== 'string' || !pattern.trim()) return null;
+  try {
+    return new RegExp(pattern, flags);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether value rules read this field (comments, notes, remarks).
+ * @param {string} key
+ */
+export function isFreeTextField(key) {
+  return FREE_TEXT_FIELD_RE.test(key);
+}
+
+/**
+ * Problems with an edited rule list, as messages for the rules editor.
+ * @param {Array} rules
+ * @returns {string[]} empty when every rule can be used
+ */
+export function validatePiiRules(rules) {
+  if (!Array.isArray(rules)) return ['PII rules must be a list.'];
+  const errors = [];
+  for (const [i, rule] of rules.entries()) {
+    const label = String(rule?.label ?? '').trim() || `Rule ${i + 1}`;
+    if (!PII_RULE_TARGETS[rule?.target]) errors.push(`${label} needs a target (field name or value text).`);
+    if (!String(rule?.pattern ?? '').trim()) errors.push(`${label} needs a pattern.`);
+    else if (!compilePiiPattern(rule.pattern)) errors.push(`${label} has an invalid pattern.`);
+  }
+  return errors;
+}
+
+/**
+ * Keeps well-formed rules with valid patterns and unique ids. The locked
+ * phone/cell rule is always present and enabled.
+ * @param {Array} rules
+ * @returns {Array<{id: string, label: string, target: string, pattern: string, enabled: boolean}>}
+ */
+export function sanitizePiiRules(rules) {
+  const seen = new Set();
+  const clean = (Array.isArray(rules) ? rules : [])
+    .filter(r => r && typeof r.id === 'string' && RULE_ID_RE.test(r.id) && PII_RULE_TARGETS[r.target])
+    .filter(r => compilePiiPattern(r.pattern) && !seen.has(r.id) && seen.add(r.id))
+    .map(r => ({
+      id: r.id,
+      label: String(r.label ?? '').trim() || r.id,
+      target: r.target,
+      pattern: r.pattern,
+      enabled: r.id === LOCKED_PII_RULE_ID || r.enabled !== false,
+    }));
+  if (!seen.has(LOCKED_PII_RULE_ID)) clean.unshift({ ...DEFAULT_PII_RULES[0] });
+  return clean;
+}
+
+/**
+ * Builds the scrubber for a rule list (sanitized first; disabled rules skipped).
+ * @param {Array} [rules] - defaults to DEFAULT_PII_RULES
+ * @returns {{
+ *   keyRule: (key: string) => string|null,
+ *   scrubText: (text: string, onHit?: (ruleId: string) => void) => string
+ * }}
+ */
+export function compilePiiRules(rules = DEFAULT_PII_RULES) {
+  const active = sanitizePiiRules(rules).filter(r => r.enabled);
+  const keyRules = active.filter(r => r.target === 'key').map(r => ({ id: r.id, re: compilePiiPattern(r.pattern) }));
+  const valueRules = active.filter(r => r.target === 'value').map(r => ({ id: r.id, re: compilePiiPattern(r.pattern, 'gi') }));
+  // Rows share a handful of field names, so key lookups are memoized
+  const keyCache = new Map();
+
+  const keyRule = (key) => {
+    if (!keyCache.has(key)) keyCache.set(key, keyRules.find(r => r.re.test(key))?.id ?? null);
+    return keyCache.get(key);
+  };
+
+  const scrubText = (text, onHit) => {
+    if (text.length < MIN_VALUE_SCRUB_LENGTH) return text;
+    let out = text;
+    for (const { id, re } of valueRules) {
+      re.lastIndex = 0;
+      if (re.test(out)) out = out.replace(re, `[redacted:${id}]`);
+    }
+    // Count markers, including ones an earlier scrub pass (the main thread) left
+    if (onHit && out.includes('[redacted:')) {
+      for (const m of out.matchAll(MARKER_RE)) onHit(m[1]);
+    }
+    return out;
+  };
+
+  return { keyRule, scrubText };
+}
+
+/**
+ * Scrubs one row: key-rule fields are dropped and value rules rewrite
+ * free-text string values. Returns the clean row and the [ruleId, field] pairs scrubbed.
+ * @param {object} rawRow
+ * @param {object} scrubber - compilePiiRules() output
+ * @returns {{ row: object, hits: Array<[string, string]> }}
+ */
+export function scrubRow(rawRow, scrubber) {
+  const row = {};
+  const hits = [];
+  for (const k in rawRow) {
+    if (!Object.prototype.hasOwnProperty.call(rawRow, k)) continue;
+    const v = rawRow[k];
+    const ruleId = scrubber.keyRule(k);
+    if (ruleId) {
+      if (v !== null && v !== undefined && v !== '') hits.push([ruleId, k]);
+      continue;
+    }
+    row[k] = typeof v === 'string' && isFreeTextField(k) ? scrubber.scrubText(v, id => hits.push([id, k])) : v;
+  }
+  return { row, hits };
+}
+
+/**
+ * Joins the per-report `piiScrubbed` counts into audit rows, most scrubbed first.
+ * @param {object} results - report -> result
+ * @param {Array} [rules] - rule list, for labels
+ * @returns {{ rows: Array<{rule: string, label: string, target: string, report: string, field: string, values: number}>, total: number }}
+ */
+export function buildPiiAudit(results, rules = DEFAULT_PII_RULES) {
+  const byId = new Map((rules || []).map(r => [r.id, r]));
+  const rows = [];
+  for (const [report, result] of Object.entries(results || {})) {
+    for (const { rule, field, values } of result?.piiScrubbed || []) {
+      const def = byId.get(rule);
+      rows.push({ rule, label: def?.label || rule, target: def?.target || '', report, field, values });
+    }
+  }
+  rows.sort((a, b) => b.values - a.values || a.rule.localeCompare(b.rule) || a.field.localeCompare(b.field));
+  return { rows, total: rows.reduce((sum, r) => sum + r.values, 0) };
+}
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  DEFAULT_PII_RULES,
+  LOCKED_PII_RULE_ID,
+  sanitizePiiRules,
+  validatePiiRules,
+  compilePiiRules,
+  scrubRow,
+  buildPiiAudit,
+} from './pii-rules.js';
+
+test('default rules drop PII fields by name and keep operational ones', () => {
+  const scrubber = compilePiiRules();
+  assert.equal(scrubber.keyRule('driver_cell'), 'phone_fields');
+  assert.equal(scrubber.keyRule('Driver_Email'), 'email_fields');
+  assert.equal(scrubber.keyRule('driver_license_number'), 'license_fields');
+  assert.equal(scrubber.keyRule('dl_no'), 'license_fields');
+  assert.equal(scrubber.keyRule('seal_number'), 'seal_fields');
+  assert.equal(scrubber.keyRule('license_plate'), null);
+  assert.equal(scrubber.keyRule('comments'), null, 'comment fields are kept unless that rule is switched on');
+  assert.equal(scrubber.keyRule('scac'), null);
+});
+
+test('value rules redact emails, phone numbers and license numbers inside text', () => {
+  const hits = [];
+  const { scrubText } = compilePiiRules();
+  const text = 'Call Pat at (555) 123-4567 or pat@carrier.com, license # D1234567. Trailer 5551234567 at door 12.';
+  assert.equal(
+    scrubText(text, id => hits.push(id)),
+    'Call Pat at [redacted:phone_values] or [redacted:email_values], [redacted:license_values]. Trailer 5551234567 at door 12.'
+  );
+  assert.deepEqual(hits.sort(), ['email_values', 'license_values', 'phone_values']);
+
+  // Dates, times and plates without a number are left alone
+  assert.equal(scrubText('2025-01-06 08:00:00'), '2025-01-06 08:00:00');
+  assert.equal(scrubText('License plate missing'), 'License plate missing');
+  assert.equal(scrubText('Swapped to DL53021 at door 4'), 'Swapped to DL53021 at door 4', 'a bare DL prefix is not a license');
+  // Markers left by the main-thread pass are counted again by the worker pass
+  const recount = [];
+  scrubText('[redacted:email_values] ok', id => recount.push(id));
+  assert.deepEqual(recount, ['email_values']);
+});
+
+test('scrubRow drops key matches, rewrites free text and reports each hit', () => {
+  const raw = {
+    trailer: 'T100',
+    driver_email: 'ana@example.com',
+    seal_number: '',
+    driver_notes: 'Dispatcher jo@yard.io moved trailer',
+  };
+  const { row, hits } = scrubRow(raw, compilePiiRules());
+  assert.deepEqual(row, { trailer: 'T100', driver_notes: 'Dispatcher [redacted:email_values] moved trailer' });
+  assert.deepEqual(hits, [['email_fields', 'driver_email'], ['email_values', 'driver_notes']]);
+
+  // With the comment rule on, the whole note is dropped instead
+  const rules = DEFAULT_PII_RULES.map(r => (r.id === 'comment_fields' ? { ...r, enabled: true } : r));
+  const dropped = scrubRow(raw, compilePiiRules(rules));
+  assert.deepEqual(dropped.row, { trailer: 'T100' });
+  assert.deepEqual(dropped.hits, [['email_fields', 'driver_email'], ['comment_fields', 'driver_notes']]);
+});
+
+test('identifier and timestamp fields are never rewritten by value rules', () => {
+  const raw = {
+    trailer_number: 'DL53021',
+    trailer: 'DLTU123456',
+    scac: 'DLXP',
+    appointment_number: '555-123-4567',
+    arrival_time: '2025-01-06 08:00:00',
+    event: 'license 8842193 checked',
+    comments: 'License # D1234567, call 555-123-4567',
+  };
+  const { row, hits } = scrubRow(raw, compilePiiRules());
+  assert.deepEqual(row, { ...raw, comments: '[redacted:license_values], call [redacted:phone_values]' });
+  assert.deepEqual(hits, [['license_values', 'comments'], ['phone_values', 'comments']]);
+});
+
+test('rule lists are validated and sanitized, and the phone rule cannot be removed', () => {
+  const edited = [
+    { id: 'custom_1', label: 'Badge IDs', target: 'value', pattern: 'BADGE-\\d+', enabled: true },
+    { id: 'custom_2', label: 'Broken', target: 'value', pattern: '([', enabled: true },
+    { id: 'custom_3', label: '', target: 'key', pattern: '', enabled: true },
+  ];
+  assert.deepEqual(validatePiiRules(edited), ['Broken has an invalid pattern.', 'Rule 3 needs a pattern.']);
+
+  const clean = sanitizePiiRules([...edited, { ...DEFAULT_PII_RULES[1], enabled: false }]);
+  assert.deepEqual(clean.map(r => [r.id, r.enabled]), [[LOCKED_PII_RULE_ID, true], ['custom_1', true], ['email_fields', false]]);
+  assert.equal(sanitizePiiRules([{ ...DEFAULT_PII_RULES[0], enabled: false }])[0].enabled, true);
+
+  const scrubber = compilePiiRules(clean);
+  assert.equal(scrubber.keyRule('driver_phone'), LOCKED_PII_RULE_ID);
+  assert.equal(scrubber.keyRule('driver_email'), null, 'disabled rules do not scrub');
+  assert.equal(scrubber.scrubText('Gate badge-0042 scanned'), 'Gate [redacted:custom_1] scanned');
+});
+
+test('audit joins per-report counts without any values', () => {
+  const audit = buildPiiAudit({
+    driver_history: { piiScrubbed: [{ rule: 'email_fields', field: 'driver_email', values: 4 }] },
+    trailer_history: { piiScrubbed: [{ rule: 'phone_values', field: 'event', values: 9 }] },
+    current_inventory: { piiScrubbed: [] },
+  });
+  assert.equal(audit.total, 13);
+  assert.deepEqual(audit.rows, [
+    { rule: 'phone_values', label: 'Phone numbers in text', target: 'value', report: 'trailer_history', field: 'event', values: 9 },
+    { rule: 'email_fields', label: 'Email fields', target: 'key', report: 'driver_history', field: 'driver_email', values: 4 },
+  ]);
+});
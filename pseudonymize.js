@@ -0,0 +1,174 @@
+/**
+ * Presentation-safe pseudonymization of driver, user and carrier names
+ *
+ * Analyzers count every driver, user (processed_by / move_requested_by /
+ * username) and carrier (SCAC) name they read into `names` on their results.
+ * buildAliasMap() turns those counts into stable aliases ("Driver 07",
+ * "User 03", "Carrier 12"), numbered by row count so the busiest name in each
+ * category is 01. pseudonymizeResult() then returns a copy of any result with
+ * the names replaced, so everything rendered or exported from the copy shows
+ * aliases only.
+ *
+ * Only places known to hold names are rewritten, and only where the value is
+ * exactly a name as spelled in the data (case-sensitive):
+ * - name fields (driver, scac, processed_by, ...) in chart CSV rows,
+ *   drill-down records and profiles
+ * - keys of name-keyed maps (driverStats, carrierStats, carrierRecords)
+ * - labels and drill-down keys of charts whose first CSV column is a name field
+ * - findings / recommendations prose, only for the names a result lists in
+ *   `nameRefs`
+ * Other prose and structural keys (metrics, ids) are never touched, so a
+ * carrier called "LATE" does not rewrite "arriving late". Values without a
+ * letter (numeric driver IDs) are not treated as names.
+ */
+
+export const ALIAS_CATEGORIES = [
+  { key: 'driver', prefix: 'Driver' },
+  { key: 'user', prefix: 'User' },
+  { key: 'carrier', prefix: 'Carrier' },
+];
+
+// Fields whose string values are driver, user or carrier names
+const NAME_FIELDS = new Set([
+  'driver', 'driver_name', 'yard_driver_name', 'driver_username',
+  'scac', 'carrier', 'carrier_scac',
+  'processed_by', 'move_requested_by', 'requested_by', 'username', 'user_name', 'user',
+]);
+
+// Fields holding maps / objects keyed by name
+const NAME_KEYED_FIELDS = new Set(['driverStats', 'carrierStats', 'carrierRecords']);
+
+// Fields holding CounterMap.top() lists ({ key: name, value })
+const NAME_LIST_FIELDS = new Set(['topDrivers']);
+
+const HAS_LETTER_RE = /\p{L}/u;
+const ALIAS_RE = new RegExp(`^(${ALIAS_CATEGORIES.map(c => c.prefix).join('|')}) \\d{2,}$`);
+
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds the alias map from the `names` counts on any number of results.
+ * Names are matched as spelled (case-sensitive). A name seen in two
+ * categories keeps its alias from the first one (driver, then user, then
+ * carrier).
+ *
+ * @param {Array<object>|object} results - Results (array or report -> result)
+ * @returns {{
+ *   entries: Array<{category: string, alias: string, name: string, rows: number}>,
+ *   byName: Map<string, string>
+ * }}
+ */
+export function buildAliasMap(results) {
+  const counts = new Map(ALIAS_CATEGORIES.map(c => [c.key, new Map()]));
+  for (const result of Array.isArray(results) ? results : Object.values(results || {})) {
+    for (const [category, names] of Object.entries(result?.names || {})) {
+      const into = counts.get(category);
+      if (!into) continue;
+      for (const [name, rows] of Object.entries(names)) {
+        const key = String(name).trim();
+        if (!key || !HAS_LETTER_RE.test(key)) continue;
+        into.set(key, (into.get(key) || 0) + rows);
+      }
+    }
+  }
+
+  const entries = [];
+  const byName = new Map();
+  for (const { key: category, prefix } of ALIAS_CATEGORIES) {
+    const names = [...counts.get(category)]
+      .filter(([name]) => !byName.has(name))
+      .sort(([a, ra], [b, rb]) => rb - ra || a.localeCompare(b));
+    const width = Math.max(2, String(names.length).length);
+    names.forEach(([name, rows], i) => {
+      const alias = `${prefix} ${String(i + 1).padStart(width, '0')}`;
+      byName.set(name, alias);
+      entries.push({ category, alias, name, rows });
+    });
+  }
+
+  return { entries, byName };
+}
+
+/**
+ * Whether a value is an alias from buildAliasMap() ("Carrier 02").
+ * @param {string} value
+ */
+export function isAlias(value) {
+  return ALIAS_RE.test(value);
+}
+
+/**
+ * Alias for a value that is exactly a known name; other values are returned as-is.
+ * @param {string} text
+ * @param {object} aliasMap - buildAliasMap() output
+ */
+export function pseudonymizeText(text, aliasMap) {
+  if (typeof text !== 'string' || !aliasMap?.byName.size) return text;
+  return aliasMap.byName.get(text.trim()) ?? text;
+}
+
+/**
+ * Copy of a result (or any plain value) with names replaced where results
+ * hold them (see the module comment). The `names` counts are dropped.
+ * @param {*} value - A result, list of results, or part of one
+ * @param {object} aliasMap - buildAliasMap() output
+ */
+export function pseudonymizeResult(value, aliasMap) {
+  return walk(value, aliasMap, null);
+}
+
+function walk(value, aliasMap, field) {
+  if (typeof value === 'string') return NAME_FIELDS.has(field) ? pseudonymizeText(value, aliasMap) : value;
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(v => walk(v, aliasMap, field));
+  if (value instanceof Map) return new Map([...value].map(([k, v]) => [k, walk(v, aliasMap, null)]));
+  if (!isPlainObject(value)) return value;
+
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (k === 'names') continue;
+    if (NAME_KEYED_FIELDS.has(k)) out[k] = renameKeys(v, aliasMap);
+    else if (NAME_LIST_FIELDS.has(k) && Array.isArray(v)) {
+      out[k] = v.map(item => (isPlainObject(item) ? { ...walk(item, aliasMap, null), key: pseudonymizeText(item.key, aliasMap) } : item));
+    } else out[k] = walk(v, aliasMap, k);
+  }
+
+  // Charts keyed by name: labels and drill-down keys are names too
+  if (NAME_FIELDS.has(value.csv?.columns?.[0])) {
+    if (Array.isArray(out.data?.labels)) out.data = { ...out.data, labels: out.data.labels.map(l => pseudonymizeText(l, aliasMap)) };
+    if (out.drilldown?.byLabel) out.drilldown = { ...out.drilldown, byLabel: renameKeys(out.drilldown.byLabel, aliasMap) };
+  }
+
+  // Prose only has the names the result declares replaced
+  if (Array.isArray(value.nameRefs) && value.nameRefs.length) {
+    const replace = replacerFor(value.nameRefs, aliasMap);
+    if (Array.isArray(out.findings)) out.findings = out.findings.map(f => (typeof f?.text === 'string' ? { ...f, text: replace(f.text) } : f));
+    if (Array.isArray(out.recommendations)) out.recommendations = out.recommendations.map(r => (typeof r === 'string' ? replace(r) : r));
+    out.nameRefs = value.nameRefs.map(n => pseudonymizeText(n, aliasMap));
+  }
+  return out;
+}
+
+function isPlainObject(value) {
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+// Keys of a name-keyed object or Map; values are walked as usual
+function renameKeys(value, aliasMap) {
+  if (value instanceof Map) {
+    return new Map([...value].map(([k, v]) => [typeof k === 'string' ? pseudonymizeText(k, aliasMap) : k, walk(v, aliasMap, null)]));
+  }
+  if (value === null || typeof value !== 'object' || !isPlainObject(value)) return walk(value, aliasMap, null);
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[pseudonymizeText(k, aliasMap)] = walk(v, aliasMap, null);
+  return out;
+}
+
+// Whole-word, case-sensitive replacement of the given names in prose
+function replacerFor(names, aliasMap) {
+  const known = names.filter(n => typeof n === 'string' && aliasMap.byName.has(n.trim())).map(n => n.trim());
+  if (!known.length) return text => text;
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${known.sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}_])`, 'gu');
+  return text => text.replace(pattern, match => aliasMap.byName.get(match));
+}
@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { buildAliasMap, pseudonymizeText, pseudonymizeResult } from './pseudonymize.js';
+import { createAnalyzers } from './analysis.js?v=2025.01.07.0';
+import { buildCarrierScorecard } from './carrier-scorecard.js';
+
+// `names` as analyzers put them on results: category -> name -> rows
+const results = {
+  driver_history: { names: { driver: { 'Ana Maria': 3, Ben: 12, '4411': 50 } } },
+  dockdoor_history: { names: { user: { jsmith: 40, Ben: 1 } } },
+  trailer_history: { names: { carrier: { ABCD: 9, wxyz: 2 }, user: { jsmith: 5, JSMITH: 1 } } },
+};
+
+test('aliases are numbered by rows per category and merged across reports', () => {
+  const aliasMap = buildAliasMap(results);
+  assert.deepEqual(aliasMap.entries, [
+    { category: 'driver', alias: 'Driver 01', name: 'Ben', rows: 12 },
+    { category: 'driver', alias: 'Driver 02', name: 'Ana Maria', rows: 3 },
+    { category: 'user', alias: 'User 01', name: 'jsmith', rows: 45 },
+    { category: 'user', alias: 'User 02', name: 'JSMITH', rows: 1 },
+    { category: 'carrier', alias: 'Carrier 01', name: 'ABCD', rows: 9 },
+    { category: 'carrier', alias: 'Carrier 02', name: 'wxyz', rows: 2 },
+  ], 'numeric IDs are skipped, spellings are kept apart and a name already aliased as a driver keeps that alias');
+  assert.deepEqual(buildAliasMap([{}, null]).entries, []);
+});
+
+test('text is replaced only when it is exactly a name as spelled', () => {
+  const aliasMap = buildAliasMap(results);
+  assert.equal(pseudonymizeText(' Ben ', aliasMap), 'Driver 01');
+  assert.equal(pseudonymizeText('ben', aliasMap), 'ben');
+  assert.equal(pseudonymizeText('Ben follows', aliasMap), 'Ben follows', 'prose is not searched');
+  assert.equal(pseudonymizeText('4411', aliasMap), '4411');
+  assert.equal(pseudonymizeText('anything', buildAliasMap({})), 'anything');
+});
+
+test('results are copied with names replaced in name fields, name-keyed maps and name charts', () => {
+  const aliasMap = buildAliasMap(results);
+  const result = {
+    names: results.driver_history.names,
+    metrics: { moves_total: 15 },
+    driverStats: { Ben: { moves: 12 }, 'Ana Maria': { moves: 3 } },
+    topDrivers: [{ key: 'Ben', value: 12 }],
+    charts: [{
+      data: { labels: ['Ben', 'Ana Maria'], datasets: [{ label: 'Moves', data: [12, 3] }] },
+      csv: { columns: ['driver', 'moves'], rows: [{ driver: 'Ben', moves: 12 }] },
+      drilldown: { byLabel: { Ben: [{ trailer: 'T1', scac: 'ABCD', event: 'Moved by Ben' }] } },
+    }],
+  };
+  const copy = pseudonymizeResult(result, aliasMap);
+
+  assert.equal(copy.names, undefined);
+  assert.deepEqual(copy.metrics, { moves_total: 15 });
+  assert.deepEqual(Object.keys(copy.driverStats), ['Driver 01', 'Driver 02']);
+  assert.deepEqual(copy.topDrivers, [{ key: 'Driver 01', value: 12 }]);
+  assert.deepEqual(copy.charts[0].data.labels, ['Driver 01', 'Driver 02']);
+  assert.deepEqual(copy.charts[0].csv.rows[0], { driver: 'Driver 01', moves: 12 });
+  assert.deepEqual(copy.charts[0].drilldown.byLabel, {
+    'Driver 01': [{ trailer: 'T1', scac: 'Carrier 01', event: 'Moved by Ben' }],
+  });
+  assert.equal(result.charts[0].data.labels[0], 'Ben', 'the original is not modified');
+});
+
+test('names that are also words or metric keys leave prose and structure alone', () => {
+  const aliasMap = buildAliasMap({
+    trailer_history: { names: { carrier: { LATE: 4, ABCD: 3, MOVE: 1 }, user: { unknown: 2 } } },
+  });
+  const result = {
+    metrics: { unknown: 7, late: 2 },
+    findings: [
+      { level: 'yellow', text: 'Trailers arriving late at door 4.' },
+      { level: 'green', text: 'Move has been finished.' },
+    ],
+    recommendations: ['Review LATE and ABCD gate instructions; trailers arriving late.'],
+    nameRefs: ['LATE', 'ABCD'],
+    charts: [{
+      data: { labels: ['unknown', 'LATE'] },
+      csv: { columns: ['status', 'count'], rows: [{ status: 'unknown', count: 2 }] },
+    }],
+  };
+  const copy = pseudonymizeResult(result, aliasMap);
+
+  assert.deepEqual(copy.metrics, { unknown: 7, late: 2 });
+  assert.deepEqual(copy.findings.map(f => f.text), ['Trailers arriving late at door 4.', 'Move has been finished.']);
+  assert.deepEqual(copy.recommendations, ['Review Carrier 01 and Carrier 02 gate instructions; trailers arriving late.']);
+  assert.deepEqual(copy.nameRefs, ['Carrier 01', 'Carrier 02']);
+  assert.deepEqual(copy.charts[0].data.labels, ['unknown', 'LATE'], 'charts not keyed by a name field keep their labels');
+  assert.deepEqual(copy.charts[0].csv.rows, [{ status: 'unknown', count: 2 }]);
+});
+
+test('mixed-case SCACs are aliased in carrierStats and in the carrier scorecard', () => {
+  const { trailer_history: analyzer } = createAnalyzers({ timezone: 'UTC' });
+  for (const [scac, events] of [['Abcd', 5], ['WXYZ', 3], ['abcd', 1]]) {
+    for (let i = 0; i < events; i++) {
+      analyzer.tallyCarrier(scac, null, { trailer_events: 1, lost_events: 1 });
+      analyzer.tallyName('carrier', scac);
+    }
+  }
+  const result = { report: 'trailer_history', names: analyzer.namesFrom(), carrierStats: analyzer.carrierStatsFrom() };
+  assert.deepEqual(result.names, { carrier: { ABCD: 6, WXYZ: 3 } }, 'names are counted under the carrierStats key');
+
+  const copy = pseudonymizeResult(result, buildAliasMap([result]));
+  assert.deepEqual(Object.keys(copy.carrierStats), ['Carrier 01', 'Carrier 02']);
+
+  const scorecard = buildCarrierScorecard([copy]);
+  assert.deepEqual(scorecard.rows.map(r => r.carrier), ['Carrier 01', 'Carrier 02']);
+  assert.deepEqual(scorecard.csv.rows.map(r => r.carrier), ['Carrier 01', 'Carrier 02']);
+  assert.equal(scorecard.findings[0].text, 'Worst carriers overall: Carrier 01 (score 100), Carrier 02 (score 50).');
+});
@@ -0,0 +1,114 @@
+/**
+ * Duplicate-row detection for CSV imports
+ *
+ * Overlapping exports (e.g. a monthly file plus a quarterly file) repeat the
+ * same moves, detentions and turns. Each normalized row gets a stable key from
+ * report-specific identity fields; a row whose key was already ingested from an
+ * earlier file of the same report is dropped. Repeats inside one file are kept,
+ * since a single export never lists the same record twice on purpose.
+ *
+ * Keys are stored as 53-bit numbers built from two fnv1a32 hashes, so memory
+ * stays bounded (no key strings are retained) and false matches are negligible
+ * even across millions of rows. Past maxKeys, new keys are no longer tracked.
+ */
+
+import { fnv1a32 } from './analysis.js?v=2025.01.07.0';
+
+/**
+ * Normalized fields that identify one record, per report.
+ * _facility keeps identical moves at different sites apart.
+ */
+export const DEDUP_KEY_FIELDS = {
+  current_inventory: ['_facility', 'trailer_number', 'scac', 'timezone_arrival_time', 'drop_spot'],
+  detention_history: ['_facility', 'trailer_number', 'appointment_number', 'arrival_time', 'detention_start_time'],
+  dockdoor_history: ['_facility', 'dock_door', 'trailer_number', 'dwell_start_time', 'process_start_time'],
+  driver_history: ['_facility', 'yard_driver_name', 'trailer_number', 'event', 'request_time', 'complete_time'],
+  trailer_history: ['_facility', 'trailer_number', 'event', 'event_time', 'start_location'],
+};
+
+// Tracked keys per report before deduplication stops (~45 MB at the cap)
+export const DEDUP_MAX_KEYS = 1_000_000;
+
+const SECOND_SEED = 0x01000193;
+const LOW_BITS = 2 ** 21;
+
+/**
+ * Builds the identity key for a normalized row, or null when the row has no
+ * identifying values (such rows are never treated as duplicates).
+ * @param {object} row - Row after normalizeCSVRow
+ * @param {string} reportType
+ * @returns {string|null}
+ */
+export function buildRowDedupKey(row, reportType) {
+  const fields = DEDUP_KEY_FIELDS[reportType];
+  if (!fields || !row) return null;
+
+  let identified = false;
+  const parts = fields.map((field) => {
+    const value = row[field];
+    if (value === undefined || value === null || value === '') return '';
+    if (field !== '_facility') identified = true;
+    return value instanceof Date ? value.toISOString() : String(value).trim().toLowerCase();
+  });
+  return identified ? parts.join('\u001f') : null;
+}
+
+/**
+ * Hashes a key into a 53-bit integer: 32 bits from one fnv1a32 pass and 21
+ * from a second, differently seeded pass.
+ */
+export function hashDedupKey(key) {
+  return fnv1a32(key) * LOW_BITS + (fnv1a32(key, SECOND_SEED) % LOW_BITS);
+}
+
+/**
+ * Creates a per-report deduplicator. Call startFile() before each file's rows.
+ *
+ * @param {object} [options]
+ * @param {string} options.reportType
+ * @param {number} [options.maxKeys]
+ * @returns {{startFile: function, isDuplicate: function, stats: object}}
+ */
+export function createRowDeduper({ reportType, maxKeys = DEDUP_MAX_KEYS } = {}) {
+  const firstFile = new Map(); // key hash -> index of the file that introduced it
+  const stats = { duplicates: 0, duplicatesByFile: {}, tracked: 0, saturated: false };
+  let fileIndex = -1;
+  let currentFileId = null;
+
+  return {
+    stats,
+
+    startFile(fileId) {
+      fileIndex++;
+      currentFileId = fileId;
+      stats.duplicatesByFile[fileId] = 0;
+    },
+
+    /**
+     * Records the row and reports whether an earlier file already had it.
+     * @param {object} row - Normalized row
+     * @returns {boolean}
+     */
+    isDuplicate(row) {
+      const key = buildRowDedupKey(row, reportType);
+      if (key === null) return false;
+
+      const hash = hashDedupKey(key);
+      const owner = firstFile.get(hash);
+      if (owner === undefined) {
+        if (firstFile.size < maxKeys) {
+          firstFile.set(hash, fileIndex);
+          stats.tracked = firstFile.size;
+        } else {
+          stats.saturated = true;
+        }
+        return false;
+      }
+      if (owner === fileIndex) return false;
+
+      stats.duplicates++;
+      stats.duplicatesByFile[currentFileId] = (stats.duplicatesByFile[currentFileId] || 0) + 1;
+      return true;
+    },
+  };
+}
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { buildRowDedupKey, hashDedupKey, createRowDeduper } from './row-dedup.js';
+
+test('dedup keys use report identity fields and skip unidentifiable rows', () => {
+  const row = { _facility: 'DC1', trailer_number: 'T1 ', event: 'Check In', event_time: '01-15-2025 08:30', username: 'a' };
+  assert.equal(
+    buildRowDedupKey(row, 'trailer_history'),
+    buildRowDedupKey({ ...row, trailer_number: 't1', username: 'b' }, 'trailer_history'),
+    'case, whitespace and non-key fields are ignored'
+  );
+  assert.notEqual(buildRowDedupKey(row, 'trailer_history'), buildRowDedupKey({ ...row, _facility: 'DC2' }, 'trailer_history'));
+  assert.equal(buildRowDedupKey({ _facility: 'DC1', comments: 'x' }, 'trailer_history'), null);
+  assert.equal(buildRowDedupKey(row, 'unknown_report'), null);
+
+  const hash = hashDedupKey(buildRowDedupKey(row, 'trailer_history'));
+  assert.ok(Number.isSafeInteger(hash) && hash > 2 ** 32);
+});
+
+test('rows repeated from an earlier file are dropped; repeats within a file are kept', () => {
+  const deduper = createRowDeduper({ reportType: 'dockdoor_history' });
+  const turn = (door, start) => ({ dock_door: door, trailer_number: 'T9', dwell_start_time: start });
+
+  deduper.startFile('monthly');
+  assert.equal(deduper.isDuplicate(turn('D1', '01-02-2025 08:00')), false);
+  assert.equal(deduper.isDuplicate(turn('D1', '01-02-2025 08:00')), false);
+  assert.equal(deduper.isDuplicate(turn('D2', '01-03-2025 09:00')), false);
+
+  deduper.startFile('quarterly');
+  assert.equal(deduper.isDuplicate(turn('D1', '01-02-2025 08:00')), true);
+  assert.equal(deduper.isDuplicate(turn('D2', '01-03-2025 09:00')), true);
+  assert.equal(deduper.isDuplicate(turn('D3', '03-01-2025 10:00')), false);
+
+  assert.equal(deduper.stats.duplicates, 2);
+  assert.deepEqual(deduper.stats.duplicatesByFile, { monthly: 0, quarterly: 2 });
+});
+
+test('deduper stops tracking new keys at the cap', () => {
+  const deduper = createRowDeduper({ reportType: 'trailer_history', maxKeys: 2 });
+  deduper.startFile('a');
+  ['T1', 'T2', 'T3'].forEach(t => deduper.isDuplicate({ trailer_number: t }));
+  deduper.startFile('b');
+  assert.equal(deduper.isDuplicate({ trailer_number: 'T1' }), true);
+  assert.equal(deduper.isDuplicate({ trailer_number: 'T3' }), false, 'untracked keys are never dropped');
+  assert.equal(deduper.stats.saturated, true);
+  assert.equal(deduper.stats.tracked, 2);
+});
@@ -0,0 +1,142 @@
+/**
+ * Row-level filters applied before analysis
+ *
+ * Each filter excludes the rows it matches: "exclude <report> rows where
+ * <field> <operator> <value>" (e.g. SCAC is one of TEST, XXXX). Fields are
+ * the normalized field names from CSV_FIELD_MAPS, which API rows share, so one
+ * filter list applies to CSV and API runs alike. Comparisons ignore case and
+ * surrounding whitespace. A row is excluded when any filter matches it.
+ * Filters scoped to all reports only apply to reports and rows that have the
+ * field.
+ *
+ * Filter shape: { report: 'all'|reportType, field, operator, value }
+ * Pure helpers only - the filter builder UI lives in app.js.
+ */
+
+import { CSV_FIELD_MAPS } from './csv-parser.js';
+
+export const FILTER_OPERATORS = {
+  equals: 'is',
+  not_equals: 'is not',
+  in: 'is one of',
+  contains: 'contains',
+  starts_with: 'starts with',
+  empty: 'is empty',
+  not_empty: 'is not empty',
+};
+
+// Operators that take no value
+const VALUELESS_OPERATORS = new Set(['empty', 'not_empty']);
+
+// Split date/time columns are only raw CSV parts, and contact fields are PII
+const HIDDEN_FIELD_RE = /^csv_|cell|phone/i;
+
+/**
+ * Filterable fields for one report, or for every report with 'all'.
+ * @param {string} report - reportType or 'all'
+ * @returns {string[]} sorted field names
+ */
+export function filterFieldsFor(report) {
+  const maps = report === 'all' ? Object.values(CSV_FIELD_MAPS) : [CSV_FIELD_MAPS[report] || {}];
+  const fields = new Set();
+  for (const map of maps) {
+    for (const field of Object.values(map)) {
+      if (!HIDDEN_FIELD_RE.test(field)) fields.add(field);
+    }
+  }
+  return [...fields].sort();
+}
+
+function normalizeValue(value) {
+  return value === undefined || value === null ? '' : String(value).trim().toLowerCase();
+}
+
+/**
+ * Drops malformed filters (unknown operator, no field, no value where one is
+ * needed), e.g. from an imported assessment.
+ * @param {Array} filters
+ * @returns {Array<{report: string, field: string, operator: string, value: string}>}
+ */
+export function sanitizeRowFilters(filters) {
+  if (!Array.isArray(filters)) return [];
+  return filters
+    .filter(f => f && typeof f.field === 'string' && f.field && FILTER_OPERATORS[f.operator])
+    .map(f => ({
+      report: typeof f.report === 'string' && f.report ? f.report : 'all',
+      field: f.field,
+      operator: f.operator,
+      value: VALUELESS_OPERATORS.has(f.operator) ? '' : String(f.value ?? '').trim(),
+    }))
+    .filter(f => VALUELESS_OPERATORS.has(f.operator) || f.value !== '');
+}
+
+function compileMatcher({ field, operator, value }) {
+  const target = normalizeValue(value);
+  const list = operator === 'in' ? target.split(',').map(s => s.trim()).filter(Boolean) : null;
+  return (row) => {
+    const actual = normalizeValue(row[field]);
+    switch (operator) {
+      case 'equals': return actual === target;
+      case 'not_equals': return actual !== target;
+      case 'in': return list.includes(actual);
+      case 'contains': return actual.includes(target);
+      case 'starts_with': return actual.startsWith(target);
+      case 'empty': return actual === '';
+      case 'not_empty': return actual !== '';
+      default: return false;
+    }
+  };
+}
+
+/**
+ * Compiles filters into one predicate. Returns null when there is nothing to
+ * filter, so callers can skip the check entirely.
+ *
+ * @param {Array} filters
+ * @returns {((row: object, report: string) => boolean)|null} true = exclude the row
+ */
+export function compileRowFilters(filters) {
+  const clean = sanitizeRowFilters(filters);
+  if (clean.length === 0) return null;
+  const compiled = clean.map(f => ({
+    report: f.report,
+    field: f.field,
+    reportsWithField: f.report === 'all' ? reportsWithField(f.field) : null,
+    matches: compileMatcher(f),
+  }));
+  return (row, report) => {
+    if (!row) return false;
+    for (const f of compiled) {
+      if (appliesTo(f, row, report) && f.matches(row)) return true;
+    }
+    return false;
+  };
+}
+
+function reportsWithField(field) {
+  return new Set(Object.keys(CSV_FIELD_MAPS).filter(report => Object.values(CSV_FIELD_MAPS[report]).includes(field)));
+}
+
+// An 'all' filter skips reports without its field; otherwise a missing field
+// would read as '' and "is not" / "is empty" would exclude every row
+function appliesTo(f, row, report) {
+  if (f.report !== 'all') return f.report === report;
+  if (CSV_FIELD_MAPS[report] && !f.reportsWithField.has(report)) return false;
+  return f.field in row;
+}
+
+/**
+ * Human-readable filter, e.g. "trailer_history: exclude scac is one of TEST, XXXX".
+ */
+export function describeRowFilter(filter) {
+  const scope = filter.report === 'all' ? 'All reports' : filter.report;
+  const value = VALUELESS_OPERATORS.has(filter.operator) ? '' : ` ${filter.value}`;
+  return `${scope}: exclude ${filter.field} ${FILTER_OPERATORS[filter.operator] || filter.operator}${value}`;
+}
+
+/**
+ * Whether an operator takes a value (for the filter builder).
+ */
+export function operatorTakesValue(operator) {
+  return !VALUELESS_OPERATORS.has(operator);
+}
@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { compileRowFilters, sanitizeRowFilters, describeRowFilter, filterFieldsFor, operatorTakesValue } from './row-filters.js';
+
+test('filters exclude matching rows, scoped by report', () => {
+  const excludeRow = compileRowFilters([
+    { report: 'all', field: 'scac', operator: 'in', value: 'TEST, xxxx' },
+    { report: 'dockdoor_history', field: 'door_name', operator: 'starts_with', value: 'zone c' },
+    { report: 'driver_history', field: 'move_type_name', operator: 'empty' },
+  ]);
+
+  assert.equal(excludeRow({ scac: ' test ' }, 'trailer_history'), true, 'case and whitespace are ignored');
+  assert.equal(excludeRow({ scac: 'XXXX' }, 'detention_history'), true);
+  assert.equal(excludeRow({ scac: 'ABCD' }, 'detention_history'), false);
+  assert.equal(excludeRow({ door_name: 'Zone C-12' }, 'dockdoor_history'), true);
+  assert.equal(excludeRow({ door_name: 'Zone C-12' }, 'trailer_history'), false, 'other reports are untouched');
+  assert.equal(excludeRow({ move_type_name: '' }, 'driver_history'), true);
+  assert.equal(excludeRow({ move_type_name: 'Pull' }, 'driver_history'), false);
+  assert.equal(excludeRow(null, 'driver_history'), false);
+
+  const keepOnly = compileRowFilters([{ report: 'all', field: 'facility', operator: 'not_equals', value: 'FAC1' }]);
+  assert.equal(keepOnly({ facility: 'FAC2' }, 'trailer_history'), true);
+  assert.equal(keepOnly({ facility: 'fac1' }, 'trailer_history'), false);
+  assert.equal(compileRowFilters([{ report: 'all', field: 'event', operator: 'contains', value: 'lost' }])({ event: 'Marked Lost' }), true);
+});
+
+test('filters for all reports skip reports and rows without the field', () => {
+  const excludeRow = compileRowFilters([
+    { report: 'all', field: 'event', operator: 'not_equals', value: 'Arrived' },
+    { report: 'all', field: 'move_type_name', operator: 'empty' },
+  ]);
+
+  assert.equal(excludeRow({ event: 'Departed', move_type_name: 'Pull' }, 'trailer_history'), true);
+  assert.equal(excludeRow({ event: 'Arrived', move_type_name: 'Pull' }, 'trailer_history'), false);
+  assert.equal(excludeRow({ move_type_name: 'Live' }, 'current_inventory'), false, 'current_inventory has no event field');
+  assert.equal(excludeRow({ event: 'Arrived', move_type_name: '' }, 'driver_history'), false, 'driver_history has no move_type_name field');
+  assert.equal(excludeRow({ event: 'Arrived' }, 'trailer_history'), false, 'a row without the key is not "empty"');
+  assert.equal(excludeRow({ event: 'Arrived', move_type_name: ' ' }, 'trailer_history'), true);
+});
+
+test('incomplete filters are dropped and filters describe themselves', () => {
+  assert.equal(compileRowFilters([]), null);
+  assert.equal(compileRowFilters([{ field: 'scac', operator: 'equals', value: '  ' }]), null, 'blank value');
+  assert.deepEqual(sanitizeRowFilters([
+    { field: 'scac', operator: 'bogus', value: 'X' },
+    { field: '', operator: 'equals', value: 'X' },
+    { field: 'scac', operator: 'not_empty', value: 'ignored' },
+    { report: 'trailer_history', field: 'event', operator: 'equals', value: ' Arrived ' },
+  ]), [
+    { report: 'all', field: 'scac', operator: 'not_empty', value: '' },
+    { report: 'trailer_history', field: 'event', operator: 'equals', value: 'Arrived' },
+  ]);
+
+  assert.equal(describeRowFilter({ report: 'all', field: 'scac', operator: 'in', value: 'TEST, XXXX' }), 'All reports: exclude scac is one of TEST, XXXX');
+  assert.equal(describeRowFilter({ report: 'driver_history', field: 'move_type_name', operator: 'empty', value: '' }), 'driver_history: exclude move_type_name is empty');
+  assert.equal(operatorTakesValue('empty'), false);
+  assert.equal(operatorTakesValue('in'), true);
+});
+
+test('filterable fields come from the CSV field maps without raw parts or contact fields', () => {
+  const trailer = filterFieldsFor('trailer_history');
+  assert.ok(trailer.includes('scac'));
+  assert.ok(trailer.includes('event'));
+  const all = filterFieldsFor('all');
+  assert.ok(all.length > trailer.length);
+  assert.ok(all.every(f => !/^csv_|cell|phone/i.test(f)));
+  assert.deepEqual(filterFieldsFor('no_such_report'), []);
+});
@@ -0,0 +1,112 @@
+/**
+ * Run checkpoints
+ *
+ * Tracks which API pages have been fully ingested per report/facility so a failed
+ * run can resume from the last good page instead of starting over.
+ *
+ * A checkpoint pairs that page ledger with serialized analyzer state captured at the
+ * same moment (between page ingestions), so a resumed page is never counted twice.
+ * Pure functions only - fetching lives in api.js, UI wiring in app.js.
+ */
+
+// How often analyzer state is snapshotted while a run is healthy
+export const CHECKPOINT_INTERVAL_MS = 5000;
+
+/**
+ * Ledger shape: report -> facility -> { done: number[], lastPage: number, rows: number, pageRows }
+ * where pageRows is page -> rows ingested from that page.
+ * @param {Object|null} [from] - existing ledger to continue (e.g. from a checkpoint)
+ */
+export function createPageLedger(from = null) {
+  return from ? JSON.parse(JSON.stringify(from)) : {};
+}
+
+/**
+ * Record a page whose rows have all been ingested by the analyzers.
+ */
+export function markPageIngested(ledger, { report, facility, page, lastPage, rowCount = 0 }) {
+  if (!report || !facility || !Number.isInteger(page)) return;
+  if (!ledger[report]) ledger[report] = {};
+  const entry = ledger[report][facility] || (ledger[report][facility] = { done: [], lastPage: 0, rows: 0, pageRows: {} });
+  if (entry.done.includes(page)) return;
+  entry.done.push(page);
+  entry.rows += rowCount;
+  (entry.pageRows ??= {})[page] = rowCount;
+  if (Number.isFinite(lastPage) && lastPage > 0) entry.lastPage = lastPage;
+}
+
+/**
+ * Union of two ledgers from workers that ingested different pages (pooled runs).
+ * Only rows from pages the first ledger lacks are added. Returns a new ledger;
+ * inputs are not modified.
+ */
+export function mergePageLedgers(a, b) {
+  const merged = createPageLedger(a);
+  for (const [report, byFacility] of Object.entries(b || {})) {
+    for (const [facility, entry] of Object.entries(byFacility || {})) {
+      if (!merged[report]) merged[report] = {};
+      const target = merged[report][facility] || (merged[report][facility] = { done: [], lastPage: 0, rows: 0, pageRows: {} });
+      const added = entry.done.filter(page => !target.done.includes(page));
+      target.done.push(...added);
+      target.rows += addedRows(entry, added);
+      target.pageRows ??= {};
+      for (const page of added) {
+        if (entry.pageRows?.[page] !== undefined) target.pageRows[page] = entry.pageRows[page];
+      }
+      target.lastPage = Math.max(target.lastPage, entry.lastPage || 0);
+    }
+  }
+  return merged;
+}
+
+// Rows from the given pages of a ledger entry. Entries saved before per-page
+// counts were kept spread their rows evenly over their pages.
+function addedRows(entry, pages) {
+  if (!pages.length) return 0;
+  if (entry.pageRows) return pages.reduce((sum, page) => sum + (entry.pageRows[page] || 0), 0);
+  return pages.length === entry.done.length ? entry.rows : Math.round((entry.rows * pages.length) / entry.done.length);
+}
+
+/**
+ * Pages already ingested for one report/facility, in the shape createApiRunner's
+ * `resume` option expects.
+ */
+export function resumeEntryFor(ledger, report, facility) {
+  const entry = ledger?.[report]?.[facility];
+  if (!entry || !entry.done.length) return null;
+  return { done: entry.done.slice(), lastPage: entry.lastPage, rows: entry.rows };
+}
+
+/**
+ * Totals across the ledger: pages ingested and pages known to exist.
+ */
+export function summarizeLedger(ledger) {
+  let donePages = 0;
+  let knownPages = 0;
+  for (const byFacility of Object.values(ledger || {})) {
+    for (const entry of Object.values(byFacility || {})) {
+      donePages += entry.done.length;
+      knownPages += Math.max(entry.lastPage || 0, entry.done.length);
+    }
+  }
+  return { donePages, knownPages };
+}
+
+/**
+ * Build a resumable checkpoint. The API token is never included.
+ * @param {Object} params
+ * @param {Object} params.inputs - run inputs (tenant, facilities, dates, reports, ...)
+ * @param {Object} params.ledger - page ledger captured with the analyzer state
+ * @param {Object} params.analyzers - serializeAnalyzers() output
+ * @param {string} [params.error] - why the run stopped
+ */
+export function createRunCheckpoint({ inputs, ledger, analyzers, error = null }) {
+  const { token, ...safeInputs } = inputs || {};
+  return {
+    inputs: JSON.parse(JSON.stringify(safeInputs)),
+    ledger: createPageLedger(ledger),
+    analyzers,
+    error,
+    takenAt: Date.now(),
+  };
+}
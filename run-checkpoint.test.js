@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createPageLedger, markPageIngested, resumeEntryFor, summarizeLedger, createRunCheckpoint } from './run-checkpoint.js';
+
+test('ledger records each ingested page once', () => {
+  const ledger = createPageLedger();
+  markPageIngested(ledger, { report: 'driver_history', facility: 'FAC1', page: 1, lastPage: 10, rowCount: 50 });
+  markPageIngested(ledger, { report: 'driver_history', facility: 'FAC1', page: 3, lastPage: 10, rowCount: 50 });
+  markPageIngested(ledger, { report: 'driver_history', facility: 'FAC1', page: 3, lastPage: 10, rowCount: 50 });
+  markPageIngested(ledger, { report: 'trailer_history', facility: 'FAC1', page: 1, lastPage: 2, rowCount: 5 });
+
+  assert.deepEqual(resumeEntryFor(ledger, 'driver_history', 'FAC1'), { done: [1, 3], lastPage: 10, rows: 100 });
+  assert.equal(resumeEntryFor(ledger, 'driver_history', 'FAC2'), null);
+  assert.deepEqual(summarizeLedger(ledger), { donePages: 3, knownPages: 12 });
+});
+
+test('checkpoints never carry the API token and do not share the live ledger', () => {
+  const ledger = createPageLedger();
+  markPageIngested(ledger, { report: 'driver_history', facility: 'FAC1', page: 1, lastPage: 4 });
+  const checkpoint = createRunCheckpoint({
+    inputs: { tenant: 'acme', token: 'secret', facilities: ['FAC1'] },
+    ledger,
+    analyzers: {},
+    error: 'HTTP 401',
+  });
+
+  assert.equal('token' in checkpoint.inputs, false);
+  assert.ok(!JSON.stringify(checkpoint).includes('secret'));
+
+  markPageIngested(ledger, { report: 'driver_history', facility: 'FAC1', page: 2, lastPage: 4 });
+  assert.deepEqual(checkpoint.ledger.driver_history.FAC1.done, [1]);
+});
@@ -0,0 +1,149 @@
+/**
+ * Shift definitions and shift-level comparisons
+ *
+ * A shift is a named daily window { name, start: 'HH:mm', end: 'HH:mm' } in
+ * the analysis timezone. A shift whose end is at or before its start runs
+ * overnight (e.g. 22:00–06:00). Analyzers bucket rows by the shift their event
+ * time falls in when they ingest, so changing shifts needs a re-run. Times no
+ * shift covers are left out of shift metrics.
+ */
+
+export const SHIFT_PRESETS = {
+  three: {
+    label: '3 shifts (06–14–22)',
+    shifts: [
+      { name: '1st shift', start: '06:00', end: '14:00' },
+      { name: '2nd shift', start: '14:00', end: '22:00' },
+      { name: '3rd shift', start: '22:00', end: '06:00' },
+    ],
+  },
+  two: {
+    label: '2 shifts (06–18)',
+    shifts: [
+      { name: 'Day shift', start: '06:00', end: '18:00' },
+      { name: 'Night shift', start: '18:00', end: '06:00' },
+    ],
+  },
+};
+
+export const DEFAULT_SHIFTS = SHIFT_PRESETS.three.shifts;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * "06:30" -> 390; null when not a valid 24h clock time.
+ */
+export function parseClockTime(value) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+  if (!m) return null;
+  const hours = Number(m[1]);
+  const minutes = Number(m[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Minutes of the day a shift covers, as [start, end) ranges that do not wrap.
+ */
+function shiftRanges(shift) {
+  const start = parseClockTime(shift.start);
+  const end = parseClockTime(shift.end);
+  if (start === null || end === null) return [];
+  if (end > start) return [[start, end]];
+  // Overnight (or a full 24h shift when end === start)
+  return [[start, MINUTES_PER_DAY], ...(end > 0 ? [[0, end]] : [])];
+}
+
+/**
+ * Length of a shift in hours.
+ */
+export function shiftHours(shift) {
+  return shiftRanges(shift).reduce((sum, [a, b]) => sum + (b - a), 0) / 60;
+}
+
+/**
+ * Problems with a shift list, as user-facing messages (empty when valid).
+ * @param {Array<{name: string, start: string, end: string}>} shifts
+ * @returns {string[]}
+ */
+export function validateShifts(shifts) {
+  if (!Array.isArray(shifts)) return ['Shifts must be a list.'];
+  const errors = [];
+  const names = new Set();
+  const covered = new Map(); // minute -> shift name (first overlap only)
+
+  for (const [i, shift] of shifts.entries()) {
+    const name = String(shift?.name ?? '').trim();
+    const label = name || `Shift ${i + 1}`;
+    if (!name) errors.push(`${label} needs a name.`);
+    else if (names.has(name.toLowerCase())) errors.push(`Shift name "${name}" is used twice.`);
+    names.add(name.toLowerCase());
+
+    if (parseClockTime(shift?.start) === null || parseClockTime(shift?.end) === null) {
+      errors.push(`${label} needs start and end times (HH:mm).`);
+      continue;
+    }
+    for (const [a, b] of shiftRanges(shift)) {
+      for (let minute = a; minute < b; minute++) {
+        const other = covered.get(minute);
+        if (other !== undefined) {
+          errors.push(`${label} overlaps ${other}.`);
+          break;
+        }
+        covered.set(minute, label);
+      }
+    }
+  }
+  return [...new Set(errors)];
+}
+
+/**
+ * Valid shifts only (trimmed), or [] when the list has any problem.
+ */
+export function sanitizeShifts(shifts) {
+  if (!Array.isArray(shifts) || validateShifts(shifts).length) return [];
+  return shifts.map(s => ({ name: String(s.name).trim(), start: String(s.start).trim(), end: String(s.end).trim() }));
+}
+
+/**
+ * Compiles shifts into a lookup from local hour/minute to shift name.
+ * @param {Array} shifts
+ * @returns {(hour: number, minute?: number) => string|null}
+ */
+export function compileShiftLookup(shifts) {
+  const byMinute = new Array(MINUTES_PER_DAY).fill(null);
+  for (const shift of sanitizeShifts(shifts)) {
+    for (const [a, b] of shiftRanges(shift)) byMinute.fill(shift.name, a, b);
+  }
+  return (hour, minute = 0) => byMinute[hour * 60 + minute] ?? null;
+}
+
+/**
+ * "1st shift 06:00–14:00"
+ */
+export function describeShift(shift) {
+  return `${shift.name} ${shift.start}–${shift.end}`;
+}
+
+/**
+ * The worst and best shift for one metric, when they differ enough to report.
+ * Shifts with fewer than `minSamples` samples are ignored.
+ *
+ * @param {Array<{shift: string, value: number, samples: number}>} entries
+ * @param {object} [options]
+ * @param {boolean} [options.higherIsWorse=true] - e.g. queue time (true) vs compliance (false)
+ * @param {number} [options.minSamples=20]
+ * @param {number} [options.minRatio=1.5] - Worst-to-best ratio below which shifts count as even
+ * @returns {{worst: object, best: object, ratio: number}|null}
+ */
+export function shiftDisparity(entries, { higherIsWorse = true, minSamples = 20, minRatio = 1.5 } = {}) {
+  const usable = (entries || []).filter(e => e.samples >= minSamples && Number.isFinite(e.value) && e.value > 0);
+  if (usable.length < 2) return null;
+  const sorted = usable.slice().sort((a, b) => a.value - b.value);
+  const [low, high] = [sorted[0], sorted[sorted.length - 1]];
+  const ratio = high.value / low.value;
+  if (ratio < minRatio) return null;
+  return higherIsWorse
+    ? { worst: high, best: low, ratio }
+    : { worst: low, best: high, ratio };
+}
@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { DEFAULT_SHIFTS, SHIFT_PRESETS, validateShifts, sanitizeShifts, compileShiftLookup, shiftHours, describeShift, shiftDisparity } from './shifts.js';
+
+test('shift lookup covers overnight shifts and leaves gaps unassigned', () => {
+  const lookup = compileShiftLookup(DEFAULT_SHIFTS);
+  assert.equal(lookup(6, 0), '1st shift');
+  assert.equal(lookup(13, 59), '1st shift');
+  assert.equal(lookup(14, 0), '2nd shift');
+  assert.equal(lookup(22, 0), '3rd shift');
+  assert.equal(lookup(0, 30), '3rd shift');
+  assert.equal(lookup(5, 59), '3rd shift');
+  assert.deepEqual(DEFAULT_SHIFTS.map(shiftHours), [8, 8, 8]);
+  assert.deepEqual(SHIFT_PRESETS.two.shifts.map(shiftHours), [12, 12]);
+  assert.equal(describeShift(DEFAULT_SHIFTS[2]), '3rd shift 22:00–06:00');
+
+  const dayOnly = compileShiftLookup([{ name: 'Day', start: '07:30', end: '16:00' }]);
+  assert.equal(dayOnly(7, 29), null);
+  assert.equal(dayOnly(7, 30), 'Day');
+  assert.equal(dayOnly(20, 0), null);
+});
+
+test('shift lists with overlaps, bad times or duplicate names are rejected', () => {
+  assert.deepEqual(validateShifts(DEFAULT_SHIFTS), []);
+  assert.deepEqual(validateShifts([]), []);
+  assert.deepEqual(validateShifts([
+    { name: 'Days', start: '06:00', end: '18:00' },
+    { name: 'Nights', start: '17:00', end: '07:00' },
+  ]), ['Nights overlaps Days.']);
+  assert.deepEqual(validateShifts([
+    { name: 'A', start: '6am', end: '14:00' },
+    { name: 'a', start: '14:00', end: '22:00' },
+    { name: ' ', start: '22:00', end: '24:00' },
+  ]), [
+    'A needs start and end times (HH:mm).',
+    'Shift name "a" is used twice.',
+    'Shift 3 needs a name.',
+    'Shift 3 needs start and end times (HH:mm).',
+  ]);
+  assert.deepEqual(sanitizeShifts([{ name: ' Days ', start: '06:00', end: '18:00' }]), [{ name: 'Days', start: '06:00', end: '18:00' }]);
+  assert.deepEqual(sanitizeShifts([{ name: 'Days', start: '06:00', end: '' }]), []);
+  assert.equal(compileShiftLookup(null)(12), null);
+});
+
+test('shift disparity names the worst shift once the gap and samples are large enough', () => {
+  const queue = [
+    { shift: '1st shift', value: 5, samples: 200 },
+    { shift: '2nd shift', value: 7, samples: 150 },
+    { shift: '3rd shift', value: 12, samples: 40 },
+  ];
+  const gap = shiftDisparity(queue);
+  assert.equal(gap.worst.shift, '3rd shift');
+  assert.equal(gap.best.shift, '1st shift');
+  assert.equal(gap.ratio, 2.4);
+
+  assert.equal(shiftDisparity(queue, { minSamples: 50 }), null, '3rd shift has too few samples; 7 vs 5 is under 1.5×');
+  assert.equal(shiftDisparity([{ shift: 'Day', value: 5, samples: 100 }]), null);
+
+  const compliance = shiftDisparity([
+    { shift: 'Day shift', value: 91, samples: 300 },
+    { shift: 'Night shift', value: 58, samples: 120 },
+  ], { higherIsWorse: false, minRatio: 1.2 });
+  assert.equal(compliance.worst.shift, 'Night shift');
+  assert.equal(compliance.best.shift, 'Day shift');
+});
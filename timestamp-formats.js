@@ -0,0 +1,276 @@
+/**
+ * Timestamp format detection for CSV columns
+ *
+ * Exports write dates in many ways: MM/DD/YYYY or DD/MM/YYYY, ISO with an
+ * offset, 12-hour times, Excel serial numbers. Before ingest each column is
+ * sampled and its format inferred; that format is pinned for the run and every
+ * value is rewritten to the wall-clock text parseTimestamp reads on its fast
+ * path ("yyyy-MM-dd HH:mm:ss", or "yyyy-MM-dd" / "HH:mm:ss" for split date and
+ * time columns). ISO values with Z or an offset name an instant and are kept.
+ *
+ * A column is ambiguous when its dates fit both month-first and day-first (no
+ * part above 12 in the sample). It is read month-first, like YMS exports, until
+ * the user picks an order.
+ *
+ * Pinned format: { kind: 'date'|'time'|'iso'|'excel_serial', order: 'ymd'|'mdy'|'dmy'|null,
+ *                  ambiguous: boolean, confirmed: boolean, clock: '12h'|'24h'|null }
+ */
+
+// Rows sampled per file (spread across the file)
+export const FORMAT_SAMPLE_SIZE = 500;
+// Share of non-empty sampled values that must fit for a column to be pinned
+const MIN_MATCH_RATE = 0.9;
+
+const EXCEL_EPOCH_OFFSET_DAYS = 25569;
+// Serials in this range are 1954-2119; anything else is just a number
+const EXCEL_SERIAL_MIN = 20000;
+const EXCEL_SERIAL_MAX = 80000;
+// Plain numbers are only read as Excel dates under a date-like header, never
+// under a duration ("Dwell Time", "Time in Queue" hold minutes or hours)
+const DATE_HEADER_RE = /date|time|created|updated|_at$/i;
+const DURATION_HEADER_RE = /dwell|queue|duration|elapsed|wait|age\b|hours|minutes|mins/i;
+
+const DATE_RE = /^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})$/;
+const TIME_RE = /^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(?:([AaPp])\.?[Mm]\.?)?$/;
+const ISO_INSTANT_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/i;
+const NUMBER_RE = /^\d{1,5}(?:\.\d+)?$/;
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+export const DATE_ORDER_LABELS = {
+  mdy: 'Month first (MM/DD/YYYY)',
+  dmy: 'Day first (DD/MM/YYYY)',
+};
+
+function parseTime(text) {
+  const m = TIME_RE.exec(text);
+  if (!m) return null;
+  let hour = Number(m[1]);
+  const minute = Number(m[2]);
+  const second = Number(m[3] || 0);
+  const meridiem = m[4]?.toLowerCase() || null;
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem === 'p' ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59 || second > 59) return null;
+  return { hour, minute, second, clock: meridiem ? '12h' : '24h' };
+}
+
+/**
+ * Splits one value into date parts and/or a time, or recognises an ISO
+ * instant or a plain number. Returns null when it is none of these.
+ */
+function classifyValue(text) {
+  if (ISO_INSTANT_RE.test(text)) return { kind: 'iso' };
+  if (NUMBER_RE.test(text)) return { kind: 'number', value: Number(text) };
+
+  const time = parseTime(text);
+  if (time) return { kind: 'time', time };
+
+  const split = /^(\S+)(?:[ T]+(.+))?$/.exec(text);
+  const date = split && DATE_RE.exec(split[1]);
+  if (!date) return null;
+  const withTime = split[2] ? parseTime(split[2].trim()) : null;
+  if (split[2] && !withTime) return null;
+  return { kind: 'date', parts: [date[1], date[2], date[3]], time: withTime };
+}
+
+function isExcelSerial(n) {
+  return n >= EXCEL_SERIAL_MIN && n < EXCEL_SERIAL_MAX;
+}
+
+function toYMD(parts, order) {
+  const [a, b, c] = parts;
+  let year;
+  let month;
+  let day;
+  if (order === 'ymd' || a.length === 4) {
+    [year, month, day] = [a, b, c];
+  } else if (order === 'dmy') {
+    [day, month, year] = [a, b, c];
+  } else {
+    [month, day, year] = [a, b, c];
+  }
+  if (year.length === 2) year = `20${year}`;
+  if (year.length !== 4) return null;
+  const m = Number(month);
+  const d = Number(day);
+  if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+  return `${year}-${pad2(m)}-${pad2(d)}`;
+}
+
+function timeText({ hour, minute, second }) {
+  return `${pad2(hour)}:${pad2(minute)}:${pad2(second)}`;
+}
+
+function serialToText(serial) {
+  const d = new Date(Math.round((serial - EXCEL_EPOCH_OFFSET_DAYS) * 86400) * 1000);
+  const time = `${pad2(d.getUTCHours())}:${pad2(d.getUTCMinutes())}:${pad2(d.getUTCSeconds())}`;
+  const date = `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+  return Number.isInteger(serial) ? date : `${date} ${time}`;
+}
+
+/**
+ * Infers the format of one column from sampled values.
+ *
+ * @param {Array<string>} values - Raw cell values (empty ones are ignored)
+ * @param {object} [options]
+ * @param {string} [options.header] - Column header; required for Excel serials
+ * @returns {object|null} Pinned format, or null when the column is not a timestamp
+ */
+export function detectTimestampFormat(values, { header = '' } = {}) {
+  const counts = { date: 0, time: 0, iso: 0, excel_serial: 0 };
+  let nonEmpty = 0;
+  let firstOver12 = false;
+  let secondOver12 = false;
+  let yearFirst = 0;
+  let twelveHour = false;
+  const serialHeader = DATE_HEADER_RE.test(header) && !DURATION_HEADER_RE.test(header);
+
+  for (const raw of values) {
+    const text = raw == null ? '' : String(raw).trim();
+    if (!text) continue;
+    nonEmpty++;
+    const value = classifyValue(text);
+    if (!value) continue;
+
+    if (value.kind === 'number') {
+      if (serialHeader && isExcelSerial(value.value)) counts.excel_serial++;
+      continue;
+    }
+    counts[value.kind]++;
+    const time = value.time;
+    if (time?.clock === '12h') twelveHour = true;
+    if (value.kind !== 'date') continue;
+
+    if (value.parts[0].length === 4) {
+      yearFirst++;
+    } else {
+      if (Number(value.parts[0]) > 12) firstOver12 = true;
+      if (Number(value.parts[1]) > 12) secondOver12 = true;
+    }
+  }
+  if (!nonEmpty) return null;
+
+  // ISO instants and year-first dates mix freely in one column
+  if (counts.iso && counts.date && counts.date === yearFirst) {
+    counts.date += counts.iso;
+    yearFirst += counts.iso;
+    counts.iso = 0;
+  }
+  const [kind, matched] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  if (matched / nonEmpty < MIN_MATCH_RATE) return null;
+
+  const format = { kind, order: null, ambiguous: false, confirmed: false, clock: twelveHour ? '12h' : (kind === 'date' || kind === 'time' ? '24h' : null) };
+  if (kind !== 'date') return format;
+
+  if (yearFirst === counts.date) {
+    format.order = 'ymd';
+  } else if (firstOver12 && secondOver12) {
+    return null; // neither order fits every value
+  } else if (firstOver12) {
+    format.order = 'dmy';
+  } else {
+    format.order = 'mdy';
+    format.ambiguous = !secondOver12;
+  }
+  return format;
+}
+
+/**
+ * Detects pinned formats for every timestamp column of a file.
+ *
+ * @param {string[]} columns
+ * @param {object[]} rows - Parsed rows (header -> value)
+ * @param {number} [sampleSize]
+ * @returns {Object<string, object>} column -> pinned format (timestamp columns only)
+ */
+export function detectTimestampFormats(columns, rows, sampleSize = FORMAT_SAMPLE_SIZE) {
+  const list = rows || [];
+  const step = Math.max(1, Math.floor(list.length / sampleSize));
+  const sample = [];
+  for (let i = 0; i < list.length && sample.length < sampleSize; i += step) sample.push(list[i]);
+
+  const formats = {};
+  for (const column of columns || []) {
+    const format = detectTimestampFormat(sample.map(row => row?.[column]), { header: column });
+    if (format) formats[column] = format;
+  }
+  return formats;
+}
+
+/**
+ * Rewrites one value with its column's pinned format. Values that don't fit
+ * are returned unchanged (parseTimestamp still gets a try at them).
+ */
+export function convertTimestampValue(raw, format) {
+  const text = raw == null ? '' : String(raw).trim();
+  if (!text || !format) return raw;
+  const value = classifyValue(text);
+  if (!value) return raw;
+
+  switch (value.kind) {
+    case 'iso':
+      return text;
+    case 'number':
+      return format.kind === 'excel_serial' && isExcelSerial(value.value) ? serialToText(value.value) : raw;
+    case 'time':
+      return timeText(value.time);
+    case 'date': {
+      const date = toYMD(value.parts, format.order);
+      if (!date) return raw;
+      return value.time ? `${date} ${timeText(value.time)}` : date;
+    }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Applies pinned formats to a raw CSV row. Returns a copy; the row is not modified.
+ */
+export function applyTimestampFormats(row, formats) {
+  if (!row || !formats) return row;
+  const out = { ...row };
+  for (const [column, format] of Object.entries(formats)) {
+    if (out[column] !== undefined && out[column] !== null && out[column] !== '') {
+      out[column] = convertTimestampValue(out[column], format);
+    }
+  }
+  return out;
+}
+
+/**
+ * Columns whose date order could not be inferred.
+ */
+export function ambiguousColumns(formats) {
+  return Object.entries(formats || {}).filter(([, f]) => f.ambiguous).map(([column]) => column);
+}
+
+/**
+ * Pins the user's chosen order ('mdy' | 'dmy') on every ambiguous column.
+ * @returns {Object<string, object>} new formats map
+ */
+export function resolveDateOrder(formats, order) {
+  const out = {};
+  for (const [column, format] of Object.entries(formats || {})) {
+    out[column] = format.ambiguous ? { ...format, order, confirmed: true } : format;
+  }
+  return out;
+}
+
+/**
+ * Short label for a pinned format, e.g. "DD/MM/YYYY 12h".
+ */
+export function describeTimestampFormat(format) {
+  if (!format) return '';
+  const clock = format.clock === '12h' ? ' 12h' : '';
+  switch (format.kind) {
+    case 'iso': return 'ISO 8601 with offset';
+    case 'excel_serial': return 'Excel serial date';
+    case 'time': return `Time${clock}`;
+    default:
+      return `${{ ymd: 'YYYY-MM-DD', mdy: 'MM/DD/YYYY', dmy: 'DD/MM/YYYY' }[format.order]}${clock}`;
+  }
+}
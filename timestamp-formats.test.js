@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  detectTimestampFormat,
+  detectTimestampFormats,
+  convertTimestampValue,
+  ambiguousColumns,
+  resolveDateOrder,
+} from './timestamp-formats.js';
+import { normalizeCSVRow } from './csv-parser.js';
+
+test('date order is inferred from parts above 12, otherwise flagged ambiguous', () => {
+  assert.equal(detectTimestampFormat(['13/01/2025', '02/01/2025']).order, 'dmy');
+  assert.equal(detectTimestampFormat(['01/13/2025 2:30 PM', '01/02/2025']).order, 'mdy');
+  assert.equal(detectTimestampFormat(['01/13/2025 2:30 PM']).clock, '12h');
+  assert.equal(detectTimestampFormat(['2025-01-13 08:00', '2025-01-14T09:00:00Z']).order, 'ymd');
+  assert.equal(detectTimestampFormat(['13/01/2025', '01/13/2025']), null, 'no single order fits');
+  assert.equal(detectTimestampFormat(['ABC123', 'XYZ789']), null);
+
+  const formats = detectTimestampFormats(['Date', 'Trailer #'], [
+    { Date: '03/04/2025', 'Trailer #': 'T1' },
+    { Date: '05/06/2025', 'Trailer #': 'T2' },
+  ]);
+  assert.deepEqual(Object.keys(formats), ['Date']);
+  assert.deepEqual(ambiguousColumns(formats), ['Date']);
+  assert.equal(formats.Date.order, 'mdy', 'ambiguous columns default to month-first');
+
+  const resolved = resolveDateOrder(formats, 'dmy');
+  assert.deepEqual([resolved.Date.order, resolved.Date.confirmed], ['dmy', true]);
+  assert.equal(formats.Date.confirmed, false, 'input is not modified');
+});
+
+test('values are rewritten to the pinned format', () => {
+  const dmy = { kind: 'date', order: 'dmy' };
+  assert.equal(convertTimestampValue('03/04/2025 1:05 PM', dmy), '2025-04-03 13:05:00');
+  assert.equal(convertTimestampValue('12:30 AM', { kind: 'time' }), '00:30:00');
+  assert.equal(convertTimestampValue('2025-01-13T08:00:00-05:00', { kind: 'iso' }), '2025-01-13T08:00:00-05:00', 'offset kept');
+  assert.equal(convertTimestampValue('not a date', dmy), 'not a date');
+
+  const serial = detectTimestampFormat(['45672.5', '45673'], { header: 'Arrival Date' });
+  assert.equal(serial.kind, 'excel_serial');
+  assert.equal(convertTimestampValue('45672.5', serial), '2025-01-15 12:00:00');
+  assert.equal(detectTimestampFormat(['45672', '45673'], { header: 'Time in Queue' }), null, 'plain numbers without a date header');
+});
+
+test('normalizeCSVRow applies pinned formats before mapping', () => {
+  const row = { Date: '13/01/2025', Time: '2:30 PM', 'Trailer #': 'T1', Event: 'Arrived' };
+  const formats = { Date: { kind: 'date', order: 'dmy' }, Time: { kind: 'time' } };
+  const normalized = normalizeCSVRow(row, 'trailer_history', 'UTC', null, formats);
+  assert.equal(normalized.event_time, '2025-01-13 14:30:00');
+  assert.equal(row.Date, '13/01/2025', 'raw row is not modified');
+});
@@ -0,0 +1,191 @@
+/**
+ * Per-file data validation for CSV imports
+ *
+ * Every normalized row is checked as it streams through ingest, after the
+ * analyzer has seen it: timestamps the analyzer already parsed are reused (see
+ * trackRowTimestamps in analysis.js). Issues are counted per file by type and
+ * field, with the first few data row numbers and values kept as samples, so a
+ * customer's IT team can be told exactly which rows of which export to fix
+ * (see buildValidationReportCsv in export.js). Row numbers count data rows
+ * (1 = the first row after the header), not lines: quoted values can span
+ * lines and blank lines are skipped.
+ *
+ * Reports are plain objects: they are built in the analysis worker and posted
+ * back with the CSV summary.
+ */
+
+import { parseTimestamp, parsedRowTimestamp, scacIsPlaceholder } from './analysis.js?v=2025.01.07.0';
+import { ROW_REQUIRED_FIELDS } from './csv-parser.js';
+
+// Sample row numbers/values kept per issue
+export const MAX_ISSUE_SAMPLES = 10;
+
+export const ISSUE_LABELS = {
+  missing_field: 'Missing required field',
+  missing_timestamp: 'Missing timestamp',
+  unparseable_date: 'Unparseable date',
+  placeholder_scac: 'Placeholder SCAC',
+  negative_duration: 'Negative duration',
+};
+
+/**
+ * Normalized fields checked per report:
+ * - timestamps: must parse when present; `requiredTimestamps` must be present
+ * - intervals: [start, end] pairs where end must not precede start
+ * - durations: numeric fields that must not be negative
+ */
+export const ROW_CHECKS = {
+  current_inventory: {
+    timestamps: ['updated_at'],
+    requiredTimestamps: [],
+    intervals: [],
+    durations: ['csv_elapsed_hours'],
+  },
+  detention_history: {
+    timestamps: ['appointment_time', 'arrival_time', 'pre_detention_start_time', 'detention_start_time', 'departure_datetime'],
+    requiredTimestamps: ['arrival_time'],
+    intervals: [['arrival_time', 'departure_datetime']],
+    durations: ['csv_time_in_yard_hours', 'process_time_minutes'],
+  },
+  dockdoor_history: {
+    timestamps: ['dwell_start_time', 'dwell_end_time', 'process_start_time', 'process_end_time'],
+    requiredTimestamps: [],
+    intervals: [['dwell_start_time', 'dwell_end_time'], ['process_start_time', 'process_end_time']],
+    durations: ['csv_dwell_time_precomputed', 'csv_process_time_precomputed'],
+  },
+  driver_history: {
+    timestamps: ['request_time', 'accept_time', 'start_time', 'complete_time'],
+    requiredTimestamps: [],
+    intervals: [['request_time', 'complete_time'], ['start_time', 'complete_time']],
+    durations: ['time_in_queue_minutes', 'elapsed_time_minutes'],
+  },
+  trailer_history: {
+    timestamps: ['event_time'],
+    requiredTimestamps: ['event_time'],
+    intervals: [],
+    durations: [],
+  },
+};
+
+const SCAC_FIELDS = ['scac', 'carrier_scac'];
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Wall-clock time of a parsed value. Analyzers parse some fields as UTC and
+// others as facility time, so intervals compare the clock readings.
+function wallMillis(dt) {
+  return dt.toMillis() + dt.offset * 60_000;
+}
+
+/**
+ * Issues found in one normalized row. Timestamps an analyzer parsed from this
+ * row are reused; the rest are parsed here.
+ *
+ * @param {object} row - Row after normalizeCSVRow
+ * @param {string} reportType
+ * @param {object} [options]
+ * @param {string} [options.timezone]
+ * @returns {Array<{type: string, field: string, value: *}>}
+ */
+export function checkRow(row, reportType, { timezone = 'UTC' } = {}) {
+  const checks = ROW_CHECKS[reportType];
+  if (!checks || !row) return [];
+  const issues = [];
+
+  for (const field of ROW_REQUIRED_FIELDS[reportType] || []) {
+    if (isBlank(row[field])) issues.push({ type: 'missing_field', field, value: '' });
+  }
+
+  const parsed = {};
+  for (const field of checks.timestamps) {
+    if (isBlank(row[field])) {
+      if (checks.requiredTimestamps.includes(field)) issues.push({ type: 'missing_timestamp', field, value: '' });
+      continue;
+    }
+    const known = parsedRowTimestamp(row, row[field]);
+    parsed[field] = known !== undefined ? known : parseTimestamp(row[field], { timezone, treatAsLocal: true });
+    if (!parsed[field]) issues.push({ type: 'unparseable_date', field, value: row[field] });
+  }
+
+  for (const [start, end] of checks.intervals) {
+    if (parsed[start] && parsed[end] && wallMillis(parsed[end]) < wallMillis(parsed[start])) {
+      issues.push({ type: 'negative_duration', field: `${start}→${end}`, value: `${row[start]} → ${row[end]}` });
+    }
+  }
+  for (const field of checks.durations) {
+    const n = parseFloat(row[field]);
+    if (Number.isFinite(n) && n < 0) issues.push({ type: 'negative_duration', field, value: row[field] });
+  }
+
+  for (const field of SCAC_FIELDS) {
+    if (!isBlank(row[field]) && scacIsPlaceholder(row[field])) {
+      issues.push({ type: 'placeholder_scac', field, value: row[field] });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Creates the validation report for one file.
+ *
+ * @param {object} params
+ * @param {string} params.fileId
+ * @param {string} params.fileName
+ * @param {string} params.reportType
+ * @param {string} [params.timezone]
+ * @returns {{check: function, report: object}}
+ */
+export function createFileValidator({ fileId, fileName, reportType, timezone }) {
+  const report = { fileId, fileName, reportType, rowsChecked: 0, rowsWithIssues: 0, issues: {} };
+
+  return {
+    report,
+
+    /**
+     * Checks one row and records its issues.
+     * @param {object} row - Normalized row
+     * @param {number} rowIndex - 0-based data row index (recorded as row rowIndex + 1)
+     * @returns {Array<{type: string, field: string, value: *}>}
+     */
+    check(row, rowIndex) {
+      report.rowsChecked++;
+      const issues = checkRow(row, reportType, { timezone });
+      if (issues.length === 0) return issues;
+
+      report.rowsWithIssues++;
+      for (const { type, field, value } of issues) {
+        const key = `${type}:${field}`;
+        const entry = report.issues[key] || (report.issues[key] = { type, field, count: 0, sampleRows: [], sampleValues: [] });
+        entry.count++;
+        if (entry.sampleRows.length < MAX_ISSUE_SAMPLES) {
+          entry.sampleRows.push(rowIndex + 1);
+          entry.sampleValues.push(value === null || value === undefined ? '' : String(value));
+        }
+      }
+      return issues;
+    },
+  };
+}
+
+/**
+ * Issue counts by type across a report's fields, e.g. { unparseable_date: 12 }.
+ */
+export function countIssuesByType(report) {
+  const counts = {};
+  for (const { type, count } of Object.values(report?.issues || {})) {
+    counts[type] = (counts[type] || 0) + count;
+  }
+  return counts;
+}
+
+/**
+ * One-line summary, e.g. "120 of 5,000 rows: Unparseable date 100, Placeholder SCAC 20".
+ */
+export function describeValidationReport(report) {
+  const parts = Object.entries(countIssuesByType(report))
+    .sort((a, b) => b[1] - a[1])
+    .map(([type, count]) => `${ISSUE_LABELS[type] || type} ${count.toLocaleString()}`);
+  return `${report.rowsWithIssues.toLocaleString()} of ${report.rowsChecked.toLocaleString()} rows: ${parts.join(', ')}`;
+}
@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+// Minimal browser shim: export.js reads Luxon from window at import time
+global.window = global.window || {};
+global.window.luxon = global.window.luxon || { DateTime: {} };
+
+const { setDateTimeImplementation, trackRowTimestamps, parseRowTimestamp } = await import('./analysis.js?v=2025.01.07.0');
+const { checkRow, createFileValidator, countIssuesByType, describeValidationReport, ISSUE_LABELS } = await import('./validation-report.js');
+const { buildValidationReportCsv } = await import('./export.js');
+
+class StubDateTime {
+  static created = 0;
+  constructor(date) {
+    StubDateTime.created++;
+    this.date = date;
+    this.offset = 0;
+    this.isValid = !Number.isNaN(date.getTime());
+  }
+  static fromMillis(ms) {
+    return new StubDateTime(new Date(ms));
+  }
+  static fromObject({ year, month = 1, day = 1, hour = 0, minute = 0, second = 0 }) {
+    return new StubDateTime(new Date(Date.UTC(year, month - 1, day, hour, minute, second)));
+  }
+  static fromISO(str) {
+    return new StubDateTime(new Date(str));
+  }
+  static fromFormat() {
+    return new StubDateTime(new Date(NaN));
+  }
+  toMillis() {
+    return this.date.getTime();
+  }
+}
+setDateTimeImplementation(StubDateTime);
+
+test('rows are checked for missing, unparseable, placeholder and negative values', () => {
+  assert.deepEqual(checkRow({ event: 'Arrived', event_time: '2025-01-13 08:00:00', scac: 'ABCD' }, 'trailer_history'), []);
+
+  const trailer = checkRow({ event: '', scac: 'XXXX' }, 'trailer_history');
+  assert.deepEqual(trailer.map(i => `${i.type}:${i.field}`), ['missing_field:event', 'missing_timestamp:event_time', 'placeholder_scac:scac']);
+
+  const detention = checkRow({
+    scac: 'ABCD',
+    arrival_time: '2025-01-13 08:00:00',
+    departure_datetime: '2025-01-12 08:00:00',
+    detention_start_time: '13th of Jan',
+    process_time_minutes: '-5',
+  }, 'detention_history');
+  assert.deepEqual(detention.map(i => `${i.type}:${i.field}`), [
+    'unparseable_date:detention_start_time',
+    'negative_duration:arrival_time→departure_datetime',
+    'negative_duration:process_time_minutes',
+  ]);
+});
+
+test('file reports count issues with sample data row numbers and export as CSV', () => {
+  const validator = createFileValidator({ fileId: 'f1', fileName: 'Trailer, Jan.csv', reportType: 'trailer_history', timezone: 'UTC' });
+  for (let i = 0; i < 15; i++) {
+    validator.check({ event: 'Arrived', event_time: i % 3 ? '2025-01-13 08:00:00' : 'garbage', scac: 'ABCD' }, i);
+  }
+  const { report } = validator;
+  assert.equal(report.rowsChecked, 15);
+  assert.equal(report.rowsWithIssues, 5);
+  assert.deepEqual(report.issues['unparseable_date:event_time'].sampleRows, [1, 4, 7, 10, 13], 'row 1 is the first data row');
+  assert.deepEqual(countIssuesByType(report), { unparseable_date: 5 });
+  assert.equal(describeValidationReport(report), '5 of 15 rows: Unparseable date 5');
+  assert.deepEqual(JSON.parse(JSON.stringify(report)), report, 'plain data for postMessage');
+
+  const clean = createFileValidator({ fileId: 'f2', fileName: 'Driver.csv', reportType: 'driver_history' });
+  clean.check({ yard_driver_name: 'D1' }, 0);
+
+  const lines = buildValidationReportCsv([report, clean.report], { issueLabels: ISSUE_LABELS }).split('\n');
+  assert.equal(lines[2], 'file,report,rows_checked,rows_with_issues,issue,field,count,pct_of_rows,sample_rows,sample_values');
+  assert.equal(lines[3], '"Trailer, Jan.csv",trailer_history,15,5,Unparseable date,event_time,5,33.3,1 4 7 10 13,garbage | garbage | garbage | garbage | garbage');
+  assert.equal(lines[4], 'Driver.csv,driver_history,1,0,,,0,0,,');
+});
+
+test('timestamps the analyzer parsed for a tracked row are not parsed again', () => {
+  const row = { scac: 'ABCD', arrival_time: '2025-01-13 08:00:00', departure_datetime: '2025-01-12 08:00:00', detention_start_time: 'soon' };
+  trackRowTimestamps(row);
+  for (const field of ['arrival_time', 'departure_datetime', 'detention_start_time']) {
+    parseRowTimestamp(row, row[field], { timezone: 'UTC', assumeUTC: true });
+  }
+
+  const before = StubDateTime.created;
+  const issues = checkRow(row, 'detention_history', { timezone: 'UTC' });
+  assert.equal(StubDateTime.created, before);
+  assert.deepEqual(issues.map(i => `${i.type}:${i.field}`), [
+    'unparseable_date:detention_start_time',
+    'negative_duration:arrival_time→departure_datetime',
+  ]);
+
+  // Untracked rows, e.g. ones a row filter excluded, are parsed by the check itself
+  checkRow({ ...row }, 'detention_history', { timezone: 'UTC' });
+  assert.ok(StubDateTime.created > before);
+});
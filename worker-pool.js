@@ -0,0 +1,188 @@
+/**
+ * Analysis worker pool planning
+ *
+ * Very large runs spread ingestion over several analysis workers instead of one.
+ * Work is sharded by report and facility: every page (or CSV file) of one shard
+ * goes to the same worker, so per-shard state such as duplicate detection stays
+ * in one place. Each worker builds partial analyzer state for its shards; the
+ * primary worker merges the others into its own (Analyzer.merge) and finalizes.
+ *
+ * Planning and merge helpers, plus the shard-state handoff between workers
+ * (mergeShardStates); spawning workers and routing their other messages live in
+ * app.js and analysis.worker.js.
+ */
+
+import { restoreAnalyzers, serializeAnalyzers } from './analysis.js?v=2025.01.07.0';
+import { mergePageLedgers } from './run-checkpoint.js?v=2025.01.07.0';
+
+// Upper bound on workers per run (each holds its own analyzer state)
+export const MAX_POOL_SIZE = 8;
+// Below this many rows a single worker keeps up; extra workers only add startup cost
+export const POOL_MIN_ROWS = 200_000;
+
+/**
+ * Number of workers for a run: one per core beyond the main thread's, capped by
+ * MAX_POOL_SIZE and by the number of shards. Small runs get a single worker.
+ *
+ * @param {Object} params
+ * @param {number} [params.hardwareConcurrency] - navigator.hardwareConcurrency
+ * @param {number} params.shardCount - report/facility shards in the run
+ * @param {number} [params.estimatedRows]
+ * @param {number} [params.max]
+ * @returns {number}
+ */
+export function resolvePoolSize({ hardwareConcurrency, shardCount, estimatedRows, max = MAX_POOL_SIZE }) {
+  if (!(estimatedRows >= POOL_MIN_ROWS)) return 1;
+  const cores = Number.isFinite(hardwareConcurrency) && hardwareConcurrency > 0 ? Math.floor(hardwareConcurrency) : 1;
+  return Math.max(1, Math.min(max, shardCount || 1, cores - 1));
+}
+
+export function shardKey(report, facility) {
+  return `${report}\u001f${facility || ''}`;
+}
+
+/**
+ * Assign API shards to workers round robin, in the order given
+ * (report-major keys spread each report's facilities across the pool).
+ *
+ * @param {string[]} keys - shardKey() values
+ * @param {number} size - workers in the pool
+ * @returns {Map<string, number>} shard key -> worker index
+ */
+export function planShards(keys, size) {
+  const plan = new Map();
+  const workers = Math.max(1, size);
+  for (const key of keys) {
+    if (!plan.has(key)) plan.set(key, plan.size % workers);
+  }
+  return plan;
+}
+
+/**
+ * Split CSV ingest files across workers by report (a report's files must share
+ * one deduplicator), largest report first onto the least-loaded worker.
+ *
+ * @param {Object[]} files - toCSVIngestFile() entries
+ * @param {number} size - workers in the pool
+ * @returns {Object[][]} files per worker index
+ */
+export function planCSVShards(files, size) {
+  const byReport = new Map();
+  for (const file of files) {
+    const entry = byReport.get(file.reportType) || { files: [], rows: 0 };
+    entry.files.push(file);
+    entry.rows += file.rowCount || 0;
+    byReport.set(file.reportType, entry);
+  }
+
+  const shards = Array.from({ length: Math.max(1, size) }, () => ({ files: [], rows: 0 }));
+  const reports = [...byReport.values()].sort((a, b) => b.rows - a.rows);
+  for (const report of reports) {
+    const target = shards.reduce((least, shard) => (shard.rows < least.rows ? shard : least));
+    target.files.push(...report.files);
+    target.rows += report.rows;
+  }
+  return shards.map(shard => shard.files);
+}
+
+/**
+ * Fold each report's analyzer from `source` into `target` (same report keys as
+ * createAnalyzers). Returns `target`.
+ */
+export function mergeAnalyzerMaps(target, source) {
+  for (const [report, analyzer] of Object.entries(source || {})) {
+    target[report] = target[report] ? target[report].merge(analyzer) : analyzer;
+  }
+  return target;
+}
+
+/**
+ * Combine ingestCSVFiles() summaries from workers that handled different reports.
+ */
+export function mergeCSVSummaries(summaries) {
+  const merged = { totalRows: 0, rowsByReport: {}, duplicatesByReport: {}, filteredByReport: {}, dedupSaturatedReports: [], validation: [], warnings: [], errors: [] };
+  for (const summary of summaries) {
+    if (!summary) continue;
+    merged.totalRows += summary.totalRows || 0;
+    Object.assign(merged.rowsByReport, summary.rowsByReport);
+    Object.assign(merged.duplicatesByReport, summary.duplicatesByReport);
+    Object.assign(merged.filteredByReport, summary.filteredByReport);
+    merged.dedupSaturatedReports.push(...(summary.dedupSaturatedReports || []));
+    merged.validation.push(...(summary.validation || []));
+    merged.warnings.push(...(summary.warnings || []));
+    merged.errors.push(...(summary.errors || []));
+  }
+  return merged;
+}
+
+/**
+ * Combine the latest checkpoint of each pool worker into one resumable checkpoint.
+ * Each worker's checkpoint is self-consistent and workers never share pages, so
+ * the union is too; a worker without a checkpoint just has its pages refetched.
+ *
+ * @param {Array<{analyzers: Object, ledger: Object}>} checkpoints
+ * @returns {{analyzers: Object, ledger: Object}|null}
+ */
+export function mergeShardCheckpoints(checkpoints) {
+  let analyzers = null;
+  let ledger = {};
+  for (const checkpoint of checkpoints) {
+    if (!checkpoint?.analyzers) continue;
+    const restored = restoreAnalyzers(checkpoint.analyzers);
+    analyzers = analyzers ? mergeAnalyzerMaps(analyzers, restored) : restored;
+    ledger = mergePageLedgers(ledger, checkpoint.ledger);
+  }
+  return analyzers ? { analyzers: serializeAnalyzers(analyzers), ledger } : null;
+}
+
+/**
+ * Pooled runs: wait for one SHARD_STATE from every worker, then have the primary
+ * (workers[0]) merge the others' analyzer state and finalize with MERGE_FINALIZE.
+ * API runs ask for the state (EXPORT_STATE); CSV workers send it once their files
+ * are done. The timeout timer and message listeners are released however the
+ * wait ends.
+ *
+ * @param {Object} params
+ * @param {Worker[]} params.workers - Run workers, primary first
+ * @param {string} params.runId
+ * @param {boolean} [params.requestState] - Send EXPORT_STATE first
+ * @param {Promise} [params.stopped] - Rejects when the run fails or is cancelled
+ * @param {number} [params.timeoutMs] - 0 waits without a limit
+ * @returns {Promise<Object[]>} SHARD_STATE payloads in worker order
+ */
+export async function mergeShardStates({ workers, runId, requestState = false, stopped = null, timeoutMs = 0 }) {
+  const states = new Map();
+  const listeners = [];
+  let timer = null;
+  const collected = new Promise((resolve) => {
+    for (const worker of workers) {
+      const onMessage = (event) => {
+        const data = event.data || {};
+        if (data.type !== 'SHARD_STATE' || data.runId !== runId) return;
+        states.set(worker, data);
+        if (states.size === workers.length) resolve(workers.map(w => states.get(w)));
+      };
+      worker.addEventListener('message', onMessage);
+      listeners.push([worker, onMessage]);
+    }
+  });
+  if (requestState) {
+    for (const worker of workers) worker.postMessage({ type: 'EXPORT_STATE', runId });
+  }
+
+  const waits = [collected];
+  if (stopped) waits.push(stopped.then(() => { throw new Error('Worker run ended before its shards were merged'); }));
+  if (timeoutMs) {
+    waits.push(new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('Worker pool merge timed out')), timeoutMs);
+    }));
+  }
+  try {
+    const shardStates = await Promise.race(waits);
+    workers[0].postMessage({ type: 'MERGE_FINALIZE', runId, shards: shardStates.map(s => s.analyzers).filter(Boolean) });
+    return shardStates;
+  } finally {
+    clearTimeout(timer);
+    for (const [worker, onMessage] of listeners) worker.removeEventListener('message', onMessage);
+  }
+}
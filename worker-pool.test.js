@@ -0,0 +1,138 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  POOL_MIN_ROWS,
+  resolvePoolSize,
+  shardKey,
+  planShards,
+  planCSVShards,
+  mergeCSVSummaries,
+  mergeShardCheckpoints,
+  mergeAnalyzerMaps,
+  mergeShardStates,
+} from './worker-pool.js';
+import { mergePageLedgers } from './run-checkpoint.js';
+import { createAnalyzers, serializeAnalyzers, restoreAnalyzers } from './analysis.js?v=2025.01.07.0';
+
+test('pool size follows cores, shards and run size', () => {
+  const big = POOL_MIN_ROWS * 4;
+  assert.equal(resolvePoolSize({ hardwareConcurrency: 8, shardCount: 60, estimatedRows: big }), 7, 'one core left for the main thread');
+  assert.equal(resolvePoolSize({ hardwareConcurrency: 8, shardCount: 3, estimatedRows: big }), 3);
+  assert.equal(resolvePoolSize({ hardwareConcurrency: 32, shardCount: 60, estimatedRows: big }), 8);
+  assert.equal(resolvePoolSize({ hardwareConcurrency: 8, shardCount: 60, estimatedRows: 1000 }), 1);
+  assert.equal(resolvePoolSize({ hardwareConcurrency: undefined, shardCount: 60, estimatedRows: big }), 1);
+});
+
+test('shards keep each report/facility (or CSV report) on one worker', () => {
+  const keys = ['driver_history', 'trailer_history'].flatMap(r => ['FAC1', 'FAC2', 'FAC3'].map(f => shardKey(r, f)));
+  const plan = planShards([...keys, keys[0]], 4);
+  assert.deepEqual([...plan.values()], [0, 1, 2, 3, 0, 1]);
+
+  const files = [
+    { id: 'a', reportType: 'trailer_history', rowCount: 900 },
+    { id: 'b', reportType: 'driver_history', rowCount: 500 },
+    { id: 'c', reportType: 'trailer_history', rowCount: 100 },
+    { id: 'd', reportType: 'dockdoor_history', rowCount: 400 },
+  ];
+  const shards = planCSVShards(files, 2);
+  assert.deepEqual(shards.map(s => s.map(f => f.id)), [['a', 'c'], ['b', 'd']]);
+});
+
+test('shard summaries, ledgers and checkpoints combine', () => {
+  const summary = mergeCSVSummaries([
+    { totalRows: 10, rowsByReport: { driver_history: 10 }, duplicatesByReport: { driver_history: 1 }, dedupSaturatedReports: ['driver_history'], warnings: ['w1'], errors: [] },
+    { totalRows: 5, rowsByReport: { trailer_history: 5 }, duplicatesByReport: { trailer_history: 0 }, warnings: [], errors: ['e1'] },
+  ]);
+  assert.equal(summary.totalRows, 15);
+  assert.deepEqual(summary.rowsByReport, { driver_history: 10, trailer_history: 5 });
+  assert.deepEqual([summary.warnings, summary.errors], [['w1'], ['e1']]);
+  assert.deepEqual(summary.dedupSaturatedReports, ['driver_history']);
+
+  const ledger = mergePageLedgers(
+    { driver_history: { FAC1: { done: [1, 2], lastPage: 6, rows: 100, pageRows: { 1: 50, 2: 50 } } } },
+    { driver_history: { FAC1: { done: [2, 3], lastPage: 6, rows: 90, pageRows: { 2: 50, 3: 40 } }, FAC2: { done: [1], lastPage: 1, rows: 7, pageRows: { 1: 7 } } } },
+  );
+  assert.deepEqual(ledger.driver_history.FAC1, { done: [1, 2, 3], lastPage: 6, rows: 140, pageRows: { 1: 50, 2: 50, 3: 40 } }, 'a page both ledgers hold counts once');
+  assert.deepEqual(ledger.driver_history.FAC2, { done: [1], lastPage: 1, rows: 7, pageRows: { 1: 7 } });
+  const legacy = mergePageLedgers(
+    { driver_history: { FAC1: { done: [1], lastPage: 4, rows: 30 } } },
+    { driver_history: { FAC1: { done: [1, 2, 3], lastPage: 4, rows: 90 } } },
+  );
+  assert.equal(legacy.driver_history.FAC1.rows, 90, 'ledgers without per-page counts spread rows over their pages');
+
+  const shard = (driver, moves) => {
+    const { driver_history: a } = createAnalyzers({ timezone: 'UTC', assumptions: {} });
+    for (let i = 0; i < moves; i++) a.movesByDriver.inc(driver);
+    a.totalRows = moves;
+    return { analyzers: serializeAnalyzers({ driver_history: a }), ledger: { driver_history: { [driver]: { done: [1], lastPage: 1, rows: moves } } } };
+  };
+  const merged = mergeShardCheckpoints([shard('D1', 3), null, shard('D2', 2)]);
+  const { driver_history: restored } = restoreAnalyzers(merged.analyzers);
+  assert.equal(restored.totalRows, 5);
+  assert.deepEqual(restored.movesByDriver.toObjectSorted(), { D1: 3, D2: 2 });
+  assert.deepEqual(Object.keys(merged.ledger.driver_history), ['D1', 'D2']);
+  assert.equal(mergeShardCheckpoints([]), null);
+});
+
+// Answers EXPORT_STATE the way analysis.worker.js does: shard workers send their
+// analyzer state, the merging worker keeps its own
+class StubWorker extends EventTarget {
+  constructor({ analyzers = null, reply = true } = {}) {
+    super();
+    this.analyzers = analyzers;
+    this.reply = reply;
+    this.received = [];
+    this.listeners = 0;
+  }
+  addEventListener(type, listener) { this.listeners++; super.addEventListener(type, listener); }
+  removeEventListener(type, listener) { this.listeners--; super.removeEventListener(type, listener); }
+  postMessage(message) {
+    this.received.push(message);
+    if (message.type === 'EXPORT_STATE' && this.reply) {
+      setTimeout(() => {
+        this.emit({ type: 'SHARD_STATE', runId: 'old_run', analyzers: null });
+        this.emit({ type: 'SHARD_STATE', runId: message.runId, analyzers: this.analyzers, warnings: [] });
+      }, 0);
+    }
+  }
+  emit(data) { this.dispatchEvent(new MessageEvent('message', { data })); }
+}
+
+test('pool workers hand back their state and the primary gets it to merge', async () => {
+  const shardState = (driver, moves) => {
+    const { driver_history: a } = createAnalyzers({ timezone: 'UTC', assumptions: {} });
+    for (let i = 0; i < moves; i++) a.movesByDriver.inc(driver);
+    return serializeAnalyzers({ driver_history: a });
+  };
+  const primary = new StubWorker();
+  const helpers = [new StubWorker({ analyzers: shardState('D1', 3) }), new StubWorker({ analyzers: shardState('D2', 2) })];
+  const workers = [primary, ...helpers];
+
+  // The long timeout must be cleared once the states are in, or the test run hangs
+  const states = await mergeShardStates({ workers, runId: 'run_1', requestState: true, stopped: new Promise(() => {}), timeoutMs: 60000 });
+  assert.equal(states.length, 3, 'one state per worker; other runs are ignored');
+  assert.equal(states[0].analyzers, null);
+  assert.deepEqual(workers.map(w => w.received[0]), workers.map(() => ({ type: 'EXPORT_STATE', runId: 'run_1' })));
+  assert.deepEqual(workers.map(w => w.listeners), [0, 0, 0]);
+
+  const finalize = primary.received[1];
+  assert.equal(finalize.type, 'MERGE_FINALIZE');
+  assert.equal(finalize.shards.length, 2);
+  assert.equal(helpers[0].received.length, 1, 'only the primary merges');
+  const merged = finalize.shards.map(s => restoreAnalyzers(s)).reduce((into, next) => mergeAnalyzerMaps(into, next));
+  assert.deepEqual(merged.driver_history.movesByDriver.toObjectSorted(), { D1: 3, D2: 2 });
+});
+
+test('a silent or stopped pool worker ends the merge without finalizing', async () => {
+  const silent = [new StubWorker(), new StubWorker({ reply: false })];
+  await assert.rejects(mergeShardStates({ workers: silent, runId: 'run_2', requestState: true, timeoutMs: 20 }), /timed out/);
+  assert.deepEqual(silent.map(w => w.listeners), [0, 0]);
+  assert.ok(silent[0].received.every(m => m.type !== 'MERGE_FINALIZE'));
+
+  // CSV runs do not ask for state; a cancelled run rejects the finalize promise
+  const workers = [new StubWorker(), new StubWorker()];
+  const stopped = Promise.reject(new Error('cancelled'));
+  await assert.rejects(mergeShardStates({ workers, runId: 'run_3', stopped }), /cancelled/);
+  assert.deepEqual(workers.map(w => w.received), [[], []]);
+  assert.deepEqual(workers.map(w => w.listeners), [0, 0]);
+});
@@ -1,14 +1,23 @@
-const PII_KEY_RE = /(cell|phone)/i;
+import { compilePiiRules, isFreeTextField } from './pii-rules.js?v=2025.01.07.0';
+
 const DEFAULT_BATCH_ROWS = 600;
 const DEFAULT_BATCH_PAGES = 3;
 const DEFAULT_FLUSH_INTERVAL_MS = 10;
 const MAX_BUFFERED_ROWS = 1600;
+const DEFAULT_PII_SCRUBBER = compilePiiRules();
 
 function hasValue(v) {
   return v !== null && v !== undefined && v !== '';
 }
 
-export function sanitizeRowsForWorker(rows = []) {
+/**
+ * Scrubs rows before they cross to the worker (or into the page cache).
+ * Fields a PII key rule matches keep presence only (`true`); value rules
+ * redact matches in free-text fields (comments, notes, remarks). The worker counts both for the audit.
+ * @param {Object[]} rows
+ * @param {object} [piiScrubber] - compilePiiRules() output
+ */
+export function sanitizeRowsForWorker(rows = [], piiScrubber = DEFAULT_PII_SCRUBBER) {
   if (!Array.isArray(rows) || rows.length === 0) return [];
   const sanitized = new Array(rows.length);
 
@@ -23,14 +32,14 @@ export function sanitizeRowsForWorker(rows = []) {
     for (const key in row) {
       if (!Object.prototype.hasOwnProperty.call(row, key)) continue;
       const value = row[key];
-      if (PII_KEY_RE.test(key)) {
+      if (piiScrubber.keyRule(key)) {
         if (hasValue(value)) {
-          // Preserve presence only; never forward raw phone/cell values across threads.
+          // Preserve presence only; never forward raw PII values across threads.
           clean[key] = true;
         }
         continue;
       }
-      clean[key] = value;
+      clean[key] = typeof value === 'string' && isFreeTextField(key) ? piiScrubber.scrubText(value) : value;
     }
     sanitized[i] = clean;
   }
@@ -45,6 +54,7 @@ export function createWorkerBatcher({
   maxBatchRows = DEFAULT_BATCH_ROWS,
   maxBatchPages = DEFAULT_BATCH_PAGES,
   flushIntervalMs = DEFAULT_FLUSH_INTERVAL_MS,
+  piiScrubber = DEFAULT_PII_SCRUBBER,
 } = {}) {
   if (!runId) throw new Error('runId is required for worker batcher');
   if (typeof postMessage !== 'function') throw new Error('postMessage callback is required');
@@ -84,7 +94,7 @@ export function createWorkerBatcher({
 
   const enqueue = async ({ report, facility, page, lastPage, rows }) => {
     if (stopped || signal?.aborted) return;
-    const sanitizedRows = sanitizeRowsForWorker(rows);
+    const sanitizedRows = sanitizeRowsForWorker(rows, piiScrubber);
     buffer.push({ report, facility, page, lastPage, rows: sanitizedRows });
     bufferedRows += sanitizedRows.length;
 
@@ -2,6 +2,7 @@ import assert from 'node:assert/strict';
 import { test } from 'node:test';
 import { sanitizeRowsForWorker, createWorkerBatcher } from './worker-transfer.js';
 import { normalizeRowStrict } from './analysis.js';
+import { DEFAULT_PII_RULES, compilePiiRules } from './pii-rules.js';
 
 test('sanitizeRowsForWorker strips phone/cell values but preserves presence', () => {
   const raw = [
@@ -75,3 +76,19 @@ test('worker batcher stops posting after abort', async () => {
 
   assert.equal(messages.length, 0, 'no batches should be posted once aborted');
 });
+
+test('main thread and worker apply the same PII rules, and the worker counts the hits', () => {
+  const piiScrubber = compilePiiRules([
+    ...DEFAULT_PII_RULES,
+    { id: 'custom_1', label: 'Badge IDs', target: 'value', pattern: 'BADGE-\\d+', enabled: true },
+  ]);
+  const [sent] = sanitizeRowsForWorker([
+    { trailer: 'T1', driver_email: 'ana@example.com', comments: 'Badge-17 by ana@example.com' },
+  ], piiScrubber);
+  assert.deepEqual({ ...sent }, { trailer: 'T1', driver_email: true, comments: '[redacted:custom_1] by [redacted:email_values]' });
+
+  const { row, flags } = normalizeRowStrict(sent, { report: 'trailer_history', timezone: 'UTC', piiScrubber });
+  assert.deepEqual(row, { trailer: 'T1', comments: '[redacted:custom_1] by [redacted:email_values]' });
+  assert.deepEqual(flags.piiScrubbed, [['email_fields', 'driver_email'], ['custom_1', 'comments'], ['email_values', 'comments']]);
+  assert.equal(flags.anyPhoneFieldPresent, false);
+});
@@ -0,0 +1,310 @@
+/**
+ * Excel workbook import for YMS QBR Assistant
+ * Reads .xlsx/.xls files with SheetJS (global XLSX from the CDN) and turns each
+ * worksheet into CSV-shaped rows for the existing normalizeCSVRow -> analyzer path.
+ *
+ * Worksheets are parsed one at a time and rows are built lazily, so a large
+ * workbook never holds more than one sheet plus a single chunk of row objects.
+ * SheetJS has no streaming reader, though: the workbook's bytes are held in
+ * memory while it is read. An ingest reads them once for all of a workbook's
+ * sheets (readWorkbookBytes), and workbooks over MAX_WORKBOOK_BYTES are refused
+ * with a message rather than left to exhaust the tab.
+ */
+
+import { normalizeCSVRow } from './csv-parser.js';
+
+export const SPREADSHEET_EXTENSIONS = ['.xlsx', '.xls'];
+
+const SPREADSHEET_MIME_TYPES = new Set([
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel',
+]);
+
+// Rows parsed per sheet when previewing a workbook for report type detection
+const PREVIEW_ROWS = 50;
+
+// Largest workbook (uncompressed file size) that is opened in the browser
+export const MAX_WORKBOOK_BYTES = 150 * 1024 * 1024;
+
+// Days between the Excel epochs and 1970-01-01
+const EXCEL_EPOCH_OFFSET_DAYS = 25569;
+const EXCEL_1904_OFFSET_DAYS = 1462;
+
+/**
+ * Whether a selected file looks like an Excel workbook.
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isSpreadsheetFile(file) {
+  if (!file) return false;
+  const name = (file.name || '').toLowerCase();
+  return SPREADSHEET_EXTENSIONS.some(ext => name.endsWith(ext)) || SPREADSHEET_MIME_TYPES.has(file.type);
+}
+
+// ---------- Cell Conversion (pure, no SheetJS access) ----------
+
+/**
+ * Decodes an A1-style range ("A1:K120") into zero-based row/column bounds.
+ * @param {string} ref
+ * @returns {{s: {r: number, c: number}, e: {r: number, c: number}}|null}
+ */
+export function decodeSheetRange(ref) {
+  if (!ref) return null;
+  const decodeCell = (a1) => {
+    const match = /^\$?([A-Z]+)\$?(\d+)$/i.exec(a1.trim());
+    if (!match) return null;
+    let c = 0;
+    for (const ch of match[1].toUpperCase()) c = c * 26 + (ch.charCodeAt(0) - 64);
+    return { r: Number(match[2]) - 1, c: c - 1 };
+  };
+  const [start, end = start] = String(ref).split(':');
+  const s = decodeCell(start);
+  const e = decodeCell(end);
+  return s && e ? { s, e } : null;
+}
+
+/**
+ * Reports whether an Excel number format shows a date part and/or a time part.
+ * "m" is a month unless the format also has hours or seconds.
+ */
+export function describeDateFormat(format) {
+  const tokens = String(format || '')
+    .replace(/"[^"]*"/g, '')
+    .replace(/\[[^\]]*\]/g, '')
+    .replace(/AM\/PM|A\/P/gi, '');
+  const hasTime = /[hs]/i.test(tokens);
+  const hasDate = /[dy]/i.test(tokens) || (!hasTime && /m/i.test(tokens));
+  return { hasDate, hasTime };
+}
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+/**
+ * Converts an Excel date serial into the wall-clock strings the CSV path parses:
+ * "yyyy-MM-dd HH:mm:ss" for date-times, "MM-dd-yyyy" for dates (matching split
+ * date/time export columns) and "HH:mm" / "HH:mm:ss" for times.
+ * Serials have no timezone; the selected timezone is applied downstream.
+ */
+export function excelSerialToText(serial, { date1904 = false, hasDate = true, hasTime = true } = {}) {
+  if (!Number.isFinite(serial)) return '';
+  const days = serial + (date1904 ? EXCEL_1904_OFFSET_DAYS : 0) - EXCEL_EPOCH_OFFSET_DAYS;
+  // Round to whole seconds: serials carry floating point noise
+  const d = new Date(Math.round(days * 86400) * 1000);
+  const date = `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+  const seconds = d.getUTCSeconds();
+  const time = `${pad2(d.getUTCHours())}:${pad2(d.getUTCMinutes())}${seconds ? `:${pad2(seconds)}` : ''}`;
+
+  if (hasDate && hasTime) return `${date} ${pad2(d.getUTCHours())}:${pad2(d.getUTCMinutes())}:${pad2(seconds)}`;
+  if (hasTime) return time;
+  return `${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}-${d.getUTCFullYear()}`;
+}
+
+/**
+ * Converts a SheetJS cell into the string a CSV export would have held.
+ * @param {object|undefined} cell - SheetJS cell ({ t, v, z })
+ * @param {object} options
+ * @param {boolean} [options.date1904] - workbook uses the 1904 date system
+ * @param {function} [options.isDateFormat] - XLSX.SSF.is_date
+ * @returns {string}
+ */
+export function cellToText(cell, { date1904 = false, isDateFormat } = {}) {
+  if (!cell || cell.v === undefined || cell.v === null) return '';
+  switch (cell.t) {
+    case 'n':
+      if (cell.z && isDateFormat?.(cell.z)) {
+        return excelSerialToText(cell.v, { date1904, ...describeDateFormat(cell.z) });
+      }
+      return String(cell.v);
+    case 'd': {
+      const ms = cell.v instanceof Date ? cell.v.getTime() : Date.parse(cell.v);
+      return excelSerialToText(ms / 86400000 + EXCEL_EPOCH_OFFSET_DAYS);
+    }
+    case 'b':
+      return cell.v ? 'true' : 'false';
+    case 'e':
+      return '';
+    default:
+      return String(cell.v).trim();
+  }
+}
+
+function getCell(sheet, r, c) {
+  const dense = sheet['!data'];
+  if (dense) return dense[r]?.[c];
+  let col = '';
+  for (let n = c + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    col = String.fromCharCode(65 + ((n - 1) % 26)) + col;
+  }
+  return sheet[`${col}${r + 1}`];
+}
+
+/**
+ * Reads the header row (first non-empty row) of a worksheet.
+ * Blank headers are skipped; duplicates get a numeric suffix like Papa Parse does.
+ * @returns {{columns: string[], columnIndexes: number[], headerRow: number, rowCount: number}}
+ */
+export function readSheetHeader(sheet, options = {}) {
+  const range = decodeSheetRange(sheet?.['!fullref'] || sheet?.['!ref']);
+  const empty = { columns: [], columnIndexes: [], headerRow: -1, rowCount: 0 };
+  if (!range) return empty;
+
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const columns = [];
+    const columnIndexes = [];
+    const seen = new Map();
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const name = cellToText(getCell(sheet, r, c), options).trim();
+      if (!name) continue;
+      const count = seen.get(name) || 0;
+      seen.set(name, count + 1);
+      columns.push(count ? `${name}_${count}` : name);
+      columnIndexes.push(c);
+    }
+    if (columns.length) {
+      // Upper bound: blank rows inside the range are skipped while streaming
+      return { columns, columnIndexes, headerRow: r, rowCount: range.e.r - r };
+    }
+  }
+  return empty;
+}
+
+/**
+ * Lazily yields CSV-shaped row objects (header -> string) from a worksheet.
+ * Blank rows are skipped, matching Papa Parse's skipEmptyLines.
+ */
+export function* iterateSheetRows(sheet, options = {}) {
+  const { columns, columnIndexes, headerRow } = readSheetHeader(sheet, options);
+  if (!columns.length) return;
+  const range = decodeSheetRange(sheet['!ref']);
+
+  for (let r = headerRow + 1; r <= range.e.r; r++) {
+    const row = {};
+    let hasValue = false;
+    for (let i = 0; i < columns.length; i++) {
+      const value = cellToText(getCell(sheet, r, columnIndexes[i]), options);
+      if (value !== '') hasValue = true;
+      row[columns[i]] = value;
+    }
+    if (hasValue) yield row;
+  }
+}
+
+// ---------- Workbook Reading (SheetJS) ----------
+
+function getXLSX() {
+  if (typeof XLSX === 'undefined') {
+    throw new Error('SheetJS (XLSX) library not loaded');
+  }
+  return XLSX;
+}
+
+/**
+ * Throws a user-facing message when a workbook is too large to open.
+ * @param {number} bytes - Workbook file size
+ */
+export function checkWorkbookSize(bytes) {
+  if (bytes > MAX_WORKBOOK_BYTES) {
+    const mb = (n) => `${Math.round(n / (1024 * 1024))} MB`;
+    throw new Error(`Workbook is ${mb(bytes)}; workbooks over ${mb(MAX_WORKBOOK_BYTES)} cannot be opened in the browser. Save its sheets as CSV files and import those instead.`);
+  }
+}
+
+/**
+ * Reads a workbook file into memory after the size check. Pass the result to
+ * previewWorkbook / streamWorksheet to parse several sheets from one read.
+ * @param {Blob} file
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function readWorkbookBytes(file) {
+  checkWorkbookSize(file.size);
+  return file.arrayBuffer();
+}
+
+async function readWorkbook(source, options = {}) {
+  const lib = getXLSX();
+  const buffer = source instanceof ArrayBuffer ? source : await readWorkbookBytes(source);
+  return lib.read(buffer, {
+    type: 'array',
+    dense: true,
+    cellNF: true, // number formats identify date cells
+    cellDates: false,
+    cellText: false,
+    cellFormula: false,
+    cellHTML: false,
+    cellStyles: false,
+    ...options,
+  });
+}
+
+function cellOptionsFor(workbook) {
+  return {
+    date1904: !!workbook?.Workbook?.WBProps?.date1904,
+    isDateFormat: (fmt) => getXLSX().SSF.is_date(fmt),
+  };
+}
+
+/**
+ * Lists a workbook's worksheets with their header columns and approximate row counts.
+ * Only the first PREVIEW_ROWS rows of each sheet are parsed; all of them are
+ * returned as sampleRows (mapping preview and timestamp format detection).
+ *
+ * @param {File|ArrayBuffer} source - Workbook file, or readWorkbookBytes() output
+ * @returns {Promise<Array<{sheetName: string, columns: string[], rowCount: number, sampleRows: object[]}>>}
+ */
+export async function previewWorkbook(source) {
+  const workbook = await readWorkbook(source, { sheetRows: PREVIEW_ROWS });
+  const options = cellOptionsFor(workbook);
+  return workbook.SheetNames.map((sheetName) => {
+    const sheet = workbook.Sheets[sheetName];
+    const { columns, rowCount } = readSheetHeader(sheet, options);
+    const sampleRows = Array.from(iterateSheetRows(sheet, options));
+    return { sheetName, columns, rowCount, sampleRows };
+  });
+}
+
+/**
+ * Streams one worksheet through normalizeCSVRow in chunks.
+ * Only the requested sheet is parsed, and the event loop is yielded between
+ * chunks so progress can render and cancellation is honoured.
+ *
+ * @param {File|ArrayBuffer} source - Workbook file, or readWorkbookBytes() output
+ *   when several sheets of one workbook are streamed
+ * @param {string} sheetName - Worksheet to read
+ * @param {string} reportType - Report type for normalization
+ * @param {string} timezone - Timezone for timestamp parsing
+ * @param {object} callbacks - { onChunk, onProgress, signal }
+ * @param {number} chunkSize - Number of rows per chunk (default 500)
+ * @param {object|null} mapping - Custom column mapping for this sheet (optional)
+ * @param {object|null} timestampFormats - Pinned timestamp formats for this sheet (optional)
+ * @returns {Promise<{totalRows: number, columns: string[]}>}
+ */
+export async function streamWorksheet(source, sheetName, reportType, timezone, callbacks = {}, chunkSize = 500, mapping = null, timestampFormats = null) {
+  const { onChunk, onProgress, signal } = callbacks;
+  const workbook = await readWorkbook(source, { sheets: sheetName });
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet) throw new Error(`Worksheet "${sheetName}" not found`);
+
+  const options = cellOptionsFor(workbook);
+  const { columns, rowCount } = readSheetHeader(sheet, options);
+  let rowsProcessed = 0;
+  let chunk = [];
+
+  for (const row of iterateSheetRows(sheet, options)) {
+    if (signal?.aborted) break;
+    chunk.push(normalizeCSVRow(row, reportType, timezone, mapping, timestampFormats));
+    rowsProcessed++;
+
+    if (chunk.length >= chunkSize) {
+      onChunk?.(chunk, rowsProcessed);
+      onProgress?.(rowsProcessed, rowCount);
+      chunk = [];
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  if (chunk.length > 0 && !signal?.aborted) {
+    onChunk?.(chunk, rowsProcessed);
+  }
+  onProgress?.(rowsProcessed, rowsProcessed);
+  return { totalRows: rowsProcessed, columns };
+}
@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  decodeSheetRange,
+  describeDateFormat,
+  excelSerialToText,
+  cellToText,
+  readSheetHeader,
+  iterateSheetRows,
+  isSpreadsheetFile,
+  readWorkbookBytes,
+  MAX_WORKBOOK_BYTES,
+} from './xlsx-import.js';
+
+// Stand-in for XLSX.SSF.is_date in these tests
+const isDateFormat = (fmt) => /[dmyhs]/i.test(fmt.replace(/"[^"]*"/g, '')) && fmt !== 'General';
+
+test('ranges and date formats decode like SheetJS', () => {
+  assert.deepEqual(decodeSheetRange('A1:AB10'), { s: { r: 0, c: 0 }, e: { r: 9, c: 27 } });
+  assert.deepEqual(decodeSheetRange('C3'), { s: { r: 2, c: 2 }, e: { r: 2, c: 2 } });
+  assert.equal(decodeSheetRange(''), null);
+
+  assert.deepEqual(describeDateFormat('m/d/yyyy h:mm AM/PM'), { hasDate: true, hasTime: true });
+  assert.deepEqual(describeDateFormat('mm-dd-yy'), { hasDate: true, hasTime: false });
+  assert.deepEqual(describeDateFormat('h:mm'), { hasDate: false, hasTime: true });
+
+  assert.ok(isSpreadsheetFile({ name: 'Export.XLSX' }));
+  assert.ok(!isSpreadsheetFile({ name: 'export.csv', type: 'text/csv' }));
+});
+
+test('Excel date serials become the wall-clock text the CSV path parses', () => {
+  // 45677.5 = 2025-01-20 12:00
+  assert.equal(excelSerialToText(45677.5), '2025-01-20 12:00:00');
+  assert.equal(excelSerialToText(45677, { hasTime: false }), '01-20-2025');
+  assert.equal(excelSerialToText(0.6041666667, { hasDate: false }), '14:30');
+  assert.equal(excelSerialToText(45677.5 - 1462, { date1904: true }), '2025-01-20 12:00:00');
+
+  assert.equal(cellToText({ t: 'n', v: 45677.5, z: 'm/d/yy h:mm' }, { isDateFormat }), '2025-01-20 12:00:00');
+  assert.equal(cellToText({ t: 'n', v: 42, z: 'General' }, { isDateFormat }), '42');
+  assert.equal(cellToText({ t: 's', v: ' TRL-1 ' }), 'TRL-1');
+  assert.equal(cellToText({ t: 'b', v: true }), 'true');
+  assert.equal(cellToText({ t: 'e', v: 7 }), '');
+  assert.equal(cellToText(undefined), '');
+});
+
+test('worksheet rows are keyed by header and blank rows are skipped', () => {
+  const s = (v) => ({ t: 's', v });
+  const sheet = {
+    '!ref': 'A1:D5',
+    '!data': [
+      [],
+      [s('Trailer'), s(''), s('Arrived'), s('Trailer')],
+      [s('T1'), s('x'), { t: 'n', v: 45677.25, z: 'yyyy-mm-dd hh:mm' }, s('dup')],
+      [],
+      [s('T2'), undefined, undefined, undefined],
+    ],
+  };
+
+  const header = readSheetHeader(sheet, { isDateFormat });
+  assert.deepEqual(header.columns, ['Trailer', 'Arrived', 'Trailer_1']);
+  assert.equal(header.headerRow, 1);
+  assert.equal(header.rowCount, 3);
+
+  const rows = Array.from(iterateSheetRows(sheet, { isDateFormat }));
+  assert.deepEqual(rows, [
+    { Trailer: 'T1', Arrived: '2025-01-20 06:00:00', Trailer_1: 'dup' },
+    { Trailer: 'T2', Arrived: '', Trailer_1: '' },
+  ]);
+
+  // Sparse (non-dense) sheets are read by cell address
+  const sparse = { '!ref': 'A1:B2', A1: s('Door'), B1: s('Event'), A2: s('D1'), B2: s('open') };
+  assert.deepEqual(Array.from(iterateSheetRows(sparse)), [{ Door: 'D1', Event: 'open' }]);
+});
+
+test('workbooks over the size limit are refused before they are read', async () => {
+  let reads = 0;
+  const file = (size) => ({ size, arrayBuffer: async () => { reads++; return new ArrayBuffer(8); } });
+  await assert.rejects(readWorkbookBytes(file(MAX_WORKBOOK_BYTES + 1)), /Workbook is \d+ MB; workbooks over 150 MB cannot be opened.*as CSV/);
+  assert.equal(reads, 0);
+  assert.equal((await readWorkbookBytes(file(1024))).byteLength, 8);
+  assert.equal(reads, 1);
+});
@@ -0,0 +1,239 @@
+/**
+ * Zipped bundles of YMS exports
+ *
+ * Customers often send one .zip with every report export for several
+ * facilities. The archive's central directory is read to list its CSV and
+ * Excel entries; nothing else is read up front. An entry is opened only when it
+ * is previewed or ingested: stored entries are a lazy slice of the archive and
+ * deflated ones are streamed through DecompressionStream. CSV entries are
+ * parsed straight from that stream (openZipEntryStream) and previewed from a
+ * bounded prefix (readZipEntryPrefix), so neither an archive nor a CSV entry is
+ * ever held in memory as a whole. Workbooks are the exception: SheetJS needs
+ * all of a workbook's bytes (openZipEntry).
+ *
+ * Import entries from an archive keep the archive File plus a zipEntry locator
+ * (structured-clone safe, so the analysis worker opens entries itself).
+ */
+
+import { isSpreadsheetFile } from './xlsx-import.js?v=2025.01.07.0';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+// End of central directory record (22 bytes) plus the longest archive comment
+const EOCD_SEARCH_BYTES = 22 + 0xFFFF;
+const LOCAL_HEADER_BYTES = 30;
+const ZIP64_MARKER = 0xFFFFFFFF;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+/**
+ * Whether a selected file looks like a zip archive.
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isZipFile(file) {
+  if (!file) return false;
+  const name = (file.name || '').toLowerCase();
+  return name.endsWith('.zip') || file.type === 'application/zip' || file.type === 'application/x-zip-compressed';
+}
+
+async function readBytes(blob, start, end) {
+  return new DataView(await blob.slice(start, end).arrayBuffer());
+}
+
+function readUint64(view, offset) {
+  return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 2 ** 32;
+}
+
+/**
+ * Locates the central directory: { offset, size, count }. Zip64 archives
+ * (over 4 GB or 65535 entries) are followed to their zip64 record.
+ */
+async function readEndOfCentralDirectory(archive) {
+  const start = Math.max(0, archive.size - EOCD_SEARCH_BYTES);
+  const tail = await readBytes(archive, start, archive.size);
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) !== EOCD_SIGNATURE) continue;
+    const directory = {
+      count: tail.getUint16(i + 10, true),
+      size: tail.getUint32(i + 12, true),
+      offset: tail.getUint32(i + 16, true),
+    };
+    if (directory.offset !== ZIP64_MARKER && directory.size !== ZIP64_MARKER) return directory;
+
+    const locatorAt = i - 20;
+    if (locatorAt < 0 || tail.getUint32(locatorAt, true) !== ZIP64_LOCATOR_SIGNATURE) {
+      throw new Error('Zip64 archive is missing its end of central directory locator');
+    }
+    const recordOffset = readUint64(tail, locatorAt + 8);
+    const record = await readBytes(archive, recordOffset, recordOffset + 56);
+    if (record.getUint32(0, true) !== ZIP64_EOCD_SIGNATURE) throw new Error('Zip64 end of central directory is corrupt');
+    return { count: readUint64(record, 32), size: readUint64(record, 40), offset: readUint64(record, 48) };
+  }
+  throw new Error('Not a zip archive (no central directory found)');
+}
+
+/**
+ * Sizes and offset from a zip64 extended information extra field; only the
+ * values saturated in the central directory record are present, in this order.
+ */
+function applyZip64Extra(view, start, length, entry) {
+  let at = start;
+  const end = start + length;
+  while (at + 4 <= end) {
+    const id = view.getUint16(at, true);
+    const size = view.getUint16(at + 2, true);
+    if (id === 0x0001) {
+      let field = at + 4;
+      for (const key of ['size', 'compressedSize', 'localHeaderOffset']) {
+        if (entry[key] === ZIP64_MARKER && field + 8 <= at + 4 + size) {
+          entry[key] = readUint64(view, field);
+          field += 8;
+        }
+      }
+      return;
+    }
+    at += 4 + size;
+  }
+}
+
+function basename(path) {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+/**
+ * Lists the files in an archive, skipping folders and macOS metadata.
+ *
+ * @param {File|Blob} archive
+ * @returns {Promise<Array<{path: string, name: string, method: number, compressedSize: number, size: number, localHeaderOffset: number, encrypted: boolean}>>}
+ */
+export async function listZipEntries(archive) {
+  const directory = await readEndOfCentralDirectory(archive);
+  const view = await readBytes(archive, directory.offset, directory.offset + directory.size);
+  const utf8 = new TextDecoder('utf-8');
+  // Zips without the UTF-8 flag use the DOS code page; Windows-1252 matches it for ASCII names
+  const legacy = new TextDecoder('windows-1252');
+
+  const entries = [];
+  let at = 0;
+  for (let i = 0; i < directory.count && at + 46 <= view.byteLength; i++) {
+    if (view.getUint32(at, true) !== CENTRAL_SIGNATURE) throw new Error('Zip central directory is corrupt');
+    const flags = view.getUint16(at + 8, true);
+    const nameLength = view.getUint16(at + 28, true);
+    const extraLength = view.getUint16(at + 30, true);
+    const commentLength = view.getUint16(at + 32, true);
+    const nameBytes = new Uint8Array(view.buffer, view.byteOffset + at + 46, nameLength);
+    const path = ((flags & 0x0800) ? utf8 : legacy).decode(nameBytes);
+
+    const entry = {
+      path,
+      name: basename(path),
+      method: view.getUint16(at + 10, true),
+      compressedSize: view.getUint32(at + 20, true),
+      size: view.getUint32(at + 24, true),
+      localHeaderOffset: view.getUint32(at + 42, true),
+      encrypted: (flags & 0x0001) !== 0,
+    };
+    applyZip64Extra(view, at + 46 + nameLength, extraLength, entry);
+    at += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/') || path.startsWith('__MACOSX/') || entry.name.startsWith('.')) continue;
+    entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Entries an import can use: CSV files and Excel workbooks.
+ */
+export function importableZipEntries(entries) {
+  return entries.filter(entry => entry.name.toLowerCase().endsWith('.csv') || isSpreadsheetFile({ name: entry.name }));
+}
+
+// The entry's compressed bytes, a lazy slice of the archive
+async function entryData(archive, entry) {
+  if (entry.encrypted) throw new Error(`${entry.path} is password-protected`);
+
+  const header = await readBytes(archive, entry.localHeaderOffset, entry.localHeaderOffset + LOCAL_HEADER_BYTES);
+  if (header.getUint32(0, true) !== LOCAL_SIGNATURE) throw new Error(`${entry.path}: zip entry header is corrupt`);
+  const dataStart = entry.localHeaderOffset + LOCAL_HEADER_BYTES + header.getUint16(26, true) + header.getUint16(28, true);
+  const data = archive.slice(dataStart, dataStart + entry.compressedSize);
+
+  if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATED) {
+    throw new Error(`${entry.path} uses an unsupported zip compression method (${entry.method}); re-zip it with standard compression`);
+  }
+  if (entry.method === METHOD_DEFLATED && typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot decompress zip archives; extract the files and add them directly');
+  }
+  return data;
+}
+
+/**
+ * Streams one entry's uncompressed bytes, decompressing as they are read.
+ *
+ * @param {File|Blob} archive
+ * @param {object} entry - From listZipEntries()
+ * @returns {Promise<ReadableStream<Uint8Array>>}
+ */
+export async function openZipEntryStream(archive, entry) {
+  const data = await entryData(archive, entry);
+  return entry.method === METHOD_STORED ? data.stream() : data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+}
+
+/**
+ * The first `maxBytes` uncompressed bytes of an entry (for previews); the
+ * rest is never decompressed.
+ *
+ * @param {File|Blob} archive
+ * @param {object} entry - From listZipEntries()
+ * @param {number} maxBytes
+ * @returns {Promise<{bytes: Uint8Array, truncated: boolean}>} truncated when the entry is longer
+ */
+export async function readZipEntryPrefix(archive, entry, maxBytes) {
+  const reader = (await openZipEntryStream(archive, entry)).getReader();
+  const bytes = new Uint8Array(Math.min(maxBytes, entry.size));
+  let length = 0;
+  try {
+    while (length < bytes.length) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const take = Math.min(value.length, bytes.length - length);
+      bytes.set(value.subarray(0, take), length);
+      length += take;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return { bytes: bytes.subarray(0, length), truncated: length < entry.size };
+}
+
+/**
+ * Opens one entry as a File. Stored entries are a slice of the archive;
+ * deflated ones are decompressed whole into a Blob, so this is only for
+ * entries that must be read whole (workbooks). CSV entries use
+ * openZipEntryStream / readZipEntryPrefix.
+ *
+ * @param {File|Blob} archive
+ * @param {object} entry - From listZipEntries()
+ * @returns {Promise<File>}
+ */
+export async function openZipEntry(archive, entry) {
+  if (entry.method === METHOD_STORED) return new File([await entryData(archive, entry)], entry.name);
+  const blob = await new Response(await openZipEntryStream(archive, entry)).blob();
+  return new File([blob], entry.name);
+}
+
+/**
+ * The readable file behind a CSV import entry: the uploaded file itself, or
+ * the zip entry it points into.
+ *
+ * @param {{file: File, zipEntry?: object|null}} fileInfo
+ * @returns {Promise<File>}
+ */
+export function openImportFile(fileInfo) {
+  return fileInfo.zipEntry ? openZipEntry(fileInfo.file, fileInfo.zipEntry) : Promise.resolve(fileInfo.file);
+}
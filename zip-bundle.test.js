@@ -0,0 +1,159 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { deflateRawSync } from 'node:zlib';
+import {
+  listZipEntries,
+  importableZipEntries,
+  openZipEntry,
+  openZipEntryStream,
+  readZipEntryPrefix,
+  openImportFile,
+} from './zip-bundle.js';
+import { createStreamSource } from './csv-parser.js';
+
+// Minimal zip writer: [{ path, text, deflate }]
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { path, text, deflate } of files) {
+    const name = Buffer.from(path);
+    const raw = Buffer.from(text || '');
+    const data = deflate ? deflateRawSync(raw) : raw;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, name, data);
+    centrals.push(central, name);
+    offset += local.length + name.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return new File([Buffer.concat([...locals, directory, end])], 'bundle.zip', { type: 'application/zip' });
+}
+
+test('entries are listed from the central directory, skipping folders and metadata', async () => {
+  const archive = buildZip([
+    { path: 'FAC1/' },
+    { path: 'FAC1/DockDoor History.csv', text: 'Door,Trailer\nD1,T1\n', deflate: true },
+    { path: 'FAC1/notes.txt', text: 'hello' },
+    { path: '__MACOSX/FAC1/._DockDoor History.csv', text: 'x' },
+    { path: 'FAC2/Driver.xlsx', text: 'not really a workbook' },
+  ]);
+  const entries = await listZipEntries(archive);
+  assert.deepEqual(entries.map(e => e.path), ['FAC1/DockDoor History.csv', 'FAC1/notes.txt', 'FAC2/Driver.xlsx']);
+  assert.deepEqual(importableZipEntries(entries).map(e => e.name), ['DockDoor History.csv', 'Driver.xlsx']);
+  assert.equal(entries[0].size, 'Door,Trailer\nD1,T1\n'.length);
+});
+
+test('stored and deflated entries open as files named after the entry', async () => {
+  const csv = 'Trailer #,Event\n' + 'T1,Arrived\n'.repeat(1000);
+  const archive = buildZip([
+    { path: 'a/Trailer.csv', text: csv, deflate: true },
+    { path: 'b/Current.csv', text: 'Trailer,SCAC\nT1,ABCD\n' },
+  ]);
+  const [deflated, stored] = await listZipEntries(archive);
+
+  const file = await openZipEntry(archive, deflated);
+  assert.equal(file.name, 'Trailer.csv');
+  assert.equal(await file.text(), csv);
+  assert.equal(await (await openImportFile({ file: archive, zipEntry: stored })).text(), 'Trailer,SCAC\nT1,ABCD\n');
+
+  const plain = new File(['x'], 'plain.csv');
+  assert.equal(await openImportFile({ file: plain, zipEntry: null }), plain);
+
+  await assert.rejects(openZipEntry(archive, { ...stored, encrypted: true }), /password-protected/);
+  await assert.rejects(listZipEntries(new File(['not a zip'], 'x.zip')), /Not a zip archive/);
+});
+
+test('CSV entries stream decompressed and previews read only a prefix', async () => {
+  const csv = 'Trailer #,Event\n' + 'T1,Arrived\n'.repeat(20000);
+  const archive = buildZip([
+    { path: 'Trailer.csv', text: csv, deflate: true },
+    { path: 'Current.csv', text: 'Trailer,SCAC\nT1,ABCD\n' },
+  ]);
+  const [deflated, stored] = await listZipEntries(archive);
+
+  assert.equal(await new Response(await openZipEntryStream(archive, deflated)).text(), csv);
+
+  const prefix = await readZipEntryPrefix(archive, deflated, 1000);
+  assert.equal(prefix.bytes.length, 1000);
+  assert.equal(prefix.truncated, true);
+  assert.equal(new TextDecoder().decode(prefix.bytes), csv.slice(0, 1000));
+
+  const whole = await readZipEntryPrefix(archive, stored, 1000);
+  assert.equal(new TextDecoder().decode(whole.bytes), 'Trailer,SCAC\nT1,ABCD\n');
+  assert.equal(whole.truncated, false);
+});
+
+// A byte stream that hands out the given chunks, recording whether it was cancelled
+function chunkStream(chunks) {
+  const state = { cancelled: false };
+  const stream = new ReadableStream({
+    pull(controller) {
+      if (chunks.length) controller.enqueue(chunks.shift());
+      else controller.close();
+    },
+    cancel() { state.cancelled = true; },
+  });
+  return { stream, state };
+}
+
+test('stream sources decode across chunk boundaries and pause, resume and destroy', async () => {
+  const bytes = new TextEncoder().encode('Trailer,Note\nT1,Café\n');
+  const split = bytes.indexOf(0xc3) + 1; // inside the two-byte é
+  const { stream } = chunkStream([bytes.slice(0, split), bytes.slice(split)]);
+  const source = createStreamSource(stream, { size: bytes.length });
+  assert.equal(source.readable, true);
+  assert.equal(source.size, bytes.length);
+
+  const text = await new Promise((resolve, reject) => {
+    let out = '';
+    source.on('data', piece => { out += piece; });
+    source.on('error', reject);
+    source.on('end', () => resolve(out));
+  });
+  assert.equal(text, 'Trailer,Note\nT1,Café\n');
+
+  const paused = chunkStream([bytes.slice(0, 5), bytes.slice(5)]);
+  const pausable = createStreamSource(paused.stream);
+  const pieces = [];
+  pausable.on('data', piece => {
+    pieces.push(piece);
+    pausable.pause();
+  });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(pieces.length, 1, 'nothing is read while paused');
+  pausable.resume();
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(pieces.length, 2);
+
+  const aborted = chunkStream([bytes.slice(0, 5), bytes.slice(5)]);
+  const destroyable = createStreamSource(aborted.stream);
+  const after = [];
+  destroyable.on('data', piece => {
+    after.push(piece);
+    destroyable.destroy();
+  });
+  destroyable.on('end', () => after.push('end'));
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.deepEqual(after, ['Trail'], 'no more data and no end after destroy');
+  assert.equal(aborted.state.cancelled, true);
+});